@@ -0,0 +1,233 @@
+/** @module archive */
+
+/** An archived message.
+ * @typedef ArchivedMessage
+ * @type {object}
+ * @property {string} id - message's ID
+ * @property {?string} guild - ID of message's guild (null in DMs)
+ * @property {string} channel - ID of message's channel
+ * @property {string} author - ID of message's author
+ * @property {string} authorTag - author's tag at the time the message was posted, e.g. Someone#1234
+ * @property {string} content - message's latest content
+ * @property {array<object>} attachments - names and URLs of attached files
+ * @property {number} createdAt - when the message was posted (a timestamp in milliseconds)
+ * @property {?number} editedAt - when the message was last edited
+ * @property {?number} deletedAt - when the message was deleted */
+
+/** A revision of an archived message.
+ * @typedef MessageRevision
+ * @type {object}
+ * @property {string} content - message's content since that revision
+ * @property {number} time - when the revision was made (a timestamp in milliseconds) */
+
+/** Converts a database row to an archived message.
+ * @param {object} row - a row of the messages table
+ * @returns {ArchivedMessage} - the message */
+const toMessage = row =>
+	({
+		id: row.id,
+		guild: row.guild,
+		channel: row.channel,
+		author: row.author,
+		authorTag: row.author_tag,
+		content: row.content,
+		attachments: JSON.parse(row.attachments),
+		createdAt: row.created_at,
+		editedAt: row.edited_at,
+		deletedAt: row.deleted_at
+	});
+
+/** Escapes wildcards of the LIKE operator.
+ * @param {string} text
+ * @returns {string} - the escaped text (use with ESCAPE '\') */
+const escapeLike = text =>
+	text.replace(/[\\%_]/g, '\\$&');
+
+/** Loads better-sqlite3. It's an optional dependency, so it's loaded only
+ *  when the archive is used.
+ * @returns {function} - the Database class
+ * @throws {Error} - if better-sqlite3 isn't installed or can't be loaded */
+const loadDatabase = () => {
+	try {
+		return require('better-sqlite3'); // eslint-disable-line global-require
+	} catch (error) {
+		throw new Error(`The message archive requires the better-sqlite3 package (${error.message})`);
+	}
+};
+
+/** An archive of messages with their edits and deletions, kept in an SQLite
+ *  database separate from Saiko's data, so archiving doesn't trigger saves. */
+export default class MessageArchive {
+	/** Creates a new MessageArchive object. The database is opened on the first use.
+	 * @param {string} fileName - path to the database file
+	 * @returns {MessageArchive} - a MessageArchive object */
+	constructor(fileName) {
+		/** @type {string} */
+		this.fileName = fileName;
+		/** @type {?Database} */
+		this.database = null;
+	}
+
+	/** Opens the database and creates its tables if needed.
+	 * @returns {Database} - the database */
+	open() {
+		if (this.database === null) {
+			const Database = loadDatabase();
+
+			this.database = new Database(this.fileName);
+			this.database.exec(
+				'CREATE TABLE IF NOT EXISTS messages (' +
+				'id TEXT PRIMARY KEY, guild TEXT, channel TEXT NOT NULL, author TEXT NOT NULL, ' +
+				'author_tag TEXT NOT NULL, content TEXT NOT NULL, attachments TEXT NOT NULL, ' +
+				'created_at INTEGER NOT NULL, edited_at INTEGER, deleted_at INTEGER);' +
+				'CREATE INDEX IF NOT EXISTS messages_guild ON messages (guild, created_at);' +
+				'CREATE TABLE IF NOT EXISTS revisions (' +
+				'message TEXT NOT NULL, content TEXT NOT NULL, time INTEGER NOT NULL);' +
+				'CREATE INDEX IF NOT EXISTS revisions_message ON revisions (message, time);'
+			);
+		}
+
+		return this.database;
+	}
+
+	/** Archives a message, or updates its archived version after an edit. Every
+	 *  change of the content is kept as a revision.
+	 * @param {Discord.Message} message
+	 * @returns {void} */
+	addMessage(message) {
+		const database = this.open();
+		const archived = database.prepare('SELECT content FROM messages WHERE id = ?').get(message.id);
+		const time = message.editedTimestamp || message.createdTimestamp;
+
+		database.transaction(() => {
+			database.prepare(
+				'INSERT OR REPLACE INTO messages ' +
+				'(id, guild, channel, author, author_tag, content, attachments, created_at, edited_at, deleted_at) ' +
+				'VALUES (@id, @guild, @channel, @author, @authorTag, @content, @attachments, @createdAt, @editedAt, NULL)'
+			).run({
+				id: message.id,
+				guild: message.guild ? message.guild.id : null,
+				channel: message.channel.id,
+				author: message.author.id,
+				authorTag: message.author.tag,
+				content: message.content,
+				attachments: JSON.stringify(Array.from(message.attachments.values())
+					.map(attachment => ({name: attachment.filename, url: attachment.url}))),
+				createdAt: message.createdTimestamp,
+				editedAt: message.editedTimestamp || null
+			});
+
+			if (archived === undefined || archived.content !== message.content)
+				database.prepare('INSERT INTO revisions (message, content, time) VALUES (?, ?, ?)')
+					.run(message.id, message.content, time);
+		})();
+	}
+
+	/** Checks if a message is archived.
+	 * @param {string} id - message's ID
+	 * @returns {boolean} - true if the message is archived */
+	hasMessage(id) {
+		return this.open().prepare('SELECT 1 FROM messages WHERE id = ?').get(id) !== undefined;
+	}
+
+	/** Archives an edit of a message. Messages posted before they could be
+	 *  archived are added with their content before the edit first.
+	 * @param {Discord.Message} oldMessage - the message before the edit
+	 * @param {Discord.Message} newMessage - the message after the edit
+	 * @returns {void} */
+	editMessage(oldMessage, newMessage) {
+		if (!this.hasMessage(oldMessage.id))
+			this.addMessage(oldMessage);
+
+		this.addMessage(newMessage);
+	}
+
+	/** Marks a message as deleted. Messages posted before they could be
+	 *  archived are added first.
+	 * @param {Discord.Message} message
+	 * @param {number} [time=Date.now()] - when the message was deleted
+	 * @returns {void} */
+	deleteMessage(message, time = Date.now()) {
+		if (!this.hasMessage(message.id))
+			this.addMessage(message);
+
+		this.open().prepare('UPDATE messages SET deleted_at = ? WHERE id = ?').run(time, message.id);
+	}
+
+	/** Finds messages, from the newest.
+	 * @param {object} query - conditions, all of them are optional except the guild
+	 * @param {?string} query.guild - ID of the guild messages are from (null for DMs)
+	 * @param {string} [query.author] - ID of the messages' author
+	 * @param {string} [query.channel] - ID of the messages' channel
+	 * @param {number} [query.from] - the earliest time messages were posted at
+	 * @param {number} [query.to] - the latest time messages were posted at
+	 * @param {string} [query.text] - text the messages contain (case insensitive)
+	 * @param {number} [query.limit=10] - maximal number of found messages
+	 * @param {number} [query.offset=0] - number of skipped messages (to get further pages)
+	 * @returns {object} - found messages and the number of all matching messages */
+	search({guild, author, channel, from, to, text, limit = 10, offset = 0}) {
+		const conditions = [
+			guild === null ? 'guild IS NULL' : 'guild = @guild',
+			...author === undefined ? [] : ['author = @author'],
+			...channel === undefined ? [] : ['channel = @channel'],
+			...from === undefined ? [] : ['created_at >= @from'],
+			...to === undefined ? [] : ['created_at <= @to'],
+			...text === undefined ? [] : ['content LIKE @text ESCAPE \'\\\'']
+		].join(' AND ');
+		const parameters = {guild, author, channel, from, to, text: text === undefined ? undefined : `%${escapeLike(text)}%`};
+		const definedParameters = Object.assign({}, ...Object.entries(parameters)
+			.filter(([, value]) => value !== undefined && value !== null)
+			.map(([key, value]) => ({[key]: value}))
+		);
+		const database = this.open();
+
+		return {
+			messages: database
+				.prepare(`SELECT * FROM messages WHERE ${conditions} ORDER BY created_at DESC, id DESC LIMIT @limit OFFSET @offset`)
+				.all({...definedParameters, limit, offset})
+				.map(toMessage),
+			total: database.prepare(`SELECT COUNT(*) AS total FROM messages WHERE ${conditions}`).get(definedParameters).total
+		};
+	}
+
+	/** Returns an archived message with all its revisions.
+	 * @param {string} id - message's ID
+	 * @returns {?object} - the message and its revisions (from the oldest), or null if it isn't archived */
+	getHistory(id) {
+		const database = this.open();
+		const row = database.prepare('SELECT * FROM messages WHERE id = ?').get(id);
+
+		if (row === undefined)
+			return null;
+
+		return {
+			message: toMessage(row),
+			revisions: database.prepare('SELECT content, time FROM revisions WHERE message = ? ORDER BY time, rowid').all(id)
+		};
+	}
+
+	/** Removes messages of a guild posted before a time, with their revisions.
+	 * @param {?string} guild - ID of the guild (null for DMs)
+	 * @param {number} time - messages posted earlier are removed (a timestamp in milliseconds)
+	 * @returns {number} - the number of removed messages */
+	prune(guild, time) {
+		const database = this.open();
+		const condition = `${guild === null ? 'guild IS NULL' : 'guild = @guild'} AND created_at < @time`;
+		const parameters = guild === null ? {time} : {guild, time};
+
+		return database.transaction(() => {
+			database.prepare(`DELETE FROM revisions WHERE message IN (SELECT id FROM messages WHERE ${condition})`).run(parameters);
+
+			return database.prepare(`DELETE FROM messages WHERE ${condition}`).run(parameters).changes;
+		})();
+	}
+
+	/** Closes the database.
+	 * @returns {void} */
+	close() {
+		if (this.database !== null)
+			this.database.close();
+
+		this.database = null;
+	}
+}
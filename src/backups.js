@@ -0,0 +1,127 @@
+/** @module backups */
+
+import * as filesystem from './functions/filesystem.js';
+import * as log from './functions/log.js';
+import * as migrations from './migrations.js';
+import * as object from './functions/object.js';
+import * as schema from './functions/schema.js';
+
+/** Backs up Saiko's data to the backups folder, lists and restores the backups.
+ *  Backups are made before the data is upgraded, replaced or imported, and
+ *  periodically when it's saved (see BackupManager#backupPeriodically). */
+export default class BackupManager {
+	/** Creates a new BackupManager object.
+	 * @param {Saiko} saiko
+	 * @returns {BackupManager} - a BackupManager object */
+	constructor(saiko) {
+		/** @type {Saiko} */
+		this.saiko = saiko;
+		/** Number of backups with the same label kept in the backups folder
+		 *  (see BackupManager#backupData), older ones are removed.
+		 * @type {number} */
+		this.backupLimit = 10;
+		/** Minimal time (in milliseconds) between automatic backups made when
+		 *  the data is saved (see Saiko#saveData).
+		 * @type {number} */
+		this.backupInterval = 60 * 60 * 1000;
+		/** @type {number} */
+		this.lastBackupTime = 0;
+	}
+
+	/** Returns the path to the backups folder (a subfolder of the data folder).
+	 * @returns {string} - the path, with a trailing slash */
+	getBackupsPath() {
+		return `${this.saiko.dataPath}backups/`;
+	}
+
+	/** Saves a copy of the data to the backups folder and removes the oldest
+	 *  backups with the same label, so at most BackupManager#backupLimit of them are kept.
+	 * @param {object} data - the data to save
+	 * @param {string} label - a label added to the file name, e.g. v1 or auto
+	 * @returns {Promise<string|Error>} - a promise to the backup's file name */
+	async backupData(data, label) {
+		const directory = this.getBackupsPath();
+		const fileName  = `${directory}data-${label}-${Date.now()}.json`;
+
+		try {
+			await filesystem.checkFileWritable(directory);
+		} catch (error) {
+			await filesystem.createDirectory(0o750)(directory);
+		}
+
+		await filesystem.serializeAndSaveJSON(data)(fileName);
+
+		const outdatedBackups = (await this.listBackups())
+			.filter(backup => backup.label === label)
+			.slice(this.backupLimit);
+
+		for (const backup of outdatedBackups)
+			await filesystem.removeFile(`${directory}${backup.name}`); // eslint-disable-line no-await-in-loop
+
+		return fileName;
+	}
+
+	/** Lists backups in the backups folder.
+	 * @returns {Promise<array<object>|Error>} - a promise to backups' file names,
+	 *  labels and dates, from the newest */
+	async listBackups() {
+		let fileNames = [];
+
+		try {
+			fileNames = await filesystem.listDirectory(this.getBackupsPath());
+		} catch (error) {
+			return [];
+		}
+
+		return fileNames
+			.map(name => name.match(/^data-(.+)-(\d+)\.json$/))
+			.filter(match => match !== null)
+			.map(([name, label, time]) => ({name, label, date: new Date(Number(time))}))
+			.sort((a, b) => b.date - a.date);
+	}
+
+	/** Replaces the data with a backup and saves it. The current data is backed
+	 *  up first (with the restore label), so restoring can be undone. Backups
+	 *  from older versions are upgraded (see migrations), the storage config
+	 *  is kept as it is.
+	 * @param {string} name - the backup's file name (see BackupManager#listBackups)
+	 * @returns {Promise<object|Error>} - a promise to the restored data
+	 * @throws {Error} - if there is no such backup or its data is invalid */
+	async restoreBackup(name) {
+		if (!(await this.listBackups()).some(backup => backup.name === name))
+			throw new Error(`There is no backup called ${name}`);
+
+		const data = migrations.migrateData(await filesystem.loadJSON(`${this.getBackupsPath()}${name}`));
+		const errors = schema.validate(this.saiko.dataManager.getDataSchema())(data);
+
+		if (errors.length > 0)
+			throw new Error(`The backup is invalid:\n${schema.formatErrors(errors)}`);
+
+		await this.backupData(this.saiko.data, 'restore');
+
+		const {storage} = this.saiko.data;
+
+		this.saiko.data = {...object.removeSomeProperties(['storage'])(data), ...storage ? {storage} : {}};
+
+		log.warn({
+			title: {module: 'BackupManager', separator: '#', function: 'restoreBackup'},
+			text: `Data restored from ${name}`
+		});
+
+		await this.saiko.saveData();
+
+		return this.saiko.data;
+	}
+
+	/** Backs up the data with the auto label, unless it was backed up less
+	 *  than BackupManager#backupInterval ago.
+	 * @param {object} data - the data to save
+	 * @returns {Promise<?string|Error>} - a promise to the backup's file name, or to null if it's too early */
+	backupPeriodically(data) {
+		if (Date.now() - this.lastBackupTime < this.backupInterval)
+			return Promise.resolve(null);
+
+		this.lastBackupTime = Date.now();
+		return this.backupData(data, 'auto');
+	}
+}
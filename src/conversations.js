@@ -0,0 +1,200 @@
+/** @module conversations */
+
+/** A question waiting for a reply (see Conversations#prompt).
+ * @typedef Conversation
+ * @type {object}
+ * @property {string} message - ID of the message which triggered the question
+ * @property {string} title - the question's title
+ * @property {function} onReply - gets the reply and returns a response to it
+ * @property {function} accepts - checks if a message or a reaction is a reply
+ * @property {array<string>} reactions - emojis which can be used as replies
+ * @property {string} cancel - a reply which ends the conversation (lowercase)
+ * @property {number} expires - when the question can't be replied to anymore (a timestamp in milliseconds) */
+
+/** Questions a plugin asked users, by IDs of the channels and the users they
+ *  were asked to. Each user can reply to one question of a plugin on a channel
+ *  at a time. */
+export default class Conversations {
+	/** Creates a new Conversations object.
+	 * @param {Plugin} plugin - the plugin asking the questions
+	 * @returns {Conversations} - a Conversations object */
+	constructor(plugin) {
+		/** @type {Plugin} */
+		this.plugin = plugin;
+		/** Questions waiting for replies, by their keys (see Conversations.getKey).
+		 * @type {Map<string, Conversation>} */
+		this.questions = new Map;
+	}
+
+	/** Emojis used to answer confirmations (see Conversations#confirm).
+	 * @returns {object<string, string>} - emojis confirming and cancelling an action */
+	static get confirmReactions() {
+		return {confirm: '✅', cancel: '❌'};
+	}
+
+	/** Returns the key of a conversation with a user on a channel.
+	 * @param {Discord.Channel} channel
+	 * @param {Discord.User} user
+	 * @returns {string} - the key */
+	static getKey(channel, user) {
+		return `${channel.id}:${user.id}`;
+	}
+
+	/** Returns the channel and the user of a possible reply to a question.
+	 * @param {string} eventName - Discord.js event name
+	 * @param {...*} parameters - the event's parameters
+	 * @returns {?object} - the channel and the user, or null if the event can't be a reply */
+	static getReplier(eventName, ...parameters) {
+		const [reply, user] = parameters;
+
+		if (eventName === 'message')
+			return {channel: reply.channel, user: reply.author};
+
+		if (eventName === 'messageReactionAdd')
+			return {channel: reply.message.channel, user};
+
+		return null;
+	}
+
+	/** Asks the author of a message a question (see Plugin#prompt).
+	 * @param {Discord.Message} message - the message which triggered the question
+	 * @param {Discord.RichEmbed} question
+	 * @param {object} options - see Plugin#prompt
+	 * @returns {Discord.RichEmbed|object} - the question, with the reactions if there are any */
+	prompt(message, question, {
+		onReply,
+		accepts = () => true,
+		reactions = [],
+		cancel = this.plugin.translate(message.channel, 'plugin.prompt.cancel'),
+		timeout = this.plugin.promptTimeout
+	}) {
+		const now = Date.now();
+
+		for (const [key, conversation] of Array.from(this.questions))
+			if (conversation.expires <= now)
+				this.questions.delete(key);
+
+		this.questions.set(Conversations.getKey(message.channel, message.author), {
+			message: message.id,
+			title: question.title,
+			onReply,
+			accepts,
+			reactions,
+			cancel: cancel.toLowerCase(),
+			expires: now + timeout
+		});
+
+		return reactions.length > 0 ? {embed: question, reactions} : question;
+	}
+
+	/** Asks the author of a message to confirm an action (see Plugin#confirm).
+	 * @param {Discord.Message} message - the message which triggered the action
+	 * @param {object} question - embed's data (see Plugin#getEmbed) describing what's gonna happen
+	 * @param {function} action - runs the action and returns a response (or a promise to it)
+	 * @param {object} options
+	 * @param {number} options.timeout - time (in milliseconds) to confirm, in whole minutes
+	 * @param {string} options.permission - the permission level required to run the action
+	 * @param {Discord.Channel|Discord.Guild} options.place - where the permission level is required
+	 * @returns {object} - the question as a response */
+	confirm(message, question, action, {timeout, permission, place}) {
+		const {plugin} = this;
+		const {confirm, cancel} = Conversations.confirmReactions;
+		const translate = (key, parameters) => plugin.translate(message.channel, `plugin.prompt.${key}`, parameters);
+		const yes = [translate('yes'), 'yes', 'y', confirm];
+		const no = [translate('no'), 'no', 'n', cancel];
+		const getAnswer = reply => {
+			const text = reply.emoji ? reply.emoji.name : reply.content.trim().toLowerCase();
+
+			return yes.includes(text) ? true : no.includes(text) ? false : undefined;
+		};
+
+		return this.prompt(message, plugin.getEmbed({
+			...question,
+			footer: {
+				text: translate('confirm', {
+					yes: yes[0],
+					no: no[0],
+					confirm,
+					cancel,
+					time: translate('minutes', {count: Math.round(timeout / 60000)})
+				})
+			}
+		}), {
+			onReply: reply => {
+				const {guild} = message.channel;
+				const author = guild ? guild.member(message.author) || message.author : message.author;
+
+				if (!getAnswer(reply))
+					return plugin.getEmbed({title: question.title, description: translate('cancelled')});
+
+				return plugin.saiko.hasPermission(author, place, permission) ? action() : plugin.noPermission(permission, message.channel);
+			},
+			accepts: reply => getAnswer(reply) !== undefined,
+			reactions: [confirm, cancel],
+			timeout
+		});
+	}
+
+	/** Finds the question an event replies to.
+	 * @param {string} eventName - Discord.js event name
+	 * @param {...*} parameters - the event's parameters
+	 * @returns {?Conversation} - the conversation or null if the event isn't a reply */
+	find(eventName, ...parameters) {
+		const replier = Conversations.getReplier(eventName, ...parameters);
+
+		if (replier === null || this.plugin.shouldBeIgnored(replier.user))
+			return null;
+
+		const key = Conversations.getKey(replier.channel, replier.user);
+		const conversation = this.questions.get(key);
+		const [reply] = parameters;
+
+		if (conversation === undefined)
+			return null;
+
+		if (conversation.expires <= Date.now()) {
+			this.questions.delete(key);
+			return null;
+		}
+
+		const isReply = eventName === 'message' ?
+			reply.id !== conversation.message &&
+				(reply.content.trim().toLowerCase() === conversation.cancel || conversation.accepts(reply)) :
+			conversation.reactions.includes(reply.emoji.name) &&
+				this.plugin.saiko.dispatcher.responses.getTrigger(reply.message.id) === conversation.message &&
+				conversation.accepts(reply);
+
+		return isReply ? conversation : null;
+	}
+
+	/** Ends a conversation with a reply to its question (see Plugin#handleReply).
+	 * @param {string} eventName - Discord.js event name
+	 * @param {...*} parameters - the event's parameters
+	 * @returns {Promise<?MessageResponse>} - a promise to a response to the reply message */
+	async handleReply(eventName, ...parameters) {
+		const conversation = this.find(eventName, ...parameters);
+
+		if (conversation === null)
+			return null;
+
+		const {plugin} = this;
+		const {channel, user} = Conversations.getReplier(eventName, ...parameters);
+		const [reply] = parameters;
+
+		this.questions.delete(Conversations.getKey(channel, user));
+
+		const answer = eventName === 'message' && reply.content.trim().toLowerCase() === conversation.cancel ?
+			plugin.getEmbed({title: conversation.title, description: plugin.translate(channel, 'plugin.prompt.cancelled')}) :
+			await conversation.onReply(...parameters);
+
+		if (!answer)
+			return null;
+
+		if (eventName === 'messageReactionAdd') {
+			await plugin.saiko.dispatcher.edit(reply.message, answer);
+			return null;
+		}
+
+		return {posts: [[answer]], edits: []};
+	}
+}
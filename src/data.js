@@ -0,0 +1,263 @@
+/** @module data */
+
+import JSONStorage from './storage/json.js';
+import SQLiteStorage from './storage/sqlite.js';
+import path from 'path';
+import * as array from './functions/array.js';
+import * as dataSchema from './schema.js';
+import * as log from './functions/log.js';
+import * as migrations from './migrations.js';
+import * as object from './functions/object.js';
+import * as schema from './functions/schema.js';
+
+/** Loads Saiko's data (Saiko#data) from its storage, upgrades, validates
+ *  and saves it, and moves it between storages. */
+export default class DataManager {
+	/** Creates a new DataManager object.
+	 * @param {Saiko} saiko
+	 * @returns {DataManager} - a DataManager object */
+	constructor(saiko) {
+		/** @type {Saiko} */
+		this.saiko = saiko;
+		/** Storage backends, by the type used in the `storage` config.
+		 * @type {object<string, function>} */
+		this.storageTypes = {json: JSONStorage, sqlite: SQLiteStorage};
+		/** The storage the data is loaded from and saved to (see DataManager#loadData).
+		 * @type {?Storage} */
+		this.storage = null;
+	}
+
+	/** Creates a storage for the data.
+	 * @param {object} [config] - storage config
+	 * @param {string} [config.type='json'] - one of the DataManager#storageTypes keys
+	 * @param {string} [config.file] - path to the storage's file, relative to the data folder
+	 *  (each storage type has its own default)
+	 * @returns {Storage} - the storage
+	 * @throws {Error} - if the storage type is unknown */
+	createStorage({type = 'json', file} = {}) {
+		const StorageClass = this.storageTypes[type];
+
+		if (StorageClass === undefined)
+			throw new Error(`Unknown storage type "${type}", use one of: ${Object.keys(this.storageTypes).join(', ')}`);
+
+		return new StorageClass(path.resolve(this.saiko.dataPath, file || StorageClass.defaultFileName));
+	}
+
+	/** Returns the type of the storage used for the data.
+	 * @returns {?string} - one of the DataManager#storageTypes keys */
+	getStorageType() {
+		return Object.keys(this.storageTypes)
+			.find(type => this.storage instanceof this.storageTypes[type]) || null;
+	}
+
+	/** Loads the data. It's read from the data.json file, unless its `storage`
+	 *  property points to another storage (e.g. `{"type": "sqlite"}`).
+	 * @param {object} [options]
+	 * @param {boolean} [options.readOnly=false] - whether or not old data is upgraded
+	 *  in memory only, without backing it up and saving it (e.g. to check the config)
+	 * @returns {Promise<object|Error>} - a promise to the data object */
+	async loadData({readOnly = false} = {}) {
+		log.debug({
+			title: {module: 'DataManager', separator: '#', function: 'loadData'},
+			text: 'Loading data...'
+		});
+
+		const mainStorage = this.createStorage();
+		const mainData    = await mainStorage.load();
+		const storage     = object.isPlainObject(mainData.storage) ? this.createStorage(mainData.storage) : mainStorage;
+		const data        = storage.fileName === mainStorage.fileName ?
+			mainData :
+			{...await storage.load(), storage: mainData.storage};
+
+		this.storage = storage.fileName === mainStorage.fileName ? mainStorage : storage;
+
+		this.saiko.data = readOnly ? migrations.migrateData(data) : await this.upgradeData(data);
+
+		log.debug({
+			title: {module: 'DataManager', separator: '#', function: 'loadData'},
+			text: 'Data loaded'
+		});
+		return this.saiko.data;
+	}
+
+	/** Upgrades data loaded from an older version of Saiko (see migrations)
+	 *  and saves it. The original data is backed up first.
+	 * @param {object} data - the loaded data
+	 * @returns {Promise<object|Error>} - a promise to the upgraded data */
+	async upgradeData(data) {
+		const version = migrations.getDataVersion(data);
+		const upgradedData = migrations.migrateData(data);
+
+		if (version === migrations.latestVersion)
+			return upgradedData;
+
+		const backupFileName = await this.saiko.backups.backupData(data, `v${version}`);
+
+		log.warn({
+			title: {module: 'DataManager', separator: '#', function: 'upgradeData'},
+			text: `Data upgraded from version ${version} to ${migrations.latestVersion}, ` +
+				`the old data was saved to ${backupFileName}`,
+			messages: migrations.getPendingMigrations(data).map(migration => `${migration.version}: ${migration.description}`)
+		});
+
+		await this.storage.save(upgradedData);
+		await this.storage.flush();
+
+		return upgradedData;
+	}
+
+	/** Returns the schema of the data, including config sections of the loaded
+	 *  plugins (see Plugin#configSchema).
+	 * @returns {Schema} - the schema */
+	getDataSchema() {
+		return dataSchema.getDataSchema({plugins: this.saiko.plugins, storageTypes: Object.keys(this.storageTypes)});
+	}
+
+	/** Checks if the data matches its schema (see DataManager#getDataSchema). Should
+	 *  be called after loading plugins, so their config sections are checked too.
+	 * @returns {void}
+	 * @throws {Error} - if the data is invalid */
+	validateData() {
+		const errors = [
+			...schema.validate(this.getDataSchema())(this.saiko.data),
+			...this.saiko.token === '' ? [{path: 'token', message: 'is required (unless it\'s set with --token or SAIKO_TOKEN)'}] : []
+		];
+
+		if (errors.length === 0)
+			return;
+
+		log.error({
+			title: {module: 'DataManager', separator: '#', function: 'validateData'},
+			text: 'Invalid data',
+			messages: errors.map(error => schema.formatErrors([error]))
+		});
+		throw new Error(`Invalid data:\n${schema.formatErrors(errors)}`);
+	}
+
+	/** Saves the data. Saves are queued by the storage, so they never overlap.
+	 *  A copy of the saved data is backed up every BackupManager#backupInterval.
+	 * @returns {Promise<void|Error>} - a promise resolved once the data is saved */
+	async saveData() {
+		log.debug({
+			title: {module: 'DataManager', separator: '#', function: 'saveData'},
+			text: 'Saving data...'
+		});
+
+		this.clearData();
+		this.updateGuildNames();
+		this.updateChannelNames();
+
+		await this.storage.save(this.saiko.data);
+
+		await this.saiko.backups.backupPeriodically(this.saiko.data);
+
+		log.debug({
+			title: {module: 'DataManager', separator: '#', function: 'saveData'},
+			text: 'Data saved'
+		});
+	}
+
+	/** Moves the data to another storage. Unless the new storage is the
+	 *  data.json file itself, data.json keeps only the `storage` config pointing
+	 *  to the new storage. The old storage's file is left as it was.
+	 * @param {string} type - one of the DataManager#storageTypes keys
+	 * @returns {Promise<Storage|Error>} - a promise to the new storage */
+	async migrateStorage(type) {
+		const config  = {type};
+		const storage = this.createStorage(config);
+		const mainFileName = this.createStorage().fileName;
+
+		if (storage.fileName === this.storage.fileName)
+			throw new Error(`The data is already kept in ${path.basename(storage.fileName)}`);
+
+		log.debug({
+			title: {module: 'DataManager', separator: '#', function: 'migrateStorage'},
+			text: `Moving data to ${storage.fileName}...`
+		});
+
+		this.clearData();
+		this.saiko.data.storage = config;
+		await storage.save(this.saiko.data);
+		await storage.flush();
+
+		// point data.json to the new storage, reusing the old storage if it's data.json
+		if (storage.fileName !== mainFileName) {
+			const mainStorage = this.storage.fileName === mainFileName ? this.storage : this.createStorage();
+
+			await mainStorage.save({storage: config});
+			await mainStorage.close();
+		}
+
+		await this.storage.close();
+		this.storage = storage;
+
+		log.debug({
+			title: {module: 'DataManager', separator: '#', function: 'migrateStorage'},
+			text: 'Data moved'
+		});
+		return storage;
+	}
+
+	/** Clears the data object properties from empty objects. Plugins' stores
+	 *  (the `pluginData` section) are left as they are.
+	 * @returns {void} */
+	clearData() {
+		this.saiko.data = array.entriesToObject(Object.entries(this.saiko.data)
+			.map(entry =>
+				object.isPlainObject(entry[1]) && entry[0] !== 'pluginData' ?
+					[entry[0], object.removeEmptyObjects(entry[1])] :
+					entry
+			)
+		);
+	}
+
+	/** Updates channels' name, type and, if the channel has a parent guild,
+	 *  the guild's id and name in Saiko's data. If that metadata is the only
+	 *  data specified in the channel's config, the config will be removed.
+	 * @returns {void} */
+	updateChannelNames() {
+		for (const id of Object.keys(this.saiko.data.channels)) {
+			const channel       = this.saiko.client.channels.get(id);
+			const channelConfig = this.saiko.data.channels[id];
+
+			const isConfigEmpty = config => Object.keys(config)
+				.filter(key => !['name', 'type', 'guild'].includes(key))
+				.length === 0;
+
+			if (channel === null || isConfigEmpty(channelConfig)) {
+				delete this.saiko.data.channels[id];
+				continue;
+			}
+
+			channelConfig.name = channel.name;
+			channelConfig.type = channel.type;
+
+			if (channel.type === 'text')
+				channelConfig.guild = {
+					id: channel.guild.id,
+					name: channel.guild.name
+				};
+		}
+	}
+
+	/** Updates guilds' name in Saiko's data. If that metadata is the only
+	 *  data specified in the guild's config, the config will be removed.
+	 * @returns {void} */
+	updateGuildNames() {
+		for (const id of Object.keys(this.saiko.data.guilds)) {
+			const guild       = this.saiko.client.guilds.get(id);
+			const guildConfig = this.saiko.data.guilds[id];
+
+			const isConfigEmpty = config => Object.keys(config)
+				.filter(key => key !== 'name')
+				.length === 0;
+
+			if (guild === null || isConfigEmpty(guildConfig)) {
+				delete this.saiko.data.guilds[id];
+				continue;
+			}
+
+			guildConfig.name = guild.name;
+		}
+	}
+}
@@ -0,0 +1,291 @@
+/** @module dispatcher */
+
+import Discord from 'discord.js';
+import ResponseStore from './responses.js';
+import * as log from './functions/log.js';
+import * as object from './functions/object.js';
+import * as promise from './functions/promise.js';
+
+/** Codes of network errors which are worth retrying.
+ * @type {array<string>} */
+const transientErrorCodes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+/** Sends, edits and deletes Saiko's posts. Operations on each channel are
+ *  queued, so they are done in order (and wait for each other when Discord.js
+ *  waits out a rate limit), and failed ones are retried if the failure might
+ *  be temporary (see ResponseDispatcher.isTransient). Plugins can
+ *  use it to post outside of responses, e.g. `this.saiko.dispatcher.send(channel, 'Hi')`. */
+export default class ResponseDispatcher {
+	/** Creates a new ResponseDispatcher object.
+	 * @returns {ResponseDispatcher} - a ResponseDispatcher object */
+	constructor() {
+		/** Posts sent in response to messages (see Saiko#loadResponses).
+		 * @type {ResponseStore} */
+		this.responses = new ResponseStore;
+		/** The last queued operation of each channel, by the channel's ID.
+		 * @type {Map<string, Promise>} */
+		this.queues = new Map;
+		/** Number of retries of a failed operation.
+		 * @type {number} */
+		this.maxRetries = 3;
+		/** Time (in milliseconds) before the first retry, doubled before each next one.
+		 * @type {number} */
+		this.retryDelay = 1000;
+		/** Maximal time (in milliseconds) before a retry.
+		 * @type {number} */
+		this.maxRetryDelay = 30000;
+	}
+
+	/** Checks if an operation which failed with an error might succeed later,
+	 *  i.e. if it failed with a network error. Discord.js already waits out rate
+	 *  limits (HTTP 429) and retries server errors (HTTP 5xx) itself, and other
+	 *  API errors (DiscordAPIError, e.g. missing permissions) are permanent.
+	 * @param {Error} error
+	 * @returns {boolean} - true if the operation should be retried */
+	static isTransient(error) {
+		return Boolean(error) && !(error instanceof Discord.DiscordAPIError) && transientErrorCodes.includes(error.code);
+	}
+
+	/** Returns the time to wait before retrying a failed operation, which grows
+	 *  exponentially with each attempt.
+	 * @param {number} attempt - number of the failed attempt (starting at 0)
+	 * @returns {number} - milliseconds to wait */
+	getRetryDelay(attempt) {
+		return Math.min(this.retryDelay * (2 ** attempt), this.maxRetryDelay);
+	}
+
+	/** Logs rate limits Discord.js reported hitting. Saiko doesn't need to
+	 *  handle them (HTTP 429) itself: the REST manager of Discord.js v11 holds
+	 *  further requests to the limited route until the limit resets, so queued
+	 *  operations of the channel just wait longer, nothing is dropped.
+	 * @listens Discord.Client#rateLimit
+	 * @param {object} rateLimitInfo - the event's data
+	 * @param {number} rateLimitInfo.limit - number of requests which can be made to the route
+	 * @param {string} rateLimitInfo.path - path of the request which hit the limit
+	 * @param {string} rateLimitInfo.method - HTTP method of the request
+	 * @returns {void} */
+	static handleRateLimit({limit, path, method}) {
+		log.debug({
+			title: {module: 'ResponseDispatcher', separator: '#', function: 'handleRateLimit'},
+			text: `Hit the rate limit of ${String(method).toUpperCase()} ${path} (${limit} requests), next requests will wait`
+		});
+	}
+
+	/** Queues a task on a channel. Tasks of a channel run one at a time, in
+	 *  the order they were queued, even if some of them fail.
+	 * @param {Discord.Channel} channel
+	 * @param {function} task - a function returning a promise
+	 * @returns {Promise<*>} - a promise to the task's result */
+	enqueue(channel, task) {
+		const previous = this.queues.get(channel.id) || Promise.resolve();
+		const result = previous.then(task);
+		const last = result.then(() => null, () => null);
+
+		this.queues.set(channel.id, last);
+		last.then(() => {
+			if (this.queues.get(channel.id) === last)
+				this.queues.delete(channel.id);
+		});
+
+		return result;
+	}
+
+	/** Runs an operation, retrying it after transient errors.
+	 * @param {function} operation - a function returning a promise
+	 * @param {string} description - what the operation does, for logs, e.g. "send a message"
+	 * @returns {Promise<*>} - a promise to the operation's result
+	 * @throws {Error} - the last error, if the operation didn't succeed */
+	async perform(operation, description) {
+		for (let attempt = 0; ; attempt += 1)
+			try {
+				return await operation(); // eslint-disable-line no-await-in-loop
+			} catch (error) {
+				if (attempt >= this.maxRetries || !ResponseDispatcher.isTransient(error))
+					throw error;
+
+				const delay = this.getRetryDelay(attempt);
+
+				log.warn({
+					title: {module: 'ResponseDispatcher', separator: '#', function: 'perform'},
+					text: `Cannot ${description}, retrying in ${delay} ms`,
+					messages: [error]
+				});
+				await promise.delay(delay); // eslint-disable-line no-await-in-loop
+			}
+	}
+
+	/** Separates reactions from a post. An options object in the post can have
+	 *  a `reactions` array of emojis, which are added to the post once it's sent
+	 *  (e.g. to turn pages, see Plugin#paginate).
+	 * @param {array} post - Discord.TextChannel#send's parameters
+	 * @returns {object} - the parameters without reactions and the emojis */
+	static splitReactions(post) {
+		const hasReactions = param => typeof param === 'object' && param !== null && Array.isArray(param.reactions);
+		const options = post.find(hasReactions);
+
+		return {
+			params: post.map(param => hasReactions(param) ? object.removeSomeProperties(['reactions'])(param) : param),
+			reactions: options === undefined ? [] : options.reactions
+		};
+	}
+
+	/** Adds reactions to a sent post, skipping the ones it already has. Failures are logged.
+	 * @param {Discord.Message} message - the post
+	 * @param {array<string>} reactions - emojis
+	 * @returns {Promise<void>} - a promise resolved once the reactions are added */
+	async addReactions(message, reactions) {
+		const missingReactions = reactions.filter(emoji => !(message.reactions && message.reactions.has(emoji)));
+
+		await ResponseDispatcher.performEach(missingReactions, emoji => this.perform(() => message.react(emoji), 'add a reaction'), 'add a reaction');
+	}
+
+	/** Sends a post and adds its reactions, without queueing.
+	 * @param {Discord.Channel} channel
+	 * @param {array} post - Discord.TextChannel#send's parameters (see ResponseDispatcher.splitReactions)
+	 * @returns {Promise<Discord.Message|Error>} - a promise to the sent message */
+	async sendPost(channel, post) {
+		const {params, reactions} = ResponseDispatcher.splitReactions(post);
+		const sentMessage = await this.perform(() => channel.send(...params), 'send a message');
+
+		await this.addReactions(sentMessage, reactions);
+
+		return sentMessage;
+	}
+
+	/** Edits a post and adds its reactions, without queueing.
+	 * @param {Discord.Message} message - the post
+	 * @param {array} post - Discord.Message#edit's parameters (see ResponseDispatcher.splitReactions)
+	 * @returns {Promise<Discord.Message|Error>} - a promise to the edited message */
+	async editPost(message, post) {
+		const {params, reactions} = ResponseDispatcher.splitReactions(post);
+		const editedMessage = await this.perform(() => message.edit(...params), 'edit a message');
+
+		await this.addReactions(editedMessage, reactions);
+
+		return editedMessage;
+	}
+
+	/** Sends a post to a channel.
+	 * @param {Discord.Channel} channel
+	 * @param {...*} post - Discord.TextChannel#send's parameters (see ResponseDispatcher.splitReactions)
+	 * @returns {Promise<Discord.Message|Error>} - a promise to the sent message */
+	send(channel, ...post) {
+		return this.enqueue(channel, () => this.sendPost(channel, post));
+	}
+
+	/** Edits a post.
+	 * @param {Discord.Message} message - the post
+	 * @param {...*} post - Discord.Message#edit's parameters (see ResponseDispatcher.splitReactions)
+	 * @returns {Promise<Discord.Message|Error>} - a promise to the edited message */
+	edit(message, ...post) {
+		return this.enqueue(message.channel, () => this.editPost(message, post));
+	}
+
+	/** Deletes a post.
+	 * @param {Discord.Message} message - the post
+	 * @returns {Promise<Discord.Message|Error>} - a promise to the deleted message */
+	delete(message) {
+		return this.enqueue(message.channel, () => this.perform(() => message.delete(), 'delete a message'));
+	}
+
+	/** Runs an operation on each item in turn, logging failures instead of stopping.
+	 * @param {array} items
+	 * @param {function} operation - a function which gets an item and returns a promise
+	 * @param {string} description - what the operation does, e.g. "send a message"
+	 * @returns {Promise<array>} - a promise to the results, null for failed operations */
+	static async performEach(items, operation, description) {
+		const results = [];
+
+		for (const item of items)
+			try {
+				results.push(await operation(item)); // eslint-disable-line no-await-in-loop
+			} catch (error) {
+				log.error({
+					title: {module: 'ResponseDispatcher', separator: '#', function: 'performEach'},
+					text: `Cannot ${description}`,
+					messages: [error]
+				});
+				results.push(null);
+			}
+
+		return results;
+	}
+
+	/** Sends, edits or deletes posts responding to a message, depending on
+	 *  what plugins returned for an event.
+	 * @param {string} eventName - message, messageDelete or messageUpdate
+	 * @param {Discord.Message} message - the message which triggered the event
+	 * @param {?MessageResponse} response - the response of the plugin which handled the event
+	 * @returns {Promise<void>} - a promise resolved once the posts are sent */
+	respond(eventName, message, response) {
+		// someone might have deleted one of Saiko's posts
+		if (eventName === 'messageDelete')
+			this.responses.removePost(message.id);
+
+		if (!response && !this.responses.has(message.id))
+			return Promise.resolve();
+
+		return this.enqueue(message.channel, async () => {
+			let sentMessages = await this.responses.get(message);
+			// posts which couldn't be deleted are kept, so deleting them can be retried later
+			const removePosts = async posts => {
+				const results = await ResponseDispatcher.performEach(posts, post => this.perform(() => post.delete(), 'delete a message'), 'delete a message');
+				const deletedPosts = posts.filter((post, index) => results[index] !== null);
+
+				sentMessages = sentMessages.filter(post => !deletedPosts.includes(post));
+			};
+
+			// if the original trigger post got removed and Saiko doesn't wanna edit her response,
+			// or if it got edited and it doesn't trigger any response now,
+			// remove her old response
+			if ((eventName === 'messageDelete' && !(response || {}).edits) ||
+			    (eventName === 'messageUpdate' && !response))
+				await removePosts(sentMessages);
+
+			if (!response) {
+				this.responses.set(message, sentMessages);
+				return;
+			}
+
+			const doesPostHaveFiles = post => post.some(param =>
+				typeof param === 'object' &&
+				param &&
+				((Array.isArray(param.files) && param.files.length > 0) || param.file)
+			);
+			const doesMessageHaveFiles = sentMessage => sentMessage.attachments.size > 0;
+			const posts = [...response.posts];
+
+			// if the number of edits is greater than the number of already sent posts,
+			// wipe everything and post the edits as new posts coz there is no way to
+			// edit the old ones anyway
+			// also remove and resend if there are some files sent / about to be send
+			// because discord doesn't allow editing attachments
+			if (response.edits.length > 0 &&
+			    (response.edits.length > sentMessages.length ||
+			     sentMessages.some(doesMessageHaveFiles) ||
+			     response.edits.some(doesPostHaveFiles))) {
+				await removePosts(sentMessages);
+				posts.push(...response.edits);
+			// remove extra posts if there are any and edit the remaining ones
+			} else if (response.edits.length > 0) {
+				await removePosts(sentMessages.slice(response.edits.length));
+
+				// remove old embeds
+				const edits = response.edits.map(post =>
+					post.length === 1 && typeof post[0] === 'string' ? [...post, {embed: null}] : post
+				);
+				const editedMessages = await ResponseDispatcher.performEach(
+					edits.map((post, index) => ({post, sentMessage: sentMessages[index]})),
+					({post, sentMessage}) => this.editPost(sentMessage, post),
+					'edit a message'
+				);
+
+				sentMessages = sentMessages.map((sentMessage, index) => editedMessages[index] || sentMessage);
+			}
+
+			const newMessages = await ResponseDispatcher.performEach(posts, post => this.sendPost(message.channel, post), 'send a message');
+
+			this.responses.set(message, [...sentMessages, ...newMessages.filter(sentMessage => sentMessage !== null)]);
+		});
+	}
+}
@@ -0,0 +1,280 @@
+/** Functions to parse commands' arguments and describe commands.
+ * @module functions/command */
+
+import * as discord from './discord.js';
+import * as translation from '../translation.js';
+
+/** Returns a message of the `plugin.arguments` catalog section in the default language.
+ * @param {string} key - message's path in the section
+ * @param {object} [parameters={}] - values of the message's placeholders
+ * @returns {string} - the message */
+const translateDefault = (key, parameters = {}) =>
+	translation.translate(translation.defaultLanguage)(`plugin.arguments.${key}`, parameters);
+
+/** An error thrown when command parameters don't match the command's arguments.
+ *  Its message is in the default language, the key and the parameters let
+ *  plugins show it in other ones (see CommandHelp#invalidArguments). */
+export class ArgumentError extends Error {
+	/** Creates a new ArgumentError object.
+	 * @param {string} key - the problem's path in the `plugin.arguments` catalog section, e.g. `missing`
+	 * @param {object} [parameters={}] - values of the message's placeholders
+	 * @param {?CommandArgument} [argument=null] - the argument with an invalid value
+	 * @returns {ArgumentError} - an ArgumentError object */
+	constructor(key, parameters = {}, argument = null) {
+		super(translateDefault(key, parameters));
+
+		this.name = 'ArgumentError';
+		this.key = key;
+		this.parameters = parameters;
+		this.argument = argument;
+	}
+}
+
+/** A command's argument or flag.
+ * @typedef CommandArgument
+ * @type {object}
+ * @property {string} name - argument's name, used as a key of the parsed arguments object
+ *  and in the usage text (flags are used as --name)
+ * @property {string|function} [type='string'] - one of the argumentTypes keys, or a function
+ *  which gets the value, the message and arguments parsed so far, and returns the parsed
+ *  value or null if the value is invalid; flags without a type are boolean
+ * @property {string} [expected] - a description of valid values of custom types, e.g. "a plugin name"
+ *  (plugins can translate it, see CommandHelp#describeArgumentType)
+ * @property {array<string>} [values] - valid values of the enum type
+ * @property {number} [min] - minimal value of the integer type
+ * @property {number} [max] - maximal value of the integer type
+ * @property {boolean} [optional=false] - whether or not the argument can be omitted
+ * @property {boolean} [rest=false] - whether or not the argument takes all remaining
+ *  parameters (the parsed value is an array); only the last argument can be a rest argument
+ * @property {*} [default] - value of an omitted argument
+ * @property {string} [permission] - permission level required to give the argument (arguments only,
+ *  e.g. one changing a setting its command shows to everyone, see getArgumentPermissions)
+ * @property {string} [short] - a single letter alias of a flag, used as -s
+ * @property {string} [description] - argument's description (plugins can translate it, see CommandHelp#getArgumentDescription) */
+
+/** Returns the place in which users, channels and roles mentioned in a message are looked for.
+ * @param {Discord.Message} message
+ * @returns {Place} - the message's guild or channel */
+const getScope = message =>
+	message.channel.guild || message.channel;
+
+/** Built-in argument types. Each of them has a function parsing a value (it gets
+ *  the argument, the message and the value, and returns null for invalid values)
+ *  and a function returning the path of the message describing valid values
+ *  (in the `plugin.arguments.types` catalog section) and its parameters.
+ * @type {object<string, object>} */
+export const argumentTypes = {
+	string: {
+		parse: () => () => value => value,
+		expected: () => ['string']
+	},
+	integer: {
+		parse: ({min = -Infinity, max = Infinity}) => () => value =>
+			/^[-+]?\d+$/.test(value) && Number(value) >= min && Number(value) <= max ?
+				Number(value) : null,
+		expected: ({min, max}) =>
+			min === undefined && max === undefined ? ['integer'] :
+			min === undefined ? ['integerMax', {max}] :
+			max === undefined ? ['integerMin', {min}] :
+			['integerRange', {min, max}]
+	},
+	user: {
+		parse: () => message => value => discord.getUser(getScope(message))(value),
+		expected: () => ['user']
+	},
+	channel: {
+		parse: () => message => value => discord.getChannel(getScope(message))(value),
+		expected: () => ['channel']
+	},
+	role: {
+		parse: () => message => value => discord.getRole(getScope(message))(value),
+		expected: () => ['role']
+	},
+	enum: {
+		parse: ({values = []}) => () => value =>
+			values.find(item => item.toLowerCase() === value.toLowerCase()) || null,
+		expected: ({values = []}) => ['enum', {values: values.join(', ')}]
+	}
+};
+
+/** Returns a function parsing values of an argument.
+ * @param {CommandArgument} argument
+ * @param {Discord.Message} message - the message which triggered the command
+ * @param {object} parsed - arguments parsed so far
+ * @returns {function} - a function returning the parsed value or null */
+const getParser = (argument, message, parsed) =>
+	typeof argument.type === 'function' ?
+		value => argument.type(value, message, parsed) :
+		argumentTypes[argument.type || 'string'].parse(argument)(message);
+
+/** Describes valid values of an argument.
+ * @param {CommandArgument} argument
+ * @param {function} [translate] - a function returning messages of the `plugin.arguments`
+ *  catalog section (gets the message's path and parameters), in the default language by default
+ * @returns {string} - the description */
+export const describeType = (argument, translate = translateDefault) => {
+	if (typeof argument.type === 'function')
+		return argument.expected || translate('types.custom');
+
+	const [key, parameters] = argumentTypes[argument.type || 'string'].expected(argument);
+
+	return translate(`types.${key}`, parameters);
+};
+
+/** Parses a value of an argument.
+ * @param {CommandArgument} argument
+ * @param {Discord.Message} message - the message which triggered the command
+ * @param {object} parsed - arguments parsed so far
+ * @param {string} value - the value to parse
+ * @returns {*} - the parsed value
+ * @throws {ArgumentError} - if the value is invalid */
+const parseValue = (argument, message, parsed) => value => {
+	const result = getParser(argument, message, parsed)(value);
+
+	if (result === null || result === undefined)
+		throw new ArgumentError('invalid', {name: argument.name, value, expected: describeType(argument)}, argument);
+
+	return result;
+};
+
+/** Splits command parameters into flags and positional parameters.
+ * @param {array<CommandArgument>} flags - the command's flags
+ * @param {Discord.Message} message - the message which triggered the command
+ * @param {array<string>} params - command parameters (without the trigger)
+ * @returns {object} - parsed flags and an array of positional parameters
+ * @throws {ArgumentError} - if there is an unknown or invalid flag */
+const parseFlags = (flags, message) => params => {
+	const values = Object.assign({}, ...flags.map(flag => ({
+		[flag.name]: flag.type ? flag.default : flag.default || false
+	})));
+	const positional = [];
+
+	for (let index = 0; index < params.length; index += 1) {
+		const [, name, value] = params[index].match(/^--?([a-zA-Z][\w-]*)(?:=([^]*))?$/) || [];
+
+		if (name === undefined) {
+			positional.push(params[index]);
+			continue;
+		}
+
+		const flag = flags.find(flag => params[index].startsWith('--') ? flag.name === name : flag.short === name);
+
+		if (flag === undefined)
+			throw new ArgumentError('unknownFlag', {flag: params[index]});
+
+		if (!flag.type) {
+			values[flag.name] = true;
+			continue;
+		}
+
+		if (value === undefined && index + 1 >= params.length)
+			throw new ArgumentError('missingFlagValue', {name: flag.name});
+
+		values[flag.name] = parseValue(flag, message, values)(value === undefined ? params[index += 1] : value);
+	}
+
+	return {values, positional};
+};
+
+/** Parses command parameters according to the command's arguments and flags.
+ *  Optional arguments with an invalid value are skipped (the value is tried
+ *  with the next argument instead), so e.g. `[plugin] [guild]` accepts both
+ *  "admin guild" and "guild". Parameters starting with a dash are positional
+ *  if the command has no flags.
+ * @param {PluginCommand} command - a command with args and/or flags
+ * @param {Discord.Message} message - the message which triggered the command
+ * @param {array<string>} params - command parameters (without the trigger)
+ * @returns {object} - parsed arguments and flags
+ * @throws {ArgumentError} - if the parameters are invalid */
+export const parseArguments = ({args = [], flags = []}) => message => params => {
+	const {values, positional} = flags.length > 0 ? parseFlags(flags, message)(params) : {values: {}, positional: params};
+	let index = 0;
+	let skipped = null;
+
+	for (const argument of args) {
+		const parse = parseValue(argument, message, values);
+
+		if (argument.rest) {
+			values[argument.name] = positional.slice(index).map(parse);
+			index = positional.length;
+
+			if (values[argument.name].length === 0 && !argument.optional)
+				throw new ArgumentError('missing', {name: argument.name});
+
+			continue;
+		}
+
+		if (index >= positional.length) {
+			if (!argument.optional)
+				throw skipped || new ArgumentError('missing', {name: argument.name});
+
+			values[argument.name] = argument.default;
+			continue;
+		}
+
+		try {
+			values[argument.name] = parse(positional[index]);
+			index += 1;
+		} catch (error) {
+			if (!argument.optional)
+				throw error;
+
+			skipped = skipped || error;
+			values[argument.name] = argument.default;
+		}
+	}
+
+	if (index < positional.length)
+		throw skipped || new ArgumentError('unexpected', {value: positional[index]});
+
+	return values;
+};
+
+/** Returns permission levels required by the arguments given to a command.
+ *  Arguments left at their default values don't require anything.
+ * @param {PluginCommand} command
+ * @returns {function(object): array<string>} - takes parsed arguments and returns the levels they require */
+export const getArgumentPermissions = ({args = []}) => values =>
+	args
+		.filter(argument => argument.permission !== undefined && ![undefined, argument.default].includes(values[argument.name]))
+		.map(argument => argument.permission);
+
+/** Checks if a command uses structured arguments (declares args or flags).
+ * @param {PluginCommand} command
+ * @returns {boolean} - true if the command's action gets parsed arguments */
+export const hasArguments = ({args, flags}) =>
+	Array.isArray(args) || Array.isArray(flags);
+
+/** Returns all string triggers of a command (the trigger and aliases).
+ * @param {PluginCommand} command
+ * @returns {array<string>} - string triggers */
+export const getTriggers = ({trigger, aliases = []}) =>
+	[trigger, ...aliases].filter(trigger => typeof trigger === 'string');
+
+/** Formats an argument for the usage text.
+ * @param {CommandArgument} argument
+ * @returns {string} - e.g. <name>, [name], <name...> or <a|b> */
+export const formatArgument = argument => {
+	const name = argument.type === 'enum' && Array.isArray(argument.values) ?
+		argument.values.join('|') :
+		argument.name;
+	const text = argument.rest ? `${name}...` : name;
+
+	return argument.optional ? `[${text}]` : `<${text}>`;
+};
+
+/** Formats a flag for the usage text.
+ * @param {CommandArgument} flag
+ * @returns {string} - e.g. [--name] or [--name <type>] */
+export const formatFlag = flag =>
+	`[--${flag.name}${flag.type ? ` <${flag.type === 'enum' ? flag.values.join('|') : flag.name}>` : ''}]`;
+
+/** Returns the usage text of a command, generated from its arguments and flags.
+ * @param {PluginCommand} command
+ * @returns {string} - the usage text (without the prefix) */
+export const getUsage = command =>
+	[
+		getTriggers(command)[0],
+		...(command.args || []).map(formatArgument),
+		...(command.flags || []).map(formatFlag)
+	].filter(part => part !== undefined).join(' ');
@@ -0,0 +1,115 @@
+/** Functions to order items (e.g. plugins) depending on each other.
+ * @module functions/dependency */
+
+/** An error thrown when dependencies can't be satisfied. */
+export class DependencyError extends Error {
+	/** Creates a new DependencyError object.
+	 * @param {string} message - a human-readable description of the problem
+	 * @returns {DependencyError} - a DependencyError object */
+	constructor(message) {
+		super(message);
+
+		this.name = 'DependencyError';
+	}
+}
+
+/** An item which can depend on other items.
+ * @typedef Dependent
+ * @type {object}
+ * @property {string} name - item's unique name
+ * @property {array<string>} [dependencies] - names of items this one depends on
+ * @property {number} [priority=0] - items with higher priority go first (after their dependencies) */
+
+/** Returns dependencies of an item.
+ * @param {Dependent} item
+ * @returns {array<string>} - names of the item's dependencies */
+const getDependencies = item =>
+	Array.isArray(item.dependencies) ? item.dependencies : [];
+
+/** Finds dependencies which aren't among the items.
+ * @param {array<Dependent>} items
+ * @returns {array<object>} - missing dependencies, as {name, dependency} pairs */
+export const findMissing = items =>
+	items
+		.map(item => getDependencies(item)
+			.filter(dependency => !items.some(other => other.name === dependency))
+			.map(dependency => ({name: item.name, dependency}))
+		)
+		.reduce((missing, pairs) => [...missing, ...pairs], []);
+
+/** Finds a circular dependency.
+ * @param {array<Dependent>} items
+ * @returns {?array<string>} - names of items forming a cycle (the first one is repeated
+ *  at the end), or null if there is no cycle */
+export const findCycle = items => {
+	const finished = new Set;
+
+	/** Walks the dependency graph depth-first.
+	 * @param {Dependent} item - the visited item
+	 * @param {array<string>} trail - names of items on the path to the visited one
+	 * @returns {?array<string>} - a cycle or null */
+	const visit = (item, trail) => {
+		if (trail.includes(item.name))
+			return [...trail.slice(trail.indexOf(item.name)), item.name];
+
+		if (finished.has(item.name))
+			return null;
+
+		for (const dependency of getDependencies(item)) {
+			const other = items.find(other => other.name === dependency);
+			const cycle = other ? visit(other, [...trail, item.name]) : null;
+
+			if (cycle)
+				return cycle;
+		}
+
+		finished.add(item.name);
+		return null;
+	};
+
+	return items.reduce((cycle, item) => cycle || visit(item, []), null);
+};
+
+/** Checks if all dependencies are satisfied and there are no cycles.
+ * @param {array<Dependent>} items
+ * @returns {void}
+ * @throws {DependencyError} - if a dependency is missing or circular */
+export const validate = items => {
+	const missing = findMissing(items);
+
+	if (missing.length > 0)
+		throw new DependencyError(missing
+			.map(({name, dependency}) => `"${name}" depends on "${dependency}", which is not loaded`)
+			.join(', '));
+
+	const cycle = findCycle(items);
+
+	if (cycle)
+		throw new DependencyError(`Circular dependency: ${cycle.map(name => `"${name}"`).join(' -> ')}`);
+};
+
+/** Sorts items, so every item goes after its dependencies. Items which don't
+ *  depend on each other are sorted by their priority (highest first), items
+ *  with the same priority keep their original order.
+ * @param {array<Dependent>} items
+ * @returns {array<Dependent>} - a new, sorted array
+ * @throws {DependencyError} - if a dependency is missing or circular */
+export const sort = items => {
+	validate(items);
+
+	const sorted = [];
+	const pending = items
+		.map((item, index) => ({item, index}))
+		.sort((a, b) => (b.item.priority || 0) - (a.item.priority || 0) || a.index - b.index)
+		.map(({item}) => item);
+
+	while (pending.length > 0) {
+		const index = pending.findIndex(item =>
+			getDependencies(item).every(dependency => sorted.some(other => other.name === dependency))
+		);
+
+		sorted.push(...pending.splice(index, 1));
+	}
+
+	return sorted;
+};
@@ -113,3 +113,77 @@ export const getUser = place => clue => {
 
 	return guessUser(place)(clue);
 };
+
+/** Returns a Discord.Collection with all roles from a given place.
+ * @param {Place} place
+ * @returns {Discord.Collection<Discord.Role>} - a collection */
+export const getRoleCollection = place => {
+	switch (getPlaceType(place)) {
+	case 'text':
+	case 'voice':
+		return place.guild.roles;
+	case 'guild':
+		return place.roles;
+	}
+
+	return new Discord.Collection;
+};
+
+/** Tries to find a role using its ID (or a role mention) first and if that
+ *  fails, then tries to find a role with the same name (case insensitive).
+ * @param {Place} place
+ * @param {string} clue
+ * @returns {?Discord.Role} - the role or null */
+export const getRole = place => clue => {
+	if (typeof clue !== 'string')
+		return null;
+
+	const roles = getRoleCollection(place);
+	const [roleID] = clue.match(/[\d]+/) || [];
+
+	if (roleID && roles.has(roleID))
+		return roles.get(roleID);
+
+	return roles.find(role => role.name.toLowerCase() === clue.toLowerCase()) || null;
+};
+
+/** Returns a Discord.Collection with all channels from a given place.
+ * @param {Place} place
+ * @returns {Discord.Collection<Discord.Channel>} - a collection */
+export const getChannelCollection = place => {
+	switch (getPlaceType(place)) {
+	case 'text':
+	case 'voice':
+		return place.guild.channels;
+	case 'guild':
+		return place.channels;
+	case 'dm':
+	case 'group':
+		return new Discord.Collection([[place.id, place]]);
+	case 'client':
+		return place.channels;
+	}
+
+	return new Discord.Collection;
+};
+
+/** Tries to find a channel using its ID (or a channel mention) first and if
+ *  that fails, then tries to find a channel with the same name (case insensitive,
+ *  the leading # is optional).
+ * @param {Place} place
+ * @param {string} clue
+ * @returns {?Discord.Channel} - the channel or null */
+export const getChannel = place => clue => {
+	if (typeof clue !== 'string')
+		return null;
+
+	const channels = getChannelCollection(place);
+	const [channelID] = clue.match(/[\d]+/) || [];
+
+	if (channelID && channels.has(channelID))
+		return channels.get(channelID);
+
+	const name = clue.replace(/^#/, '').toLowerCase();
+
+	return channels.find(channel => typeof channel.name === 'string' && channel.name.toLowerCase() === name) || null;
+};
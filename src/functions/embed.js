@@ -0,0 +1,60 @@
+/** Functions to fit data into Discord's embed limits.
+ * @module functions/embed */
+
+/** Discord's embed limits (lengths are in characters).
+ * @type {object<string, number>} */
+export const limits = {
+	title: 256,
+	description: 2048,
+	fields: 25,
+	fieldName: 256,
+	fieldValue: 1024,
+	footer: 2048,
+	total: 6000
+};
+
+/** Returns the number of characters an embed field takes.
+ * @param {object} field - an embed field
+ * @returns {number} - length of the field's name and value */
+export const getFieldLength = field =>
+	String(field.name).length + String(field.value).length;
+
+/** Shortens a text to fit a limit, marking the cut with an ellipsis.
+ * @param {number} maxLength - maximal number of characters
+ * @param {string} text
+ * @returns {string} - the text or its beginning */
+export const fitText = maxLength => text =>
+	String(text).length > maxLength ?
+		`${String(text).slice(0, maxLength - 1)}…` :
+		String(text);
+
+/** Shortens field's name and value to fit Discord's limits.
+ * @param {object} field - an embed field
+ * @returns {object} - a new field */
+export const fitField = field =>
+	({
+		...field,
+		name: String(field.name).slice(0, limits.fieldName),
+		value: fitText(limits.fieldValue)(field.value)
+	});
+
+/** Splits embed fields into pages, so no page has more fields or characters
+ *  than allowed. Fields are shortened if they don't fit on a page alone.
+ * @param {number} [maxLength=limits.total] - the number of characters available for fields
+ *  on each page (the embed's title, description and footer count too)
+ * @param {array<object>} fields - embed fields
+ * @returns {array<array<object>>} - pages of fields (at least one, possibly empty) */
+export const splitFields = (maxLength = limits.total) => fields =>
+	fields
+		.map(fitField)
+		.reduce((pages, field) => {
+			const page = pages[pages.length - 1];
+			const length = page.reduce((sum, field) => sum + getFieldLength(field), 0);
+
+			if (page.length > 0 && (page.length >= limits.fields || length + getFieldLength(field) > maxLength))
+				pages.push([field]);
+			else
+				page.push(field);
+
+			return pages;
+		}, [[]]);
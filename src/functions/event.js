@@ -0,0 +1,84 @@
+/** Discord.js events passed to plugins.
+ * @module functions/event */
+
+import * as discord from './discord.js';
+import * as string from './string.js';
+
+/** Returns the place a channel belongs to. Channels which can't have their own
+ *  config (e.g. categories) belong to their guilds.
+ * @param {Discord.Channel} channel
+ * @returns {Place} - the channel or its guild */
+const getChannelPlace = channel =>
+	discord.getPlaceType(channel) === null && channel.guild ? channel.guild : channel;
+
+/** A Discord.js event handled by plugins.
+ * @typedef PluginEvent
+ * @type {object}
+ * @property {function} getPlace - a function which gets the event's parameters and returns
+ *  the place (a channel or a guild) where the event happened; plugins disabled there
+ *  don't get the event
+ * @property {boolean} [responses=false] - whether or not plugins respond to the event with
+ *  messages (see Plugin~MessageResponse); handlers of other events should use Discord.js
+ *  directly and their return values are ignored */
+
+/** Events passed to plugins, by their Discord.js names. A plugin handles an
+ *  event by implementing a method called on<EventName>, e.g. onGuildMemberAdd.
+ * @type {object<string, PluginEvent>} */
+export const events = {
+	message: {
+		getPlace: message => message.channel,
+		responses: true
+	},
+	messageDelete: {
+		getPlace: message => message.channel,
+		responses: true
+	},
+	messageUpdate: {
+		getPlace: (oldMessage, newMessage) => newMessage.channel,
+		responses: true
+	},
+	messageReactionAdd: {
+		getPlace: reaction => reaction.message.channel
+	},
+	messageReactionRemove: {
+		getPlace: reaction => reaction.message.channel
+	},
+	guildMemberAdd: {
+		getPlace: member => member.guild
+	},
+	guildMemberRemove: {
+		getPlace: member => member.guild
+	},
+	guildCreate: {
+		getPlace: guild => guild
+	},
+	guildDelete: {
+		getPlace: guild => guild
+	},
+	channelCreate: {
+		getPlace: getChannelPlace
+	},
+	channelDelete: {
+		getPlace: getChannelPlace
+	},
+	presenceUpdate: {
+		getPlace: (oldMember, newMember) => newMember.guild
+	},
+	voiceStateUpdate: {
+		// the voice channel the member joined or left, or the guild if it's unknown
+		getPlace: (oldMember, newMember) => newMember.voiceChannel || oldMember.voiceChannel || newMember.guild
+	}
+};
+
+/** Returns the place where an event happened.
+ * @param {string} eventName - Discord.js event name
+ * @param {...*} parameters - the event's parameters
+ * @returns {?Place} - a channel or a guild, or null for unknown events */
+export const getEventPlace = eventName => (...parameters) =>
+	events[eventName] ? events[eventName].getPlace(...parameters) || null : null;
+
+/** Returns the name of the plugin method handling an event.
+ * @param {string} eventName - Discord.js event name
+ * @returns {string} - the handler's name, e.g. onGuildMemberAdd */
+export const getHandlerName = eventName =>
+	`on${string.toUpperCaseFirstChar(eventName)}`;
@@ -40,13 +40,39 @@ export const createDirectoryDefaultPerms =
 export const listDirectory = path =>
 	promisify(fs.readdir)(path);
 
+/** Removes a file.
+ * @param {string} path - path to the removed file
+ * @returns {Promise<void|Error>} - a promise resolved once the file is removed */
+export const removeFile = path =>
+	promisify(fs.unlink)(path);
+
 /** Loads a JSON file.
  * @param {string} fileName - the JSON file's name
  * @returns {Promise<object|Error>} - a promise to the loaded object */
 export const loadJSON = async fileName =>
 	JSON.parse(await promisify(fs.readFile)(fileName));
 
-/** Saves an object to a JSON file.
+/** Writes a file atomically. The content is written to a temporary file,
+ *  flushed to the disk and then renamed to the target file name, so a crash
+ *  never leaves the file half-written.
+ * @param {string|Buffer} content - the file's content
+ * @param {string} fileName - the file's name
+ * @returns {Promise<void|Error>} - a promise resolved once the file is written */
+export const writeFileAtomically = content => async fileName => {
+	const temporaryFileName = `${fileName}.${process.pid}.tmp`;
+	const fd = await promisify(fs.open)(temporaryFileName, 'w');
+
+	try {
+		await promisify(fs.writeFile)(fd, content);
+		await promisify(fs.fsync)(fd);
+	} finally {
+		await promisify(fs.close)(fd);
+	}
+
+	await promisify(fs.rename)(temporaryFileName, fileName);
+};
+
+/** Saves an object to a JSON file (atomically, see writeFileAtomically).
  * @param {function} serializer - a function used to serialize data before saving
  * @param {object} data - the saved object
  * @param {string} fileName - the JSON file's name
@@ -54,10 +80,17 @@ export const loadJSON = async fileName =>
 export const saveJSON = serializer => data => async fileName => {
 	const serializedData = serializer(data);
 
-	await promisify(fs.writeFile)(fileName, serializedData);
+	await writeFileAtomically(serializedData)(fileName);
 
 	return serializedData;
 };
 
 export const serializeAndSaveJSON =
 	saveJSON(data => `${object.stringify(data)}\n`);
+
+/** Watches a directory for changes.
+ * @param {function} listener - a function called with the event type and the changed file's name
+ * @param {string} path - path to the watched directory
+ * @returns {fs.FSWatcher} - the watcher */
+export const watchDirectory = listener => path =>
+	fs.watch(path, listener);
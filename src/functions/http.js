@@ -0,0 +1,40 @@
+/** Functions to make HTTP requests.
+ * @module functions/http */
+
+import http from 'http';
+import https from 'https';
+
+/** Downloads a text file, e.g. a message attachment.
+ * @param {number} maxLength - maximal size of the file, in bytes
+ * @param {string} url - an HTTP or HTTPS URL
+ * @returns {Promise<string|Error>} - a promise to the file's content */
+export const getText = maxLength => url =>
+	new Promise((resolve, reject) => {
+		const client = url.startsWith('https:') ? https : http;
+		const request = client.get(url, response => {
+			const chunks = [];
+			let length = 0;
+
+			if (response.statusCode !== 200) {
+				response.resume();
+				reject(new Error(`Cannot download ${url}, the server responded with ${response.statusCode}`));
+				return;
+			}
+
+			response.on('data', chunk => {
+				length += chunk.length;
+
+				if (length > maxLength) {
+					request.abort();
+					reject(new Error(`Cannot download ${url}, the file is larger than ${maxLength} bytes`));
+					return;
+				}
+
+				chunks.push(chunk);
+			});
+			response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+			response.on('error', reject);
+		});
+
+		request.on('error', reject);
+	});
@@ -0,0 +1,86 @@
+/** Functions to look up and format messages of message catalogs.
+ * @module functions/locale */
+
+import * as object from './object.js';
+
+/** A message catalog: messages keyed by their names, grouped in nested
+ *  objects. A message is a string with `{parameter}` placeholders, or an
+ *  object with its plural forms (CLDR plural categories), which are
+ *  chosen by the `count` parameter, e.g. `{one: '{count} file', other: '{count} files'}`.
+ *  Only the `other` form is required.
+ * @typedef Catalog
+ * @type {object} */
+
+/** Checks if a catalog's entry is a message with plural forms.
+ * @param {*} entry
+ * @returns {boolean} - true if the entry has plural forms */
+const isPlural = entry =>
+	object.isPlainObject(entry) && typeof entry.other === 'string';
+
+/** Finds a message in a catalog.
+ * @param {Catalog} catalog
+ * @param {string} key - message's path, e.g. `admin.version.title`
+ * @returns {?(string|object)} - the message (or its plural forms) or null if it's missing */
+export const getMessage = catalog => key => {
+	const entry = key.split('.').reduce((section, name) =>
+		object.isPlainObject(section) && Object.prototype.hasOwnProperty.call(section, name) ? section[name] : undefined,
+	catalog);
+
+	return typeof entry === 'string' || isPlural(entry) ? entry : null;
+};
+
+/** Replaces `{parameter}` placeholders with parameters' values. Placeholders
+ *  of missing parameters are left as they are.
+ * @param {object} parameters
+ * @param {string} text
+ * @returns {string} - the text with the values */
+export const interpolate = parameters => text =>
+	text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+		Object.prototype.hasOwnProperty.call(parameters, name) ? String(parameters[name]) : placeholder
+	);
+
+/** Plural rules of the bundled languages, returning CLDR plural categories
+ *  of numbers. Intl.PluralRules isn't used, since Node built with small ICU
+ *  (the default before Node 13) has English rules only.
+ * @type {object<string, function>} */
+export const pluralRules = {
+	en: count => count === 1 ? 'one' : 'other',
+	pl: count =>
+		Number.isInteger(count) ?
+			count === 1 ? 'one' :
+			[2, 3, 4].includes(count % 10) && ![12, 13, 14].includes(count % 100) ? 'few' :
+			'many' :
+			'other'
+};
+
+/** Returns the plural category of a number. Languages without rules use
+ *  the English ones.
+ * @param {string} language - language code, e.g. `en`
+ * @param {number} count
+ * @returns {string} - the category, e.g. `one` or `other` */
+export const getPluralCategory = language => count =>
+	(pluralRules[language] || pluralRules.en)(count);
+
+/** Formats a message: chooses its plural form (by the `count` parameter)
+ *  and fills in the parameters.
+ * @param {string} language - language code, e.g. `en`
+ * @param {string|object} message - the message or its plural forms (see functions/locale~Catalog)
+ * @param {object} [parameters={}]
+ * @returns {string} - the formatted message */
+export const formatMessage = language => (message, parameters = {}) => {
+	const text = typeof message === 'string' ?
+		message :
+		message[getPluralCategory(language)(Number(parameters.count))] || message.other;
+
+	return interpolate(parameters)(text);
+};
+
+/** Lists keys of all messages in a catalog.
+ * @param {Catalog} catalog
+ * @param {string} [path=''] - path of the catalog's section
+ * @returns {array<string>} - the keys */
+export const getKeys = (catalog, path = '') =>
+	Object.entries(catalog).reduce((keys, [name, entry]) => [
+		...keys,
+		...typeof entry === 'string' || isPlural(entry) ? [`${path}${name}`] : getKeys(entry, `${path}${name}.`)
+	], []);
@@ -1,11 +1,251 @@
-/** Logging messages to the system console.
+/** Logging messages to the system console and to files.
  * @module functions/log */
 
 import colors from 'colors/safe';
+import fs from 'fs';
+import path from 'path';
+import util, {promisify} from 'util';
+
+/** Log levels, from the most verbose. Messages below the current level
+ *  (see setLevel) aren't logged, the silent level hides everything.
+ * @type {array<string>} */
+export const levels = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/** Formats of logged messages: colored text or JSON lines (one object per message).
+ * @type {array<string>} */
+export const formats = ['text', 'json'];
+
+/** A logged message.
+ * @typedef LogRecord
+ * @type {object}
+ * @property {string} time - when the message was logged, in ISO 8601
+ * @property {string} level - message's level (see levels)
+ * @property {string} type - message's type, e.g. Debug or New message
+ * @property {object} title - the module and the function which report the message
+ *  (see handleMessage)
+ * @property {string} [text] - text displayed next to the title
+ * @property {array} messages - more messages (strings, errors or any other values)
+ * @property {function} [decorator] - function used to transform the type in text logs */
+
+/** An output of logged messages.
+ * @typedef LogSink
+ * @type {object}
+ * @property {string} level - minimal level of messages written by the sink
+ * @property {function} write - a function which gets a LogRecord and writes it
+ * @property {function} close - a function which returns a promise resolved once
+ *  all messages are written */
+
+let [currentLevel] = levels;
+
+/** Sets the minimal level of logged messages. It can be changed at any time.
+ * @param {string} level - one of the levels
+ * @returns {void}
+ * @throws {Error} - if the level is invalid */
+export const setLevel = level => {
+	if (!levels.includes(level))
+		throw new Error(`Invalid log level "${level}", use one of: ${levels.join(', ')}`);
+
+	currentLevel = level;
+};
+
+/** Returns the minimal level of logged messages.
+ * @returns {string} - one of the levels */
+export const getLevel = () =>
+	currentLevel;
+
+/** Checks if a message of a level should be logged.
+ * @param {string} minimalLevel - the minimal level
+ * @param {string} level - the message's level
+ * @returns {boolean} - true if the message's level is high enough */
+const isLevelEnabled = minimalLevel => level =>
+	level !== 'silent' && levels.indexOf(level) >= levels.indexOf(minimalLevel);
+
+/** Converts a message to a string.
+ * @param {*} message - a string, an error or any other value
+ * @returns {string} - the message */
+const stringifyMessage = message =>
+	typeof message === 'string' ? message :
+	message instanceof Error ? message.stack :
+	util.inspect(message);
+
+/** Formats a record as text.
+ * @param {boolean} colored - whether or not to add colors
+ * @param {LogRecord} record
+ * @returns {string} - lines of the message, ending with an empty line */
+export const formatText = colored => ({time, type, title, text, messages, decorator}) => {
+	const paint = decorator => colored ? decorator : value => value;
+
+	return [
+		[
+			`${paint(colors.gray)(time)} `,
+			paint(decorator || colors.bgWhite.black)(` ${type} `),
+			paint(title.decorator || colors.bgBlack.white)(` ${title.module || ''}`),
+			paint(colors.bgBlack.cyan)(title.module && title.function ? title.separator || '~' : ''),
+			paint(title.decorator || colors.bgBlack.white)(`${title.function || ''} `),
+			text ? ` ${text}` : ''
+		].join(''),
+		...messages.map(stringifyMessage),
+		''
+	].join('\n');
+};
+
+/** Formats a record as a line of JSON.
+ * @param {LogRecord} record
+ * @returns {string} - the JSON object (without a line break) */
+export const formatJSON = ({time, level, type, title, text, messages}) =>
+	JSON.stringify({
+		time,
+		level,
+		type,
+		module: title.module,
+		function: title.function,
+		text,
+		messages: messages.map(stringifyMessage)
+	});
+
+/** Creates a sink writing messages to the console. Errors and warnings are
+ *  written to the standard error.
+ * @param {object} [options]
+ * @param {string} [options.format='text'] - one of the formats
+ * @param {string} [options.level='debug'] - minimal level of written messages
+ * @returns {LogSink} - the sink */
+export const createConsoleSink = ({format = 'text', level = 'debug'} = {}) =>
+	({
+		level,
+		write: record => {
+			const output = ['warn', 'error'].includes(record.level) ? console.error : console.log;
+
+			output(format === 'json' ? formatJSON(record) : formatText(true)(record));
+		},
+		close: () => Promise.resolve()
+	});
+
+/** File sinks which aren't closed yet, closed by closeFileSinks.
+ * @type {Set<LogSink>} */
+const openFileSinks = new Set;
+
+/** Creates a sink appending messages to a file. The file is rotated (renamed
+ *  to a name with the current time, e.g. saiko.2019-01-01T00-00-00-000Z.log)
+ *  when it gets too large or too old, and only the newest rotated files are kept.
+ *  Writes are queued, so messages keep their order.
+ * @param {string} fileName - path to the file, missing directories are created
+ * @param {object} [options]
+ * @param {string} [options.format='json'] - one of the formats (text is written without colors)
+ * @param {string} [options.level='debug'] - minimal level of written messages
+ * @param {number} [options.maxSize=10485760] - size (in bytes) which triggers a rotation
+ * @param {number} [options.maxAge=86400000] - age (in milliseconds) which triggers a rotation
+ * @param {number} [options.maxFiles=5] - number of rotated files to keep
+ * @returns {LogSink} - the sink */
+export const createFileSink = (fileName, {
+	format = 'json',
+	level = 'debug',
+	maxSize = 10 * 1024 * 1024,
+	maxAge = 24 * 60 * 60 * 1000,
+	maxFiles = 5
+} = {}) => {
+	const {dir, name, ext} = path.parse(fileName);
+	const isRotatedFile = file =>
+		file.startsWith(`${name}.`) && file.endsWith(ext) &&
+		/^\d{4}-[\dTZ-]+$/.test(file.slice(name.length + 1, file.length - ext.length));
+	let queue = Promise.resolve();
+	let stream = null;
+	let size = 0;
+	let openedAt = 0;
+
+	const open = async () => {
+		await promisify(fs.mkdir)(dir, {recursive: true});
+
+		try {
+			const stats = await promisify(fs.stat)(fileName);
+
+			({size} = stats);
+			openedAt = stats.birthtimeMs || Date.now();
+		} catch (error) {
+			size = 0;
+			openedAt = Date.now();
+		}
+
+		stream = fs.createWriteStream(fileName, {flags: 'a'});
+	};
+
+	const end = () => new Promise(resolve => stream.end(resolve));
+
+	const rotate = async () => {
+		const time = new Date().toISOString().replace(/[:.]/g, '-');
+
+		await end();
+		await promisify(fs.rename)(fileName, path.join(dir, `${name}.${time}${ext}`));
+		await open();
+
+		const outdatedFiles = (await promisify(fs.readdir)(dir))
+			.filter(isRotatedFile)
+			.sort()
+			.reverse()
+			.slice(maxFiles);
+
+		await Promise.all(outdatedFiles.map(file => promisify(fs.unlink)(path.join(dir, file))));
+	};
+
+	const writeLine = async line => {
+		if (stream === null)
+			await open();
+
+		if (size > 0 && (size + Buffer.byteLength(line) > maxSize || Date.now() - openedAt >= maxAge))
+			await rotate();
+
+		stream.write(line);
+		size += Buffer.byteLength(line);
+	};
+
+	const sink = {
+		level,
+		write: record => {
+			const line = `${format === 'json' ? formatJSON(record) : formatText(false)(record)}\n`;
+
+			queue = queue
+				.then(() => writeLine(line))
+				.catch(error => console.error(`Cannot write to ${fileName}:`, error));
+		},
+		close: async () => {
+			openFileSinks.delete(sink);
+			await queue;
+
+			if (stream !== null)
+				await end();
+
+			stream = null;
+		}
+	};
+
+	openFileSinks.add(sink);
+
+	return sink;
+};
+
+/** Closes all file sinks, e.g. before exiting.
+ * @returns {Promise<void>} - a promise resolved once all messages are written */
+export const closeFileSinks = async () => {
+	await Promise.all(Array.from(openFileSinks).map(sink => sink.close()));
+};
+
+let sinks = [createConsoleSink()];
+
+/** Sets where messages are logged (the console by default).
+ * @param {array<LogSink>} newSinks
+ * @returns {void} */
+export const setSinks = newSinks => {
+	sinks = newSinks;
+};
+
+/** Returns the sinks messages are logged to.
+ * @returns {array<LogSink>} - the sinks */
+export const getSinks = () =>
+	sinks;
 
 /** Logs a message.
- * @param {function} output - console.log|console.warn|console.error
+ * @param {?array<LogSink>} [targets] - sinks to write the message to (the ones set with setSinks by default)
  * @param {object} type - message type
+ * @param {string} type.level - message's level (see levels)
  * @param {string} type.text - type's text
  * @param {function} [type.decorator] - function used to transform the text
  * @param {object} options - message's options
@@ -16,39 +256,57 @@ import colors from 'colors/safe';
  * @param {string} [options.text] - text displayed next to the title
  * @param {array} [options.messages] - an array of messages printed to the console
  * @returns {void} */
-const handleMessage = output => type => ({title, text, messages}) => {
-	output(
-		(type.decorator || colors.bgWhite.black)(` ${type.text} `) +
-		(title.decorator || colors.bgBlack.white)(` ${title.module || ''}`) +
-		colors.bgBlack.cyan(title.module && title.function ? title.separator || '~' : '') +
-		(title.decorator || colors.bgBlack.white)(`${title.function || ''} `) +
-		(text ? ` ${text}` : '')
-	);
-
-	if (Array.isArray(messages))
-		for (const message of messages)
-			output(message);
-
-	output('');
+const handleMessage = targets => type => ({title = {}, text, messages}) => {
+	if (!isLevelEnabled(currentLevel)(type.level))
+		return;
+
+	const record = {
+		time: new Date().toISOString(),
+		level: type.level,
+		type: type.text,
+		title,
+		text,
+		messages: Array.isArray(messages) ? messages : [],
+		decorator: type.decorator
+	};
+
+	for (const sink of targets || sinks)
+		if (isLevelEnabled(sink.level)(record.level))
+			sink.write(record);
 };
 
-export const custom =
-	handleMessage(console.log);
+/** Logs a message of a custom type (at the info level).
+ * @param {object} type - message type (see handleMessage)
+ * @param {?array<LogSink>} [targets] - sinks to write the message to (the ones set with setSinks by default)
+ * @param {object} options - message's options (see handleMessage)
+ * @returns {void} */
+export const custom = (type, targets) =>
+	handleMessage(targets)({level: 'info', ...type});
 
 export const debug =
-	handleMessage(console.log)({
+	handleMessage()({
+		level: 'debug',
 		text: 'Debug',
 		decorator: colors.bgCyan.black
 	});
 
+export const info =
+	handleMessage()({
+		level: 'info',
+		text: 'Info',
+		decorator: colors.bgGreen.black
+	});
+
 export const warn =
-	handleMessage(console.warn)({
+	handleMessage()({
+		level: 'warn',
 		text: 'Warning',
 		decorator: colors.bgYellow.black
 	});
 
 export const error =
-	handleMessage(console.error)({
+	handleMessage()({
+		level: 'error',
 		text: 'Error',
 		decorator: colors.bgRed.white
 	});
@@ -16,17 +16,24 @@ export const cloneJSON =
 export const isNonNullObject = object =>
 	typeof object === 'object' && object !== null;
 
-/** Recursively removes properties which value is an empty object.
+/** Checks if a value is an object, but not a null nor an array.
+ * @param {object} object - the object to check
+ * @returns {boolean} - true if the value is a non-array object */
+export const isPlainObject = object =>
+	isNonNullObject(object) && !Array.isArray(object);
+
+/** Recursively removes properties which value is an empty object. Arrays are
+ *  kept as they are.
  * @param {object} object - the input object
  * @returns {object} - a new object without the removed properties */
 export const removeEmptyObjects = object =>
 	array.entriesToObject(Object.entries(object)
 		.map(entry =>
-			isNonNullObject(entry[1]) ?
+			isPlainObject(entry[1]) ?
 				[entry[0], removeEmptyObjects(entry[1])] :
 				entry
 		).filter(entry =>
-			!(isNonNullObject(entry[1]) && Object.keys(entry[1]).length === 0)
+			!(isPlainObject(entry[1]) && Object.keys(entry[1]).length === 0)
 		)
 	);
 
@@ -44,3 +51,23 @@ export const removeSomeProperties = keys => object =>
  * @returns {string} - JSON */
 export const stringify = object =>
 	JSON.stringify(object, null, '\t');
+
+/** Lists differences between two objects. Plain objects are compared property
+ *  by property, other values (including arrays) as a whole.
+ * @param {object} before - the old object
+ * @param {object} after - the new object
+ * @param {string} [path=''] - path to the objects, prepended to paths of the changes
+ * @returns {array<object>} - changes, each with the changed value's path (e.g.
+ *  plugins.utils.enabled) and the value before and after the change (undefined
+ *  for added and removed values) */
+export const getChanges = (before, after, path = '') =>
+	[...new Set([...Object.keys(before), ...Object.keys(after)])]
+		.map(key => {
+			const keyPath = path === '' ? key : `${path}.${key}`;
+
+			return isPlainObject(before[key]) && isPlainObject(after[key]) ?
+				getChanges(before[key], after[key], keyPath) :
+				JSON.stringify(before[key]) === JSON.stringify(after[key]) ? [] :
+				[{path: keyPath, before: before[key], after: after[key]}];
+		})
+		.reduce((changes, keyChanges) => [...changes, ...keyChanges], []);
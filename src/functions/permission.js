@@ -0,0 +1,62 @@
+/** Functions to resolve users' permission levels.
+ * @module functions/permission */
+
+import Discord from 'discord.js';
+
+/** Permission levels, from the lowest to the highest.
+ * @type {array<string>} */
+export const levels = ['user', 'moderator', 'operator'];
+
+/** Checks if a value is a valid permission level.
+ * @param {*} level
+ * @returns {boolean} - true if the value is a permission level */
+export const isLevel = level =>
+	levels.includes(level);
+
+/** Returns the highest of given permission levels. Invalid levels are ignored.
+ * @param {...string} candidates - permission levels
+ * @returns {string} - the highest level or 'user' if there are no valid levels */
+export const getHighestLevel = (...candidates) =>
+	candidates
+		.filter(isLevel)
+		.reduce((highest, level) =>
+			levels.indexOf(level) > levels.indexOf(highest) ? level : highest,
+		levels[0]);
+
+/** Checks if a permission level is at least as high as the required one.
+ * @param {string} required - the required level
+ * @param {string} level - the checked level
+ * @returns {boolean} - true if the level is sufficient */
+export const isSufficient = required => level =>
+	levels.indexOf(level) >= levels.indexOf(isLevel(required) ? required : levels[0]);
+
+/** Permissions granted in a config.
+ * @typedef PermissionConfig
+ * @type {object}
+ * @property {object<string, string>} [roles] - permission levels of roles (by role ID)
+ * @property {object<string, string>} [users] - permission levels of users (by user ID) */
+
+/** Returns a user's permission level. Users outside guilds (DMs, group DMs)
+ *  and members with the Administrator perm are always operators. Other
+ *  members get the highest level granted to them or any of their roles.
+ * @param {PermissionConfig} config - permissions granted in the place where the user is
+ * @param {Discord.GuildMember|Discord.User} user
+ * @returns {string} - the user's permission level */
+export const getUserLevel = (config = {}) => user => {
+	if (user instanceof Discord.User)
+		return 'operator';
+
+	if (!(user instanceof Discord.GuildMember))
+		return levels[0];
+
+	if (user.permissions.has(Discord.Permissions.FLAGS.ADMINISTRATOR))
+		return 'operator';
+
+	const roleLevels = config.roles || {};
+	const userLevels = config.users || {};
+
+	return getHighestLevel(...[
+		userLevels[user.id],
+		...Array.from(user.roles.keys()).map(roleID => roleLevels[roleID])
+	]);
+};
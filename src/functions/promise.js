@@ -0,0 +1,37 @@
+/** Functions to do operations on promises.
+ * @module functions/promise */
+
+/** Returns a promise which resolves after a given time.
+ * @param {number} milliseconds - time to wait
+ * @returns {Promise<void>} - a promise */
+export const delay = milliseconds =>
+	new Promise(resolve => setTimeout(resolve, milliseconds));
+
+/** Wraps a value (or a function's result) in a promise. If the function throws,
+ *  the returned promise is rejected instead.
+ * @param {function} func - a function which might return a promise
+ * @param {...*} parameters - parameters passed to the function
+ * @returns {Promise<*>} - a promise to the function's result */
+export const attempt = func => (...parameters) =>
+	new Promise(resolve => resolve(func(...parameters)));
+
+/** Rejects if a promise doesn't settle in a given time.
+ * @param {number} milliseconds - time limit
+ * @param {Promise} promise - the promise to wait for
+ * @returns {Promise<*|Error>} - a promise to the same value as the input promise */
+export const timeout = milliseconds => promise => {
+	let timer = null;
+
+	const timeLimit = new Promise((resolve, reject) => {
+		timer = setTimeout(() => reject(new Error(`Timed out after ${milliseconds} ms`)), milliseconds);
+	});
+
+	return Promise.race([promise, timeLimit])
+		.then(value => {
+			clearTimeout(timer);
+			return value;
+		}, error => {
+			clearTimeout(timer);
+			throw error;
+		});
+};
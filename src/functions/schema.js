@@ -0,0 +1,128 @@
+/** Functions to validate data against schemas.
+ * @module functions/schema */
+
+/** A description of valid values.
+ * @typedef Schema
+ * @type {object}
+ * @property {string} [type='any'] - any, string, boolean, number, integer, array or object
+ * @property {array} [values] - valid values (of any type)
+ * @property {string} [pattern] - a regular expression strings have to match
+ * @property {number} [min] - minimal value of numbers
+ * @property {number} [max] - maximal value of numbers
+ * @property {Schema} [items] - schema of array items
+ * @property {object<string, Schema>} [properties] - schemas of object properties
+ * @property {array<string>} [required] - names of properties objects must have
+ * @property {Schema|boolean} [additionalProperties=true] - schema of properties not listed
+ *  in `properties`; true allows any values, false disallows other properties
+ * @property {string} [description] - a human-readable description of the value */
+
+/** A problem found by validate.
+ * @typedef SchemaError
+ * @type {object}
+ * @property {string} path - path to the invalid value, e.g. guilds.123.prefix
+ * @property {string} message - a human-readable description of the problem */
+
+/** Appends a key to a path.
+ * @param {string} path - path to an object
+ * @param {string|number} key - the key of a property or an item
+ * @returns {string} - path to the property or the item */
+export const joinPath = (path, key) =>
+	path === '' ? String(key) : `${path}.${key}`;
+
+/** Describes a value in error messages.
+ * @param {*} value
+ * @returns {string} - e.g. "an array" or the value in JSON */
+const describeValue = value =>
+	Array.isArray(value) ? 'an array' :
+	typeof value === 'object' && value !== null ? 'an object' :
+	value === undefined ? 'nothing' : JSON.stringify(value);
+
+/** Type checks, by type names.
+ * @type {object<string, function>} */
+const typeChecks = {
+	any: () => true,
+	string: value => typeof value === 'string',
+	boolean: value => typeof value === 'boolean',
+	number: value => typeof value === 'number' && Number.isFinite(value),
+	integer: value => Number.isInteger(value),
+	array: value => Array.isArray(value),
+	object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+/** Describes a schema's type.
+ * @param {Schema} schema
+ * @returns {string} - e.g. "a string" or "one of: a, b" */
+export const describeSchema = schema =>
+	Array.isArray(schema.values) ? `one of: ${schema.values.map(value => JSON.stringify(value)).join(', ')}` :
+	schema.type === 'array' ? 'an array' :
+	schema.type === 'integer' ? 'an integer' :
+	schema.type === 'object' ? 'an object' :
+	schema.type && schema.type !== 'any' ? `a ${schema.type}` : 'any value';
+
+/** Validates a value.
+ * @param {Schema} schema
+ * @param {*} value - the validated value
+ * @param {string} [path=''] - path to the value, used in error messages
+ * @returns {array<SchemaError>} - problems found in the value (empty if it's valid) */
+export const validate = schema => (value, path = '') => {
+	const type = schema.type || 'any';
+
+	if (!typeChecks[type](value) || (Array.isArray(schema.values) && !schema.values.includes(value)))
+		return [{path, message: `expected ${describeSchema(schema)}, got ${describeValue(value)}`}];
+
+	if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value))
+		return [{path, message: `${JSON.stringify(value)} doesn't match ${schema.pattern}`}];
+
+	if (typeof value === 'number' && value < (schema.min === undefined ? -Infinity : schema.min))
+		return [{path, message: `expected at least ${schema.min}, got ${value}`}];
+
+	if (typeof value === 'number' && value > (schema.max === undefined ? Infinity : schema.max))
+		return [{path, message: `expected at most ${schema.max}, got ${value}`}];
+
+	if (type === 'array' && schema.items)
+		return value
+			.map((item, index) => validate(schema.items)(item, joinPath(path, index)))
+			.reduce((errors, itemErrors) => [...errors, ...itemErrors], []);
+
+	if (type !== 'object')
+		return [];
+
+	const properties = schema.properties || {};
+	const {additionalProperties = true} = schema;
+	const missing = (schema.required || [])
+		.filter(key => value[key] === undefined)
+		.map(key => ({path: joinPath(path, key), message: 'is required'}));
+
+	return Object.keys(value)
+		.map(key =>
+			properties[key] ? validate(properties[key])(value[key], joinPath(path, key)) :
+			additionalProperties === false ? [{path: joinPath(path, key), message: 'is not allowed here'}] :
+			additionalProperties === true ? [] :
+			validate(additionalProperties)(value[key], joinPath(path, key))
+		)
+		.reduce((errors, propertyErrors) => [...errors, ...propertyErrors], missing);
+};
+
+/** Formats validation errors.
+ * @param {array<SchemaError>} errors
+ * @returns {string} - one error per line */
+export const formatErrors = errors =>
+	errors
+		.map(({path, message}) => `${path || '(root)'}: ${message}`)
+		.join('\n');
+
+/** Parses a value typed by a user, e.g. in a command. Values of strings are
+ *  taken as they are, other values are read as JSON if possible.
+ * @param {Schema} schema - schema of the value
+ * @param {string} text - the typed value
+ * @returns {*} - the parsed value (to be validated) */
+export const parseText = schema => text => {
+	if (schema.type === 'string')
+		return text;
+
+	try {
+		return JSON.parse(text);
+	} catch (error) {
+		return text;
+	}
+};
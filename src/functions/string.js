@@ -55,6 +55,13 @@ export const parseCommandParameters = text =>
 export const stripStart = prefix => text =>
 	text.startsWith(prefix) ? text.slice(prefix.length) : text;
 
+/** Formats text as Discord's inline code. Text containing backticks is wrapped
+ *  in double backticks (with spaces, so it can start or end with a backtick).
+ * @param {string} text - input text
+ * @returns {string} - text formatted as inline code */
+export const toInlineCode = text =>
+	text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``;
+
 /** Capitalizes first character of a string.
  * @param {string} text - input text
  * @returns {string} - the same text, but with the first character capitalized */
@@ -0,0 +1,127 @@
+/** @module help */
+
+import * as commandFunctions from './functions/command.js';
+import * as embedFunctions from './functions/embed.js';
+import * as string from './functions/string.js';
+import * as translation from './translation.js';
+
+/** Help texts of a plugin's commands, read from the plugin's catalog section. */
+export default class CommandHelp {
+	/** Creates a new CommandHelp object.
+	 * @param {Plugin} plugin - the plugin whose commands are described
+	 * @returns {CommandHelp} - a CommandHelp object */
+	constructor(plugin) {
+		/** @type {Plugin} */
+		this.plugin = plugin;
+	}
+
+	/** Returns a text describing a command from the plugin's catalog section, in
+	 *  the language used on a channel or a guild. Texts are looked for in the
+	 *  command's subsection (e.g. `utils.commands.user.args.users`) and then,
+	 *  for texts shared by commands, in the plugin's section (e.g. `admin.args.page`).
+	 * @param {PluginCommand} command
+	 * @param {string} key - text's path, e.g. `description`, `args.name` or `expected.name`
+	 * @param {?(Discord.Channel|Discord.Guild)} place - where the text is shown
+	 * @returns {?string} - the text or null if there is no such message */
+	getCommandText(command, key, place) {
+		const [trigger] = commandFunctions.getTriggers(command);
+		const keys = [
+			...trigger === undefined ? [] : [`${this.plugin.name}.commands.${trigger}.${key}`],
+			...key === 'description' ? [] : [`${this.plugin.name}.${key}`]
+		];
+		const found = keys.find(translation.hasMessage);
+
+		return found === undefined ?
+			null :
+			this.plugin.translate(place, found, {bot: this.plugin.saiko.name, languages: translation.languages.join(', ')});
+	}
+
+	/** Returns a command's description (see CommandHelp#getCommandText).
+	 * @param {PluginCommand} command
+	 * @param {?(Discord.Channel|Discord.Guild)} place - where the description is shown
+	 * @returns {?string} - the description or null if the command has none */
+	getCommandDescription(command, place) {
+		return this.getCommandText(command, 'description', place) || command.description || null;
+	}
+
+	/** Returns a description of a command's argument or flag (see CommandHelp#getCommandText).
+	 * @param {PluginCommand} command
+	 * @param {CommandArgument} argument
+	 * @param {?(Discord.Channel|Discord.Guild)} place - where the description is shown
+	 * @returns {?string} - the description or null if the argument has none */
+	getArgumentDescription(command, argument, place) {
+		return this.getCommandText(command, `args.${argument.name}`, place) || argument.description || null;
+	}
+
+	/** Describes valid values of a command's argument or flag. Valid values of
+	 *  custom types are described by the plugin's catalog section (see
+	 *  CommandHelp#getCommandText) or by the argument's `expected` property.
+	 * @param {PluginCommand} command
+	 * @param {CommandArgument} argument
+	 * @param {?(Discord.Channel|Discord.Guild)} place - where the description is shown
+	 * @returns {string} - the description */
+	describeArgumentType(command, argument, place) {
+		const translate = (key, parameters) => this.plugin.translate(place, `plugin.arguments.${key}`, parameters);
+		const expected = typeof argument.type === 'function' ? this.getCommandText(command, `expected.${argument.name}`, place) : null;
+
+		return expected || commandFunctions.describeType(argument, translate);
+	}
+
+	/** Returns a message describing a command: its description, usage, aliases,
+	 *  arguments, required permission levels (of the command and of its arguments),
+	 *  cooldown and examples.
+	 * @param {PluginCommand} command
+	 * @param {Discord.Channel} channel - the channel where the help will be shown
+	 * @returns {Discord.RichEmbed} - the message */
+	getCommandHelp(command, channel) {
+		const prefix = this.plugin.getPrefix(channel);
+		const [trigger, ...aliases] = commandFunctions.getTriggers(command);
+		const describedArguments = [
+			...(command.args || []).map(argument => [argument.name, this.getArgumentDescription(command, argument, channel)]),
+			...(command.flags || []).map(flag => [`--${flag.name}`, this.getArgumentDescription(command, flag, channel)])
+		].filter(([, description]) => description);
+		const translate = (key, parameters) => this.plugin.translate(channel, `plugin.help.${key}`, parameters);
+		const permissions = [
+			this.plugin.constructor.getCommandPermission(command),
+			...(command.args || [])
+				.filter(argument => argument.permission !== undefined)
+				.map(argument => translate('argumentPermission', {argument: string.toInlineCode(argument.name), level: argument.permission}))
+		];
+		const cooldown = this.plugin.getCommandCooldown(command, channel);
+
+		return this.plugin.getEmbed({
+			title: trigger === undefined ? translate('title') : translate('commandTitle', {command: trigger}),
+			description: this.getCommandDescription(command, channel) || translate('noDescription'),
+			fields: [
+				['usage', string.toInlineCode(this.plugin.getCommandUsage(command, channel))],
+				['aliases', aliases.map(alias => string.toInlineCode(`${prefix}${alias}`)).join(', ')],
+				['arguments', describedArguments.map(([name, description]) => `${string.toInlineCode(name)} - ${description}`).join('\n')],
+				['permission', permissions.join('\n')],
+				['cooldown', cooldown === null ? '' : translate('cooldownValue', cooldown)],
+				['examples', (command.examples || []).map(example => string.toInlineCode(`${prefix}${example}`)).join('\n')]
+			]
+				.filter(([, value]) => value !== '')
+				.map(([name, value]) => embedFunctions.fitField({name: translate(name), value}))
+		});
+	}
+
+	/** Returns a message saying that the command's parameters are invalid.
+	 * @param {Discord.Message} message - the message which triggered that command
+	 * @param {PluginCommand} command - the command
+	 * @param {ArgumentError} error - the error thrown by the argument parser
+	 * @returns {Discord.RichEmbed} - the message */
+	invalidArguments(message, command, error) {
+		const parameters = error.argument === null ?
+			error.parameters :
+			{...error.parameters, expected: this.describeArgumentType(command, error.argument, message.channel)};
+
+		return this.plugin.getEmbed({
+			title: this.plugin.translate(message.channel, 'plugin.invalidArguments.title'),
+			description:
+				`${this.plugin.translate(message.channel, `plugin.arguments.${error.key}`, parameters)}\n` +
+				'\n' +
+				`**${this.plugin.translate(message.channel, 'plugin.invalidArguments.usage')}**\n` +
+				`    ${this.plugin.getCommandUsage(command, message.channel)}`
+		});
+	}
+}
@@ -1,16 +1,124 @@
 /** @module index */
 
 import Saiko from './saiko.js';
+import path from 'path';
 import readline from 'readline';
+import {getUsage, parseOptions} from './options.js';
 import * as filesystem from './functions/filesystem.js';
 import * as log from './functions/log.js';
+import * as migrations from './migrations.js';
 import * as string from './functions/string.js';
 
-const dataPath = './data/';
+/** Asks the user questions to generate the data.json file.
+ * @param {string} dataPath - path to the data folder
+ * @returns {Promise<void|Error>} - a promise resolved once the file is saved */
+async function generateData(dataPath) {
+	const cli = readline.createInterface({
+		input: process.stdin,
+		output: process.stdout
+	});
+
+	/** Asks the user a questions and waits for the answer.
+	 * @param {string} question
+	 * @returns {Promise<string>} - user's answer */
+	async function ask(question) {
+		const answer = await new Promise(resolve => {
+			cli.question(question, answer => {
+				resolve(answer);
+			});
+		});
+
+		return answer;
+	}
+
+	const answer = await ask(
+		`Looks like the ${dataPath}data.json file is missing. ` +
+		`You can answer a few questions to generate it now.\n` +
+		`Do you want to generate it now? [Y/n] `
+	);
+
+	if (!['', 'y', 'yes', 'yep', 'yeah'].includes(answer.toLowerCase())) {
+		cli.write('Aborting\n\n');
+		cli.close();
+		throw new Error('Cannot start without the data.json file');
+	}
+
+	const data = {
+		dataVersion: migrations.latestVersion,
+		name: string.toUpperCaseFirstChar(process.env.npm_package_name), // eslint-disable-line no-process-env
+		version: process.env.npm_package_version, // eslint-disable-line no-process-env
+		token: '',
+		owners: [],
+		pluginPaths: [],
+		pluginPackages: [],
+		defaults: {
+			plugins: {
+				admin: {
+					enabled: true
+				},
+				config: {
+					enabled: true
+				},
+				owner: {
+					enabled: true
+				},
+				permissions: {
+					enabled: true
+				}
+			}
+		},
+		guilds: {},
+		channels: {}
+	};
+
+	const questions = {
+		name: `Your bot's name: (${data.name}) `,
+		version: `Your bot's version: (${data.version}) `,
+		token: `Your bot's token: `
+	};
+
+	for (const key of Object.keys(questions)) {
+		const answer = await ask(questions[key]); // eslint-disable-line no-await-in-loop
+		if (answer !== '')
+			data[key] = answer;
+	}
+
+	data.owners = (await ask(`IDs of the bot's owners, who can load plugins and change the whole bot (separated with spaces): `))
+		.split(/\s+/)
+		.filter(id => /^\d+$/.test(id));
+
+	cli.write('\nSaving data...\n');
+
+	try {
+		await filesystem.checkFileWritable(dataPath);
+	} catch (error) {
+		await filesystem.createDirectory(0o750)(dataPath);
+	}
+
+	await filesystem.serializeAndSaveJSON(data)(`${dataPath}data.json`);
+	cli.write('Data saved.\n\n');
+	cli.close();
+}
 
 /** Checks the bot's config and generates it if it's missing, and starts the bot.
+ * @param {object} options - options read from flags and environment variables (see options~parseOptions)
  * @returns {Promise<void|Error>} - an empty promise, just to use the await operator */
-async function main() {
+async function main(options) {
+	const dataPath = string.addTrailingSlash(options.dataPath);
+
+	const logFileOptions = {
+		format: options.logFormat,
+		maxSize: options.logMaxSize * 1024 * 1024,
+		maxAge: options.logMaxAge * 60 * 60 * 1000,
+		maxFiles: options.logMaxFiles
+	};
+
+	log.setLevel(options.logLevel);
+	log.setSinks([
+		log.createConsoleSink({format: options.logFormat}),
+		...options.logFile === null ? [] : [log.createFileSink(path.resolve(options.logFile), logFileOptions)]
+	]);
+
 	try {
 		await filesystem.checkFileReadable(`${dataPath}data.json`);
 	} catch (error) {
@@ -19,89 +127,62 @@ async function main() {
 			text: 'Missing configuration data'
 		});
 
-		const cli = readline.createInterface({
-			input: process.stdin,
-			output: process.stdout
-		});
-
-		/** Asks the user a questions and waits for the answer.
-		 * @param {string} question
-		 * @returns {Promise<string>} - user's answer */
-		async function ask(question) {
-			const answer = await new Promise(resolve => {
-				cli.question(question, answer => {
-					resolve(answer);
-				});
-			});
+		if (options.nonInteractive || options.checkConfig || !process.stdin.isTTY)
+			throw new Error(`Cannot start without the ${dataPath}data.json file`);
 
-			return answer;
-		}
-
-		const answer = await ask(
-			`Looks like the ${dataPath}data.json file is missing. ` +
-			`You can answer a few questions to generate it now.\n` +
-			`Do you want to generate it now? [Y/n] `
-		);
-
-		if (!['', 'y', 'yes', 'yep', 'yeah'].includes(answer.toLowerCase())) {
-			cli.write('Aborting\n\n');
-			cli.close();
-			throw new Error('Cannot start without the data.json file');
-		}
-
-		const data = {
-			name: string.toUpperCaseFirstChar(process.env.npm_package_name), // eslint-disable-line no-process-env
-			version: process.env.npm_package_version, // eslint-disable-line no-process-env
-			token: '',
-			defaults: {
-				plugins: {
-					admin: {
-						enabled: true
-					}
-				}
-			},
-			guilds: {},
-			channels: {}
-		};
-
-		const questions = {
-			name: `Your bot's name: (${data.name}) `,
-			version: `Your bot's version: (${data.version}) `,
-			token: `Your bot's token: `
-		};
-
-		for (const key of Object.keys(questions)) {
-			const answer = await ask(questions[key]); // eslint-disable-line no-await-in-loop
-			if (answer !== '')
-				data[key] = answer;
-		}
-
-		cli.write('\nSaving data...\n');
-
-		try {
-			await filesystem.checkFileWritable(dataPath);
-		} catch (error) {
-			await filesystem.createDirectory(0o750)(dataPath);
-		}
-
-		await filesystem.serializeAndSaveJSON(data)(`${dataPath}data.json`);
-		cli.write('Data saved.\n\n');
-		cli.close();
+		await generateData(dataPath);
 	}
 
-	const saiko = new Saiko(dataPath);
+	const saiko = new Saiko(dataPath, {token: options.token, pluginPaths: options.pluginPaths});
 
-	await saiko.loadData();
-	await saiko.loadPlugins();
+	await saiko.dataManager.loadData({readOnly: options.checkConfig});
+	await saiko.loader.loadPlugins();
+	saiko.dataManager.validateData();
+
+	if (options.checkConfig) {
+		console.log(`The data in ${dataPath} and all ${saiko.plugins.length} plugins are valid.`);
+		await saiko.dataManager.storage.close();
+		await log.closeFileSinks();
+		return;
+	}
+
+	await saiko.loadResponses();
 	saiko.enablePlugins();
+
+	// reload plugins whenever their files change, use together with `npm run build:watch`
+	if (options.watchPlugins)
+		saiko.loader.watchPlugins();
+
+	// write pending changes of the data and logs before exiting
+	for (const signal of ['SIGINT', 'SIGTERM'])
+		process.once(signal, async () => {
+			await saiko.dataManager.storage.close();
+			await saiko.dispatcher.responses.close();
+			await log.closeFileSinks();
+			process.exit(0); // eslint-disable-line no-process-exit
+		});
+
 	await saiko.login();
 }
 
-main().catch(error => {
+/** Reads options and runs the bot.
+ * @returns {Promise<void|Error>} - an empty promise */
+async function run() {
+	const options = parseOptions(process.argv.slice(2), process.env); // eslint-disable-line no-process-env
+
+	if (options.help) {
+		console.log(getUsage());
+		return;
+	}
+
+	await main(options);
+}
+
+run().catch(error => {
 	log.error({
 		title: {module: 'index'},
 		text: 'Unexpected error',
 		messages: [error]
 	});
-	process.exit(1); // eslint-disable-line no-process-exit
+	log.closeFileSinks().then(() => process.exit(1)); // eslint-disable-line no-process-exit
 });
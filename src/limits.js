@@ -0,0 +1,88 @@
+/** @module limits */
+
+import RateLimiter from './ratelimit.js';
+
+/** Limits commands run by users. Each user's messages triggering commands
+ *  count towards the user's rate limit once, no matter how many plugins handle
+ *  them (see CommandLimiter#limitMessage), while plugins count their commands
+ *  towards the commands' cooldowns (see Plugin#limitCommand). */
+export default class CommandLimiter {
+	/** Creates a new CommandLimiter object.
+	 * @param {Saiko} saiko
+	 * @returns {CommandLimiter} - a CommandLimiter object */
+	constructor(saiko) {
+		/** @type {Saiko} */
+		this.saiko = saiko;
+		/** Limit of commands a user can run, used if no `rateLimit` is set in
+		 *  the config (see CommandLimiter#getRateLimit), or null for no limit.
+		 * @type {?object} */
+		this.rateLimit = null;
+		/** Counts commands run by users, for rate limits and cooldowns.
+		 * @type {RateLimiter} */
+		this.rateLimiter = new RateLimiter;
+		/** Messages which exceeded their author's rate limit, with the exceeded limit.
+		 * @type {WeakMap<Discord.Message, object>} */
+		this.limitedMessages = new WeakMap;
+	}
+
+	/** Returns the limit of commands a user can run on a given channel.
+	 * @param {Discord.Channel} channel
+	 * @returns {?object} - the limit (the number of commands and the interval in seconds)
+	 *  or null if commands aren't limited there */
+	getRateLimit(channel) {
+		const rateLimit = this.saiko.getChannelConfig(channel).rateLimit || this.rateLimit;
+
+		return rateLimit && rateLimit.seconds > 0 ? rateLimit : null;
+	}
+
+	/** Counts a use of a key (e.g. a command's cooldown) by a user. A limited
+	 *  user is told how long to wait once, further uses are ignored until then.
+	 * @param {string} key
+	 * @param {RateLimit} rateLimit - the key's limit
+	 * @param {Discord.User} user - the user using the key
+	 * @returns {?object} - null if the key was used, otherwise the time to wait
+	 *  (in milliseconds) and whether or not to notify the user */
+	take(key, rateLimit, user) {
+		const waitTime = this.rateLimiter.take(key, rateLimit);
+
+		if (waitTime === 0)
+			return null;
+
+		return {
+			waitTime,
+			notify: this.rateLimiter.take(`notice:${key}:${user.id}`, {limit: 1, interval: waitTime}) === 0
+		};
+	}
+
+	/** Counts a message towards its author's rate limit, if it triggers a
+	 *  command of any of the given plugins. Plugins check the result with
+	 *  CommandLimiter#getMessageLimit before running the command.
+	 * @param {Discord.Message} message
+	 * @param {array<Plugin>} plugins - plugins enabled where the message was posted
+	 * @returns {?object} - null if the message isn't limited, otherwise the limit
+	 *  (see CommandLimiter#take) */
+	limitMessage(message, plugins) {
+		const rateLimit = this.getRateLimit(message.channel);
+		const triggersCommand = plugins.some(plugin =>
+			typeof plugin.getTriggeredCommand === 'function' && plugin.getTriggeredCommand(message) !== null
+		);
+
+		if (rateLimit === null || !triggersCommand)
+			return null;
+
+		const limit = this.take(`rate:${message.author.id}`, {limit: rateLimit.commands, interval: rateLimit.seconds * 1000}, message.author);
+
+		if (limit === null)
+			return null;
+
+		this.limitedMessages.set(message, {type: 'rate', ...limit});
+		return this.limitedMessages.get(message);
+	}
+
+	/** Returns the rate limit a message exceeded (see CommandLimiter#limitMessage).
+	 * @param {Discord.Message} message
+	 * @returns {?object} - the exceeded limit or null */
+	getMessageLimit(message) {
+		return this.limitedMessages.get(message) || null;
+	}
+}
@@ -0,0 +1,363 @@
+/** @module loader */
+
+import path from 'path';
+import * as dependency from './functions/dependency.js';
+import * as filesystem from './functions/filesystem.js';
+import * as log from './functions/log.js';
+
+/** Finds plugins in the plugin directories and packages, and loads, reloads
+ *  and unloads them, also while the bot is running. Loaded plugins are kept
+ *  in Saiko#plugins. */
+export default class PluginLoader {
+	/** Creates a new PluginLoader object.
+	 * @param {Saiko} saiko
+	 * @returns {PluginLoader} - a PluginLoader object */
+	constructor(saiko) {
+		/** @type {Saiko} */
+		this.saiko = saiko;
+		/** Path to the directory with built-in plugins. More directories and
+		 *  npm packages can be listed in the data (see PluginLoader#getPluginDirectories
+		 *  and PluginLoader#getPluginPackages).
+		 * @type {string} */
+		this.pluginsPath = path.join(__dirname, 'plug');
+		/** Watchers of the plugin directories (see PluginLoader#watchPlugins).
+		 * @type {array<fs.FSWatcher>} */
+		this.watchers = [];
+	}
+
+	/** Returns absolute paths to all directories with plugins: the built-in one,
+	 *  the ones listed in the `pluginPaths` array of the data (relative paths
+	 *  are resolved against the data folder) and the overriding ones.
+	 * @returns {array<string>} - paths to the directories */
+	getPluginDirectories() {
+		return [
+			path.resolve(this.pluginsPath),
+			...(this.saiko.data.pluginPaths || []).map(directory => path.resolve(this.saiko.dataPath, directory)),
+			...this.saiko.overrides.pluginPaths.map(directory => path.resolve(directory))
+		];
+	}
+
+	/** Returns absolute paths to main modules of npm packages listed in the
+	 *  `pluginPackages` array of the data. Packages are looked for in the
+	 *  node_modules of the current working directory.
+	 * @returns {array<string>} - paths to the modules
+	 * @throws {Error} - if a package isn't installed */
+	getPluginPackages() {
+		return (this.saiko.data.pluginPackages || []).map(packageName => {
+			try {
+				return require.resolve(packageName, {paths: [process.cwd()]});
+			} catch (error) {
+				throw new Error(`Plugin package "${packageName}" is not installed`);
+			}
+		});
+	}
+
+	/** Returns paths to all plugin modules: *.js files from the plugin
+	 *  directories and main modules of the plugin packages.
+	 * @returns {Promise<array<string>|Error>} - a promise to absolute paths to the modules */
+	async findPluginModules() {
+		const directories = await Promise.all(this.getPluginDirectories().map(async directory =>
+			(await filesystem.listDirectory(directory))
+				.filter(fileName => fileName.endsWith('.js'))
+				.map(fileName => path.join(directory, fileName))
+		));
+
+		return [...[].concat(...directories), ...this.getPluginPackages()];
+	}
+
+	/** Creates a plugin from a module exporting a plugin class (as the default
+	 *  export or as the whole module). Plugins from npm packages may extend
+	 *  their own copy of Plugin, or an older one, so plugins are only required
+	 *  to have a name and a list of commands. Saiko skips the hooks and
+	 *  handlers a plugin doesn't have. The module is always read from the disk
+	 *  (bypassing Node's module cache), so it can be used to reload plugins.
+	 * @param {string} fileName - path to the plugin's module
+	 * @returns {Plugin} - a new plugin
+	 * @throws {Error} - if the module doesn't export a class, or the plugin has no name or commands */
+	createPlugin(fileName) {
+		const modulePath = require.resolve(path.resolve(fileName));
+
+		delete require.cache[modulePath];
+
+		const pluginModule = require(modulePath); // eslint-disable-line global-require
+		const PluginClass = pluginModule && typeof pluginModule.default === 'function' ? pluginModule.default : pluginModule;
+
+		if (typeof PluginClass !== 'function' || typeof PluginClass.prototype !== 'object')
+			throw new Error(`Module ${modulePath} doesn't export a plugin class`);
+
+		const plugin = new PluginClass(this.saiko);
+
+		if (typeof plugin.name !== 'string' || plugin.name === '')
+			throw new Error(`Plugin from ${modulePath} has no name`);
+
+		if (!Array.isArray(plugin.commands))
+			throw new Error(`Plugin "${plugin.name}" from ${modulePath} has no list of commands`);
+
+		plugin.modulePath = modulePath;
+
+		return plugin;
+	}
+
+	/** Checks if plugins have unique names.
+	 * @param {array<Plugin>} plugins
+	 * @returns {void}
+	 * @throws {Error} - if two plugins have the same name */
+	static checkPluginNames(plugins) {
+		plugins.forEach((plugin, index) => {
+			const other = plugins.slice(0, index).find(other => other.name === plugin.name);
+
+			if (other)
+				throw new Error(
+					`Plugins from ${other.modulePath || 'unknown module'} and ${plugin.modulePath || 'unknown module'} ` +
+					`have the same name "${plugin.name}"`
+				);
+		});
+	}
+
+	/** Loads all plugins (see PluginLoader#findPluginModules), sorts them by their dependencies and
+	 *  priorities (see functions/dependency~sort) and calls their Plugin#onLoad
+	 *  hooks, dependencies first.
+	 * @returns {Promise<array|Error>} - a promise to an array of loaded plugins */
+	async loadPlugins() {
+		log.debug({
+			title: {module: 'PluginLoader', separator: '#', function: 'loadPlugins'},
+			text: 'Loading plugins...'
+		});
+
+		const modulePaths = await this.findPluginModules();
+		const plugins = [];
+
+		for (const modulePath of modulePaths) {
+			log.debug({
+				title: {module: 'PluginLoader', separator: '#', function: 'loadPlugins'},
+				text: `Loading plugin from ${modulePath}...`
+			});
+
+			try {
+				plugins.push(this.createPlugin(modulePath));
+			} catch (error) {
+				log.error({
+					title: {module: 'PluginLoader', separator: '#', function: 'loadPlugins'},
+					text: `Cannot load plugin from ${modulePath}`
+				});
+				throw error;
+			}
+		}
+
+		try {
+			PluginLoader.checkPluginNames(plugins);
+			this.saiko.plugins = dependency.sort(plugins);
+		} catch (error) {
+			log.error({
+				title: {module: 'PluginLoader', separator: '#', function: 'loadPlugins'},
+				text: 'Cannot resolve plugin names and dependencies',
+				messages: [error]
+			});
+			throw error;
+		}
+
+		for (const plugin of this.saiko.plugins)
+			try {
+				await this.saiko.callPluginHook(plugin, 'onLoad'); // eslint-disable-line no-await-in-loop
+			} catch (error) {
+				log.error({
+					title: {module: 'PluginLoader', separator: '#', function: 'loadPlugins'},
+					text: `Plugin "${plugin.name}" failed to load`
+				});
+				throw error;
+			}
+
+		log.debug({
+			title: {module: 'PluginLoader', separator: '#', function: 'loadPlugins'},
+			text: 'Plugins loaded'
+		});
+		return this.saiko.plugins;
+	}
+
+	/** Returns a loaded plugin.
+	 * @param {string} name - plugin's name
+	 * @returns {Plugin} - the plugin
+	 * @throws {Error} - if there is no such plugin */
+	getPlugin(name) {
+		const plugin = this.saiko.plugins.find(plugin => plugin.name === name);
+
+		if (plugin === undefined)
+			throw new Error(`Plugin "${name}" is not loaded`);
+
+		return plugin;
+	}
+
+	/** Loads a plugin from one of the plugin directories while the bot is
+	 *  running (see PluginLoader#getPluginDirectories, the first directory with the
+	 *  file is used). Its dependencies must be loaded already.
+	 * @param {string} fileName - name of the plugin's file (the .js extension is optional)
+	 * @returns {Promise<Plugin|Error>} - a promise to the loaded plugin */
+	async loadPlugin(fileName) {
+		if (/[/\\]/.test(fileName) || fileName.includes('..'))
+			throw new Error(`Invalid plugin file name "${fileName}"`);
+
+		const fullFileName = fileName.endsWith('.js') ? fileName : `${fileName}.js`;
+		const candidates = this.getPluginDirectories().map(directory => path.join(directory, fullFileName));
+		const readable = await Promise.all(candidates.map(candidate =>
+			filesystem.checkFileReadable(candidate).then(() => true, () => false)
+		));
+
+		if (!readable.includes(true))
+			throw new Error(`There is no plugin file called "${fullFileName}"`);
+
+		return this.loadPluginModule(candidates[readable.indexOf(true)]);
+	}
+
+	/** Loads a plugin from a module while the bot is running. Its dependencies
+	 *  must be loaded already.
+	 * @param {string} fileName - path to the plugin's module
+	 * @returns {Promise<Plugin|Error>} - a promise to the loaded plugin */
+	async loadPluginModule(fileName) {
+		const modulePath = require.resolve(path.resolve(fileName));
+		const loadedPlugin = this.saiko.plugins.find(loadedPlugin => loadedPlugin.modulePath === modulePath);
+
+		if (loadedPlugin !== undefined)
+			throw new Error(`Plugin "${loadedPlugin.name}" is already loaded`);
+
+		const plugin = this.createPlugin(modulePath);
+
+		PluginLoader.checkPluginNames([...this.saiko.plugins, plugin]);
+
+		const plugins = dependency.sort([...this.saiko.plugins, plugin]);
+
+		await this.saiko.callPluginHook(plugin, 'onLoad');
+		this.saiko.plugins = plugins;
+
+		if (this.saiko.isReady())
+			await this.saiko.runPluginHook(plugin, 'onReady');
+
+		log.debug({
+			title: {module: 'PluginLoader', separator: '#', function: 'loadPluginModule'},
+			text: `Plugin "${plugin.name}" loaded`
+		});
+		return plugin;
+	}
+
+	/** Unloads a plugin while the bot is running. Plugins other plugins depend
+	 *  on can't be unloaded.
+	 * @param {string} name - plugin's name
+	 * @returns {Promise<Plugin|Error>} - a promise to the unloaded plugin */
+	async unloadPlugin(name) {
+		const plugin = this.getPlugin(name);
+		const dependents = this.saiko.plugins
+			.filter(other => Array.isArray(other.dependencies) && other.dependencies.includes(name))
+			.map(other => `"${other.name}"`);
+
+		if (dependents.length > 0)
+			throw new dependency.DependencyError(`Plugin "${name}" is required by ${dependents.join(', ')}`);
+
+		this.saiko.plugins = this.saiko.plugins.filter(loadedPlugin => loadedPlugin !== plugin);
+		await this.saiko.runPluginHook(plugin, 'onUnload');
+
+		if (plugin.modulePath)
+			delete require.cache[plugin.modulePath];
+
+		log.debug({
+			title: {module: 'PluginLoader', separator: '#', function: 'unloadPlugin'},
+			text: `Plugin "${plugin.name}" unloaded`
+		});
+		return plugin;
+	}
+
+	/** Reloads a plugin from its file while the bot is running. The new version
+	 *  is created and its Plugin#onLoad hook is called first, so if it fails to
+	 *  load, the old one keeps working.
+	 * @param {string} name - plugin's name
+	 * @returns {Promise<Plugin|Error>} - a promise to the new plugin */
+	async reloadPlugin(name) {
+		const oldPlugin = this.getPlugin(name);
+
+		if (!oldPlugin.modulePath)
+			throw new Error(`Plugin "${name}" wasn't loaded from a file`);
+
+		const newPlugin = this.createPlugin(oldPlugin.modulePath);
+
+		const plugins = this.saiko.plugins.map(plugin => plugin === oldPlugin ? newPlugin : plugin);
+
+		PluginLoader.checkPluginNames(plugins);
+		dependency.validate(plugins);
+
+		await this.saiko.callPluginHook(newPlugin, 'onLoad');
+		this.saiko.plugins = dependency.sort(plugins);
+		await this.saiko.runPluginHook(oldPlugin, 'onUnload');
+
+		if (this.saiko.isReady())
+			await this.saiko.runPluginHook(newPlugin, 'onReady');
+
+		log.debug({
+			title: {module: 'PluginLoader', separator: '#', function: 'reloadPlugin'},
+			text: `Plugin "${name}" reloaded`
+		});
+		return newPlugin;
+	}
+
+	/** Watches the plugin directories (see PluginLoader#getPluginDirectories) and
+	 *  loads, reloads or unloads plugins whenever their files change. Meant for
+	 *  development, together with `npm run build:watch`.
+	 * @returns {array<fs.FSWatcher>} - the watchers, one per directory */
+	watchPlugins() {
+		const timers = new Map;
+
+		this.unwatchPlugins();
+		this.watchers = this.getPluginDirectories().map(directory => {
+			const watcher = filesystem.watchDirectory((eventType, fileName) => {
+				if (typeof fileName !== 'string' || !fileName.endsWith('.js'))
+					return;
+
+				const modulePath = path.join(directory, fileName);
+
+				// editors and compilers often write a file in a few steps, handle only the last one
+				clearTimeout(timers.get(modulePath));
+				timers.set(modulePath, setTimeout(() => {
+					timers.delete(modulePath);
+					this.handlePluginFileChange(modulePath);
+				}, 300));
+			})(directory);
+
+			log.debug({
+				title: {module: 'PluginLoader', separator: '#', function: 'watchPlugins'},
+				text: `Watching ${directory} for changes`
+			});
+			return watcher;
+		});
+
+		return this.watchers;
+	}
+
+	/** Stops watching the plugin directories.
+	 * @returns {void} */
+	unwatchPlugins() {
+		this.watchers.forEach(watcher => watcher.close());
+		this.watchers = [];
+	}
+
+	/** Loads, reloads or unloads a plugin after its file changed.
+	 * @param {string} fileName - path to the changed file
+	 * @returns {Promise<void>} - a promise resolved once the plugin is updated */
+	async handlePluginFileChange(fileName) {
+		const modulePath = path.resolve(fileName);
+		const plugin = this.saiko.plugins.find(plugin => plugin.modulePath === modulePath);
+
+		try {
+			const exists = await filesystem.checkFileReadable(modulePath).then(() => true, () => false);
+
+			if (!exists && plugin)
+				await this.unloadPlugin(plugin.name);
+			else if (exists && plugin)
+				await this.reloadPlugin(plugin.name);
+			else if (exists)
+				await this.loadPluginModule(modulePath);
+		} catch (error) {
+			log.error({
+				title: {module: 'PluginLoader', separator: '#', function: 'handlePluginFileChange'},
+				text: `Cannot update plugin from file "${modulePath}"`,
+				messages: [error]
+			});
+		}
+	}
+}
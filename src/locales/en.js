@@ -0,0 +1,92 @@
+/** English messages, the default ones (see translation~translate).
+ *  Sections of plugins are kept in their own modules.
+ * @module locales/en */
+
+import admin from './en/admin.js';
+import archive from './en/archive.js';
+import config from './en/config.js';
+import log from './en/log.js';
+import owner from './en/owner.js';
+import permissions from './en/permissions.js';
+import utils from './en/utils.js';
+
+/** @type {Catalog} */
+export default {
+	language: {
+		name: 'English'
+	},
+	plugin: {
+		help: {
+			title: 'Help',
+			commandTitle: 'Help: {command}',
+			noDescription: 'This command doesn\'t have a description.',
+			usage: 'Usage',
+			aliases: 'Aliases',
+			arguments: 'Arguments',
+			permission: 'Permission',
+			argumentPermission: '{level} to use {argument}',
+			cooldown: 'Cooldown',
+			cooldownValue: '{seconds} s (per {scope})',
+			examples: 'Examples'
+		},
+		invalidArguments: {
+			title: 'Invalid parameters',
+			usage: 'Usage:'
+		},
+		arguments: {
+			invalid: 'Invalid {name}: "{value}" is not {expected}.',
+			missing: 'Missing {name}.',
+			unknownFlag: 'Unknown flag: {flag}.',
+			missingFlagValue: 'Missing value of --{name}.',
+			unexpected: 'Unexpected parameter: "{value}".',
+			types: {
+				string: 'text',
+				integer: 'an integer',
+				integerMax: 'an integer not greater than {max}',
+				integerMin: 'an integer not less than {min}',
+				integerRange: 'an integer from {min} to {max}',
+				user: 'a user',
+				channel: 'a channel',
+				role: 'a role',
+				enum: 'one of: {values}',
+				custom: 'a valid value'
+			}
+		},
+		pages: {
+			page: 'Page {page}/{count}',
+			missing: 'There is no page {page}, the last page is {count}.'
+		},
+		permissionDenied: {
+			title: 'Permission denied',
+			description: 'That command requires {level} permissions. Use the `operators` command to see who has them.',
+			owner: 'That command changes the whole bot, only the bot\'s owners can use it.'
+		},
+		prompt: {
+			cancel: 'cancel',
+			cancelled: 'Cancelled.',
+			yes: 'yes',
+			no: 'no',
+			confirm: 'Reply {yes} or react with {confirm} within {time} to confirm, reply {no} or react with {cancel} to cancel.',
+			minutes: {
+				one: 'a minute',
+				other: '{count} minutes'
+			}
+		},
+		slowDown: {
+			title: 'Slow down',
+			cooldown: 'The {command} command is on cooldown. {retry}',
+			rateLimit: 'You\'re running commands too fast. {retry}',
+			retry: {
+				one: 'Please try again in {count} second.',
+				other: 'Please try again in {count} seconds.'
+			}
+		}
+	},
+	admin,
+	archive,
+	config,
+	log,
+	owner,
+	permissions,
+	utils
+};
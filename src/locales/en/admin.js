@@ -0,0 +1,134 @@
+/** English messages of the admin plugin (see locales/en).
+ * @module locales/en/admin */
+
+/** @type {Catalog} */
+export default {
+	description: 'Commands to administrate {bot}.',
+	args: {
+		page: 'page number',
+		scope: 'apply the changes to the whole guild instead of this channel (ignored in DMs)'
+	},
+	expected: {
+		plugin: 'a plugin name'
+	},
+	commands: {
+		help: {
+			description: 'Lists available commands or shows details of a plugin or a command.',
+			args: {topic: 'a plugin or a command to describe'},
+			expected: {topic: 'a plugin or a command'}
+		},
+		plugins: {
+			description: 'Enables, disables or resets plugins on this channel or guild. Without parameters lists available plugins.',
+			args: {
+				action: 'enable or disable the plugin, or reset it to the default state',
+				plugin: 'the plugin to change'
+			}
+		},
+		prefix: {
+			description:
+				'Shows the command prefix used on this channel, or changes it (that requires operator permissions). ' +
+				'You can also mention me instead of using the prefix.',
+			args: {
+				action: 'set a new prefix or reset it',
+				prefix: 'the new prefix (up to 16 characters without whitespace)',
+				plugin: 'change the prefix of that plugin only'
+			},
+			expected: {prefix: 'a prefix (up to 16 characters without whitespace)'}
+		},
+		language: {
+			description: 'Shows the language of my responses on this channel, or changes it (that requires operator permissions).',
+			args: {
+				action: 'set a new language or reset it',
+				language: 'code of the new language'
+			},
+			expected: {language: 'a language code ({languages})'}
+		},
+		version: {
+			description: 'Shows {bot}\'s version.'
+		}
+	},
+	version: {
+		title: 'Version'
+	},
+	help: {
+		title: 'Help',
+		pluginTitle: 'Help: {plugin}',
+		details: 'Use {commandHelp} or {pluginHelp} for details.',
+		commands: 'Commands:',
+		missing: 'There is no command or plugin called "{topic}" available here.'
+	},
+	plugins: {
+		title: 'Plugins',
+		usage: 'Usage:',
+		description:
+			'Actions:\n' +
+			'- enable - enable plugin,\n' +
+			'- disable - disable plugin,\n' +
+			'- default - reset plugin\'s status to the defaul value.\n' +
+			'\n' +
+			'If the plugin name contains spaces, use quote marks around the name.\n' +
+			'If you add "guild" at the end, the changes will be applied to the guild\'s config ' +
+			'instead of the channel\'s config (that option is ignored for DM and group DM channels).',
+		available: 'Available plugins:',
+		already: {
+			enable: {
+				channel: 'Plugin {plugin} already is enabled on this channel.',
+				guild: 'Plugin {plugin} already is enabled on this guild.'
+			},
+			disable: {
+				channel: 'Plugin {plugin} already is disabled on this channel.',
+				guild: 'Plugin {plugin} already is disabled on this guild.'
+			}
+		},
+		confirm: {
+			enable: 'Plugin {plugin} will be enabled on all channels of this guild which don\'t override it.',
+			disable: 'Plugin {plugin} will be disabled on all channels of this guild which don\'t override it.',
+			default: 'Plugin {plugin} will be reset to default state on all channels of this guild which don\'t override it.'
+		},
+		changed: {
+			enable: {
+				channel: 'Plugin {plugin} enabled on this channel.',
+				guild: 'Plugin {plugin} enabled on this guild.'
+			},
+			disable: {
+				channel: 'Plugin {plugin} disabled on this channel.',
+				guild: 'Plugin {plugin} disabled on this guild.'
+			},
+			default: {
+				channel: 'Plugin {plugin} reset to default state on this channel.',
+				guild: 'Plugin {plugin} reset to default state on this guild.'
+			}
+		}
+	},
+	prefix: {
+		title: 'Prefix',
+		current: 'Prefix on this channel: {prefix}\nYou can also mention me instead of using the prefix, e.g. {example}.',
+		subject: 'Prefix',
+		pluginSubject: 'Prefix of plugin {plugin}',
+		set: {
+			channel: '{subject} set to {prefix} on this channel.',
+			guild: '{subject} set to {prefix} on this guild.'
+		},
+		reset: {
+			channel: '{subject} reset to default on this channel.',
+			guild: '{subject} reset to default on this guild.'
+		},
+		confirmSet: '{subject} will be set to {prefix} on all channels of this guild which don\'t override it.',
+		confirmReset: '{subject} will be reset to default on all channels of this guild which don\'t override it.'
+	},
+	language: {
+		title: 'Language',
+		current: 'Language on this channel: {language}',
+		available: 'Available languages: {languages}',
+		set: {
+			channel: 'Language set to {language} on this channel.',
+			guild: 'Language set to {language} on this guild.'
+		},
+		reset: {
+			channel: 'Language reset to default on this channel, now it\'s {language}.',
+			guild: 'Language reset to default on this guild, now it\'s {language}.'
+		},
+		confirmSet: 'Language will be set to {language} on all channels of this guild which don\'t override it.',
+		confirmReset: 'Language will be reset to default on all channels of this guild which don\'t override it.'
+	}
+};
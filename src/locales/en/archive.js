@@ -0,0 +1,57 @@
+/** English messages of the archive plugin (see locales/en).
+ * @module locales/en/archive */
+
+/** @type {Catalog} */
+export default {
+	description: 'Archives messages of guilds with their edits and deletions, so operators can search them.',
+	args: {
+		page: 'page number'
+	},
+	commands: {
+		search: {
+			description: 'Searches archived messages of this guild, from the newest.',
+			args: {
+				text: 'text the messages contain',
+				author: 'messages posted by that user',
+				channel: 'messages posted on that channel',
+				from: 'messages posted since then',
+				to: 'messages posted until then (a date includes the whole day)'
+			},
+			expected: {
+				author: 'a user or a user ID',
+				channel: 'a channel or a channel ID',
+				from: 'a date (YYYY-MM-DD) or a time (YYYY-MM-DDTHH:MM)',
+				to: 'a date (YYYY-MM-DD) or a time (YYYY-MM-DDTHH:MM)'
+			}
+		},
+		history: {
+			description: 'Shows the edits and the deletion of an archived message.',
+			args: {message: 'ID of the message'},
+			expected: {message: 'a message ID'}
+		}
+	},
+	guildOnly: 'Only guild messages are archived.',
+	noText: '*(no text)*',
+	search: {
+		title: 'Search',
+		none: 'No archived messages match the search.',
+		found: {
+			one: 'Found {count} message. Use the {command} command to see edits of a message.',
+			other: 'Found {count} messages. Use the {command} command to see edits of a message.'
+		},
+		source: '{author} in #{channel}',
+		edited: 'edited',
+		deleted: 'deleted',
+		id: 'ID: {id}'
+	},
+	history: {
+		title: 'Message history',
+		missing: 'Message {id} isn\'t archived.',
+		channel: 'Channel: {channel}',
+		attachment: 'Attachment: {attachment}',
+		posted: 'Posted',
+		edit: 'Edit {number}',
+		deleted: 'Deleted',
+		footer: 'Author ID: {author} | Message ID: {message}'
+	}
+};
@@ -0,0 +1,77 @@
+/** English messages of the config plugin (see locales/en).
+ * @module locales/en/config */
+
+/** @type {Catalog} */
+export default {
+	description: 'Commands to show and change plugins\' settings, and to export and import guild configs.',
+	commands: {
+		config: {
+			description:
+				'Shows and changes plugins\' settings on this channel or guild. Channel settings override ' +
+				'guild settings, which override the defaults.',
+			args: {
+				action: 'show a setting, change it, remove it, or show all settings of a plugin',
+				setting: 'the setting, e.g. `utils.prefix` (only the plugin\'s name for show)',
+				value: 'the new value (text, or JSON for other types)',
+				scope: 'the config to change or show (the channel\'s by default, ignored in DMs)'
+			},
+			expected: {
+				setting: 'a setting (plugin.setting) of a loaded plugin',
+				value: 'a value'
+			}
+		},
+		export: {
+			description:
+				'Exports this guild\'s config (including the defaults it inherits) as a JSON file, ' +
+				'which can be imported on another guild.'
+		},
+		import: {
+			description:
+				'Imports a guild config exported with the export command. Attach the file to the message, ' +
+				'check the changes and confirm them.'
+		}
+	},
+	title: 'Config',
+	settings: {
+		channel: 'Settings of plugin {plugin} on this channel:',
+		guild: 'Settings of plugin {plugin} on this guild:'
+	},
+	value: {
+		channel: '{setting} on this channel: {value}',
+		guild: '{setting} on this guild: {value}'
+	},
+	set: '{setting} set to {value}.',
+	removed: {
+		channel: '{setting} removed from this channel, now it\'s {value}.',
+		guild: '{setting} removed from this guild, now it\'s {value}.'
+	},
+	notSet: {
+		channel: '{setting} isn\'t set on this channel.',
+		guild: '{setting} isn\'t set on this guild.'
+	},
+	cannotChange: 'Cannot change {setting}: {error}',
+	confirmSet: '{setting} will be set to {value} on all channels of this guild which don\'t override it.',
+	confirmUnset: '{setting} will be removed from this guild\'s config.',
+	setting: {
+		notSet: 'not set',
+		value: '{value} (from {layer})'
+	},
+	layers: {
+		default: 'the defaults',
+		guild: 'the guild\'s config',
+		channel: 'the channel\'s config'
+	},
+	export: {
+		title: 'Export',
+		guildOnly: 'Only guild configs can be exported.',
+		exported: 'Config of {guild}. Attach it to the import command to use it on another guild.'
+	},
+	import: {
+		title: 'Import',
+		guildOnly: 'Configs can be imported to guilds only.',
+		failed: 'Cannot import {file}: {error}',
+		same: 'The imported config is the same as the current one.',
+		confirm: 'These changes will be applied to this guild\'s config.',
+		imported: 'Config imported. The previous data was backed up to {file}.'
+	}
+};
@@ -0,0 +1,17 @@
+/** English messages of the log plugin (see locales/en).
+ * @module locales/en/log */
+
+/** @type {Catalog} */
+export default {
+	description: 'Logs messages and reports deleted and edited ones to a log channel.',
+	report: {
+		deleted: 'Message deleted',
+		edited: 'Message edited',
+		before: 'Before',
+		after: 'After',
+		channel: 'Channel',
+		attachments: 'Attachments',
+		noText: '*(no text)*',
+		footer: 'Author ID: {author} | Message ID: {message}'
+	}
+};
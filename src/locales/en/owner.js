@@ -0,0 +1,81 @@
+/** English messages of the owner plugin (see locales/en).
+ * @module locales/en/owner */
+
+/** @type {Catalog} */
+export default {
+	description: 'Commands changing the whole bot, only the bot\'s owners can use them.',
+	expected: {
+		plugin: 'a plugin name'
+	},
+	commands: {
+		load: {
+			description: 'Loads a plugin from the plugins directory while the bot is running.',
+			args: {file: 'name of the plugin\'s file, e.g. `utils` or `utils.js`'}
+		},
+		unload: {
+			description: 'Unloads a plugin while the bot is running. The owner plugin can\'t be unloaded.',
+			args: {plugin: 'the plugin to unload'}
+		},
+		reload: {
+			description: 'Reloads a plugin (or all plugins) from its file, applying changes made to its code.',
+			args: {plugin: 'the plugin to reload (all plugins if omitted)'}
+		},
+		storage: {
+			description: 'Shows where the bot\'s data is kept, or moves it to another storage.',
+			args: {
+				action: 'move the data',
+				type: 'the storage to move the data to'
+			}
+		},
+		loglevel: {
+			description: 'Shows or changes the minimal level of messages written to the bot\'s log.',
+			args: {level: 'the new level'}
+		},
+		backup: {
+			description:
+				'Lists backups of the bot\'s data, makes a new one or restores one. Backups are also made ' +
+				'automatically when the data changes (at most once an hour).',
+			args: {
+				action: 'list backups (default), make a backup or restore one',
+				backup: 'file name of the backup to restore'
+			}
+		}
+	},
+	plugins: {
+		title: 'Plugins',
+		files: {
+			load: 'Plugin {plugin} loaded.',
+			unload: 'Plugin {plugin} unloaded.',
+			reload: 'Plugin {plugin} reloaded.'
+		},
+		failed: {
+			load: 'Cannot load {target}: {error}',
+			unload: 'Cannot unload {target}: {error}',
+			reload: 'Cannot reload {target}: {error}'
+		},
+		cannotUnload: 'Plugin {plugin} can\'t be unloaded, there would be no way to load it back.',
+		reloadedAll: 'Reloaded plugins:',
+		reloaded: 'reloaded',
+		reloadFailed: 'failed: {error}',
+		noFiles: 'There are no plugins loaded from files.'
+	},
+	backups: {
+		title: 'Backups',
+		list: 'Up to {count} backups of each kind are kept, the newest ones:',
+		none: 'There are no backups yet.',
+		created: 'Data backed up to {file}.',
+		restored: 'Data restored from {file}. The previous data was backed up too, so it can be restored as well.',
+		failed: 'Cannot restore {backup}: {error}'
+	},
+	storage: {
+		title: 'Storage',
+		current: 'The data is kept in {type} storage ({file}).',
+		moved: 'The data was moved to {type} storage ({file}).',
+		failed: 'Cannot move the data: {error}'
+	},
+	logLevel: {
+		title: 'Log level',
+		current: 'Messages of level {level} and higher are logged (levels: {levels}).',
+		changed: 'Log level changed to {level}.'
+	}
+};
@@ -0,0 +1,68 @@
+/** English messages of the permissions plugin (see locales/en).
+ * @module locales/en/permissions */
+
+/** @type {Catalog} */
+export default {
+	description: 'Commands to manage permission levels of roles and users.',
+	args: {
+		page: 'page number',
+		scope: 'apply the changes to the whole guild instead of this channel (ignored in DMs)'
+	},
+	commands: {
+		operators: {
+			description: 'Lists operators of this guild.'
+		},
+		permissions: {
+			description:
+				'Lists, grants and revokes permission levels of roles and users. Permissions are combined: ' +
+				'members get the highest level granted to them or to any of their roles. A level granted ' +
+				'on a channel replaces the one granted on its guild to the same role or user. Members ' +
+				'with the `Administrator` permission are always operators.',
+			args: {
+				action: 'list permissions (default), grant a level or revoke it',
+				level: 'the level to grant',
+				target: 'a role (mention, ID or name) or a user (mention, ID or nickname)'
+			},
+			expected: {target: 'a role or a user'}
+		}
+	},
+	title: 'Permissions',
+	guildOnly: 'Permissions apply to guild channels only.',
+	granted: {
+		channel: 'Permissions granted on this channel:',
+		guild: 'Permissions granted on this guild:'
+	},
+	none: {
+		channel: '{target} has no permissions granted on this channel.',
+		guild: '{target} has no permissions granted on this guild.'
+	},
+	grant: {
+		channel: '{target} granted {level} permissions on this channel.',
+		guild: '{target} granted {level} permissions on this guild.'
+	},
+	revoke: {
+		channel: '{target}\'s permissions revoked on this channel.',
+		guild: '{target}\'s permissions revoked on this guild.'
+	},
+	confirmGrant: '{target} will be granted {level} permissions on all channels of this guild which don\'t override them.',
+	confirmRevoke: '{target}\'s permissions will be revoked on all channels of this guild which don\'t override them.',
+	tooHigh: 'You can\'t grant {level} permissions, as you don\'t have them on the whole guild.',
+	targets: {
+		roles: 'Role {name}',
+		users: 'User {name}'
+	},
+	fields: {
+		roles: 'Role: {name}',
+		users: 'User: {name}',
+		unknown: 'Unknown (ID: {id})'
+	},
+	operators: {
+		title: 'Operator',
+		usage: 'Usage:',
+		description:
+			'Operators can change the bot config. Members with the `Administrator` permission are always ' +
+			'operators, other members and roles can be granted operator permissions with the `permissions` command.',
+		list: 'Operators:',
+		guildOnly: 'Operator permissions apply to guild channels only.'
+	}
+};
@@ -0,0 +1,18 @@
+/** English messages of the utils plugin (see locales/en).
+ * @module locales/en/utils */
+
+/** @type {Catalog} */
+export default {
+	description: 'Random useful commands.',
+	commands: {
+		user: {
+			description: 'Finds users by their mentions, IDs or names.',
+			args: {users: 'users to find'}
+		}
+	},
+	user: {
+		title: 'User',
+		missing: 'Who do you want me to find?',
+		notFound: 'Can\'t find user "{user}".'
+	}
+};
@@ -0,0 +1,96 @@
+/** Polish messages.
+ *  Sections of plugins are kept in their own modules.
+ * @module locales/pl */
+
+import admin from './pl/admin.js';
+import archive from './pl/archive.js';
+import config from './pl/config.js';
+import log from './pl/log.js';
+import owner from './pl/owner.js';
+import permissions from './pl/permissions.js';
+import utils from './pl/utils.js';
+
+/** @type {Catalog} */
+export default {
+	language: {
+		name: 'Polski'
+	},
+	plugin: {
+		help: {
+			title: 'Pomoc',
+			commandTitle: 'Pomoc: {command}',
+			noDescription: 'Ta komenda nie ma opisu.',
+			usage: 'Użycie',
+			aliases: 'Aliasy',
+			arguments: 'Argumenty',
+			permission: 'Uprawnienia',
+			argumentPermission: '{level}, żeby użyć {argument}',
+			cooldown: 'Odnowienie',
+			cooldownValue: '{seconds} s (na {scope})',
+			examples: 'Przykłady'
+		},
+		invalidArguments: {
+			title: 'Nieprawidłowe parametry',
+			usage: 'Użycie:'
+		},
+		arguments: {
+			invalid: 'Nieprawidłowy parametr {name}: "{value}" to nie {expected}.',
+			missing: 'Brakuje parametru {name}.',
+			unknownFlag: 'Nieznana flaga: {flag}.',
+			missingFlagValue: 'Brakuje wartości flagi --{name}.',
+			unexpected: 'Nieoczekiwany parametr: "{value}".',
+			types: {
+				string: 'tekst',
+				integer: 'liczba całkowita',
+				integerMax: 'liczba całkowita nie większa niż {max}',
+				integerMin: 'liczba całkowita nie mniejsza niż {min}',
+				integerRange: 'liczba całkowita od {min} do {max}',
+				user: 'użytkownik',
+				channel: 'kanał',
+				role: 'rola',
+				enum: 'jedna z wartości: {values}',
+				custom: 'prawidłowa wartość'
+			}
+		},
+		pages: {
+			page: 'Strona {page}/{count}',
+			missing: 'Nie ma strony {page}, ostatnia strona to {count}.'
+		},
+		permissionDenied: {
+			title: 'Brak uprawnień',
+			description: 'Ta komenda wymaga uprawnień {level}. Użyj komendy `operators`, żeby sprawdzić, kto je ma.',
+			owner: 'Ta komenda zmienia całego bota, mogą jej używać tylko właściciele bota.'
+		},
+		prompt: {
+			cancel: 'anuluj',
+			cancelled: 'Anulowano.',
+			yes: 'tak',
+			no: 'nie',
+			confirm: 'Odpowiedz {yes} lub zareaguj {confirm} w ciągu {time}, żeby potwierdzić, odpowiedz {no} lub zareaguj {cancel}, żeby anulować.',
+			minutes: {
+				one: 'minuty',
+				few: '{count} minut',
+				many: '{count} minut',
+				other: '{count} minuty'
+			}
+		},
+		slowDown: {
+			title: 'Zwolnij',
+			cooldown: 'Komenda {command} się odnawia. {retry}',
+			rateLimit: 'Używasz komend zbyt szybko. {retry}',
+			retry: {
+				one: 'Spróbuj ponownie za {count} sekundę.',
+				few: 'Spróbuj ponownie za {count} sekundy.',
+				many: 'Spróbuj ponownie za {count} sekund.',
+				other: 'Spróbuj ponownie za {count} sekundy.'
+			}
+		}
+	},
+	admin,
+	archive,
+	config,
+	log,
+	owner,
+	permissions,
+	utils
+};
@@ -0,0 +1,134 @@
+/** Polish messages of the admin plugin (see locales/pl).
+ * @module locales/pl/admin */
+
+/** @type {Catalog} */
+export default {
+	description: 'Komendy do administrowania botem {bot}.',
+	args: {
+		page: 'numer strony',
+		scope: 'wprowadza zmiany na całym serwerze zamiast na tym kanale (ignorowane na kanałach prywatnych)'
+	},
+	expected: {
+		plugin: 'nazwa pluginu'
+	},
+	commands: {
+		help: {
+			description: 'Wyświetla dostępne komendy albo szczegóły pluginu lub komendy.',
+			args: {topic: 'plugin lub komenda do opisania'},
+			expected: {topic: 'plugin lub komenda'}
+		},
+		plugins: {
+			description: 'Włącza, wyłącza lub resetuje pluginy na tym kanale lub serwerze. Bez parametrów wyświetla dostępne pluginy.',
+			args: {
+				action: 'włącza lub wyłącza plugin albo przywraca jego domyślny stan',
+				plugin: 'plugin do zmiany'
+			}
+		},
+		prefix: {
+			description:
+				'Wyświetla prefiks komend używany na tym kanale albo go zmienia (to wymaga uprawnień operatora). ' +
+				'Zamiast prefiksu możesz też mnie oznaczyć.',
+			args: {
+				action: 'ustawia nowy prefiks lub przywraca domyślny',
+				prefix: 'nowy prefiks (do 16 znaków bez spacji)',
+				plugin: 'zmienia prefiks tylko tego pluginu'
+			},
+			expected: {prefix: 'prefiks (do 16 znaków bez spacji)'}
+		},
+		language: {
+			description: 'Wyświetla język moich odpowiedzi na tym kanale albo go zmienia (to wymaga uprawnień operatora).',
+			args: {
+				action: 'ustawia nowy język lub przywraca domyślny',
+				language: 'kod nowego języka'
+			},
+			expected: {language: 'kod języka ({languages})'}
+		},
+		version: {
+			description: 'Wyświetla wersję bota {bot}.'
+		}
+	},
+	version: {
+		title: 'Wersja'
+	},
+	help: {
+		title: 'Pomoc',
+		pluginTitle: 'Pomoc: {plugin}',
+		details: 'Użyj {commandHelp} lub {pluginHelp}, żeby dowiedzieć się więcej.',
+		commands: 'Komendy:',
+		missing: 'Nie ma tu komendy ani pluginu o nazwie "{topic}".'
+	},
+	plugins: {
+		title: 'Pluginy',
+		usage: 'Użycie:',
+		description:
+			'Akcje:\n' +
+			'- enable - włącza plugin,\n' +
+			'- disable - wyłącza plugin,\n' +
+			'- default - przywraca domyślny stan pluginu.\n' +
+			'\n' +
+			'Jeśli nazwa pluginu zawiera spacje, użyj cudzysłowów.\n' +
+			'Jeśli dodasz "guild" na końcu, zmiany zostaną wprowadzone w konfiguracji serwera ' +
+			'zamiast kanału (ta opcja jest ignorowana na kanałach prywatnych i grupowych).',
+		available: 'Dostępne pluginy:',
+		already: {
+			enable: {
+				channel: 'Plugin {plugin} już jest włączony na tym kanale.',
+				guild: 'Plugin {plugin} już jest włączony na tym serwerze.'
+			},
+			disable: {
+				channel: 'Plugin {plugin} już jest wyłączony na tym kanale.',
+				guild: 'Plugin {plugin} już jest wyłączony na tym serwerze.'
+			}
+		},
+		confirm: {
+			enable: 'Plugin {plugin} zostanie włączony na wszystkich kanałach tego serwera, które tego nie zmieniają.',
+			disable: 'Plugin {plugin} zostanie wyłączony na wszystkich kanałach tego serwera, które tego nie zmieniają.',
+			default: 'Plugin {plugin} wróci do domyślnego stanu na wszystkich kanałach tego serwera, które tego nie zmieniają.'
+		},
+		changed: {
+			enable: {
+				channel: 'Plugin {plugin} włączony na tym kanale.',
+				guild: 'Plugin {plugin} włączony na tym serwerze.'
+			},
+			disable: {
+				channel: 'Plugin {plugin} wyłączony na tym kanale.',
+				guild: 'Plugin {plugin} wyłączony na tym serwerze.'
+			},
+			default: {
+				channel: 'Plugin {plugin} wrócił do domyślnego stanu na tym kanale.',
+				guild: 'Plugin {plugin} wrócił do domyślnego stanu na tym serwerze.'
+			}
+		}
+	},
+	prefix: {
+		title: 'Prefiks',
+		current: 'Prefiks na tym kanale: {prefix}\nZamiast prefiksu możesz też mnie oznaczyć, np. {example}.',
+		subject: 'Prefiks',
+		pluginSubject: 'Prefiks pluginu {plugin}',
+		set: {
+			channel: '{subject} ustawiony na {prefix} na tym kanale.',
+			guild: '{subject} ustawiony na {prefix} na tym serwerze.'
+		},
+		reset: {
+			channel: '{subject} przywrócony do domyślnego na tym kanale.',
+			guild: '{subject} przywrócony do domyślnego na tym serwerze.'
+		},
+		confirmSet: '{subject} zostanie ustawiony na {prefix} na wszystkich kanałach tego serwera, które go nie zmieniają.',
+		confirmReset: '{subject} zostanie przywrócony do domyślnego na wszystkich kanałach tego serwera, które go nie zmieniają.'
+	},
+	language: {
+		title: 'Język',
+		current: 'Język na tym kanale: {language}',
+		available: 'Dostępne języki: {languages}',
+		set: {
+			channel: 'Ustawiono język {language} na tym kanale.',
+			guild: 'Ustawiono język {language} na tym serwerze.'
+		},
+		reset: {
+			channel: 'Przywrócono domyślny język na tym kanale, teraz to {language}.',
+			guild: 'Przywrócono domyślny język na tym serwerze, teraz to {language}.'
+		},
+		confirmSet: 'Język zostanie ustawiony na {language} na wszystkich kanałach tego serwera, które go nie zmieniają.',
+		confirmReset: 'Zostanie przywrócony domyślny język na wszystkich kanałach tego serwera, które go nie zmieniają.'
+	}
+};
@@ -0,0 +1,59 @@
+/** Polish messages of the archive plugin (see locales/pl).
+ * @module locales/pl/archive */
+
+/** @type {Catalog} */
+export default {
+	description: 'Archiwizuje wiadomości serwerów razem z ich edycjami i usunięciami, żeby operatorzy mogli je przeszukiwać.',
+	args: {
+		page: 'numer strony'
+	},
+	commands: {
+		search: {
+			description: 'Przeszukuje zarchiwizowane wiadomości tego serwera, od najnowszych.',
+			args: {
+				text: 'tekst zawarty w wiadomościach',
+				author: 'wiadomości wysłane przez tego użytkownika',
+				channel: 'wiadomości wysłane na tym kanale',
+				from: 'wiadomości wysłane od tego czasu',
+				to: 'wiadomości wysłane do tego czasu (data obejmuje cały dzień)'
+			},
+			expected: {
+				author: 'użytkownik lub ID użytkownika',
+				channel: 'kanał lub ID kanału',
+				from: 'data (RRRR-MM-DD) lub czas (RRRR-MM-DDTGG:MM)',
+				to: 'data (RRRR-MM-DD) lub czas (RRRR-MM-DDTGG:MM)'
+			}
+		},
+		history: {
+			description: 'Pokazuje edycje i usunięcie zarchiwizowanej wiadomości.',
+			args: {message: 'ID wiadomości'},
+			expected: {message: 'ID wiadomości'}
+		}
+	},
+	guildOnly: 'Archiwizowane są tylko wiadomości z serwerów.',
+	noText: '*(brak tekstu)*',
+	search: {
+		title: 'Wyszukiwanie',
+		none: 'Żadna zarchiwizowana wiadomość nie pasuje do wyszukiwania.',
+		found: {
+			one: 'Znaleziono {count} wiadomość. Użyj komendy {command}, żeby zobaczyć edycje wiadomości.',
+			few: 'Znaleziono {count} wiadomości. Użyj komendy {command}, żeby zobaczyć edycje wiadomości.',
+			many: 'Znaleziono {count} wiadomości. Użyj komendy {command}, żeby zobaczyć edycje wiadomości.',
+			other: 'Znaleziono {count} wiadomości. Użyj komendy {command}, żeby zobaczyć edycje wiadomości.'
+		},
+		source: '{author} na #{channel}',
+		edited: 'edytowana',
+		deleted: 'usunięta',
+		id: 'ID: {id}'
+	},
+	history: {
+		title: 'Historia wiadomości',
+		missing: 'Wiadomość {id} nie jest zarchiwizowana.',
+		channel: 'Kanał: {channel}',
+		attachment: 'Załącznik: {attachment}',
+		posted: 'Wysłano',
+		edit: 'Edycja {number}',
+		deleted: 'Usunięto',
+		footer: 'ID autora: {author} | ID wiadomości: {message}'
+	}
+};
@@ -0,0 +1,77 @@
+/** Polish messages of the config plugin (see locales/pl).
+ * @module locales/pl/config */
+
+/** @type {Catalog} */
+export default {
+	description: 'Komendy do wyświetlania i zmieniania ustawień pluginów oraz eksportowania i importowania konfiguracji serwerów.',
+	commands: {
+		config: {
+			description:
+				'Wyświetla i zmienia ustawienia pluginów na tym kanale lub serwerze. Ustawienia kanału mają ' +
+				'pierwszeństwo przed ustawieniami serwera, a te przed domyślnymi.',
+			args: {
+				action: 'wyświetla ustawienie, zmienia je, usuwa je lub wyświetla wszystkie ustawienia pluginu',
+				setting: 'ustawienie, np. `utils.prefix` (przy show tylko nazwa pluginu)',
+				value: 'nowa wartość (tekst albo JSON dla innych typów)',
+				scope: 'konfiguracja do zmiany lub wyświetlenia (domyślnie kanału, ignorowane na kanałach prywatnych)'
+			},
+			expected: {
+				setting: 'ustawienie (plugin.ustawienie) załadowanego pluginu',
+				value: 'wartość'
+			}
+		},
+		export: {
+			description:
+				'Eksportuje konfigurację tego serwera (razem z dziedziczonymi ustawieniami domyślnymi) do pliku JSON, ' +
+				'który można zaimportować na innym serwerze.'
+		},
+		import: {
+			description:
+				'Importuje konfigurację serwera wyeksportowaną komendą export. Dołącz plik do wiadomości, ' +
+				'sprawdź zmiany i potwierdź je.'
+		}
+	},
+	title: 'Konfiguracja',
+	settings: {
+		channel: 'Ustawienia pluginu {plugin} na tym kanale:',
+		guild: 'Ustawienia pluginu {plugin} na tym serwerze:'
+	},
+	value: {
+		channel: '{setting} na tym kanale: {value}',
+		guild: '{setting} na tym serwerze: {value}'
+	},
+	set: 'Ustawiono {setting} na {value}.',
+	removed: {
+		channel: 'Usunięto {setting} z tego kanału, teraz to {value}.',
+		guild: 'Usunięto {setting} z tego serwera, teraz to {value}.'
+	},
+	notSet: {
+		channel: '{setting} nie jest ustawione na tym kanale.',
+		guild: '{setting} nie jest ustawione na tym serwerze.'
+	},
+	cannotChange: 'Nie można zmienić {setting}: {error}',
+	confirmSet: '{setting} zostanie ustawione na {value} na wszystkich kanałach tego serwera, które tego nie zmieniają.',
+	confirmUnset: '{setting} zostanie usunięte z konfiguracji tego serwera.',
+	setting: {
+		notSet: 'nie ustawiono',
+		value: '{value} (z {layer})'
+	},
+	layers: {
+		default: 'domyślnych ustawień',
+		guild: 'konfiguracji serwera',
+		channel: 'konfiguracji kanału'
+	},
+	export: {
+		title: 'Eksport',
+		guildOnly: 'Eksportować można tylko konfiguracje serwerów.',
+		exported: 'Konfiguracja serwera {guild}. Dołącz ją do komendy import, żeby użyć jej na innym serwerze.'
+	},
+	import: {
+		title: 'Import',
+		guildOnly: 'Konfiguracje można importować tylko na serwery.',
+		failed: 'Nie można zaimportować {file}: {error}',
+		same: 'Importowana konfiguracja jest taka sama jak obecna.',
+		confirm: 'Te zmiany zostaną wprowadzone w konfiguracji tego serwera.',
+		imported: 'Zaimportowano konfigurację. Poprzednie dane zapisano w kopii {file}.'
+	}
+};
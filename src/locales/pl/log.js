@@ -0,0 +1,17 @@
+/** Polish messages of the log plugin (see locales/pl).
+ * @module locales/pl/log */
+
+/** @type {Catalog} */
+export default {
+	description: 'Zapisuje wiadomości i zgłasza usunięte i edytowane wiadomości na kanale logów.',
+	report: {
+		deleted: 'Usunięto wiadomość',
+		edited: 'Edytowano wiadomość',
+		before: 'Przed',
+		after: 'Po',
+		channel: 'Kanał',
+		attachments: 'Załączniki',
+		noText: '*(brak tekstu)*',
+		footer: 'ID autora: {author} | ID wiadomości: {message}'
+	}
+};
@@ -0,0 +1,86 @@
+/** Polish messages of the owner plugin (see locales/pl).
+ * @module locales/pl/owner */
+
+/** @type {Catalog} */
+export default {
+	description: 'Komendy zmieniające całego bota, mogą ich używać tylko właściciele bota.',
+	expected: {
+		plugin: 'nazwa pluginu'
+	},
+	commands: {
+		load: {
+			description: 'Ładuje plugin z katalogu pluginów podczas działania bota.',
+			args: {file: 'nazwa pliku pluginu, np. `utils` lub `utils.js`'}
+		},
+		unload: {
+			description: 'Wyładowuje plugin podczas działania bota. Pluginu owner nie można wyładować.',
+			args: {plugin: 'plugin do wyładowania'}
+		},
+		reload: {
+			description: 'Przeładowuje plugin (lub wszystkie pluginy) z pliku, wprowadzając zmiany w jego kodzie.',
+			args: {plugin: 'plugin do przeładowania (wszystkie, jeśli go pominiesz)'}
+		},
+		storage: {
+			description: 'Wyświetla, gdzie są przechowywane dane bota, albo przenosi je do innego magazynu.',
+			args: {
+				action: 'przenosi dane',
+				type: 'magazyn, do którego zostaną przeniesione dane'
+			}
+		},
+		loglevel: {
+			description: 'Wyświetla lub zmienia minimalny poziom wiadomości zapisywanych w logach bota.',
+			args: {level: 'nowy poziom'}
+		},
+		backup: {
+			description:
+				'Wyświetla kopie zapasowe danych bota, tworzy nową lub przywraca którąś. Kopie są też tworzone ' +
+				'automatycznie, gdy dane się zmieniają (najwyżej raz na godzinę).',
+			args: {
+				action: 'wyświetla kopie (domyślnie), tworzy kopię lub przywraca którąś',
+				backup: 'nazwa pliku kopii do przywrócenia'
+			}
+		}
+	},
+	plugins: {
+		title: 'Pluginy',
+		files: {
+			load: 'Plugin {plugin} załadowany.',
+			unload: 'Plugin {plugin} wyładowany.',
+			reload: 'Plugin {plugin} przeładowany.'
+		},
+		failed: {
+			load: 'Nie można załadować {target}: {error}',
+			unload: 'Nie można wyładować {target}: {error}',
+			reload: 'Nie można przeładować {target}: {error}'
+		},
+		cannotUnload: 'Pluginu {plugin} nie można wyładować, nie byłoby jak go ponownie załadować.',
+		reloadedAll: 'Przeładowane pluginy:',
+		reloaded: 'przeładowany',
+		reloadFailed: 'błąd: {error}',
+		noFiles: 'Nie ma pluginów załadowanych z plików.'
+	},
+	backups: {
+		title: 'Kopie zapasowe',
+		list: {
+			one: 'Przechowywana jest {count} kopia każdego rodzaju, najnowsze:',
+			few: 'Przechowywane są do {count} kopii każdego rodzaju, najnowsze:',
+			many: 'Przechowywanych jest do {count} kopii każdego rodzaju, najnowsze:',
+			other: 'Przechowywane są do {count} kopii każdego rodzaju, najnowsze:'
+		},
+		none: 'Nie ma jeszcze kopii zapasowych.',
+		created: 'Zapisano kopię danych w {file}.',
+		restored: 'Przywrócono dane z {file}. Poprzednie dane również zapisano w kopii, więc też można je przywrócić.',
+		failed: 'Nie można przywrócić {backup}: {error}'
+	},
+	storage: {
+		title: 'Magazyn danych',
+		current: 'Dane są przechowywane w magazynie {type} ({file}).',
+		moved: 'Przeniesiono dane do magazynu {type} ({file}).',
+		failed: 'Nie można przenieść danych: {error}'
+	},
+	logLevel: {
+		title: 'Poziom logów',
+		current: 'Logowane są wiadomości poziomu {level} i wyższych (poziomy: {levels}).',
+		changed: 'Zmieniono poziom logów na {level}.'
+	}
+};
@@ -0,0 +1,68 @@
+/** Polish messages of the permissions plugin (see locales/pl).
+ * @module locales/pl/permissions */
+
+/** @type {Catalog} */
+export default {
+	description: 'Komendy do zarządzania poziomami uprawnień ról i użytkowników.',
+	args: {
+		page: 'numer strony',
+		scope: 'wprowadza zmiany na całym serwerze zamiast na tym kanale (ignorowane na kanałach prywatnych)'
+	},
+	commands: {
+		operators: {
+			description: 'Wyświetla operatorów tego serwera.'
+		},
+		permissions: {
+			description:
+				'Wyświetla, nadaje i odbiera uprawnienia ról i użytkowników. Uprawnienia się sumują: ' +
+				'członkowie mają najwyższy poziom nadany im lub dowolnej z ich ról. Poziom nadany na kanale ' +
+				'zastępuje poziom nadany tej samej roli lub użytkownikowi na serwerze. Członkowie ' +
+				'z uprawnieniem `Administrator` zawsze są operatorami.',
+			args: {
+				action: 'wyświetla uprawnienia (domyślnie), nadaje poziom lub go odbiera',
+				level: 'poziom do nadania',
+				target: 'rola (oznaczenie, ID lub nazwa) lub użytkownik (oznaczenie, ID lub pseudonim)'
+			},
+			expected: {target: 'rola lub użytkownik'}
+		}
+	},
+	title: 'Uprawnienia',
+	guildOnly: 'Uprawnienia dotyczą tylko kanałów serwerów.',
+	granted: {
+		channel: 'Uprawnienia nadane na tym kanale:',
+		guild: 'Uprawnienia nadane na tym serwerze:'
+	},
+	none: {
+		channel: '{target} nie ma nadanych uprawnień na tym kanale.',
+		guild: '{target} nie ma nadanych uprawnień na tym serwerze.'
+	},
+	grant: {
+		channel: '{target} otrzymuje uprawnienia {level} na tym kanale.',
+		guild: '{target} otrzymuje uprawnienia {level} na tym serwerze.'
+	},
+	revoke: {
+		channel: '{target} traci uprawnienia na tym kanale.',
+		guild: '{target} traci uprawnienia na tym serwerze.'
+	},
+	confirmGrant: '{target} otrzyma uprawnienia {level} na wszystkich kanałach tego serwera, które ich nie zmieniają.',
+	confirmRevoke: '{target} straci uprawnienia na wszystkich kanałach tego serwera, które ich nie zmieniają.',
+	tooHigh: 'Nie możesz nadać uprawnień {level}, bo nie masz ich na całym serwerze.',
+	targets: {
+		roles: 'Rola {name}',
+		users: 'Użytkownik {name}'
+	},
+	fields: {
+		roles: 'Rola: {name}',
+		users: 'Użytkownik: {name}',
+		unknown: 'Nieznany (ID: {id})'
+	},
+	operators: {
+		title: 'Operator',
+		usage: 'Użycie:',
+		description:
+			'Operatorzy mogą zmieniać konfigurację bota. Członkowie z uprawnieniem `Administrator` zawsze są ' +
+			'operatorami, innym członkom i rolom można nadać uprawnienia operatora komendą `permissions`.',
+		list: 'Operatorzy:',
+		guildOnly: 'Uprawnienia operatora dotyczą tylko kanałów serwerów.'
+	}
+};
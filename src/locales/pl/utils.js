@@ -0,0 +1,18 @@
+/** Polish messages of the utils plugin (see locales/pl).
+ * @module locales/pl/utils */
+
+/** @type {Catalog} */
+export default {
+	description: 'Różne przydatne komendy.',
+	commands: {
+		user: {
+			description: 'Znajduje użytkowników po oznaczeniach, ID lub nazwach.',
+			args: {users: 'użytkownicy do znalezienia'}
+		}
+	},
+	user: {
+		title: 'Użytkownik',
+		missing: 'Kogo mam znaleźć?',
+		notFound: 'Nie mogę znaleźć użytkownika "{user}".'
+	}
+};
@@ -0,0 +1,140 @@
+/** Migrations upgrading Saiko's data from older versions. The data's version
+ *  is kept in its `dataVersion` property (`version` is the bot's version).
+ *  To change the data format, add a migration with the next version number.
+ * @module migrations */
+
+/** A migration upgrading the data to a version.
+ * @typedef Migration
+ * @type {object}
+ * @property {number} version - the version of the upgraded data
+ * @property {string} description - what the migration changes
+ * @property {function} migrate - a function which gets the data and returns the upgraded data */
+
+/** Moves the archive settings of the log plugin (`archive` and `archiveDays`)
+ *  in a config section to the archive plugin's section.
+ * @param {object} [config] - a config section (defaults, or a guild's or a channel's config)
+ * @returns {object} - the upgraded section */
+const moveArchiveSettings = config => {
+	if (!config || !config.plugins || !config.plugins.log)
+		return config;
+
+	const {archive, archiveDays, ...logConfig} = config.plugins.log;
+	const archiveConfig = {
+		...archive === undefined ? {} : {enabled: archive},
+		...archiveDays === undefined ? {} : {days: archiveDays}
+	};
+
+	return {
+		...config,
+		plugins: {
+			...config.plugins,
+			log: logConfig,
+			...Object.keys(archiveConfig).length === 0 ? {} : {archive: {...config.plugins.archive, ...archiveConfig}}
+		}
+	};
+};
+
+/** Plugins split out of the admin plugin.
+ * @type {array<string>} */
+const adminPlugins = ['config', 'owner', 'permissions'];
+
+/** Enables or disables the plugins split out of the admin plugin in a config
+ *  section wherever the admin plugin is enabled or disabled. Settings the
+ *  section already has for those plugins are kept.
+ * @param {object} [config] - a config section (defaults, or a guild's or a channel's config)
+ * @returns {object} - the upgraded section */
+const copyAdminState = config => {
+	const admin = config && config.plugins && config.plugins.admin;
+
+	if (!admin || admin.enabled === undefined)
+		return config;
+
+	return {
+		...config,
+		plugins: Object.assign({}, config.plugins, ...adminPlugins.map(name => ({
+			[name]: {enabled: admin.enabled, ...config.plugins[name]}
+		})))
+	};
+};
+
+/** Applies a function to each config section of the data.
+ * @param {function} upgrade - gets a config section and returns the upgraded one
+ * @param {object} data
+ * @returns {object} - the upgraded data */
+const upgradeConfigs = (upgrade, data) => {
+	const upgradeAll = configs => configs && Object.keys(configs)
+		.reduce((upgraded, id) => ({...upgraded, [id]: upgrade(configs[id])}), {});
+
+	return {
+		...data,
+		...data.defaults === undefined ? {} : {defaults: upgrade(data.defaults)},
+		...data.guilds === undefined ? {} : {guilds: upgradeAll(data.guilds)},
+		...data.channels === undefined ? {} : {channels: upgradeAll(data.channels)}
+	};
+};
+
+/** All migrations, from the oldest.
+ * @type {array<Migration>} */
+export const migrations = [
+	{
+		version: 1,
+		description: 'Adds missing lists and config sections',
+		migrate: data => ({
+			pluginPaths: [],
+			pluginPackages: [],
+			defaults: {},
+			guilds: {},
+			channels: {},
+			...data
+		})
+	},
+	{
+		version: 2,
+		description: 'Adds the section of plugins\' stores',
+		migrate: data => ({pluginData: {}, ...data})
+	},
+	{
+		version: 3,
+		description: 'Moves the message archive from the log plugin to the archive plugin',
+		migrate: data => upgradeConfigs(moveArchiveSettings, data)
+	},
+	{
+		version: 4,
+		description: 'Enables the plugins split out of the admin plugin wherever it\'s enabled',
+		migrate: data => upgradeConfigs(copyAdminState, data)
+	}
+];
+
+/** The version of the data written by this version of Saiko.
+ * @type {number} */
+export const latestVersion = Math.max(0, ...migrations.map(migration => migration.version));
+
+/** Returns the data's version. Data without a version is assumed to be from
+ *  before versioning (version 0).
+ * @param {object} data
+ * @returns {number} - the version */
+export const getDataVersion = data =>
+	Number.isInteger(data.dataVersion) ? data.dataVersion : 0;
+
+/** Returns migrations which haven't been applied to the data yet.
+ * @param {object} data
+ * @returns {array<Migration>} - the migrations, in the order they should be applied */
+export const getPendingMigrations = data =>
+	migrations
+		.filter(migration => migration.version > getDataVersion(data))
+		.sort((a, b) => a.version - b.version);
+
+/** Upgrades the data to the latest version.
+ * @param {object} data
+ * @returns {object} - new, upgraded data
+ * @throws {Error} - if the data is newer than this version of Saiko */
+export const migrateData = data => {
+	if (getDataVersion(data) > latestVersion)
+		throw new Error(
+			`The data has version ${getDataVersion(data)}, but this version of Saiko ` +
+			`supports versions up to ${latestVersion}`
+		);
+
+	return getPendingMigrations(data)
+		.reduce((data, migration) => ({...migration.migrate(data), dataVersion: migration.version}), data);
+};
@@ -0,0 +1,220 @@
+/** Options of the bot, read from command-line flags and environment variables.
+ * @module options */
+
+import path from 'path';
+import * as log from './functions/log.js';
+
+/** An option which can be set with a flag or an environment variable.
+ * @typedef OptionDefinition
+ * @type {object}
+ * @property {string} name - the option's key in the parsed options
+ * @property {string} flag - the command-line flag, used as --flag
+ * @property {string} [env] - the environment variable
+ * @property {string} type - string, integer, boolean or list (a list can be set with more flags,
+ *  or with an environment variable separated by the system's path delimiter)
+ * @property {array<string>} [values] - valid values of the option
+ * @property {*} [default] - value used if the option isn't set
+ * @property {string} description - a human-readable description of the option */
+
+/** All options. Flags take precedence over environment variables.
+ * @type {array<OptionDefinition>} */
+export const definitions = [
+	{
+		name: 'dataPath',
+		flag: 'data-path',
+		env: 'SAIKO_DATA_PATH',
+		type: 'string',
+		default: './data/',
+		description: 'path to the data folder'
+	},
+	{
+		name: 'token',
+		flag: 'token',
+		env: 'SAIKO_TOKEN',
+		type: 'string',
+		default: null,
+		description: 'bot\'s token, overrides the one from the data'
+	},
+	{
+		name: 'logLevel',
+		flag: 'log-level',
+		env: 'SAIKO_LOG_LEVEL',
+		type: 'string',
+		values: log.levels,
+		default: 'info',
+		description: 'minimal level of logged messages'
+	},
+	{
+		name: 'logFormat',
+		flag: 'log-format',
+		env: 'SAIKO_LOG_FORMAT',
+		type: 'string',
+		values: log.formats,
+		default: 'text',
+		description: 'format of logged messages: colored text or JSON lines'
+	},
+	{
+		name: 'logFile',
+		flag: 'log-file',
+		env: 'SAIKO_LOG_FILE',
+		type: 'string',
+		default: null,
+		description: 'file to write logged messages to, in addition to the console'
+	},
+	{
+		name: 'logMaxSize',
+		flag: 'log-max-size',
+		env: 'SAIKO_LOG_MAX_SIZE',
+		type: 'integer',
+		default: 10,
+		description: 'size (in megabytes) at which the log file is rotated'
+	},
+	{
+		name: 'logMaxAge',
+		flag: 'log-max-age',
+		env: 'SAIKO_LOG_MAX_AGE',
+		type: 'integer',
+		default: 24,
+		description: 'age (in hours) at which the log file is rotated'
+	},
+	{
+		name: 'logMaxFiles',
+		flag: 'log-max-files',
+		env: 'SAIKO_LOG_MAX_FILES',
+		type: 'integer',
+		default: 5,
+		description: 'number of rotated log files to keep'
+	},
+	{
+		name: 'pluginPaths',
+		flag: 'plugin-path',
+		env: 'SAIKO_PLUGIN_PATHS',
+		type: 'list',
+		default: [],
+		description: 'more directories with plugins, added to the ones from the data'
+	},
+	{
+		name: 'nonInteractive',
+		flag: 'non-interactive',
+		env: 'SAIKO_NON_INTERACTIVE',
+		type: 'boolean',
+		default: false,
+		description: 'fail instead of asking questions (assumed if the input isn\'t a terminal)'
+	},
+	{
+		name: 'checkConfig',
+		flag: 'check-config',
+		type: 'boolean',
+		default: false,
+		description: 'load and validate the data and plugins, then exit'
+	},
+	{
+		name: 'watchPlugins',
+		flag: 'watch-plugins',
+		env: 'SAIKO_WATCH_PLUGINS',
+		type: 'boolean',
+		default: false,
+		description: 'reload plugins whenever their files change'
+	},
+	{
+		name: 'help',
+		flag: 'help',
+		type: 'boolean',
+		default: false,
+		description: 'show this help and exit'
+	}
+];
+
+/** Parses a value of an option.
+ * @param {OptionDefinition} definition
+ * @param {string} source - where the value comes from, used in error messages
+ * @param {string} value - the raw value
+ * @returns {*} - the parsed value
+ * @throws {Error} - if the value is invalid */
+const parseValue = (definition, source) => value => {
+	if (definition.type === 'boolean')
+		return !['', '0', 'false', 'no', 'off'].includes(value.toLowerCase());
+
+	if (definition.type === 'list')
+		return value.split(path.delimiter).filter(item => item !== '');
+
+	if (definition.type === 'integer' && !/^[1-9]\d*$/.test(value))
+		throw new Error(`Invalid value of ${source}: "${value}", use a positive integer`);
+
+	if (definition.type === 'integer')
+		return Number(value);
+
+	if (Array.isArray(definition.values) && !definition.values.includes(value))
+		throw new Error(`Invalid value of ${source}: "${value}", use one of: ${definition.values.join(', ')}`);
+
+	return value;
+};
+
+/** Reads options from environment variables.
+ * @param {object<string, string>} env - environment variables
+ * @returns {object} - options which are set */
+const parseEnvironment = env =>
+	Object.assign({}, ...definitions
+		.filter(definition => definition.env && env[definition.env] !== undefined)
+		.map(definition => ({
+			[definition.name]: parseValue(definition, definition.env)(env[definition.env])
+		}))
+	);
+
+/** Reads options from command-line flags. Values can follow the flag or be
+ *  joined with it, e.g. `--token abc` or `--token=abc`.
+ * @param {array<string>} args - command-line arguments (without the node and script paths)
+ * @returns {object} - options which are set
+ * @throws {Error} - if there is an unknown flag or a value is missing */
+const parseFlags = args => {
+	const options = {};
+
+	for (let index = 0; index < args.length; index += 1) {
+		const [, flag, inlineValue] = args[index].match(/^--([a-z-]+)(?:=([^]*))?$/) || [];
+		const definition = definitions.find(definition => definition.flag === flag);
+
+		if (definition === undefined)
+			throw new Error(`Unknown argument: ${args[index]}`);
+
+		if (definition.type === 'boolean') {
+			options[definition.name] = inlineValue === undefined || parseValue(definition, `--${flag}`)(inlineValue);
+			continue;
+		}
+
+		if (inlineValue === undefined && index + 1 >= args.length)
+			throw new Error(`Missing value of --${flag}`);
+
+		const value = inlineValue === undefined ? args[index += 1] : inlineValue;
+
+		options[definition.name] = definition.type === 'list' ?
+			[...options[definition.name] || [], value] :
+			parseValue(definition, `--${flag}`)(value);
+	}
+
+	return options;
+};
+
+/** Reads options from command-line flags and environment variables.
+ * @param {array<string>} args - command-line arguments (without the node and script paths)
+ * @param {object<string, string>} env - environment variables
+ * @returns {object} - all options, keyed by their names
+ * @throws {Error} - if an option is invalid */
+export const parseOptions = (args, env) =>
+	({
+		...Object.assign({}, ...definitions.map(definition => ({[definition.name]: definition.default}))),
+		...parseEnvironment(env),
+		...parseFlags(args)
+	});
+
+/** Describes all options.
+ * @returns {string} - the usage text */
+export const getUsage = () =>
+	[
+		'Usage: npm start -- [options]',
+		'',
+		'Options:',
+		...definitions.map(definition => [
+			`  --${definition.flag}${definition.type === 'boolean' ? '' : ' <value>'}`,
+			`      ${definition.description}${definition.env ? ` (env: ${definition.env})` : ''}`
+		].join('\n'))
+	].join('\n');
@@ -0,0 +1,132 @@
+/** @module pagination */
+
+import * as embedFunctions from './functions/embed.js';
+
+/** A paginated response whose pages can be turned with reactions.
+ * @typedef PaginatedResponse
+ * @type {object}
+ * @property {object} data - embed's data (see Plugin#getEmbed)
+ * @property {number} page - the shown page
+ * @property {number} pageCount - number of pages
+ * @property {string} user - ID of the user who can turn the pages
+ * @property {number} expires - when the pages can't be turned anymore (a timestamp in milliseconds) */
+
+/** Paginated responses of a plugin, by IDs of the messages they respond to. */
+export default class Pagination {
+	/** Creates a new Pagination object.
+	 * @param {Plugin} plugin - the plugin sending the responses
+	 * @returns {Pagination} - a Pagination object */
+	constructor(plugin) {
+		/** @type {Plugin} */
+		this.plugin = plugin;
+		/** @type {Map<string, PaginatedResponse>} */
+		this.responses = new Map;
+	}
+
+	/** Emojis used to turn pages of paginated responses.
+	 * @returns {object<string, string>} - emojis turning to the previous and the next page */
+	static get pageReactions() {
+		return {previous: '◀', next: '▶'};
+	}
+
+	/** Splits an embed which has too many fields into pages.
+	 * @param {object} data - embed's data (see Plugin#getEmbed)
+	 * @returns {array<array<object>>} - fields of each page */
+	static getPages(data) {
+		const footerLength = data.footer ? data.footer.text.length : 0;
+
+		return embedFunctions.splitFields(
+			embedFunctions.limits.total - (data.title || '').length - (data.description || '').length - footerLength - 100
+		)(data.fields || []);
+	}
+
+	/** Returns one page of an embed (see Plugin#getPage).
+	 * @param {object} data - embed's data (see Plugin#getEmbed)
+	 * @param {number} page - page number (starting at 1)
+	 * @param {?(Discord.Channel|Discord.Guild)} [place=null] - where the page is shown (see Plugin#translate)
+	 * @returns {Discord.RichEmbed} - the page */
+	getPage(data, page, place = null) {
+		const {plugin} = this;
+		const pages = Pagination.getPages(data);
+		const parameters = {page, count: pages.length};
+
+		if (page > pages.length)
+			return plugin.getEmbed({
+				title: data.title,
+				description: plugin.translate(place, 'plugin.pages.missing', parameters)
+			});
+
+		return plugin.getEmbed({
+			...data,
+			fields: pages[page - 1],
+			footer: pages.length > 1 ?
+				{
+					...data.footer,
+					text: [data.footer && data.footer.text, plugin.translate(place, 'plugin.pages.page', parameters)].filter(text => text).join(' | ')
+				} :
+				data.footer
+		});
+	}
+
+	/** Returns a page of an embed with many fields as a response to a command (see Plugin#paginate).
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {object} data - embed's data (see Plugin#getEmbed)
+	 * @param {number} page - the page to show first
+	 * @returns {Discord.RichEmbed|object} - the page, with the reactions if there are more pages */
+	paginate(message, data, page) {
+		const pageCount = Pagination.getPages(data).length;
+		const embed = this.getPage(data, page, message.channel);
+		const now = Date.now();
+
+		for (const [id, response] of Array.from(this.responses))
+			if (response.expires <= now)
+				this.responses.delete(id);
+
+		if (pageCount <= 1 || page > pageCount) {
+			this.responses.delete(message.id);
+			return embed;
+		}
+
+		this.responses.set(message.id, {data, page, pageCount, user: message.author.id, expires: now + this.plugin.paginationTimeout});
+
+		return {embed, reactions: Object.values(Pagination.pageReactions)};
+	}
+
+	/** Turns a page of a paginated response after its user reacted with ◀ or ▶ (see Plugin#turnPage).
+	 * @param {Discord.MessageReaction} reaction
+	 * @param {Discord.User} user - the user who reacted
+	 * @returns {Promise<boolean>} - a promise to true if the reaction turned a page */
+	async turnPage(reaction, user) {
+		const {plugin} = this;
+		const {previous, next} = Pagination.pageReactions;
+		const step = {[previous]: -1, [next]: 1}[reaction.emoji.name];
+		const trigger = plugin.saiko.dispatcher.responses.getTrigger(reaction.message.id);
+		const response = trigger === null ? undefined : this.responses.get(trigger);
+
+		if (step === undefined || response === undefined || plugin.shouldBeIgnored(user) || response.user !== user.id)
+			return false;
+
+		if (response.expires <= Date.now()) {
+			this.responses.delete(trigger);
+			return false;
+		}
+
+		const page = Math.min(Math.max(response.page + step, 1), response.pageCount);
+		const permissions = reaction.message.channel.permissionsFor ?
+			reaction.message.channel.permissionsFor(plugin.saiko.client.user) :
+			null;
+
+		response.expires = Date.now() + plugin.paginationTimeout;
+
+		if (permissions && permissions.has('MANAGE_MESSAGES'))
+			reaction.remove(user).catch(() => null);
+
+		if (page === response.page)
+			return false;
+
+		response.page = page;
+		await plugin.saiko.dispatcher.edit(reaction.message, {embed: this.getPage(response.data, page, reaction.message.channel)});
+
+		return true;
+	}
+}
@@ -2,7 +2,9 @@
 
 import '../extension/Object.deepAssign.js';
 import Plugin from '../plugin.js';
+import * as commandFunctions from '../functions/command.js';
 import * as string from '../functions/string.js';
+import * as translation from '../translation.js';
 
 /** A plugin to manage other plugins. */
 export default class AdminPlugin extends Plugin {
@@ -13,141 +15,351 @@ export default class AdminPlugin extends Plugin {
 		super(saiko);
 
 		this.name = 'admin';
-		this.description = `Commands to administrate ${saiko.name}.`;
+		const pluginArgument = {
+			name: 'plugin',
+			type: value => this.saiko.plugins.find(plugin => plugin.name === value) || null
+		};
+		const scopeArgument = {
+			name: 'scope',
+			type: 'enum',
+			values: ['guild'],
+			optional: true
+		};
+		const pageArgument = {name: 'page', type: 'integer', min: 1, optional: true, default: 1};
+
 		this.commands = [
 			{
 				trigger: 'help',
-				action: () => this.getEmbed({
-					title: 'Help',
-					description: '**Commands:**',
-					fields: this.saiko.plugins
-						.filter(plugin => plugin.commands.length > 0)
-						.map(plugin => ({
-							name: `${plugin.name} (${this.prefix})`,
-							value: plugin.commands
-								.map(command => command.trigger)
-								.filter(trigger => typeof trigger === 'string')
-								.join('\n')
-						}))
-				})
+				aliases: ['commands'],
+				args: [
+					{
+						name: 'topic',
+						type: value => /^\d+$/.test(value) ? null : value,
+						optional: true
+					},
+					pageArgument
+				],
+				examples: ['help', 'help 2', 'help utils', 'help plugins'],
+				action: (message, args) => this.showHelp(message, args)
 			},
 			{
-				trigger: 'operators',
-				action: message => message.channel.type === 'text' ?
-					this.getEmbed({
-						title: 'Operator',
-						description:
-							'**Usage:**\n' +
-							'Operators can change the bot config. Currently there is ' +
-							'no way to add operators other than granting them a role with ' +
-							'the `Administrator` permission.\n' +
-							'\n' +
-							'**Operators:**',
-						fields: Array.from(message.guild.members.values())
-							.filter(member => Plugin.isOperator(member))
-							.map(member => ({
-								name: `${string.getEmoji(member.user.bot ? 'bot' : 'human')} ${member.nickname || member.user.username}`,
-								value: `${member.user.username}#${member.user.discriminator}`
-							}))
-					}) :
-					this.getEmbed({
-						title: 'Operator',
-						description: 'Operator permissions apply to guild channels only.'
+				operator: true,
+				trigger: 'plugins',
+				aliases: ['plugin'],
+				args: [
+					{
+						name: 'action',
+						type: 'enum',
+						values: ['enable', 'disable', 'default'],
+						optional: true
+					},
+					{...pluginArgument, optional: true},
+					scopeArgument,
+					pageArgument
+				],
+				examples: ['plugins', 'plugins 2', 'plugins enable utils', 'plugins disable log guild'],
+				action: (message, args) => this.managePlugins(message, args),
+				help: (message, {page}) => this.paginate(message, {
+					title: this.translate(message.channel, 'admin.plugins.title'),
+					description:
+						`**${this.translate(message.channel, 'admin.plugins.usage')}**\n` +
+						`    ${this.getCommandUsage(this.findCommand('plugins'), message.channel)}\n` +
+						'\n' +
+						`${this.translate(message.channel, 'admin.plugins.description')}\n` +
+						'\n' +
+						`**${this.translate(message.channel, 'admin.plugins.available')}**`,
+					fields: this.saiko.plugins.map(plugin => {
+						const pluginEnabled = this.saiko.isPluginEnabled(plugin, message.channel);
+
+						return {
+							name: `${string.getEmoji(pluginEnabled ? 'check mark' : 'cross mark')} ${plugin.name}`,
+							value: typeof plugin.getDescription === 'function' ?
+								plugin.getDescription(message.channel) :
+								plugin.description || plugin.name
+						};
 					})
+				}, page)
 			},
 			{
-				operator: true,
-				trigger: 'plugins',
-				action: (message, ...params) => {
-					const [, action] = params;
-					const plugin     = this.saiko.plugins.find(plugin => plugin.name === params[2]);
-					const guildMode  = params[3] === 'guild' && message.channel.type === 'text';
-					const place      = guildMode ? message.channel.guild : message.channel;
-					const config     = this.saiko.data[guildMode ? 'guilds' : 'channels'];
-
-					if (!config[place.id])
-						config[place.id] = {};
-
-					const placeConfig  = config[place.id];
-					const pluginConfig = plugin === undefined ? {} : (placeConfig.plugins || {})[plugin.name] || {};
-
-					// invalid or no paramaters
-					if (!['enable', 'disable', 'default'].includes(action) ||
-					    plugin === undefined)
-						return this.getEmbed({
-							title: 'Plugins',
-							description:
-								'**Usage:**\n' +
-								'    plugins <action> <plugin name> [guild]\n' +
-								'\n' +
-								'Actions:\n' +
-								'- enable - enable plugin,\n' +
-								'- disable - disable plugin,\n' +
-								'- default - reset plugin\'s status to the defaul value.\n' +
-								'\n' +
-								'If the plugin name contains spaces, use quote marks around the name.\n' +
-								'If you add "guild" at the end, the changes will be applied to the guild\'s config ' +
-								'instead of the channel\'s config (that option is ignored for DM and group DM channels).\n' +
-								'\n' +
-								'**Available plugins:**',
-							fields: this.saiko.plugins.map(plugin => {
-								const pluginEnabled = this.saiko.isPluginEnabled(plugin, message.channel);
-
-								return {
-									name: `${string.getEmoji(pluginEnabled ? 'check mark' : 'cross mark')} ${plugin.name}`,
-									value: plugin.description
-								};
-							})
-						});
-
-					// the state is already set to what the user wants
-					if ((action === 'enable'  && pluginConfig.enabled === true) ||
-					    (action === 'disable' && pluginConfig.enabled === false))
-						return this.getEmbed({
-							title: 'Plugins',
-							description: `Plugin ${plugin.name} already is ${action}d on this ${guildMode ? 'guild' : 'channel'}.`
-						});
-
-					// change config
-					Object.deepAssign(placeConfig, {
-						plugins: {
-							[plugin.name]: {
-								enabled: action === 'enable'  ? true  :
-								         action === 'disable' ? false : undefined
-							}
-						}
-					});
-
-					if (action === 'default')
-						delete placeConfig.plugins[plugin.name].enabled;
-
-					this.saiko.saveData();
-
-					const actionDescription =
-						action === 'enable'  ? 'enabled'                :
-						action === 'disable' ? 'disabled'               :
-						action === 'default' ? 'reset to default state' : undefined;
-
-					return this.getEmbed({
-						title: 'Plugins',
-						description: `Plugin ${plugin.name} ${actionDescription} on this ${guildMode ? 'guild' : 'channel'}.`
-					});
-				}
+				trigger: 'prefix',
+				args: [
+					{name: 'action', type: 'enum', values: ['set', 'reset'], optional: true, permission: 'operator'},
+					{
+						name: 'prefix',
+						type: (value, message, {action}) => action === 'set' && /^\S{1,16}$/.test(value) ? value : null,
+						optional: true
+					},
+					scopeArgument
+				],
+				flags: [{...pluginArgument, short: 'p'}],
+				examples: ['prefix', 'prefix set ! guild', 'prefix reset --plugin utils'],
+				action: (message, args) => this.managePrefix(message, args)
+			},
+			{
+				trigger: 'language',
+				aliases: ['lang'],
+				args: [
+					{name: 'action', type: 'enum', values: ['set', 'reset'], optional: true, permission: 'operator'},
+					{
+						name: 'language',
+						type: (value, message, {action}) => action === 'set' && translation.languages.includes(value) ? value : null,
+						optional: true
+					},
+					scopeArgument
+				],
+				examples: ['language', 'language set pl guild', 'language reset'],
+				action: (message, args) => this.manageLanguage(message, args)
 			},
 			{
 				trigger: 'version',
-				action: () => this.getEmbed({
-					title: 'Version',
+				action: message => this.getEmbed({
+					title: this.translate(message.channel, 'admin.version.title'),
 					description: `${this.saiko.name} ${this.saiko.version}`
 				})
 			}
 		];
 	}
 
+	/** Shows a list of available commands, or details of a plugin or a command.
+	 *  Plugins disabled on the channel and commands the user can't run are hidden,
+	 *  as well as plugins which don't extend Plugin and can't describe their commands.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {object} args - parsed command arguments
+	 * @returns {Discord.RichEmbed|object} - the response */
+	showHelp(message, {topic, page}) {
+		const translate = (key, parameters) => this.translate(message.channel, `admin.help.${key}`, parameters);
+		const user = message.member || message.author;
+		const plugins = this.saiko.plugins
+			.filter(plugin => typeof plugin.getAvailableCommands === 'function' && this.saiko.isPluginEnabled(plugin, message.channel))
+			.map(plugin => ({plugin, commands: plugin.getAvailableCommands(user, message.channel)}));
+
+		if (topic !== undefined) {
+			const name = topic.toLowerCase();
+
+			for (const {plugin, commands} of plugins) {
+				const trigger = string.stripStart(plugin.getPrefix(message.channel))(name);
+				const matchingCommand = commands.find(command => commandFunctions.getTriggers(command).includes(trigger));
+
+				if (matchingCommand)
+					return plugin.getCommandHelp(matchingCommand, message.channel);
+			}
+
+			const {plugin, commands} = plugins.find(({plugin}) => plugin.name.toLowerCase() === name) || {};
+
+			if (plugin === undefined)
+				return this.getEmbed({
+					title: translate('title'),
+					description: translate('missing', {topic})
+				});
+
+			return this.paginate(message, {
+				title: translate('pluginTitle', {plugin: plugin.name}),
+				description: `${plugin.getDescription(message.channel)}\n\n**${translate('commands')}**`,
+				fields: commands.map(command => ({
+					name: plugin.getCommandUsage(command, message.channel),
+					value: plugin.getCommandDescription(command, message.channel) ||
+						this.translate(message.channel, 'plugin.help.noDescription')
+				}))
+			}, page);
+		}
+
+		return this.paginate(message, {
+			title: translate('title'),
+			description:
+				`${translate('details', {
+					commandHelp: string.toInlineCode(`${this.getPrefix(message.channel)}help <command>`),
+					pluginHelp: string.toInlineCode(`${this.getPrefix(message.channel)}help <plugin>`)
+				})}\n` +
+				'\n' +
+				`**${translate('commands')}**`,
+			fields: plugins
+				.filter(({commands}) => commands.length > 0)
+				.map(({plugin, commands}) => ({
+					name: `${plugin.name} (${plugin.getPrefix(message.channel)})`,
+					value: commands
+						.map(commandFunctions.getTriggers)
+						.map(([trigger, ...aliases]) => aliases.length > 0 ? `${trigger} (${aliases.join(', ')})` : trigger)
+						.join('\n')
+				}))
+		}, page);
+	}
+
+	/** Enables, disables or resets plugins on a channel or a guild.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {object} args - parsed command arguments
+	 * @returns {?(Promise<Discord.RichEmbed>|Discord.RichEmbed|object)} - a promise to the response, the response
+	 *  (e.g. a question confirming a change of a guild's config) or null if some arguments are missing */
+	managePlugins(message, {action, plugin, scope}) {
+		if (action === undefined || plugin === undefined)
+			return null;
+
+		const guildMode = scope === 'guild' && message.channel.type === 'text';
+		const place     = guildMode ? message.channel.guild : message.channel;
+		const config    = this.saiko.data[guildMode ? 'guilds' : 'channels'];
+		const pluginConfig = ((config[place.id] || {}).plugins || {})[plugin.name] || {};
+
+		const placeName = guildMode ? 'guild' : 'channel';
+		const translate = key => this.translate(message.channel, `admin.plugins.${key}`, {plugin: plugin.name});
+
+		// the state is already set to what the user wants
+		if ((action === 'enable'  && pluginConfig.enabled === true) ||
+		    (action === 'disable' && pluginConfig.enabled === false))
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate(`already.${action}.${placeName}`)
+			});
+
+		return this.confirmGuildChange(message, guildMode, {
+			title: translate('title'),
+			description: translate(`confirm.${action}`)
+		}, async () => {
+			if (!config[place.id])
+				config[place.id] = {};
+
+			const placeConfig = config[place.id];
+			const wasEnabled  = this.saiko.isPluginEnabled(plugin, place);
+
+			// change config
+			Object.deepAssign(placeConfig, {
+				plugins: {
+					[plugin.name]: {
+						enabled: action === 'enable'  ? true  :
+						         action === 'disable' ? false : undefined
+					}
+				}
+			});
+
+			if (action === 'default')
+				delete placeConfig.plugins[plugin.name].enabled;
+
+			await this.saiko.saveData();
+			await this.saiko.updatePluginState(plugin, place, wasEnabled);
+
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate(`changed.${action}.${placeName}`)
+			});
+		});
+	}
+
+	/** Shows, sets and resets command prefixes. Showing is allowed for everyone,
+	 *  changing requires operator permissions (required by the action argument).
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {object} args - parsed command arguments
+	 * @returns {?(Promise<Discord.RichEmbed>|Discord.RichEmbed|object)} - a promise to the response, the response
+	 *  (e.g. a question confirming a change of a guild's config) or null if some arguments are missing */
+	managePrefix(message, {action, prefix, scope, plugin}) {
+		const guildMode = scope === 'guild' && message.channel.type === 'text';
+		const place = guildMode ? message.channel.guild : message.channel;
+		const placeName = guildMode ? 'guild' : 'channel';
+		const translate = (key, parameters) => this.translate(message.channel, `admin.prefix.${key}`, parameters);
+
+		if (action === undefined)
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate('current', {
+					prefix: string.toInlineCode(this.getPrefix(message.channel)),
+					example: `<@${this.saiko.client.user.id}> help`
+				}),
+				fields: this.saiko.plugins
+					.filter(plugin => plugin.commands.length > 0 && typeof plugin.getPrefix === 'function' &&
+						plugin.getPrefix(message.channel) !== this.getPrefix(message.channel))
+					.map(plugin => ({
+						name: plugin.name,
+						value: string.toInlineCode(plugin.getPrefix(message.channel))
+					}))
+			});
+
+		if (action === 'set' && prefix === undefined)
+			return null;
+
+		const config = this.saiko.data[guildMode ? 'guilds' : 'channels'];
+		const parameters = {
+			subject: plugin === undefined ? translate('subject') : translate('pluginSubject', {plugin: plugin.name}),
+			prefix: prefix === undefined ? undefined : string.toInlineCode(prefix)
+		};
+
+		return this.confirmGuildChange(message, guildMode, {
+			title: translate('title'),
+			description: action === 'set' ? translate('confirmSet', parameters) : translate('confirmReset', parameters)
+		}, async () => {
+			if (!config[place.id])
+				config[place.id] = {};
+
+			const placeConfig = config[place.id];
+			const target = plugin === undefined ?
+				placeConfig :
+				Object.deepAssign(placeConfig, {plugins: {[plugin.name]: {}}}).plugins[plugin.name];
+
+			if (action === 'set')
+				target.prefix = prefix;
+			else
+				delete target.prefix;
+
+			await this.saiko.saveData();
+
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate(`${action}.${placeName}`, parameters)
+			});
+		});
+	}
+
+	/** Shows, sets and resets the language of responses. Showing is allowed
+	 *  for everyone, changing requires operator permissions (required by the
+	 *  action argument). Responses to changes are in the new language.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {object} args - parsed command arguments
+	 * @returns {?(Promise<Discord.RichEmbed>|Discord.RichEmbed|object)} - a promise to the response, the response
+	 *  (e.g. a question confirming a change of a guild's config) or null if some arguments are missing */
+	manageLanguage(message, {action, language, scope}) {
+		const guildMode = scope === 'guild' && message.channel.type === 'text';
+		const place = guildMode ? message.channel.guild : message.channel;
+		const placeName = guildMode ? 'guild' : 'channel';
+		const translate = (key, parameters) => this.translate(message.channel, `admin.language.${key}`, parameters);
+		const describe = code => `${translation.translate(code)('language.name')} (${string.toInlineCode(code)})`;
+
+		if (action === undefined)
+			return this.getEmbed({
+				title: translate('title'),
+				description: [
+					translate('current', {language: describe(this.saiko.getLanguage(message.channel))}),
+					translate('available', {languages: translation.languages.map(describe).join(', ')})
+				].join('\n')
+			});
+
+		if (action === 'set' && language === undefined)
+			return null;
+
+		const config = this.saiko.data[guildMode ? 'guilds' : 'channels'];
+
+		return this.confirmGuildChange(message, guildMode, {
+			title: translate('title'),
+			description: action === 'set' ?
+				translate('confirmSet', {language: describe(language)}) :
+				translate('confirmReset')
+		}, async () => {
+			if (!config[place.id])
+				config[place.id] = {};
+
+			if (action === 'set')
+				config[place.id].language = language;
+			else
+				delete config[place.id].language;
+
+			await this.saiko.saveData();
+
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate(`${action}.${placeName}`, {language: describe(this.saiko.getLanguage(message.channel))})
+			});
+		});
+	}
+
 	/** Runs matching commands.
 	 * @listens Discord.Client#message
 	 * @param {Discord.Message} message - new message
-	 * @returns {?MessageResponse} - a response to send */
+	 * @returns {Promise<?MessageResponse>} - a promise to a response to send */
 	onMessage(message) {
 		return this.runMatchingCommand(message);
 	}
@@ -156,7 +368,7 @@ export default class AdminPlugin extends Plugin {
 	 * @listens Discord.Client#messageUpdate
 	 * @param {Discord.Message} oldMessage - message before the update
 	 * @param {Discord.Message} newMessage - message after the update
-	 * @returns {?MessageResponse} - a response to send */
+	 * @returns {Promise<?MessageResponse>} - a promise to a response to send */
 	onMessageUpdate(oldMessage, newMessage) {
 		return this.runMatchingCommand(newMessage, true);
 	}
@@ -0,0 +1,289 @@
+/** @module plug/archive */
+
+import MessageArchive from '../archive.js';
+import Plugin from '../plugin.js';
+import * as discord from '../functions/discord.js';
+import * as embed from '../functions/embed.js';
+import * as log from '../functions/log.js';
+import * as string from '../functions/string.js';
+
+/** Parses an ID of a user or a channel, which might not exist anymore.
+ * @param {function} find - a function finding the user or the channel (see functions/discord)
+ * @param {string} value - a mention, an ID or a name
+ * @returns {?string} - the ID or null */
+const parseID = find => value => {
+	const found = find(value);
+	const [, id] = value.match(/^(?:<[@#]!?)?(\d{1,20})>?$/) || [];
+
+	return found ? found.id : id || null;
+};
+
+/** Parses a date of the search command. Dates without a time are in UTC.
+ * @param {boolean} endOfDay - whether or not a date without a time means the end of that day
+ * @param {string} value - a date (YYYY-MM-DD) or a date with a time (YYYY-MM-DDTHH:MM[:SS][Z])
+ * @returns {?number} - a timestamp (in milliseconds) or null */
+const parseDate = endOfDay => value => {
+	const day = 24 * 60 * 60 * 1000;
+	const time = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?Z?)?$/.test(value) ? Date.parse(value) : NaN;
+
+	return Number.isNaN(time) ? null :
+		endOfDay && value.length === 10 ? time + day - 1 :
+		time;
+};
+
+/** Formats a timestamp for search results and message histories.
+ * @param {number} time - a timestamp in milliseconds
+ * @returns {string} - the time in UTC, e.g. 2019-01-01 12:00 UTC */
+const formatTime = time =>
+	`${new Date(time).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+/** A plugin archiving guild messages with their edits and deletions, so
+ *  operators can search them. Messages are archived where the plugin is enabled. */
+export default class ArchivePlugin extends Plugin {
+	/** Creates a new ArchivePlugin object.
+	 * @param {Saiko} saiko - a Saiko object, which is gonna use that plugin
+	 * @returns {ArchivePlugin} - an ArchivePlugin object */
+	constructor(saiko) {
+		super(saiko);
+
+		this.name = 'archive';
+		this.configSchema = {
+			days: {
+				type: 'integer',
+				min: 1,
+				description: `number of days archived messages are kept for (${ArchivePlugin.defaultDays} by default)`
+			}
+		};
+		this.commands = [
+			{
+				trigger: 'search',
+				operator: true,
+				args: [{name: 'text', rest: true, optional: true}],
+				flags: [
+					{
+						name: 'author',
+						short: 'a',
+						type: (value, message) => parseID(discord.getUser(message.channel.guild || message.channel))(value)
+					},
+					{
+						name: 'channel',
+						short: 'c',
+						type: (value, message) => parseID(discord.getChannel(message.channel.guild || message.channel))(value)
+					},
+					{name: 'from', type: parseDate(false)},
+					{name: 'to', type: parseDate(true)},
+					{name: 'page', short: 'p', type: 'integer', min: 1, default: 1}
+				],
+				examples: ['search hello', 'search --author @Someone --from 2019-01-01 --to 2019-01-31', 'search -c #general bug -p 2'],
+				action: (message, args) => this.searchArchive(message, args)
+			},
+			{
+				trigger: 'history',
+				operator: true,
+				args: [
+					{name: 'message', type: value => /^\d{1,20}$/.test(value) ? value : null},
+					{name: 'page', type: 'integer', min: 1, optional: true, default: 1}
+				],
+				examples: ['history 123456789012345678'],
+				action: (message, args) => this.showMessageHistory(message, args.message, args.page)
+			}
+		];
+		/** Number of messages on a page of search results.
+		 * @type {number} */
+		this.searchPageSize = 10;
+		/** @type {MessageArchive} */
+		this.archive = new MessageArchive(`${saiko.dataPath}archive.sqlite`);
+		/** Minimal time between removals of a guild's old messages from the archive (in milliseconds).
+		 * @type {number} */
+		this.pruneInterval = 60 * 60 * 1000;
+		/** When old messages of guilds were last removed from the archive, by guild IDs.
+		 * @type {Map<string, number>} */
+		this.prunedAt = new Map;
+	}
+
+	/** Number of days archived messages are kept for, unless a guild's config says otherwise.
+	 * @returns {number} - the number of days */
+	static get defaultDays() {
+		return 30;
+	}
+
+	/** Checks if a message should be archived. Only guild messages are archived,
+	 *  except the bot's own messages.
+	 * @param {Discord.Message} message
+	 * @returns {boolean} - true if the message should be archived */
+	shouldBeArchived(message) {
+		return Boolean(message.guild) && message.author.id !== this.saiko.client.user.id;
+	}
+
+	/** Removes a guild's messages older than its `days` setting from the
+	 *  archive. That's done at most once per ArchivePlugin#pruneInterval.
+	 * @param {Discord.Guild} guild
+	 * @param {number} [time=Date.now()] - the current time
+	 * @returns {void} */
+	pruneArchive(guild, time = Date.now()) {
+		if (time - (this.prunedAt.get(guild.id) || 0) < this.pruneInterval)
+			return;
+
+		const days = this.saiko.getPluginConfig(this, guild).days || ArchivePlugin.defaultDays;
+
+		this.prunedAt.set(guild.id, time);
+		this.archive.prune(guild.id, time - (days * 24 * 60 * 60 * 1000));
+	}
+
+	/** Updates the archive and removes old messages from it, errors are logged.
+	 * @param {string} action - name of a MessageArchive method (addMessage, editMessage or deleteMessage)
+	 * @param {Discord.Message} message - the message
+	 * @param {Discord.Message} [newMessage] - the edited message after the edit
+	 * @returns {void} */
+	updateArchive(action, message, newMessage) {
+		if (!this.shouldBeArchived(message))
+			return;
+
+		try {
+			this.archive[action](message, newMessage);
+			this.pruneArchive(message.guild);
+		} catch (error) {
+			log.error({
+				title: {module: 'ArchivePlugin', separator: '#', function: 'updateArchive'},
+				text: `Cannot archive a message from ${message.guild.name}`,
+				messages: [error]
+			});
+		}
+	}
+
+	/** Searches archived messages of the message's guild.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {object} args - parsed command arguments and flags
+	 * @returns {Discord.RichEmbed} - the response */
+	searchArchive(message, {text, author, channel, from, to, page}) {
+		const translate = (key, parameters) => this.translate(message.channel, `archive.${key}`, parameters);
+
+		if (message.channel.type !== 'text')
+			return this.getEmbed({
+				title: translate('search.title'),
+				description: translate('guildOnly')
+			});
+
+		const {guild} = message.channel;
+		const {messages, total} = this.archive.search({
+			guild: guild.id,
+			author,
+			channel,
+			from,
+			to,
+			text: text.length > 0 ? text.join(' ') : undefined,
+			limit: this.searchPageSize,
+			offset: (page - 1) * this.searchPageSize
+		});
+		const pages = {page, count: Math.ceil(total / this.searchPageSize)};
+
+		if (total === 0 || messages.length === 0)
+			return this.getEmbed({
+				title: translate('search.title'),
+				description: total === 0 ?
+					translate('search.none') :
+					this.translate(message.channel, 'plugin.pages.missing', pages)
+			});
+
+		return this.getEmbed({
+			title: translate('search.title'),
+			description: translate('search.found', {count: total, command: string.toInlineCode(`${this.getPrefix(message.channel)}history`)}),
+			fields: messages.map(found => {
+				const foundChannel = guild.channels.get(found.channel);
+
+				return embed.fitField({
+					name: [
+						translate('search.source', {author: found.authorTag, channel: foundChannel ? foundChannel.name : found.channel}),
+						formatTime(found.createdAt),
+						...found.editedAt === null ? [] : [translate('search.edited')],
+						...found.deletedAt === null ? [] : [translate('search.deleted')]
+					].join(', '),
+					value:
+						`${embed.fitText(400)(found.content === '' ? translate('noText') : found.content)}\n` +
+						`${translate('search.id', {id: found.id})}`
+				});
+			}),
+			footer: {text: this.translate(message.channel, 'plugin.pages.page', pages)}
+		});
+	}
+
+	/** Shows the revisions and the deletion of an archived message.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {string} id - the archived message's ID
+	 * @param {number} page - page number (histories of messages edited many times are split)
+	 * @returns {Discord.RichEmbed|object} - the response */
+	showMessageHistory(message, id, page) {
+		const translate = (key, parameters) => this.translate(message.channel, `archive.${key}`, parameters);
+
+		if (message.channel.type !== 'text')
+			return this.getEmbed({
+				title: translate('history.title'),
+				description: translate('guildOnly')
+			});
+
+		const history = this.archive.getHistory(id);
+
+		if (history === null || history.message.guild !== message.channel.guild.id)
+			return this.getEmbed({
+				title: translate('history.title'),
+				description: translate('history.missing', {id})
+			});
+
+		const {message: archived, revisions} = history;
+		const content = text => text === '' ? translate('noText') : text;
+
+		return this.paginate(message, {
+			title: translate('history.title'),
+			author: {name: archived.authorTag},
+			description: [
+				translate('history.channel', {channel: `<#${archived.channel}>`}),
+				...archived.attachments.map(attachment => translate('history.attachment', {attachment: `[${attachment.name}](${attachment.url})`}))
+			].join('\n'),
+			fields: [
+				...revisions.map((revision, index) => ({
+					name: `${index === 0 ? translate('history.posted') : translate('history.edit', {number: index})}, ${formatTime(revision.time)}`,
+					value: content(revision.content)
+				})),
+				...archived.deletedAt === null ? [] : [{name: translate('history.deleted'), value: formatTime(archived.deletedAt)}]
+			],
+			footer: {text: translate('history.footer', {author: archived.author, message: archived.id})}
+		}, page);
+	}
+
+	/** Archives new messages and runs matching commands.
+	 * @listens Discord.Client#message
+	 * @param {Discord.Message} message - new message
+	 * @returns {Promise<?MessageResponse>} - a promise to a response to send */
+	onMessage(message) {
+		this.updateArchive('addMessage', message);
+
+		return this.runMatchingCommand(message);
+	}
+
+	/** Marks deleted messages as deleted in the archive.
+	 * @listens Discord.Client#messageDelete
+	 * @param {Discord.Message} message - deleted message
+	 * @returns {void} */
+	onMessageDelete(message) {
+		this.updateArchive('deleteMessage', message);
+	}
+
+	/** Archives edits and runs matching commands (edits existing responses).
+	 *  Updates which don't change the text (e.g. loaded link previews) aren't archived.
+	 * @listens Discord.Client#messageUpdate
+	 * @param {Discord.Message} oldMessage - message before the update
+	 * @param {Discord.Message} newMessage - message after the update
+	 * @returns {Promise<?MessageResponse>} - a promise to a response to send */
+	onMessageUpdate(oldMessage, newMessage) {
+		if (oldMessage.content !== newMessage.content)
+			this.updateArchive('editMessage', oldMessage, newMessage);
+
+		return this.runMatchingCommand(newMessage, true);
+	}
+
+	/** Closes the archive.
+	 * @returns {void} */
+	onUnload() {
+		this.archive.close();
+	}
+}
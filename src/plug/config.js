@@ -0,0 +1,337 @@
+/** @module plug/config */
+
+import '../extension/Object.deepAssign.js';
+import Plugin from '../plugin.js';
+import path from 'path';
+import * as dataSchema from '../schema.js';
+import * as embed from '../functions/embed.js';
+import * as http from '../functions/http.js';
+import * as migrations from '../migrations.js';
+import * as object from '../functions/object.js';
+import * as schema from '../functions/schema.js';
+import * as string from '../functions/string.js';
+
+/** A plugin to show and change plugins' settings, and to export and import guild configs. */
+export default class ConfigPlugin extends Plugin {
+	/** Creates a new ConfigPlugin object.
+	 * @param {Saiko} saiko - a Saiko object, which is gonna use that plugin
+	 * @returns {ConfigPlugin} - a ConfigPlugin object */
+	constructor(saiko) {
+		super(saiko);
+
+		this.name = 'config';
+		/** Time (in milliseconds) to confirm an import, in whole minutes.
+		 * @type {number} */
+		this.importTimeout = 5 * 60 * 1000;
+
+		this.commands = [
+			{
+				operator: true,
+				trigger: 'config',
+				aliases: ['settings'],
+				args: [
+					{
+						name: 'action',
+						type: 'enum',
+						values: ['get', 'set', 'unset', 'show']
+					},
+					{
+						name: 'setting',
+						type: (value, message, {action}) => this.parseSettingName(value, action === 'show')
+					},
+					{
+						name: 'value',
+						type: (value, message, {action}) => action === 'set' ? value : null,
+						optional: true
+					},
+					{
+						name: 'scope',
+						type: 'enum',
+						values: ['guild', 'channel'],
+						optional: true
+					}
+				],
+				examples: ['config show utils', 'config get utils.enabled', 'config set utils.prefix ! guild', 'config unset utils.prefix'],
+				action: (message, args) => this.manageConfig(message, args)
+			},
+			{
+				operator: true,
+				trigger: 'export',
+				action: message => this.exportConfig(message)
+			},
+			{
+				operator: true,
+				trigger: 'import',
+				action: message => this.importConfig(message)
+			}
+		];
+	}
+
+	/** Parses a setting's name.
+	 * @param {string} value - a name like plugin.setting
+	 * @param {boolean} pluginOnly - whether or not the name is just a plugin's name
+	 * @returns {?object} - the plugin and the setting's key (undefined if pluginOnly is true), or null */
+	parseSettingName(value, pluginOnly) {
+		const [, pluginName, key] = value.match(pluginOnly ? /^(.+)$/ : /^([^.]+)\.(.+)$/) || [];
+		const plugin = this.saiko.plugins.find(plugin => plugin.name === pluginName);
+
+		return plugin === undefined ? null : {plugin, key};
+	}
+
+	/** Describes a plugin's setting on a channel or a guild.
+	 * @param {Plugin} plugin
+	 * @param {string} key - the setting's name
+	 * @param {Discord.Channel|Discord.Guild} place
+	 * @param {Discord.Channel} channel - where the description is shown (see Plugin#translate)
+	 * @returns {string} - the effective value and the config it comes from */
+	describeSetting(plugin, key, place, channel) {
+		const {value, layer} = this.saiko.getPluginSetting(plugin, key, place);
+
+		return layer === null ?
+			this.translate(channel, 'config.setting.notSet') :
+			this.translate(channel, 'config.setting.value', {
+				value: string.toInlineCode(JSON.stringify(value)),
+				layer: this.translate(channel, `config.layers.${layer}`)
+			});
+	}
+
+	/** Shows, sets and removes plugins' settings on a channel or a guild.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {object} args - parsed command arguments
+	 * @returns {?(Promise<Discord.RichEmbed>|Discord.RichEmbed|object)} - a promise to the response, the response
+	 *  (e.g. a question confirming a change of a guild's config) or null if some arguments are missing */
+	manageConfig(message, {action, setting: {plugin, key}, value, scope}) {
+		const guildMode = scope === 'guild' && message.channel.type === 'text';
+		const place = guildMode ? message.channel.guild : message.channel;
+		const placeName = guildMode ? 'guild' : 'channel';
+		const name = `${plugin.name}.${key}`;
+		const translate = (key, parameters) => this.translate(message.channel, `config.${key}`, {setting: name, ...parameters});
+		const describe = key => this.describeSetting(plugin, key, place, message.channel);
+
+		if (action === 'show') {
+			const {properties} = dataSchema.getPluginConfigSchema(plugin);
+			const keys = [...new Set([...Object.keys(properties), ...Object.keys(this.saiko.getPluginConfig(plugin, place))])];
+
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate(`settings.${placeName}`, {plugin: plugin.name}),
+				fields: keys.map(key => embed.fitField({
+					name: key,
+					value: [describe(key), (properties[key] || {}).description]
+						.filter(line => line !== undefined)
+						.join('\n')
+				}))
+			});
+		}
+
+		if (action === 'get')
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate(`value.${placeName}`, {value: describe(key)})
+			});
+
+		if (action === 'set' && value === undefined)
+			return null;
+
+		return this.confirmGuildChange(message, guildMode, {
+			title: translate('title'),
+			description: action === 'set' ?
+				translate('confirmSet', {value: string.toInlineCode(value)}) :
+				translate('confirmUnset')
+		}, async () => {
+			try {
+				const settingSchema = dataSchema.getPluginSettingSchema(plugin, key) || {};
+				const changed = await this.saiko.setPluginSetting(
+					plugin, key, action === 'set' ? schema.parseText(settingSchema)(value) : undefined, place
+				);
+
+				return this.getEmbed({
+					title: translate('title'),
+					description:
+						action === 'set' ? translate('set', {value: describe(key)}) :
+						changed          ? translate(`removed.${placeName}`, {value: describe(key)}) :
+						translate(`notSet.${placeName}`)
+				});
+			} catch (error) {
+				return this.getEmbed({
+					title: translate('title'),
+					description: translate('cannotChange', {error: error.message})
+				});
+			}
+		});
+	}
+
+	/** Exports a guild's config.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @returns {object|Discord.RichEmbed} - the response, with the config attached */
+	exportConfig(message) {
+		if (message.channel.type !== 'text')
+			return this.getEmbed({
+				title: this.translate(message.channel, 'config.export.title'),
+				description: this.translate(message.channel, 'config.export.guildOnly')
+			});
+
+		const {guild} = message.channel;
+		const file = {
+			dataVersion: migrations.latestVersion,
+			guild: {id: guild.id, name: guild.name},
+			config: object.removeSomeProperties(['name'])(this.saiko.getGuildConfig(guild))
+		};
+
+		return {
+			embed: this.getEmbed({
+				title: this.translate(message.channel, 'config.export.title'),
+				description: this.translate(message.channel, 'config.export.exported', {guild: guild.name})
+			}),
+			files: [{attachment: Buffer.from(`${object.stringify(file)}\n`), name: `config-${guild.id}.json`}]
+		};
+	}
+
+	/** Downloads, upgrades and validates a config exported with the export command.
+	 * @param {string} url - the file's URL
+	 * @returns {Promise<object|Error>} - a promise to the config
+	 * @throws {Error} - if the file isn't a valid config */
+	async readConfigFile(url) {
+		let file = null;
+
+		try {
+			file = JSON.parse(await http.getText(1024 * 1024)(url));
+		} catch (error) {
+			throw error instanceof SyntaxError ? new Error('the file isn\'t valid JSON') : error;
+		}
+
+		if (!object.isPlainObject(file) || !object.isPlainObject(file.config))
+			throw new Error('the file isn\'t an exported config');
+
+		if (migrations.getDataVersion(file) > migrations.latestVersion)
+			throw new Error('the config was exported from a newer version of the bot');
+
+		const config = ConfigPlugin.migrateConfig(file);
+		const errors = schema.validate(dataSchema.getConfigSchema(this.saiko.plugins))(config, 'config');
+
+		if (errors.length > 0)
+			throw new Error(`the config is invalid:\n${schema.formatErrors(errors)}`);
+
+		return object.removeSomeProperties(['name'])(config);
+	}
+
+	/** Upgrades a config exported from an older version of the bot, the same
+	 *  way the bot's data is upgraded (see migrations~migrateData).
+	 * @param {object} file - the exported file, with the config and its data version
+	 * @returns {object} - the upgraded config */
+	static migrateConfig(file) {
+		const id = object.isPlainObject(file.guild) && typeof file.guild.id === 'string' ? file.guild.id : '0';
+		const data = migrations.migrateData({dataVersion: migrations.getDataVersion(file), guilds: {[id]: file.config}});
+
+		return data.guilds[id];
+	}
+
+	/** Previews an imported guild config and applies it once the user confirms it.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @returns {Promise<?(Discord.RichEmbed|object)>} - a promise to the response or null if the file is missing */
+	async importConfig(message) {
+		const translate = (key, parameters) => this.translate(message.channel, `config.import.${key}`, parameters);
+
+		if (message.channel.type !== 'text')
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate('guildOnly')
+			});
+
+		const {guild} = message.channel;
+		const attachment = message.attachments.first();
+
+		if (attachment === undefined)
+			return null;
+
+		let config = null;
+
+		try {
+			config = await this.readConfigFile(attachment.url);
+		} catch (error) {
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate('failed', {file: attachment.filename, error: error.message})
+			});
+		}
+
+		const changes = object.getChanges(
+			object.removeSomeProperties(['name'])(this.saiko.getGuildConfig(guild)),
+			Object.deepAssign({}, this.saiko.data.defaults, config)
+		);
+
+		if (changes.length === 0)
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate('same')
+			});
+
+		return this.confirm(message, {
+			title: translate('title'),
+			description: `${ConfigPlugin.formatChanges(changes, embed.limits.description - 200)}\n${translate('confirm')}`
+		}, () => this.applyImport(message, config), {timeout: this.importTimeout, permission: 'operator'});
+	}
+
+	/** Replaces a guild's config with an imported one. The current data is
+	 *  backed up first.
+	 * @param {Discord.Message} message - the message which triggered the import
+	 * @param {object} config - the imported config (see ConfigPlugin#readConfigFile)
+	 * @returns {Promise<Discord.RichEmbed>} - a promise to the response */
+	async applyImport(message, config) {
+		const {guild} = message.channel;
+		const plugins = this.saiko.plugins.map(plugin => ({plugin, wasEnabled: this.saiko.isPluginEnabled(plugin, guild)}));
+		const backupFileName = await this.saiko.backups.backupData(this.saiko.data, 'import');
+
+		this.saiko.data.guilds[guild.id] = {...config, name: guild.name};
+		await this.saiko.saveData();
+
+		for (const {plugin, wasEnabled} of plugins)
+			await this.saiko.updatePluginState(plugin, guild, wasEnabled); // eslint-disable-line no-await-in-loop
+
+		return this.getEmbed({
+			title: this.translate(message.channel, 'config.import.title'),
+			description: this.translate(message.channel, 'config.import.imported', {file: string.toInlineCode(path.basename(backupFileName))})
+		});
+	}
+
+	/** Formats changes of a config as a diff.
+	 * @param {array<object>} changes - changes listed by functions/object~getChanges
+	 * @param {number} maxLength - maximal length of the text
+	 * @returns {string} - a code block with removed and added values */
+	static formatChanges(changes, maxLength) {
+		const lines = changes.map(change => [
+			...change.before === undefined ? [] : [`- ${change.path}: ${JSON.stringify(change.before)}`],
+			...change.after === undefined ? [] : [`+ ${change.path}: ${JSON.stringify(change.after)}`]
+		].join('\n'));
+		const shownLines = [];
+
+		for (const line of lines) {
+			if ([...shownLines, line].join('\n').length > maxLength - 50)
+				break;
+
+			shownLines.push(line);
+		}
+
+		if (shownLines.length < lines.length)
+			shownLines.push(`... and ${lines.length - shownLines.length} more changes`);
+
+		return `\`\`\`diff\n${shownLines.join('\n')}\n\`\`\``;
+	}
+
+	/** Runs matching commands.
+	 * @listens Discord.Client#message
+	 * @param {Discord.Message} message - new message
+	 * @returns {Promise<?MessageResponse>} - a promise to a response to send */
+	onMessage(message) {
+		return this.runMatchingCommand(message);
+	}
+
+	/** Runs matching commands (edits existing responses).
+	 * @listens Discord.Client#messageUpdate
+	 * @param {Discord.Message} oldMessage - message before the update
+	 * @param {Discord.Message} newMessage - message after the update
+	 * @returns {Promise<?MessageResponse>} - a promise to a response to send */
+	onMessageUpdate(oldMessage, newMessage) {
+		return this.runMatchingCommand(newMessage, true);
+	}
+}
@@ -2,6 +2,8 @@
 
 import Plugin from '../plugin.js';
 import colors from 'colors/safe';
+import * as dataSchema from '../schema.js';
+import * as embed from '../functions/embed.js';
 import * as log from '../functions/log.js';
 
 /** A plugin to log discord messages. */
@@ -13,7 +15,133 @@ export default class LogPlugin extends Plugin {
 		super(saiko);
 
 		this.name = 'log';
-		this.description = 'Logs messages.';
+		this.configSchema = {
+			destination: {
+				type: 'string',
+				values: ['console', 'file'],
+				description:
+					'where messages are logged: the console (together with the bot\'s diagnostics, the default) ' +
+					'or a separate file of each guild in the logs folder'
+			},
+			logChannel: {
+				...dataSchema.snowflakeSchema,
+				description: 'ID of the guild\'s channel deleted and edited messages are reported to (mod-log)'
+			},
+			logEvents: {
+				type: 'array',
+				items: {type: 'string', values: LogPlugin.modLogEvents},
+				description: `events reported to the log channel (${LogPlugin.modLogEvents.join(', ')}; all by default)`
+			},
+			watchedChannels: {
+				type: 'array',
+				items: dataSchema.snowflakeSchema,
+				description: 'IDs of channels reported to the log channel (all channels if empty)'
+			},
+			ignoredChannels: {
+				type: 'array',
+				items: dataSchema.snowflakeSchema,
+				description: 'IDs of channels which aren\'t reported to the log channel'
+			}
+		};
+		/** Sinks of log files, by file name (see LogPlugin#getLogSinks).
+		 * @type {Map<string, LogSink>} */
+		this.fileSinks = new Map;
+	}
+
+	/** Returns sinks messages from a channel are logged to.
+	 * @param {Discord.Channel} channel
+	 * @returns {?array<LogSink>} - the sinks, or null to use the bot's log */
+	getLogSinks(channel) {
+		if (this.saiko.getPluginConfig(this, channel).destination !== 'file')
+			return null;
+
+		const fileName = `${this.saiko.dataPath}logs/${channel.guild ? `guild-${channel.guild.id}` : 'direct'}.log`;
+
+		if (!this.fileSinks.has(fileName))
+			this.fileSinks.set(fileName, log.createFileSink(fileName, {format: 'text'}));
+
+		return [this.fileSinks.get(fileName)];
+	}
+
+	/** Events which can be reported to a guild's log channel.
+	 * @returns {array<string>} - event names */
+	static get modLogEvents() {
+		return ['delete', 'edit'];
+	}
+
+	/** Returns the log channel a message's deletion or edit should be reported
+	 *  to. The log channel is set in the guild's config, which can also limit
+	 *  reported events and channels. Messages posted by the bot and messages in
+	 *  the log channel itself are never reported.
+	 * @param {Discord.Message} message - the deleted or edited message
+	 * @param {string} eventName - one of LogPlugin.modLogEvents
+	 * @returns {?Discord.TextChannel} - the log channel or null */
+	getModLogChannel(message, eventName) {
+		if (!message.guild)
+			return null;
+
+		const {
+			logChannel,
+			logEvents = LogPlugin.modLogEvents,
+			watchedChannels = [],
+			ignoredChannels = []
+		} = this.saiko.getPluginConfig(this, message.guild);
+		const channel = logChannel === undefined ? null : message.guild.channels.get(logChannel) || null;
+
+		if (channel === null ||
+		    channel.type !== 'text' ||
+		    channel.id === message.channel.id ||
+		    message.author.id === this.saiko.client.user.id ||
+		    !logEvents.includes(eventName) ||
+		    (watchedChannels.length > 0 && !watchedChannels.includes(message.channel.id)) ||
+		    ignoredChannels.includes(message.channel.id))
+			return null;
+
+		return channel;
+	}
+
+	/** Reports a deleted or edited message to its guild's log channel (if
+	 *  there is one, see LogPlugin#getModLogChannel).
+	 * @param {string} eventName - one of LogPlugin.modLogEvents
+	 * @param {Discord.Message} message - the deleted message, or the edited message after the edit
+	 * @param {Discord.Message} [oldMessage] - the edited message before the edit
+	 * @returns {Promise<void>} - a promise resolved once the report is sent */
+	async reportToModLog(eventName, message, oldMessage) {
+		const channel = this.getModLogChannel(message, eventName);
+
+		if (channel === null)
+			return;
+
+		const translate = (key, parameters) => this.translate(channel, `log.report.${key}`, parameters);
+		const attachments = Array.from(message.attachments.values())
+			.map(attachment => `[${attachment.filename}](${attachment.url})`)
+			.join('\n');
+		const content = text => text === '' ? translate('noText') : text;
+
+		try {
+			await this.saiko.dispatcher.send(channel, this.getEmbed({
+				title: translate(eventName === 'delete' ? 'deleted' : 'edited'),
+				color: eventName === 'delete' ? '#d33' : '#db3',
+				author: {name: message.author.tag, icon_url: message.author.displayAvatarURL}, // eslint-disable-line camelcase
+				description: eventName === 'delete' ? embed.fitText(embed.limits.description)(content(message.content)) : '',
+				fields: [
+					...eventName === 'edit' ? [
+						{name: translate('before'), value: content(oldMessage.content)},
+						{name: translate('after'), value: content(message.content)}
+					] : [],
+					{name: translate('channel'), value: `<#${message.channel.id}>`},
+					...attachments === '' ? [] : [{name: translate('attachments'), value: attachments}]
+				].map(embed.fitField),
+				footer: {text: translate('footer', {author: message.author.id, message: message.id})},
+				timestamp: new Date
+			}));
+		} catch (error) {
+			log.error({
+				title: {module: 'LogPlugin', separator: '#', function: 'reportToModLog'},
+				text: `Cannot report a message to the log channel of ${message.guild.name}`,
+				messages: [error]
+			});
+		}
 	}
 
 	/** Returns the message's source in a format expected by log~custom.
@@ -67,42 +195,50 @@ export default class LogPlugin extends Plugin {
 	 * @listens Discord.Client#message
 	 * @param {Discord.Message} message - new message
 	 * @returns {void} */
-	onMessage(message) { // eslint-disable-line class-methods-use-this
+	onMessage(message) {
+		const sinks = this.getLogSinks(message.channel);
+
 		log.custom({
 			text: 'New message',
 			decorator: colors.bgGreen.black
-		})({
+		}, sinks)({
 			title: LogPlugin.getMessageSource(message),
 			text: LogPlugin.formatMessageAuthor(message),
 			messages: [message.content]
 		});
 	}
 
-	/** Logs deleted messages.
+	/** Logs deleted messages and reports them to the guild's log channel.
 	 * @listens Discord.Client#messageDelete
 	 * @param {Discord.Message} message - deleted message
-	 * @returns {void} */
-	onMessageDelete(message) { // eslint-disable-line class-methods-use-this
+	 * @returns {Promise<void>} - a promise resolved once the message is reported */
+	async onMessageDelete(message) {
+		const sinks = this.getLogSinks(message.channel);
+
 		log.custom({
 			text: 'Deleted message',
 			decorator: colors.bgRed.white
-		})({
+		}, sinks)({
 			title: LogPlugin.getMessageSource(message),
 			text: LogPlugin.formatMessageAuthor(message),
 			messages: [message.content]
 		});
+		await this.reportToModLog('delete', message);
 	}
 
-	/** Logs updated messages.
+	/** Logs updated messages and reports edits to the guild's log channel.
+	 *  Updates which don't change the text (e.g. loaded link previews) aren't reported.
 	 * @listens Discord.Client#messageUpdate
 	 * @param {Discord.Message} oldMessage - message before the update
 	 * @param {Discord.Message} newMessage - message after the update
-	 * @returns {void} */
-	onMessageUpdate(oldMessage, newMessage) { // eslint-disable-line class-methods-use-this
+	 * @returns {Promise<void>} - a promise resolved once the edit is reported */
+	async onMessageUpdate(oldMessage, newMessage) {
+		const sinks = this.getLogSinks(newMessage.channel);
+
 		log.custom({
 			text: 'Updated message (old)',
 			decorator: colors.bgYellow.black
-		})({
+		}, sinks)({
 			title: LogPlugin.getMessageSource(oldMessage),
 			text: LogPlugin.formatMessageAuthor(oldMessage),
 			messages: [oldMessage.content]
@@ -110,10 +246,20 @@ export default class LogPlugin extends Plugin {
 		log.custom({
 			text: 'Updated message (new)',
 			decorator: colors.bgYellow.black
-		})({
+		}, sinks)({
 			title: LogPlugin.getMessageSource(newMessage),
 			text: LogPlugin.formatMessageAuthor(newMessage),
 			messages: [newMessage.content]
 		});
+
+		if (oldMessage.content !== newMessage.content)
+			await this.reportToModLog('edit', newMessage, oldMessage);
+	}
+
+	/** Closes log files.
+	 * @returns {Promise<void>} - a promise resolved once all messages are written */
+	async onUnload() {
+		await Promise.all(Array.from(this.fileSinks.values()).map(sink => sink.close()));
+		this.fileSinks.clear();
 	}
 }
@@ -0,0 +1,266 @@
+/** @module plug/owner */
+
+import Plugin from '../plugin.js';
+import path from 'path';
+import * as embed from '../functions/embed.js';
+import * as log from '../functions/log.js';
+import * as string from '../functions/string.js';
+
+/** A plugin with commands changing the whole bot: loading plugins, backups,
+ *  the storage and the log level. Only the bot's owners can use them (see Saiko#isOwner). */
+export default class OwnerPlugin extends Plugin {
+	/** Creates a new OwnerPlugin object.
+	 * @param {Saiko} saiko - a Saiko object, which is gonna use that plugin
+	 * @returns {OwnerPlugin} - an OwnerPlugin object */
+	constructor(saiko) {
+		super(saiko);
+
+		this.name = 'owner';
+		const pluginArgument = {
+			name: 'plugin',
+			type: value => this.saiko.plugins.find(plugin => plugin.name === value) || null
+		};
+
+		this.commands = [
+			{
+				permission: 'owner',
+				trigger: 'load',
+				args: [{name: 'file'}],
+				examples: ['load utils'],
+				action: (message, {file}) => this.managePluginFiles(message, 'load', file)
+			},
+			{
+				permission: 'owner',
+				trigger: 'unload',
+				args: [pluginArgument],
+				examples: ['unload utils'],
+				action: (message, {plugin}) => this.managePluginFiles(message, 'unload', plugin.name)
+			},
+			{
+				permission: 'owner',
+				trigger: 'reload',
+				args: [{...pluginArgument, optional: true}],
+				examples: ['reload', 'reload utils'],
+				action: (message, {plugin}) => plugin === undefined ?
+					this.reloadAllPlugins(message) :
+					this.managePluginFiles(message, 'reload', plugin.name)
+			},
+			{
+				permission: 'owner',
+				trigger: 'storage',
+				args: [
+					{name: 'action', type: 'enum', values: ['migrate'], optional: true},
+					{
+						name: 'type',
+						type: 'enum',
+						values: Object.keys(saiko.dataManager.storageTypes),
+						optional: true
+					}
+				],
+				examples: ['storage', 'storage migrate sqlite'],
+				action: (message, args) => this.manageStorage(message, args)
+			},
+			{
+				permission: 'owner',
+				trigger: 'loglevel',
+				args: [{name: 'level', type: 'enum', values: log.levels, optional: true}],
+				examples: ['loglevel', 'loglevel warn'],
+				action: (message, {level}) => this.manageLogLevel(message, level)
+			},
+			{
+				permission: 'owner',
+				trigger: 'backup',
+				aliases: ['backups'],
+				args: [
+					{
+						name: 'action',
+						type: 'enum',
+						values: ['list', 'create', 'restore'],
+						optional: true,
+						default: 'list'
+					},
+					{name: 'backup', optional: true}
+				],
+				examples: ['backup', 'backup create', 'backup restore data-auto-1546300800000.json'],
+				action: (message, args) => this.manageBackups(message, args)
+			}
+		];
+	}
+
+	/** Lists, makes and restores backups of the data.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {object} args - parsed command arguments
+	 * @returns {Promise<?Discord.RichEmbed>} - a promise to the response or null if some arguments are missing */
+	async manageBackups(message, {action, backup}) {
+		const translate = (key, parameters) => this.translate(message.channel, `owner.backups.${key}`, parameters);
+
+		if (action === 'list') {
+			const backups = await this.saiko.backups.listBackups();
+
+			return this.getEmbed({
+				title: translate('title'),
+				description: backups.length > 0 ?
+					translate('list', {count: this.saiko.backups.backupLimit}) :
+					translate('none'),
+				fields: backups
+					.slice(0, embed.limits.fields)
+					.map(backup => ({name: backup.name, value: `${backup.label}, ${backup.date.toISOString()}`}))
+			});
+		}
+
+		if (action === 'create') {
+			const fileName = await this.saiko.backups.backupData(this.saiko.data, 'manual');
+
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate('created', {file: string.toInlineCode(path.basename(fileName))})
+			});
+		}
+
+		if (backup === undefined)
+			return null;
+
+		try {
+			await this.saiko.backups.restoreBackup(backup);
+
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate('restored', {file: string.toInlineCode(backup)})
+			});
+		} catch (error) {
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate('failed', {backup, error: error.message})
+			});
+		}
+	}
+
+	/** Loads, unloads or reloads a plugin.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {string} action - load, unload or reload
+	 * @param {string} target - a file name (load) or a plugin name (unload, reload)
+	 * @returns {Promise<Discord.RichEmbed>} - a promise to the response */
+	async managePluginFiles(message, action, target) {
+		const translate = (key, parameters) => this.translate(message.channel, `owner.plugins.${key}`, parameters);
+
+		if (action === 'unload' && target === this.name)
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate('cannotUnload', {plugin: this.name})
+			});
+
+		try {
+			const plugin =
+				action === 'load'   ? await this.saiko.loader.loadPlugin(target)   :
+				action === 'unload' ? await this.saiko.loader.unloadPlugin(target) :
+				await this.saiko.loader.reloadPlugin(target);
+
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate(`files.${action}`, {plugin: plugin.name})
+			});
+		} catch (error) {
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate(`failed.${action}`, {target, error: error.message})
+			});
+		}
+	}
+
+	/** Reloads all plugins which were loaded from files. Plugins which fail to
+	 *  reload keep running their old version. Plugins are reloaded one by one, in
+	 *  the order they were loaded.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @returns {Promise<Discord.RichEmbed>} - a promise to the response */
+	async reloadAllPlugins(message) {
+		const translate = (key, parameters) => this.translate(message.channel, `owner.plugins.${key}`, parameters);
+		const plugins = this.saiko.plugins.filter(plugin => plugin.modulePath);
+		const fields = [];
+
+		for (const plugin of plugins)
+			try {
+				await this.saiko.loader.reloadPlugin(plugin.name); // eslint-disable-line no-await-in-loop
+				fields.push({name: plugin.name, value: translate('reloaded')});
+			} catch (error) {
+				fields.push({name: plugin.name, value: translate('reloadFailed', {error: error.message})});
+			}
+
+		return this.getEmbed({
+			title: translate('title'),
+			description: plugins.length > 0 ? translate('reloadedAll') : translate('noFiles'),
+			fields: fields.map(embed.fitField)
+		});
+	}
+
+	/** Shows the storage type or moves the data to another storage.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {object} args - parsed command arguments
+	 * @returns {Promise<?Discord.RichEmbed>} - a promise to the response or null if some arguments are missing */
+	async manageStorage(message, {action, type}) {
+		const translate = (key, parameters) => this.translate(message.channel, `owner.storage.${key}`, parameters);
+
+		if (action === undefined)
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate('current', {
+					type: this.saiko.dataManager.getStorageType(),
+					file: string.toInlineCode(path.basename(this.saiko.dataManager.storage.fileName))
+				})
+			});
+
+		if (type === undefined)
+			return null;
+
+		try {
+			const storage = await this.saiko.dataManager.migrateStorage(type);
+
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate('moved', {type, file: string.toInlineCode(path.basename(storage.fileName))})
+			});
+		} catch (error) {
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate('failed', {error: error.message})
+			});
+		}
+	}
+
+	/** Shows or changes the log level.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {string} [level] - the new level
+	 * @returns {Discord.RichEmbed} - the response */
+	manageLogLevel(message, level) {
+		if (level !== undefined) {
+			log.setLevel(level);
+			log.info({
+				title: {module: 'OwnerPlugin', separator: '#', function: 'manageLogLevel'},
+				text: `Log level changed to ${level}`
+			});
+		}
+
+		return this.getEmbed({
+			title: this.translate(message.channel, 'owner.logLevel.title'),
+			description: level === undefined ?
+				this.translate(message.channel, 'owner.logLevel.current', {level: log.getLevel(), levels: log.levels.join(', ')}) :
+				this.translate(message.channel, 'owner.logLevel.changed', {level})
+		});
+	}
+
+	/** Runs matching commands.
+	 * @listens Discord.Client#message
+	 * @param {Discord.Message} message - new message
+	 * @returns {Promise<?MessageResponse>} - a promise to a response to send */
+	onMessage(message) {
+		return this.runMatchingCommand(message);
+	}
+
+	/** Runs matching commands (edits existing responses).
+	 * @listens Discord.Client#messageUpdate
+	 * @param {Discord.Message} oldMessage - message before the update
+	 * @param {Discord.Message} newMessage - message after the update
+	 * @returns {Promise<?MessageResponse>} - a promise to a response to send */
+	onMessageUpdate(oldMessage, newMessage) {
+		return this.runMatchingCommand(newMessage, true);
+	}
+}
@@ -0,0 +1,204 @@
+/** @module plug/permissions */
+
+import '../extension/Object.deepAssign.js';
+import Plugin from '../plugin.js';
+import * as discord from '../functions/discord.js';
+import * as permission from '../functions/permission.js';
+import * as string from '../functions/string.js';
+
+/** A plugin to manage permission levels of roles and users (see functions/permission). */
+export default class PermissionsPlugin extends Plugin {
+	/** Creates a new PermissionsPlugin object.
+	 * @param {Saiko} saiko - a Saiko object, which is gonna use that plugin
+	 * @returns {PermissionsPlugin} - a PermissionsPlugin object */
+	constructor(saiko) {
+		super(saiko);
+
+		this.name = 'permissions';
+		const scopeArgument = {
+			name: 'scope',
+			type: 'enum',
+			values: ['guild'],
+			optional: true
+		};
+		const pageArgument = {name: 'page', type: 'integer', min: 1, optional: true, default: 1};
+
+		this.commands = [
+			{
+				trigger: 'operators',
+				args: [pageArgument],
+				examples: ['operators', 'operators 2'],
+				action: (message, {page}) => message.channel.type === 'text' ?
+					this.paginate(message, {
+						title: this.translate(message.channel, 'permissions.operators.title'),
+						description:
+							`**${this.translate(message.channel, 'permissions.operators.usage')}**\n` +
+							`${this.translate(message.channel, 'permissions.operators.description')}\n` +
+							'\n' +
+							`**${this.translate(message.channel, 'permissions.operators.list')}**`,
+						fields: Array.from(message.guild.members.values())
+							.filter(member => this.saiko.hasPermission(member, message.channel, 'operator'))
+							.map(member => ({
+								name: `${string.getEmoji(member.user.bot ? 'bot' : 'human')} ${member.nickname || member.user.username}`,
+								value: `${member.user.username}#${member.user.discriminator}`
+							}))
+					}, page) :
+					this.getEmbed({
+						title: this.translate(message.channel, 'permissions.operators.title'),
+						description: this.translate(message.channel, 'permissions.operators.guildOnly')
+					})
+			},
+			{
+				operator: true,
+				trigger: 'permissions',
+				aliases: ['perms'],
+				args: [
+					{
+						name: 'action',
+						type: 'enum',
+						values: ['list', 'grant', 'revoke'],
+						optional: true,
+						default: 'list'
+					},
+					{name: 'level', type: 'enum', values: permission.levels, optional: true},
+					{
+						name: 'target',
+						type: (value, message) => PermissionsPlugin.findPermissionTarget(message.channel.guild || message.channel, value),
+						optional: true
+					},
+					scopeArgument
+				],
+				examples: ['permissions', 'permissions grant moderator @Mods guild', 'permissions revoke @Someone'],
+				action: (message, args) => this.managePermissions(message, args)
+			}
+		];
+	}
+
+	/** Lists, grants and revokes permissions. Nobody can grant a level higher
+	 *  than the one they have on the whole guild, so operators of a single
+	 *  channel can't make others operators.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {object} args - parsed command arguments
+	 * @returns {?(Promise<Discord.RichEmbed>|Discord.RichEmbed|object)} - a promise to the response, the response
+	 *  (e.g. a question confirming a change of a guild's config) or null if some arguments are missing */
+	managePermissions(message, {action, level, target, scope}) {
+		const translate = (key, parameters) => this.translate(message.channel, `permissions.${key}`, parameters);
+
+		if (message.channel.type !== 'text')
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate('guildOnly')
+			});
+
+		const guildMode = scope === 'guild';
+		const {guild} = message.channel;
+		const place = guildMode ? guild : message.channel;
+		const placeName = guildMode ? 'guild' : 'channel';
+
+		if (action === 'list')
+			return this.getEmbed({
+				title: translate('title'),
+				description: `**${translate(`granted.${placeName}`)}**`,
+				fields: this.describePermissions(message.channel,
+					(guildMode ? this.saiko.getGuildConfig(guild) : this.saiko.getChannelConfig(place)).permissions)
+			});
+
+		if ((action === 'grant' && level === undefined) || target === undefined)
+			return null;
+
+		const config = this.saiko.data[guildMode ? 'guilds' : 'channels'];
+		const parameters = {target: translate(`targets.${target.type}`, {name: target.name}), level};
+
+		if (!guildMode && action === 'grant' && !this.saiko.hasPermission(message.member || message.author, guild, level))
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate('tooHigh', parameters)
+			});
+
+		if (action === 'revoke' && (((config[place.id] || {}).permissions || {})[target.type] || {})[target.id] === undefined)
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate(`none.${placeName}`, parameters)
+			});
+
+		return this.confirmGuildChange(message, guildMode, {
+			title: translate('title'),
+			description: action === 'grant' ? translate('confirmGrant', parameters) : translate('confirmRevoke', parameters)
+		}, async () => {
+			if (!config[place.id])
+				config[place.id] = {};
+
+			if (action === 'grant')
+				Object.deepAssign(config[place.id], {
+					permissions: {
+						[target.type]: {
+							[target.id]: level
+						}
+					}
+				});
+			else
+				delete ((config[place.id].permissions || {})[target.type] || {})[target.id];
+
+			await this.saiko.saveData();
+
+			return this.getEmbed({
+				title: translate('title'),
+				description: translate(`${action}.${placeName}`, parameters)
+			});
+		});
+	}
+
+	/** Finds a role or a user to grant permissions to.
+	 * @param {Discord.Guild} guild
+	 * @param {string} clue - a role or user mention, ID or name
+	 * @returns {?object} - the target's type ('roles' or 'users'), ID and name (role's name or user's tag), or null */
+	static findPermissionTarget(guild, clue) {
+		const role = discord.getRole(guild)(clue);
+
+		if (role)
+			return {type: 'roles', id: role.id, name: role.name};
+
+		const user = discord.getUser(guild)(clue);
+
+		if (user)
+			return {type: 'users', id: user.id, name: user.tag};
+
+		return null;
+	}
+
+	/** Lists permissions granted in a config as embed fields.
+	 * @param {Discord.TextChannel} channel - a channel of the guild (its language is used)
+	 * @param {PermissionConfig} [config]
+	 * @returns {array<object>} - embed fields */
+	describePermissions(channel, config = {}) {
+		const translate = (key, parameters) => this.translate(channel, `permissions.fields.${key}`, parameters);
+		const describe = (type, collection, getName) => Object.entries(config[type] || {})
+			.filter(([, level]) => permission.levels.includes(level))
+			.map(([id, level]) => ({
+				name: collection.has(id) ? translate(type, {name: getName(collection.get(id))}) : translate('unknown', {id}),
+				value: level
+			}));
+
+		return [
+			...describe('roles', channel.guild.roles, role => role.name),
+			...describe('users', channel.guild.members, member => member.user.tag)
+		];
+	}
+
+	/** Runs matching commands.
+	 * @listens Discord.Client#message
+	 * @param {Discord.Message} message - new message
+	 * @returns {Promise<?MessageResponse>} - a promise to a response to send */
+	onMessage(message) {
+		return this.runMatchingCommand(message);
+	}
+
+	/** Runs matching commands (edits existing responses).
+	 * @listens Discord.Client#messageUpdate
+	 * @param {Discord.Message} oldMessage - message before the update
+	 * @param {Discord.Message} newMessage - message after the update
+	 * @returns {Promise<?MessageResponse>} - a promise to a response to send */
+	onMessageUpdate(oldMessage, newMessage) {
+		return this.runMatchingCommand(newMessage, true);
+	}
+}
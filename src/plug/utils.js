@@ -13,25 +13,25 @@ export default class UtilsPlugin extends Plugin {
 		super(saiko);
 
 		this.name = 'utils';
-		this.description = `Random useful commands.`;
 		this.commands = [
 			{
 				trigger: 'user',
-				action: (message, ...params) => {
-					if (params.length < 2)
+				aliases: ['whois'],
+				args: [{name: 'users', rest: true, optional: true}],
+				examples: ['user Saiko', 'user "Sai Kurogetsu" @Someone'],
+				action: (message, {users}) => {
+					if (users.length === 0)
 						return this.getEmbed({
-							title: 'User',
-							description: 'Who do you want me to find?'
+							title: this.translate(message.channel, 'utils.user.title'),
+							description: this.translate(message.channel, 'utils.user.missing')
 						});
 
-					const [, ...users] = params;
-
 					return users
 						.map(user => discord.getUser(message.channel.guild || message.channel)(user) || user)
 						.map(user => typeof user === 'string' ?
 							this.getEmbed({
-								title: 'User',
-								description: `Can't find user "${user}".`
+								title: this.translate(message.channel, 'utils.user.title'),
+								description: this.translate(message.channel, 'utils.user.notFound', {user})
 							}) :
 							this.getEmbed({
 								author: {
@@ -50,7 +50,7 @@ export default class UtilsPlugin extends Plugin {
 	/** Runs matching commands.
 	 * @listens Discord.Client#message
 	 * @param {Discord.Message} message - new message
-	 * @returns {?MessageResponse} - a response to send */
+	 * @returns {Promise<?MessageResponse>} - a promise to a response to send */
 	onMessage(message) {
 		return this.runMatchingCommand(message);
 	}
@@ -59,7 +59,7 @@ export default class UtilsPlugin extends Plugin {
 	 * @listens Discord.Client#messageUpdate
 	 * @param {Discord.Message} oldMessage - message before the update
 	 * @param {Discord.Message} newMessage - message after the update
-	 * @returns {?MessageResponse} - a response to send */
+	 * @returns {Promise<?MessageResponse>} - a promise to a response to send */
 	onMessageUpdate(oldMessage, newMessage) {
 		return this.runMatchingCommand(newMessage, true);
 	}
@@ -1,8 +1,15 @@
 /** @module plugin */
 
+import CommandHelp from './help.js';
+import Conversations from './conversations.js';
 import Discord from 'discord.js';
+import Pagination from './pagination.js';
+import Store, {getScopeKey} from './store.js';
+import * as commandFunctions from './functions/command.js';
 import * as func from './functions/function.js';
+import * as permission from './functions/permission.js';
 import * as string from './functions/string.js';
+import * as translation from './translation.js';
 
 /** Defines an "interface" for plugins. All plugins should extend this class.
  * @abstract */
@@ -17,23 +24,91 @@ export default class Plugin {
 		/** Plugin's command.
 		 * @typedef PluginCommand
 		 * @type {object}
-		 * @property {boolean} [operator=false]
+		 * @property {string} [permission='user'] - permission level required to run the command
+		 *  (see functions/permission~levels), or owner for commands changing the whole bot (see Saiko#isOwner)
+		 * @property {boolean} [operator=false] - a shorthand for `permission: 'operator'`
 		 * @property {string|function|RegExp} trigger
-		 * @property {string|function} action
-		 * @property {string|function} [help] */
+		 * @property {array<string>} [aliases] - other string triggers of the command
+		 * @property {string} [description] - what the command does, shown in its help (plugins can translate it, see Plugin#getCommandDescription)
+		 * @property {array<string>} [examples] - examples of using the command (without the prefix)
+		 * @property {array<CommandArgument>} [args] - command's arguments (see functions/command~CommandArgument)
+		 * @property {array<CommandArgument>} [flags] - command's flags
+		 * @property {object} [cooldown] - time between uses of the command, which can be
+		 *  overridden in the plugin's config (see Plugin#getCommandCooldown)
+		 * @property {number} cooldown.seconds - length of the cooldown
+		 * @property {string} [cooldown.scope='user'] - who shares the cooldown: each user
+		 *  separately, everyone on a channel or everyone on a guild (see schema~cooldownScopes)
+		 * @property {string|function} action - a value or a function returning it (or a promise to it);
+		 *  commands with args or flags get the message and an object with parsed arguments,
+		 *  other commands get the message and raw command parameters
+		 * @property {string|function} [help] - a value or a function returning it (or a promise to it) */
 
 		/** @type {Saiko} */
 		this.saiko = saiko;
 		/** @type {string} */
 		this.name = this.constructor.name;
-		/** @type {string} */
+		/** Used if the catalogs have no description of the plugin (see Plugin#getDescription).
+		 * @type {string} */
 		this.description = `This plugin doesn't have a description.`;
-		/** @type {string} */
+		/** Default prefix, used if no prefix is set in the config (see Plugin#getPrefix).
+		 * @type {string} */
 		this.prefix = '`';
 		/** @type {string} */
 		this.color = '#14908d';
 		/** @type {array<PluginCommand>} */
 		this.commands = [];
+		/** Schemas of properties of the plugin's config section (besides `enabled`
+		 *  and `prefix`, see schema~getPluginConfigSchema), keyed by property
+		 *  names, or null if the plugin doesn't declare its config.
+		 * @type {?object<string, Schema>} */
+		this.configSchema = null;
+		/** Names of plugins this plugin needs. They are loaded first and Saiko
+		 *  refuses to start if any of them is missing.
+		 * @type {array<string>} */
+		this.dependencies = [];
+		/** Plugins with higher priority handle events first (but always after
+		 *  their dependencies), so their responses take precedence.
+		 * @type {number} */
+		this.priority = 0;
+		/** Absolute path to the plugin's module, set by Saiko when the plugin is
+		 *  loaded from a file (see PluginLoader#createPlugin).
+		 * @type {?string} */
+		this.modulePath = null;
+		/** Paginated responses whose pages can be turned with reactions (see Plugin#paginate).
+		 * @type {Pagination} */
+		this.paginations = new Pagination(this);
+		/** Time (in milliseconds) since the last page turn after which pages
+		 *  can't be turned with reactions anymore.
+		 * @type {number} */
+		this.paginationTimeout = 2 * 60 * 1000;
+		/** Questions waiting for replies (see Plugin#prompt).
+		 * @type {Conversations} */
+		this.conversations = new Conversations(this);
+		/** Help texts of the plugin's commands (see Plugin#getCommandHelp).
+		 * @type {CommandHelp} */
+		this.commandHelp = new CommandHelp(this);
+		/** Default time (in milliseconds) to reply to a question, in whole minutes.
+		 * @type {number} */
+		this.promptTimeout = 60 * 1000;
+	}
+
+	/** Returns the plugin's persistent key-value store for a scope. Each plugin
+	 *  has its own stores, e.g. `this.getStore(message.guild).set('count', 1)`.
+	 * @param {?(Discord.Guild|Discord.Channel|Discord.GuildMember|Discord.User)} [scope=null] -
+	 *  the store's scope, or null for plugin-wide data
+	 * @returns {Store} - the store */
+	getStore(scope = null) {
+		return new Store(this.saiko, this.name, getScopeKey(scope));
+	}
+
+	/** Returns a message in the language used on a channel or a guild (see
+	 *  translation~translate), e.g. `this.translate(message.channel, 'plugin.help.title')`.
+	 * @param {?(Discord.Channel|Discord.Guild)} place - where the message is shown, or null for the default language
+	 * @param {string} key - message's path in the catalogs
+	 * @param {object} [parameters={}] - values of the message's placeholders
+	 * @returns {string} - the message */
+	translate(place, key, parameters = {}) {
+		return translation.translate(this.saiko.getLanguage(place))(key, parameters);
 	}
 
 	/** Checks if a user should be ignored.
@@ -43,36 +118,74 @@ export default class Plugin {
 		return user.bot || user.id === this.saiko.client.user.id;
 	}
 
+	/** Returns the command prefix used on a given channel. The prefix is
+	 *  resolved from the channel's config (defaults, guild and channel merged);
+	 *  a `prefix` set in the plugin's config takes precedence over the general
+	 *  `prefix`. If neither is set, the plugin's default prefix is used.
+	 * @param {Discord.Channel} channel
+	 * @returns {string} - the prefix */
+	getPrefix(channel) {
+		return this.saiko.getPluginConfig(this, channel).prefix ||
+			this.saiko.getChannelConfig(channel).prefix ||
+			this.prefix;
+	}
+
+	/** Returns the prefix the message starts with. Besides the channel's prefix,
+	 *  mentioning the bot works as a prefix too (e.g. "@Saiko help").
+	 * @param {Discord.Message} message
+	 * @returns {?string} - the matching prefix (including whitespace after a mention) or null */
+	getMessagePrefix(message) {
+		const prefix  = this.getPrefix(message.channel);
+		const mention = message.content.match(new RegExp(`^<@!?${this.saiko.client.user.id}>\\s*`));
+
+		return mention ? mention[0] :
+			message.content.startsWith(prefix) ? prefix : null;
+	}
+
 	/** Checks if the message triggers the command. The trigger will match one of the following values:
-	 *  - a string - if the message content starts with the prefix followed by that string (case insensitive),
+	 *  - a string - if the message content starts with the prefix followed by that string
+	 *    or one of the command's aliases (case insensitive),
 	 *  - a function - if it returns a truthy value,
 	 *  - a RegExp - if it matches the message content.
 	 * @param {Discord.Message} message - the message which triggered that command
 	 * @param {PluginCommand} command - the command to check
+	 * @param {?string} [prefix] - the message's prefix, see Plugin#getMessagePrefix
 	 * @returns {boolean} - true if the trigger matches the message */
-	doesMessageTriggerCommand(message, {trigger}) {
+	doesMessageTriggerCommand(message, command, prefix = this.getMessagePrefix(message)) {
+		const {trigger} = command;
+		const commandText = prefix === null ? null : message.content.slice(prefix.length).toLowerCase();
+
 		return [
-			typeof trigger === 'string' && message.content.toLowerCase() === `${this.prefix}${trigger}`,
-			typeof trigger === 'string' && message.content.toLowerCase().startsWith(`${this.prefix}${trigger} `),
+			commandText !== null && commandFunctions.getTriggers(command).some(trigger =>
+				commandText === trigger || commandText.startsWith(`${trigger} `)
+			),
 			typeof trigger === 'function' && trigger(message),
 			trigger instanceof RegExp && message.content.match(trigger)
 		].some(condition => condition);
 	}
 
 	/** Runs a specific command. If the answer returns a falsey value, a help message is used instead.
+	 *  Messages over their author's rate limit (see CommandLimiter#limitMessage)
+	 *  and commands on cooldown (see Plugin#limitCommand) don't run. Edited commands
+	 *  were already counted towards cooldowns, so they aren't limited again.
 	 * @param {Discord.Message} message - the message which triggered that command
 	 * @param {PluginCommand} command - the command to run
 	 * @param {boolean} [edit=false] - whether or not to edit existing responses
-	 * @returns {MessageResponse} - response generated by the command */
-	runCommand(message, {operator, action, help}, edit = false) {
-		const defaultHelp = this.getEmbed({
-			title: `This command doesn't have a description.`
-		});
-		const commandParams = string.parseCommandParameters(string.stripStart(this.prefix)(message.content));
-		const answer = operator && !Plugin.isOperator(message.member || message.author) ?
-			this.noOperatorPerm() :
-			func.evaluate(action)(message, ...commandParams) ||
-			func.evaluate(help || defaultHelp)(message, ...commandParams);
+	 * @returns {Promise<MessageResponse>} - a promise to the response generated by the command */
+	async runCommand(message, command, edit = false) {
+		const permitted = this.canRunCommand(message.member || message.author, message.channel, command);
+		const limit =
+			edit      ? null :
+			permitted ? this.saiko.limiter.getMessageLimit(message) || this.limitCommand(message, command) :
+			this.saiko.limiter.getMessageLimit(message);
+
+		if (limit !== null && !limit.notify)
+			return {posts: [], edits: []};
+
+		const answer =
+			limit === null && permitted ? await this.getCommandAnswer(message, command) :
+			limit === null              ? this.noPermission(Plugin.getCommandPermission(command), message.channel) :
+			this.commandLimited(message, command, limit);
 		const posts = Array.isArray(answer) ?
 			answer.every(Array.isArray) ? answer : [answer] :
 			[[answer]];
@@ -88,19 +201,171 @@ export default class Plugin {
 			};
 	}
 
+	/** Returns a command's cooldown on a given channel. A cooldown set in the
+	 *  plugin's config (in `cooldowns`, by the command's trigger) takes precedence
+	 *  over the command's own one.
+	 * @param {PluginCommand} command
+	 * @param {Discord.Channel} channel
+	 * @returns {?object} - the cooldown (seconds and scope) or null if the command doesn't have one */
+	getCommandCooldown(command, channel) {
+		const {cooldowns = {}} = this.saiko.getPluginConfig(this, channel);
+		const [trigger] = commandFunctions.getTriggers(command);
+		const cooldown = (trigger !== undefined && cooldowns[trigger]) || command.cooldown;
+
+		return cooldown && cooldown.seconds > 0 ? {scope: 'user', ...cooldown} : null;
+	}
+
+	/** Counts a use of a command towards its cooldown (see Plugin#getCommandCooldown).
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {PluginCommand} command
+	 * @returns {?object} - null if the command can run, otherwise the limit's type
+	 *  (cooldown), the time to wait (in milliseconds) and whether or not to notify the user */
+	limitCommand(message, command) {
+		const {author, channel} = message;
+		const cooldown = this.getCommandCooldown(command, channel);
+
+		if (cooldown === null)
+			return null;
+
+		const [trigger = this.commands.indexOf(command)] = commandFunctions.getTriggers(command);
+		const scopeKey =
+			cooldown.scope === 'channel'                ? `channel:${channel.id}` :
+			cooldown.scope === 'guild' && channel.guild ? `guild:${channel.guild.id}` :
+			`user:${author.id}`;
+		const limit = this.saiko.limiter.take(`cooldown:${this.name}:${trigger}:${scopeKey}`, {limit: 1, interval: cooldown.seconds * 1000}, author);
+
+		return limit && {type: 'cooldown', ...limit};
+	}
+
+	/** Returns a message asking a user to wait before running a command.
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {PluginCommand} command
+	 * @param {object} limit - the exceeded limit (see Plugin#limitCommand)
+	 * @returns {Discord.RichEmbed} - the message */
+	commandLimited(message, command, {type, waitTime}) {
+		const {channel} = message;
+		const [trigger] = commandFunctions.getTriggers(command);
+		const retry = this.translate(channel, 'plugin.slowDown.retry', {count: Math.ceil(waitTime / 1000)});
+
+		return this.getEmbed({
+			title: this.translate(channel, 'plugin.slowDown.title'),
+			description: type === 'cooldown' && trigger !== undefined ?
+				this.translate(channel, 'plugin.slowDown.cooldown', {command: string.toInlineCode(`${this.getPrefix(channel)}${trigger}`), retry}) :
+				this.translate(channel, 'plugin.slowDown.rateLimit', {retry})
+		});
+	}
+
+	/** Runs a command's action (or help, if the action returns a falsey value).
+	 *  If the command has structured arguments and the message's parameters
+	 *  don't match them, a message explaining the problem is returned instead,
+	 *  and so is a message saying that the permission level required by some
+	 *  of the given arguments is missing (see functions/command~getArgumentPermissions).
+	 * @param {Discord.Message} message - the message which triggered that command
+	 * @param {PluginCommand} command - the command to run
+	 * @returns {Promise<*>} - a promise to the command's answer */
+	async getCommandAnswer(message, command) {
+		const {action, help} = command;
+		const defaultHelp = this.getCommandHelp(command, message.channel);
+		const commandParams = string.parseCommandParameters(string.stripStart(this.getMessagePrefix(message) || '')(message.content));
+		let actionParams = commandParams;
+
+		if (commandFunctions.hasArguments(command))
+			try {
+				actionParams = [commandFunctions.parseArguments(command)(message)(commandParams.slice(1))];
+			} catch (error) {
+				if (error instanceof commandFunctions.ArgumentError)
+					return this.commandHelp.invalidArguments(message, command, error);
+
+				throw error;
+			}
+
+		const deniedLevel = commandFunctions.hasArguments(command) ?
+			commandFunctions.getArgumentPermissions(command)(actionParams[0])
+				.find(level => !this.saiko.hasPermission(message.member || message.author, message.channel, level)) :
+			undefined;
+
+		if (deniedLevel !== undefined)
+			return this.noPermission(deniedLevel, message.channel);
+
+		return await func.evaluate(action)(message, ...actionParams) ||
+			func.evaluate(help || defaultHelp)(message, ...actionParams);
+	}
+
+	/** Finds one of the plugin's commands by its trigger or alias.
+	 * @param {string} trigger
+	 * @returns {?PluginCommand} - the command or null */
+	findCommand(trigger) {
+		return this.commands.find(command => commandFunctions.getTriggers(command).includes(trigger)) || null;
+	}
+
+	/** Returns the usage text of a command, including the prefix used on a given channel.
+	 * @param {PluginCommand} command
+	 * @param {Discord.Channel} channel
+	 * @returns {string} - the usage text */
+	getCommandUsage(command, channel) {
+		return `${this.getPrefix(channel)}${commandFunctions.getUsage(command)}`;
+	}
+
+	/** Returns commands which a user can run on a given channel and which can
+	 *  be triggered by a string (commands with only function or RegExp triggers
+	 *  are omitted, since there is no way to describe them).
+	 * @param {Discord.GuildMember|Discord.User} user
+	 * @param {Discord.Channel} channel
+	 * @returns {array<PluginCommand>} - available commands */
+	getAvailableCommands(user, channel) {
+		return this.commands.filter(command =>
+			commandFunctions.getTriggers(command).length > 0 &&
+			this.canRunCommand(user, channel, command)
+		);
+	}
+
+	/** Returns the plugin's description in the language used on a channel or a
+	 *  guild. The `description` message of the plugin's catalog section (e.g.
+	 *  `utils.description`) takes precedence over Plugin#description.
+	 * @param {?(Discord.Channel|Discord.Guild)} place - where the description is shown
+	 * @returns {string} - the description */
+	getDescription(place) {
+		return translation.hasMessage(`${this.name}.description`) ?
+			this.translate(place, `${this.name}.description`, {bot: this.saiko.name}) :
+			this.description;
+	}
+
+	/** Returns a command's description (see CommandHelp#getCommandText).
+	 * @param {PluginCommand} command
+	 * @param {?(Discord.Channel|Discord.Guild)} place - where the description is shown
+	 * @returns {?string} - the description or null if the command has none */
+	getCommandDescription(command, place) {
+		return this.commandHelp.getCommandDescription(command, place);
+	}
+
+	/** Returns a message describing a command (see CommandHelp#getCommandHelp).
+	 * @param {PluginCommand} command
+	 * @param {Discord.Channel} channel - the channel where the help will be shown
+	 * @returns {Discord.RichEmbed} - the message */
+	getCommandHelp(command, channel) {
+		return this.commandHelp.getCommandHelp(command, channel);
+	}
+
 	/** Checks if the message triggers any command and runs it.
 	 * @param {Discord.Message} message - the message which might trigger a command
 	 * @param {boolean} [edit=false] - whether or not to edit existing responses
-	 * @returns {?MessageResponse} - response generated by the matching command or null */
+	 * @returns {Promise<?MessageResponse>} - a promise to the response generated by the matching command or null */
 	runMatchingCommand(message, edit = false) {
-		if (!message.content.startsWith(this.prefix))
-			return null;
+		const command = this.saiko.isReply(message) ? null : this.getTriggeredCommand(message);
+
+		return command === null ? Promise.resolve(null) : this.runCommand(message, command, edit);
+	}
 
-		for (const command of this.commands)
-			if (this.doesMessageTriggerCommand(message, command))
-				return this.runCommand(message, command, edit);
+	/** Finds the command a message triggers.
+	 * @param {Discord.Message} message
+	 * @returns {?PluginCommand} - the command or null if the message doesn't trigger any */
+	getTriggeredCommand(message) {
+		const prefix = this.getMessagePrefix(message);
 
-		return null;
+		if (prefix === null)
+			return null;
+
+		return this.commands.find(command => this.doesMessageTriggerCommand(message, command, prefix)) || null;
 	}
 
 	/** Creates a new Discord.RichEmbed object setting the default color.
@@ -119,31 +384,166 @@ export default class Plugin {
 		return embed;
 	}
 
-	/** Checks if a user has operator permissions.
+	/** Returns one page of an embed which has too many fields to fit in one
+	 *  embed. The page number is added to the footer.
+	 * @param {object} data - embed's data (see Plugin#getEmbed)
+	 * @param {number} page - page number (starting at 1)
+	 * @param {?(Discord.Channel|Discord.Guild)} [place=null] - where the page is shown (see Plugin#translate)
+	 * @returns {Discord.RichEmbed} - the page */
+	getPage(data, page, place = null) {
+		return this.paginations.getPage(data, page, place);
+	}
+
+	/** Returns a page of an embed with many fields as a response to a command.
+	 *  If there is more than one page, the user who ran the command can turn
+	 *  pages with ◀ and ▶ reactions until the pagination times out (commands
+	 *  should also take a page number, so all pages are reachable without reactions).
+	 * @param {Discord.Message} message - the message which triggered the command
+	 * @param {object} data - embed's data (see Plugin#getEmbed)
+	 * @param {number} [page=1] - the page to show first
+	 * @returns {Discord.RichEmbed|object} - the page, with the reactions if there are more pages */
+	paginate(message, data, page = 1) {
+		return this.paginations.paginate(message, data, page);
+	}
+
+	/** Turns a page of a paginated response after its user reacted with ◀ or ▶.
+	 *  The reaction is removed if the bot can manage messages.
+	 * @param {Discord.MessageReaction} reaction
+	 * @param {Discord.User} user - the user who reacted
+	 * @returns {Promise<boolean>} - a promise to true if the reaction turned a page */
+	turnPage(reaction, user) {
+		return this.paginations.turnPage(reaction, user);
+	}
+
+	/** Asks the author of a message a question. Their next message on the same
+	 *  channel (or a reaction to the question) is passed to the `onReply`
+	 *  callback. Plugins' handlers get replies too, but replies don't run commands.
+	 *  The callback's response is sent as a response to the reply message, or
+	 *  replaces the question if the reply is a reaction. The conversation can
+	 *  go on by asking another question in the callback. It ends without
+	 *  calling the callback when the user replies with the cancel keyword or
+	 *  doesn't reply in time.
+	 * @param {Discord.Message} message - the message which triggered the question
+	 * @param {Discord.RichEmbed} question
+	 * @param {object} options
+	 * @param {function} options.onReply - gets the reply (a Discord.Message, or a Discord.MessageReaction and
+	 *  the user) and returns a response to it (or a promise to it)
+	 * @param {function} [options.accepts] - checks if a message or a reaction is a reply, other ones are
+	 *  handled as usual and the conversation goes on (by default all messages and the listed reactions are replies)
+	 * @param {array<string>} [options.reactions=[]] - emojis added to the question, which can be used as replies
+	 * @param {string} [options.cancel] - a reply which ends the conversation (`cancel` in the channel's language by default)
+	 * @param {number} [options.timeout=this.promptTimeout] - time (in milliseconds) to reply
+	 * @returns {Discord.RichEmbed|object} - the question, with the reactions if there are any */
+	prompt(message, question, options) {
+		return this.conversations.prompt(message, question, options);
+	}
+
+	/** Asks the author of a message to confirm an action. The action runs once
+	 *  they reply "yes" (in English or the channel's language) or react with ✅,
+	 *  replying "no" or reacting with ❌ cancels it (see Plugin#prompt). The
+	 *  author's permission level is checked again before the action runs, as
+	 *  it might have changed in the meantime.
+	 * @param {Discord.Message} message - the message which triggered the action
+	 * @param {object} question - embed's data (see Plugin#getEmbed) describing what's gonna happen
+	 * @param {function} action - runs the action and returns a response (or a promise to it)
+	 * @param {object} [options]
+	 * @param {number} [options.timeout=this.promptTimeout] - time (in milliseconds) to confirm, in whole minutes
+	 * @param {string} [options.permission] - the permission level required to run the action
+	 *  (by default the one of the command the message triggered)
+	 * @param {Discord.Channel|Discord.Guild} [options.place=message.channel] - where the permission level is required
+	 * @returns {object} - the question as a response */
+	confirm(message, question, action, {timeout = this.promptTimeout, permission, place = message.channel} = {}) {
+		const command = this.getTriggeredCommand(message);
+
+		return this.conversations.confirm(message, question, action, {
+			timeout,
+			permission: permission || (command === null ? 'user' : Plugin.getCommandPermission(command)),
+			place
+		});
+	}
+
+	/** Applies a change of a config. Changes of a guild's config affect all
+	 *  its channels, so they require operator permissions on the guild itself
+	 *  (operators of a single channel can't make them), the user is asked
+	 *  to confirm them first (see Plugin#confirm), and they are applied only
+	 *  if the user still is an operator by then.
+	 * @param {Discord.Message} message - the message which triggered the change
+	 * @param {boolean} guildMode - whether or not the change applies to the guild's config
+	 * @param {object} question - embed's data describing the change
+	 * @param {function} change - applies the change and returns a promise to the response
+	 * @returns {Promise<*>|object} - a promise to the change's response or the question */
+	confirmGuildChange(message, guildMode, question, change) {
+		if (!guildMode)
+			return change();
+
+		return this.saiko.hasPermission(message.member || message.author, message.channel.guild, 'operator') ?
+			this.confirm(message, question, change, {permission: 'operator', place: message.channel.guild}) :
+			this.noPermission('operator', message.channel);
+	}
+
+	/** Finds the question an event replies to.
+	 * @param {string} eventName - Discord.js event name
+	 * @param {...*} parameters - the event's parameters
+	 * @returns {?Conversation} - the conversation or null if the event isn't a reply */
+	getConversation(eventName, ...parameters) {
+		return this.conversations.find(eventName, ...parameters);
+	}
+
+	/** Ends a conversation with a reply to its question (see Plugin#prompt).
+	 *  Saiko calls it besides event handlers if Plugin#getConversation finds
+	 *  the question.
+	 * @param {string} eventName - Discord.js event name
+	 * @param {...*} parameters - the event's parameters
+	 * @returns {Promise<?MessageResponse>} - a promise to a response to the reply message */
+	handleReply(eventName, ...parameters) {
+		return this.conversations.handleReply(eventName, ...parameters);
+	}
+
+	/** Returns the permission level required to run a command.
+	 * @param {PluginCommand} command
+	 * @returns {string} - the permission level */
+	static getCommandPermission({permission, operator}) {
+		return permission || (operator ? 'operator' : 'user');
+	}
+
+	/** Checks if a user has operator permissions regardless of the permissions
+	 *  granted in the config. Use Saiko#hasPermission to check those too.
 	 * @param {Discord.GuildMember|Discord.User} user
 	 * @returns {boolean} - true if the user has the Administrator perm or
 	 *  if the user isn't a guild member */
 	static isOperator(user) {
-		if (user instanceof Discord.User)
-			return true;
-
-		if (user instanceof Discord.GuildMember &&
-		    user.permissions.has(Discord.Permissions.FLAGS.ADMINISTRATOR))
-			return true;
+		return permission.getUserLevel()(user) === 'operator';
+	}
 
-		return false;
+	/** Checks if a user can run a command on a given channel.
+	 * @param {Discord.GuildMember|Discord.User} user
+	 * @param {Discord.Channel} channel
+	 * @param {PluginCommand} command
+	 * @returns {boolean} - true if the user has the permission level required by the command */
+	canRunCommand(user, channel, command) {
+		return this.saiko.hasPermission(user, channel, Plugin.getCommandPermission(command));
 	}
 
-	/** Returns a message saying that a command requires operator permissions.
+	/** Returns a message saying that a command requires a higher permission level.
+	 * @param {string} level - the required permission level
+	 * @param {?Discord.Channel} [channel=null] - where the message is shown (see Plugin#translate)
 	 * @returns {object} - the message */
-	noOperatorPerm() {
+	noPermission(level, channel = null) {
 		return this.getEmbed({
-			title: 'Permission denied',
-			description: 'That command requires operator permissions. ' +
-				'Use the `operator` command to see who has them.'
+			title: this.translate(channel, 'plugin.permissionDenied.title'),
+			description: level === 'owner' ?
+				this.translate(channel, 'plugin.permissionDenied.owner') :
+				this.translate(channel, 'plugin.permissionDenied.description', {level})
 		});
 	}
 
+	/** Returns a message saying that a command requires operator permissions.
+	 * @param {?Discord.Channel} [channel=null] - where the message is shown (see Plugin#translate)
+	 * @returns {object} - the message */
+	noOperatorPerm(channel = null) {
+		return this.noPermission('operator', channel);
+	}
+
 	/** A response generated after a user triggered a command.
 	 * @typedef MessageResponse
 	 * @type {object}
@@ -153,19 +553,116 @@ export default class Plugin {
 	/** Handles the 'message' event.
 	 * @listens Discord.Client#message
 	 * @param {Discord.Message} message - new message
-	 * @returns {?MessageResponse} - a response to send */
+	 * @returns {?MessageResponse|Promise<?MessageResponse>} - a response to send */
 	onMessage(message) {} // eslint-disable-line
 
 	/** Handles the 'messageDelete' event.
 	 * @listens Discord.Client#messageDelete
 	 * @param {Discord.Message} message - deleted message
-	 * @returns {?MessageResponse} - a response to send */
+	 * @returns {?MessageResponse|Promise<?MessageResponse>} - a response to send */
 	onMessageDelete(message) {} // eslint-disable-line
 
 	/** Handles the 'messageUpdate' event.
 	 * @listens Discord.Client#messageUpdate
 	 * @param {Discord.Message} oldMessage - message before the update
 	 * @param {Discord.Message} newMessage - message after the update
-	 * @returns {?MessageResponse} - a response to send */
+	 * @returns {?MessageResponse|Promise<?MessageResponse>} - a response to send */
 	onMessageUpdate(oldMessage, newMessage) {} // eslint-disable-line
+
+	/** Handles the 'messageReactionAdd' event. Called for reactions on messages
+	 *  in places where the plugin is enabled. By default turns pages of paginated
+	 *  responses, plugins overriding it should call Plugin#turnPage too.
+	 * @listens Discord.Client#messageReactionAdd
+	 * @param {Discord.MessageReaction} reaction - the added reaction
+	 * @param {Discord.User} user - the user who added the reaction
+	 * @returns {void|Promise<void>} - a promise resolved once the event is handled */
+	async onMessageReactionAdd(reaction, user) {
+		await this.turnPage(reaction, user);
+	}
+
+	/** Handles the 'messageReactionRemove' event.
+	 * @listens Discord.Client#messageReactionRemove
+	 * @param {Discord.MessageReaction} reaction - the removed reaction
+	 * @param {Discord.User} user - the user whose reaction was removed
+	 * @returns {void|Promise<void>} - a promise resolved once the event is handled */
+	onMessageReactionRemove(reaction, user) {} // eslint-disable-line
+
+	/** Handles the 'guildMemberAdd' event.
+	 * @listens Discord.Client#guildMemberAdd
+	 * @param {Discord.GuildMember} member - the member who joined a guild
+	 * @returns {void|Promise<void>} - a promise resolved once the event is handled */
+	onGuildMemberAdd(member) {} // eslint-disable-line
+
+	/** Handles the 'guildMemberRemove' event.
+	 * @listens Discord.Client#guildMemberRemove
+	 * @param {Discord.GuildMember} member - the member who left (or was kicked from) a guild
+	 * @returns {void|Promise<void>} - a promise resolved once the event is handled */
+	onGuildMemberRemove(member) {} // eslint-disable-line
+
+	/** Handles the 'guildCreate' event. Called only if the plugin is enabled
+	 *  by default, since the new guild has no config yet.
+	 * @listens Discord.Client#guildCreate
+	 * @param {Discord.Guild} guild - the guild the bot joined
+	 * @returns {void|Promise<void>} - a promise resolved once the event is handled */
+	onGuildCreate(guild) {} // eslint-disable-line
+
+	/** Handles the 'guildDelete' event.
+	 * @listens Discord.Client#guildDelete
+	 * @param {Discord.Guild} guild - the guild the bot left
+	 * @returns {void|Promise<void>} - a promise resolved once the event is handled */
+	onGuildDelete(guild) {} // eslint-disable-line
+
+	/** Handles the 'channelCreate' event.
+	 * @listens Discord.Client#channelCreate
+	 * @param {Discord.Channel} channel - the new channel
+	 * @returns {void|Promise<void>} - a promise resolved once the event is handled */
+	onChannelCreate(channel) {} // eslint-disable-line
+
+	/** Handles the 'channelDelete' event.
+	 * @listens Discord.Client#channelDelete
+	 * @param {Discord.Channel} channel - the deleted channel
+	 * @returns {void|Promise<void>} - a promise resolved once the event is handled */
+	onChannelDelete(channel) {} // eslint-disable-line
+
+	/** Handles the 'presenceUpdate' event. Called once per guild the member is in.
+	 * @listens Discord.Client#presenceUpdate
+	 * @param {Discord.GuildMember} oldMember - the member before the update
+	 * @param {Discord.GuildMember} newMember - the member after the update
+	 * @returns {void|Promise<void>} - a promise resolved once the event is handled */
+	onPresenceUpdate(oldMember, newMember) {} // eslint-disable-line
+
+	/** Handles the 'voiceStateUpdate' event. The place is the voice channel the
+	 *  member joined, or left if they aren't in a voice channel anymore.
+	 * @listens Discord.Client#voiceStateUpdate
+	 * @param {Discord.GuildMember} oldMember - the member before the update
+	 * @param {Discord.GuildMember} newMember - the member after the update
+	 * @returns {void|Promise<void>} - a promise resolved once the event is handled */
+	onVoiceStateUpdate(oldMember, newMember) {} // eslint-disable-line
+
+	/** Called once all plugins are created, before the bot logs in (or right
+	 *  after the plugin is loaded at runtime). Dependencies are loaded first.
+	 *  Throwing an error here stops the plugin from being loaded.
+	 * @returns {void|Promise<void>} - a promise resolved once the plugin is set up */
+	onLoad() {} // eslint-disable-line
+
+	/** Called when the bot has logged in and its caches are filled (or right
+	 *  after the plugin is loaded, if the bot is ready already), for every
+	 *  loaded plugin, no matter where it's enabled.
+	 * @returns {void|Promise<void>} - a promise resolved once the plugin is ready */
+	onReady() {} // eslint-disable-line
+
+	/** Called when the plugin gets enabled in a place with the plugins command.
+	 * @param {Discord.Channel|Discord.Guild} place - the channel or guild where the plugin got enabled
+	 * @returns {void|Promise<void>} - a promise resolved once the hook finishes */
+	onEnable(place) {} // eslint-disable-line
+
+	/** Called when the plugin gets disabled in a place with the plugins command.
+	 * @param {Discord.Channel|Discord.Guild} place - the channel or guild where the plugin got disabled
+	 * @returns {void|Promise<void>} - a promise resolved once the hook finishes */
+	onDisable(place) {} // eslint-disable-line
+
+	/** Called before the plugin is unloaded or replaced by its reloaded version.
+	 *  Plugins should stop their timers and release their resources here.
+	 * @returns {void|Promise<void>} - a promise resolved once the plugin is cleaned up */
+	onUnload() {} // eslint-disable-line
 }
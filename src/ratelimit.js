@@ -0,0 +1,78 @@
+/** @module ratelimit */
+
+/** Limits of uses of something, e.g. commands run by a user.
+ * @typedef RateLimit
+ * @type {object}
+ * @property {number} limit - number of uses allowed in the interval
+ * @property {number} interval - length of the interval, in milliseconds */
+
+/** Counts uses of keys (e.g. a user's commands) in sliding intervals. A
+ *  cooldown is a limit of one use per interval. */
+export default class RateLimiter {
+	/** Creates a new RateLimiter object.
+	 * @returns {RateLimiter} - a RateLimiter object */
+	constructor() {
+		/** Times of recent uses (timestamps in milliseconds, from the oldest) by key.
+		 * @type {Map<string, object>} */
+		this.uses = new Map;
+		/** Time (in milliseconds) between removals of expired keys.
+		 * @type {number} */
+		this.pruneInterval = 60 * 1000;
+		/** @type {number} */
+		this.lastPruneTime = 0;
+	}
+
+	/** Returns uses of a key which are still in the key's interval.
+	 * @param {string} key
+	 * @param {number} now - the current time
+	 * @returns {array<number>} - times of the uses */
+	getRecentUses(key, now) {
+		const entry = this.uses.get(key);
+
+		return entry === undefined ? [] : entry.times.filter(time => now - time < entry.interval);
+	}
+
+	/** Returns the time left until a key can be used again.
+	 * @param {string} key
+	 * @param {RateLimit} rateLimit
+	 * @param {number} [now=Date.now()] - the current time
+	 * @returns {number} - milliseconds to wait, 0 if the key can be used now */
+	getWaitTime(key, {limit, interval}, now = Date.now()) {
+		const times = this.getRecentUses(key, now).filter(time => now - time < interval);
+
+		return times.length < limit ? 0 : times[times.length - limit] + interval - now;
+	}
+
+	/** Uses a key if it isn't over its limit.
+	 * @param {string} key
+	 * @param {RateLimit} rateLimit
+	 * @param {number} [now=Date.now()] - the current time
+	 * @returns {number} - 0 if the key was used, otherwise milliseconds to wait */
+	take(key, rateLimit, now = Date.now()) {
+		const waitTime = this.getWaitTime(key, rateLimit, now);
+
+		if (now - this.lastPruneTime >= this.pruneInterval)
+			this.prune(now);
+
+		if (waitTime > 0)
+			return waitTime;
+
+		this.uses.set(key, {
+			times: [...this.getRecentUses(key, now), now].slice(-rateLimit.limit),
+			interval: rateLimit.interval
+		});
+
+		return 0;
+	}
+
+	/** Removes keys without recent uses, so the limiter doesn't grow forever.
+	 * @param {number} [now=Date.now()] - the current time
+	 * @returns {void} */
+	prune(now = Date.now()) {
+		for (const key of Array.from(this.uses.keys()))
+			if (this.getRecentUses(key, now).length === 0)
+				this.uses.delete(key);
+
+		this.lastPruneTime = now;
+	}
+}
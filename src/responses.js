@@ -0,0 +1,249 @@
+/** @module responses */
+
+import * as log from './functions/log.js';
+
+/** Posts sent in response to a message.
+ * @typedef ResponseEntry
+ * @type {object}
+ * @property {string} channel - ID of the channel the message and the posts are on
+ * @property {array<string>} posts - IDs of the posts
+ * @property {number} time - when the entry was last used (a timestamp in milliseconds) */
+
+/** Remembers which posts Saiko sent in response to which messages, so they can
+ *  be edited or deleted together with the messages. Only the most recently
+ *  used entries are kept and entries expire after a while. The entries can be
+ *  kept in a storage, so they survive restarts. */
+export default class ResponseStore {
+	/** Creates a new ResponseStore object.
+	 * @param {object} [options]
+	 * @param {number} [options.maxCount=1000] - maximal number of remembered messages
+	 * @param {number} [options.maxAge=86400000] - time (in milliseconds) after which unused entries expire
+	 * @param {?Storage} [options.storage=null] - storage to keep the entries in, or null to keep them in memory only
+	 * @returns {ResponseStore} - a ResponseStore object */
+	constructor({maxCount = 1000, maxAge = 24 * 60 * 60 * 1000, storage = null} = {}) {
+		/** @type {number} */
+		this.maxCount = maxCount;
+		/** @type {number} */
+		this.maxAge = maxAge;
+		/** @type {?Storage} */
+		this.storage = storage;
+		/** Entries by IDs of the messages, from the least recently used.
+		 * @type {Map<string, ResponseEntry>} */
+		this.entries = new Map;
+		/** IDs of messages by IDs of posts sent in response to them.
+		 * @type {Map<string, string>} */
+		this.triggers = new Map;
+		/** Posts sent since the start, by their IDs (other posts are fetched).
+		 * @type {Map<string, Discord.Message>} */
+		this.posts = new Map;
+		/** Time (in milliseconds) between removals of expired entries, which
+		 *  happen while there are any entries, even if the store isn't used.
+		 * @type {number} */
+		this.pruneInterval = 60 * 60 * 1000;
+		/** @type {?Timeout} */
+		this.pruneTimer = null;
+	}
+
+	/** Loads entries from the storage (if there is one).
+	 * @returns {Promise<void>} - a promise resolved once the entries are loaded */
+	async load() {
+		if (this.storage === null)
+			return;
+
+		let data = {};
+
+		try {
+			data = await this.storage.load();
+		} catch (error) {
+			if (error.code !== 'ENOENT')
+				log.warn({
+					title: {module: 'ResponseStore', separator: '#', function: 'load'},
+					text: `Cannot load responses from ${this.storage.fileName}`,
+					messages: [error]
+				});
+		}
+
+		for (const [id, entry] of Object.entries(data.responses || {}))
+			this.addEntry(id, entry);
+
+		this.prune();
+	}
+
+	/** Saves the entries to the storage (if there is one). Failures are logged.
+	 * @returns {Promise<void>} - a promise resolved once the entries are saved */
+	async save() {
+		if (this.storage === null)
+			return;
+
+		try {
+			await this.storage.save({responses: Object.assign({}, ...Array.from(this.entries, ([id, entry]) => ({[id]: entry})))});
+		} catch (error) {
+			log.error({
+				title: {module: 'ResponseStore', separator: '#', function: 'save'},
+				text: `Cannot save responses to ${this.storage.fileName}`,
+				messages: [error]
+			});
+		}
+	}
+
+	/** Stops removing expired entries, writes pending changes and closes the storage.
+	 * @returns {Promise<void>} - a promise resolved once the entries are written */
+	async close() {
+		this.stopPruning();
+
+		if (this.storage !== null)
+			await this.storage.close();
+	}
+
+	/** Adds an entry as the most recently used one.
+	 * @param {string} id - ID of the message
+	 * @param {ResponseEntry} entry
+	 * @returns {void} */
+	addEntry(id, entry) {
+		this.removeEntry(id);
+		this.entries.set(id, entry);
+
+		for (const post of entry.posts)
+			this.triggers.set(post, id);
+
+		if (this.pruneTimer === null) {
+			this.pruneTimer = setInterval(() => this.removeExpired(), this.pruneInterval);
+			// the timer shouldn't keep the process running
+			this.pruneTimer.unref();
+		}
+	}
+
+	/** Stops removing expired entries (see ResponseStore#removeExpired).
+	 * @returns {void} */
+	stopPruning() {
+		clearInterval(this.pruneTimer);
+		this.pruneTimer = null;
+	}
+
+	/** Removes expired entries and saves the rest if any were removed, so
+	 *  they don't stay in memory and on the disk on a quiet bot. Called every
+	 *  ResponseStore#pruneInterval while there are any entries.
+	 * @returns {Promise<void>} - a promise resolved once the entries are saved */
+	removeExpired() {
+		const {size} = this.entries;
+
+		this.prune();
+
+		if (this.entries.size === 0)
+			this.stopPruning();
+
+		return this.entries.size < size ? this.save() : Promise.resolve();
+	}
+
+	/** Removes an entry and forgets its posts.
+	 * @param {string} id - ID of the message
+	 * @returns {void} */
+	removeEntry(id) {
+		const entry = this.entries.get(id);
+
+		if (entry === undefined)
+			return;
+
+		for (const post of entry.posts) {
+			this.triggers.delete(post);
+			this.posts.delete(post);
+		}
+
+		this.entries.delete(id);
+	}
+
+	/** Removes expired entries and the least recently used ones over the limit.
+	 * @param {number} [now=Date.now()] - the current time
+	 * @returns {void} */
+	prune(now = Date.now()) {
+		for (const [id, entry] of Array.from(this.entries))
+			if (now - entry.time >= this.maxAge || this.entries.size > this.maxCount)
+				this.removeEntry(id);
+	}
+
+	/** Checks if there are posts sent in response to a message.
+	 * @param {string} id - ID of the message
+	 * @returns {boolean} - true if there are remembered posts */
+	has(id) {
+		return this.entries.has(id);
+	}
+
+	/** Returns ID of the message a post responds to.
+	 * @param {string} id - ID of the post
+	 * @returns {?string} - ID of the message or null if the post isn't a remembered response */
+	getTrigger(id) {
+		return this.triggers.get(id) || null;
+	}
+
+	/** Returns posts sent in response to a message. Posts which aren't cached
+	 *  (e.g. sent before a restart) are fetched, the ones which can't be fetched are forgotten.
+	 * @param {Discord.Message} message
+	 * @returns {Promise<array<Discord.Message>>} - a promise to the posts */
+	async get(message) {
+		this.prune();
+
+		const entry = this.entries.get(message.id);
+
+		if (entry === undefined)
+			return [];
+
+		const posts = (await Promise.all(entry.posts.map(async id => {
+			try {
+				return this.posts.get(id) || message.channel.messages.get(id) || await message.channel.fetchMessage(id);
+			} catch (error) {
+				return null;
+			}
+		}))).filter(post => post !== null);
+
+		if (this.entries.get(message.id) === entry) {
+			this.addEntry(message.id, {...entry, posts: posts.map(post => post.id), time: Date.now()});
+
+			for (const post of posts)
+				this.posts.set(post.id, post);
+		}
+
+		return posts;
+	}
+
+	/** Remembers posts sent in response to a message, replacing the previous ones.
+	 * @param {Discord.Message} message
+	 * @param {array<Discord.Message>} posts - the posts, an empty array forgets the message
+	 * @returns {Promise<void>} - a promise resolved once the entries are saved */
+	set(message, posts) {
+		this.removeEntry(message.id);
+
+		if (posts.length > 0) {
+			this.addEntry(message.id, {channel: message.channel.id, posts: posts.map(post => post.id), time: Date.now()});
+
+			for (const post of posts)
+				this.posts.set(post.id, post);
+		}
+
+		this.prune();
+
+		return this.save();
+	}
+
+	/** Forgets a post, e.g. after someone deleted it.
+	 * @param {string} id - ID of the post
+	 * @returns {Promise<void>} - a promise resolved once the entries are saved */
+	removePost(id) {
+		const trigger = this.triggers.get(id);
+
+		if (trigger === undefined)
+			return Promise.resolve();
+
+		const entry = this.entries.get(trigger);
+		const posts = entry.posts.filter(post => post !== id);
+
+		this.triggers.delete(id);
+		this.posts.delete(id);
+
+		if (posts.length === 0)
+			this.entries.delete(trigger);
+		else
+			this.entries.set(trigger, {...entry, posts});
+
+		return this.save();
+	}
+}
@@ -1,28 +1,74 @@
 /** @module saiko */
-/* eslint max-lines: ["warn", {"max": 310, "skipBlankLines": true, "skipComments": true}] */
 
 import './extension/Object.deepAssign.js';
+import BackupManager from './backups.js';
+import CommandLimiter from './limits.js';
+import DataManager from './data.js';
 import Discord from 'discord.js';
-import * as array from './functions/array.js';
+import JSONStorage from './storage/json.js';
+import PluginLoader from './loader.js';
+import ResponseDispatcher from './dispatcher.js';
+import ResponseStore from './responses.js';
+import * as dataSchema from './schema.js';
 import * as discord from './functions/discord.js';
-import * as filesystem from './functions/filesystem.js';
+import * as event from './functions/event.js';
 import * as log from './functions/log.js';
-import * as object from './functions/object.js';
+import * as permission from './functions/permission.js';
+import * as promise from './functions/promise.js';
+import * as schema from './functions/schema.js';
 import * as string from './functions/string.js';
+import * as translation from './translation.js';
 
 /** Saiko's main class. */
 export default class Saiko {
 	/** Creates a new Saiko object.
 	 * @param {string} dataPath - path to the data folder
+	 * @param {object} [overrides] - settings overriding the ones from the data
+	 * @param {?string} [overrides.token] - bot's token
+	 * @param {array<string>} [overrides.pluginPaths] - more directories with plugins
+	 *  (relative paths are resolved against the working directory)
 	 * @returns {Saiko} - a Saiko object */
-	constructor(dataPath) {
+	constructor(dataPath, {token = null, pluginPaths = []} = {}) {
 		this.libName    = process.env.npm_package_name; // eslint-disable-line no-process-env
 		this.libVersion = process.env.npm_package_version; // eslint-disable-line no-process-env
 		this.dataPath   = string.addTrailingSlash(dataPath);
 		this.client     = new Discord.Client;
-		this.responses  = new Discord.Collection;
+		/** Sends Saiko's posts (see ResponseDispatcher), plugins can use it too.
+		 * @type {ResponseDispatcher} */
+		this.dispatcher = new ResponseDispatcher;
 		this.data       = {};
+		/** Settings overriding the ones from the data, e.g. set with environment variables.
+		 * @type {object} */
+		this.overrides  = {token, pluginPaths};
+		/** Loads, validates and saves the data (see DataManager).
+		 * @type {DataManager} */
+		this.dataManager = new DataManager(this);
 		this.plugins    = [];
+		/** Loads, reloads and unloads plugins (see PluginLoader).
+		 * @type {PluginLoader} */
+		this.loader = new PluginLoader(this);
+		/** Time (in milliseconds) a plugin has to handle an event.
+		 * @type {number} */
+		this.pluginTimeout = 10000;
+		/** Backs up the data (see BackupManager).
+		 * @type {BackupManager} */
+		this.backups = new BackupManager(this);
+		/** Language of responses, used if no `language` is set in the config
+		 *  (see Saiko#getLanguage).
+		 * @type {string} */
+		this.language = translation.defaultLanguage;
+		/** Limits commands run by users.
+		 * @type {CommandLimiter} */
+		this.limiter = new CommandLimiter(this);
+		/** Messages replying to plugins' questions (see Saiko#handleEvent), they don't trigger commands.
+		 * @type {WeakSet<Discord.Message>} */
+		this.replies = new WeakSet;
+	}
+
+	/** Returns bot's token. The overriding token takes precedence over the one from the data.
+	 * @returns {string} - bot's token or an empty string */
+	get token() {
+		return this.overrides.token || this.data.token || '';
 	}
 
 	/** Returns bot's name. If it's not specified, returns the library's name instead.
@@ -51,137 +97,34 @@ export default class Saiko {
 		this.data.version = value;
 	}
 
-	/** Loads the data.
-	 * @returns {Promise<object|Error>} - a promise to the data object */
-	async loadData() {
-		log.debug({
-			title: {module: 'Saiko', separator: '#', function: 'loadData'},
-			text: 'Loading data...'
-		});
-
-		const data = await filesystem.loadJSON(`${this.dataPath}data.json`);
-
-		const requiredProperties = ['token'];
-		const arrayProperties    = [];
-		const objectProperties   = ['defaults', 'guilds', 'channels'];
-
-		const missingRequiredProperties = requiredProperties
-			.filter(property => data[property] === undefined);
-
-		for (const property of missingRequiredProperties)
-			log.error({
-				title: {module: 'Saiko', separator: '#', function: 'loadData'},
-				text: `Undefined required property: ${property}`
-			});
-
-		if (missingRequiredProperties.length > 0)
-			throw new Error('Some required properties are undefined');
-
-		for (const property of arrayProperties)
-			if (!Array.isArray(data[property]))
-				data[property] = [];
-
-		for (const property of objectProperties)
-			if (typeof data[property] !== 'object' || Array.isArray(data[property]))
-				data[property] = {};
-
-		this.data = data;
-
-		log.debug({
-			title: {module: 'Saiko', separator: '#', function: 'loadData'},
-			text: 'Data loaded'
+	/** Sets up the store of Saiko's responses according to the `responses`
+	 *  settings of the data, and loads the remembered responses if they are
+	 *  kept on the disk (in responses.json in the data folder).
+	 * @returns {Promise<void>} - a promise resolved once the responses are loaded */
+	async loadResponses() {
+		const {maxCount, maxAge, persistent = false} = this.data.responses || {};
+
+		await this.dispatcher.responses.close();
+		this.dispatcher.responses = new ResponseStore({
+			maxCount,
+			maxAge: maxAge === undefined ? undefined : maxAge * 60 * 60 * 1000,
+			storage: persistent ? new JSONStorage(`${this.dataPath}responses.json`) : null
 		});
-		return data;
+		await this.dispatcher.responses.load();
 	}
 
-	/** Saves the data.
-	 * @returns {Promise<object|Error>} - a promise to the serialized data */
-	async saveData() {
-		log.debug({
-			title: {module: 'Saiko', separator: '#', function: 'saveData'},
-			text: 'Saving data...'
-		});
-
-		this.clearData();
-		this.updateGuildNames();
-		this.updateChannelNames();
-
-		const serializedData = await filesystem.serializeAndSaveJSON(this.data)(`${this.dataPath}data.json`);
-
-		log.debug({
-			title: {module: 'Saiko', separator: '#', function: 'saveData'},
-			text: 'Data saved'
-		});
-		return serializedData;
-	}
-
-	/** Clears the data object properties from empty objects.
-	 * @returns {void} */
-	clearData() {
-		this.data = array.entriesToObject(Object.entries(this.data)
-			.map(entry =>
-				object.isNonNullObject(entry[1]) ?
-					[entry[0], object.removeEmptyObjects(entry[1])] :
-					entry
-			)
-		);
-	}
-
-	/** Updates channels' name, type and, if the channel has a parent guild,
-	 *  the guild's id and name in Saiko's data. If that metadata is the only
-	 *  data specified in the channel's config, the config will be removed.
-	 * @returns {void} */
-	updateChannelNames() {
-		for (const id of Object.keys(this.data.channels)) {
-			const channel       = this.client.channels.get(id);
-			const channelConfig = this.data.channels[id];
-
-			const isConfigEmpty = config => Object.keys(config)
-				.filter(key => !['name', 'type', 'guild'].includes(key))
-				.length === 0;
-
-			if (channel === null || isConfigEmpty(channelConfig)) {
-				delete this.data.channels[id];
-				continue;
-			}
-
-			channelConfig.name = channel.name;
-			channelConfig.type = channel.type;
-
-			if (channel.type === 'text')
-				channelConfig.guild = {
-					id: channel.guild.id,
-					name: channel.guild.name
-				};
-		}
-	}
-
-	/** Updates guilds' name in Saiko's data. If that metadata is the only
-	 *  data specified in the guild's config, the config will be removed.
-	 * @returns {void} */
-	updateGuildNames() {
-		for (const id of Object.keys(this.data.guilds)) {
-			const guild       = this.client.guilds.get(id);
-			const guildConfig = this.data.guilds[id];
-
-			const isConfigEmpty = config => Object.keys(config)
-				.filter(key => key !== 'name')
-				.length === 0;
-
-			if (guild === null || isConfigEmpty(guildConfig)) {
-				delete this.data.guilds[id];
-				continue;
-			}
-
-			guildConfig.name = guild.name;
-		}
+	/** Saves the data (see DataManager#saveData). Plugins call it after changing
+	 *  the data.
+	 * @returns {Promise<void|Error>} - a promise resolved once the data is saved */
+	saveData() {
+		return this.dataManager.saveData();
 	}
 
 	/** Returns a channel's config.
 	 * @param {Discord.Channel} channel
 	 * @returns {object} - channel's config */
 	getChannelConfig(channel) {
-		const noGuild = channel.type !== 'text';
+		const noGuild = !channel.guild;
 
 		return Object.deepAssign({},
 			           this.data.defaults,
@@ -214,48 +157,193 @@ export default class Saiko {
 		return (placeConfig.plugins || {})[plugin.name] || {};
 	}
 
-	/** Loads all plugins from plug/*.js.
-	 * @returns {Promise<array|Error>} - a promise to an array of loaded plugins */
-	async loadPlugins() {
-		log.debug({
-			title: {module: 'Saiko', separator: '#', function: 'loadPlugins'},
-			text: 'Loading plugins...'
-		});
+	/** Returns configs which apply to a channel or a guild, from the least
+	 *  specific one (the defaults, then the guild's config, then the channel's).
+	 * @param {Discord.Channel|Discord.Guild} place
+	 * @returns {array<object>} - layers with their name (default, guild or channel)
+	 *  and config (an empty object if there is no config) */
+	getConfigLayers(place) {
+		const isGuild = discord.getPlaceType(place) === 'guild';
+		const guild = isGuild ? place : place.guild;
+
+		return [
+			{name: 'default', config: this.data.defaults},
+			...guild ? [{name: 'guild', config: this.data.guilds[guild.id]}] : [],
+			...isGuild ? [] : [{name: 'channel', config: this.data.channels[place.id]}]
+		].map(layer => ({...layer, config: layer.config || {}}));
+	}
+
+	/** Returns the effective value of a plugin's setting and the config layer
+	 *  which sets it (see Saiko#getConfigLayers).
+	 * @param {Plugin} plugin
+	 * @param {string} key - the setting's name
+	 * @param {Discord.Channel|Discord.Guild} place
+	 * @returns {object} - the value (undefined if it isn't set) and the layer's
+	 *  name (null if it isn't set) */
+	getPluginSetting(plugin, key, place) {
+		const layer = this.getConfigLayers(place)
+			.reverse()
+			.find(({config}) => ((config.plugins || {})[plugin.name] || {})[key] !== undefined);
+
+		return {
+			value: this.getPluginConfig(plugin, place)[key],
+			layer: layer === undefined ? null : layer.name
+		};
+	}
 
-		const pluginsDirName = 'plug';
-		const directory = await filesystem.listDirectory(`./build/${pluginsDirName}`);
-		const fileNames = directory.filter(fileName => fileName.endsWith('.js'));
-		const plugins = [];
+	/** Sets or removes a plugin's setting in a guild's or a channel's config
+	 *  and saves the data. The value is validated against the plugin's config
+	 *  schema (see Plugin#configSchema). Changing the `enabled` setting
+	 *  enables or disables the plugin (see Saiko#updatePluginState).
+	 * @param {Plugin} plugin
+	 * @param {string} key - the setting's name
+	 * @param {*} value - the new value, or undefined to remove the setting
+	 * @param {Discord.Channel|Discord.Guild} place - the guild or the channel which config is changed
+	 * @returns {Promise<boolean|Error>} - a promise to false if the setting was removed, but wasn't set
+	 * @throws {Error} - if the plugin doesn't have such a setting or the value is invalid */
+	async setPluginSetting(plugin, key, value, place) {
+		const settingSchema = dataSchema.getPluginSettingSchema(plugin, key);
+
+		if (settingSchema === null)
+			throw new Error(`Plugin ${plugin.name} doesn't have a setting called "${key}"`);
+
+		if (value !== undefined) {
+			const errors = schema.validate(settingSchema)(value, `${plugin.name}.${key}`);
+
+			if (errors.length > 0)
+				throw new Error(schema.formatErrors(errors));
+		}
 
-		for (const fileName of fileNames) {
-			const pluginName   = [...fileName].slice(0, -3).join('');
-			const fullFileName = `./${pluginsDirName}/${fileName}`;
+		const section = this.data[discord.getPlaceType(place) === 'guild' ? 'guilds' : 'channels'];
+		const pluginConfig = ((section[place.id] || {}).plugins || {})[plugin.name] || {};
+		const wasEnabled = this.isPluginEnabled(plugin, place);
 
-			log.debug({
-				title: {module: 'Saiko', separator: '#', function: 'loadPlugins'},
-				text: `Loading plugin "${pluginName}"...`
-			});
+		if (value === undefined && pluginConfig[key] === undefined)
+			return false;
+
+		if (value === undefined)
+			delete pluginConfig[key];
+		else
+			Object.deepAssign(section, {[place.id]: {plugins: {[plugin.name]: {}}}})[place.id].plugins[plugin.name][key] = value;
+
+		await this.saveData();
+
+		if (key === 'enabled')
+			await this.updatePluginState(plugin, place, wasEnabled);
 
-			try {
-				const PluginClass = require(fullFileName).default; // eslint-disable-line global-require
-
-				plugins.push(new PluginClass(this));
-			} catch (error) {
-				log.error({
-					title: {module: 'Saiko', separator: '#', function: 'loadPlugins'},
-					text: `Cannot load plugin "${pluginName}"`
-				});
-				throw error;
-			}
+		return true;
+	}
+
+	/** Returns a user's permission level on a given channel or guild. Permissions are
+	 *  read from the `permissions` section of the place's config (see
+	 *  functions/permission~PermissionConfig), so channels can override
+	 *  levels granted for the whole guild, but levels on a guild come from
+	 *  the guild's config only.
+	 * @param {Discord.GuildMember|Discord.User} user
+	 * @param {Discord.Channel|Discord.Guild} place
+	 * @returns {string} - user's permission level */
+	getPermissionLevel(user, place) {
+		const config = discord.getPlaceType(place) === 'guild' ? this.getGuildConfig(place) : this.getChannelConfig(place);
+
+		return permission.getUserLevel(config.permissions)(user);
+	}
+
+	/** Checks if a user is one of the bot's owners, listed in the `owners`
+	 *  property of the data. Owners can run commands changing the whole bot.
+	 * @param {Discord.GuildMember|Discord.User} user
+	 * @returns {boolean} - true if the user is an owner */
+	isOwner(user) {
+		return (this.data.owners || []).includes(user.id);
+	}
+
+	/** Checks if a user has at least a given permission level on a given channel or guild
+	 *  (see Saiko#getPermissionLevel). The owner level can't be granted in configs,
+	 *  only owners have it (see Saiko#isOwner).
+	 * @param {Discord.GuildMember|Discord.User} user
+	 * @param {Discord.Channel|Discord.Guild} place
+	 * @param {string} [level='user'] - the required permission level, or owner
+	 * @returns {boolean} - true if the user has the required permission level */
+	hasPermission(user, place, level = 'user') {
+		if (level === 'owner')
+			return this.isOwner(user);
+
+		return permission.isSufficient(level)(this.getPermissionLevel(user, place));
+	}
+
+	/** Returns the language of responses on a channel or a guild.
+	 * @param {?(Discord.Channel|Discord.Guild)} [place=null] - the place, or null for the default language
+	 * @returns {string} - code of the language (see translation~catalogs) */
+	getLanguage(place = null) {
+		const placeType = discord.getPlaceType(place);
+		const placeConfig =
+			placeType === 'guild'                                ? this.getGuildConfig(place)   :
+			['text', 'dm', 'group', 'voice'].includes(placeType) ? this.getChannelConfig(place) : {};
+
+		return placeConfig.language || this.language;
+	}
+
+	/** Calls a plugin's hook (or an event handler). Hooks may return promises,
+	 *  which are awaited up to Saiko's plugin timeout. Hooks the plugin doesn't
+	 *  have resolve to null.
+	 * @param {Plugin} plugin
+	 * @param {string} hookName - name of the plugin's method, e.g. onLoad
+	 * @param {...*} parameters - the hook's parameters
+	 * @returns {Promise<*|Error>} - a promise to the hook's result */
+	callPluginHook(plugin, hookName, ...parameters) {
+		if (typeof plugin[hookName] !== 'function')
+			return Promise.resolve(null);
+
+		return promise.timeout(this.pluginTimeout)(
+			promise.attempt(plugin[hookName].bind(plugin))(...parameters)
+		);
+	}
+
+	/** Calls a plugin's hook. Errors and timeouts are logged, but not thrown.
+	 * @param {Plugin} plugin
+	 * @param {string} hookName - name of the plugin's method, e.g. onReady
+	 * @param {...*} parameters - the hook's parameters
+	 * @returns {Promise<boolean>} - a promise to true if the hook succeeded */
+	async runPluginHook(plugin, hookName, ...parameters) {
+		try {
+			await this.callPluginHook(plugin, hookName, ...parameters);
+			return true;
+		} catch (error) {
+			log.error({
+				title: {module: 'Saiko', separator: '#', function: 'runPluginHook'},
+				text: `Plugin "${plugin.name}" failed to run its ${hookName} hook`,
+				messages: [error]
+			});
+			return false;
 		}
+	}
 
-		this.plugins = plugins;
+	/** Checks if the client has logged in and is ready.
+	 * @returns {boolean} - true if the client is ready */
+	isReady() {
+		return Boolean(this.client.readyAt);
+	}
 
-		log.debug({
-			title: {module: 'Saiko', separator: '#', function: 'loadPlugins'},
-			text: 'Plugins loaded'
-		});
-		return plugins;
+	/** Calls Plugin#onReady hooks of all plugins, dependencies first.
+	 * @returns {Promise<void>} - a promise resolved once all hooks finish */
+	async handleReady() {
+		for (const plugin of this.plugins)
+			await this.runPluginHook(plugin, 'onReady'); // eslint-disable-line no-await-in-loop
+	}
+
+	/** Calls a plugin's Plugin#onEnable or Plugin#onDisable hook if its state
+	 *  in a place changed. Should be called after changing the config.
+	 * @param {Plugin} plugin
+	 * @param {Discord.Channel|Discord.Guild} place - the channel or guild where the config changed
+	 * @param {boolean} wasEnabled - whether or not the plugin was enabled there before the change
+	 * @returns {Promise<boolean>} - a promise to true if the state changed */
+	async updatePluginState(plugin, place, wasEnabled) {
+		const isEnabled = this.isPluginEnabled(plugin, place);
+
+		if (isEnabled === wasEnabled)
+			return false;
+
+		await this.runPluginHook(plugin, isEnabled ? 'onEnable' : 'onDisable', place);
+		return true;
 	}
 
 	/** Enables all loaded plugins (binds all the Discord.js events).
@@ -266,131 +354,15 @@ export default class Saiko {
 			text: 'Binding events to plugins...'
 		});
 
-		const handleEvent = async (eventName, ...parameters) => {
-			const [message] = parameters;
-			const {channel} = message;
-			let response = null;
-
-			for (const plugin of this.plugins)
-				if (this.isPluginEnabled(plugin, channel)) {
-					const pluginResponse = plugin[`on${string.toUpperCaseFirstChar(eventName)}`](...parameters);
-
-					if (!response && pluginResponse)
-						response = pluginResponse;
-				}
-
-			/* eslint-disable no-await-in-loop */
-			const sentMessages = this.responses.get(message.id) || [];
-
-			// if the original trigger post got removed and Saiko doesn't wanna edit her response,
-			// or if it got edited and it doesn't trigger any response now,
-			// remove her old response
-			if ((eventName === 'messageDelete' && !(response || {}).edits) ||
-			    (eventName === 'messageUpdate' && !response))
-				try {
-					while (sentMessages.length > 0) {
-						await sentMessages[0].delete();
-						sentMessages.shift();
-					}
-				} catch (error) {
-					log.error({
-						title: {module: 'Saiko', separator: '#', function: 'enablePlugins'},
-						text: 'Cannot delete a message',
-						messages: [error]
-					});
-				}
-
-			const doesPostHaveFiles = post => post.some(param =>
-				typeof param === 'object' &&
-				param &&
-				((Array.isArray(param.files) && param.files.length > 0) || param.file)
-			);
-			const doesMessageHaveFiles = message => message.attachments.size > 0;
-
-			if (response) {
-				// process edits (this might involve editing, deleting and sending new posts)
-				if (response.edits.length > 0)
-					// if the number of edits is greater than the number of already sent posts,
-					// wipe everything and post the edits as new posts coz there is no way to
-					// edit the old ones anyway
-					// also remove and resend if there are some files sent / about to be send
-					// because discord doesn't allow editing attachments
-					if (response.edits.length > sentMessages.length ||
-					    sentMessages.some(doesMessageHaveFiles) ||
-					    response.edits.some(doesPostHaveFiles)) {
-						try {
-							while (sentMessages.length > 0) {
-								await sentMessages[0].delete();
-								sentMessages.shift();
-							}
-						} catch (error) {
-							log.error({
-								title: {module: 'Saiko', separator: '#', function: 'enablePlugins'},
-								text: 'Cannot delete a message',
-								messages: [error]
-							});
-						}
-
-						for (const post of response.edits)
-							response.posts.push(post);
-					// remove extra posts if there are any and edit the remaining ones
-					} else {
-						try {
-							while (sentMessages.length > response.edits.length) {
-								await sentMessages[sentMessages.length - 1].delete();
-								sentMessages.pop();
-							}
-						} catch (error) {
-							log.error({
-								title: {module: 'Saiko', separator: '#', function: 'enablePlugins'},
-								text: 'Cannot delete a message',
-								messages: [error]
-							});
-						}
-
-						// remove old embeds
-						for (const post of response.edits)
-							if (post.length === 1 && typeof post[0] === 'string')
-								post.push({
-									embed: null
-								});
-
-						try {
-							for (const [index, post] of response.edits.entries()) {
-								const sentMessage = await sentMessages[index].edit(...post);
-								sentMessages[index] = sentMessage;
-							}
-						} catch (error) {
-							log.error({
-								title: {module: 'Saiko', separator: '#', function: 'enablePlugins'},
-								text: 'Cannot edit a message',
-								messages: [error]
-							});
-						}
-					}
-
-				// send posts
-				for (const post of response.posts)
-					try {
-						const sentMessage = await channel.send(...post);
-						sentMessages.push(sentMessage);
-					} catch (error) {
-						log.error({
-							title: {module: 'Saiko', separator: '#', function: 'enablePlugins'},
-							text: 'Cannot send a message',
-							messages: [error]
-						});
-					}
-
-				this.responses.set(message.id, sentMessages);
-			}
-			/* eslint-enable no-await-in-loop */
-		};
+		for (const eventName of Object.keys(event.events))
+			this.client.on(eventName, (...paramaters) => this.handleEvent(eventName, ...paramaters));
 
-		const eventNames = ['message', 'messageDelete', 'messageUpdate'];
-
-		for (const eventName of eventNames)
-			this.client.on(eventName, (...paramaters) => handleEvent(eventName, ...paramaters));
+		this.client.on('ready', () => this.handleReady());
+		this.client.on('rateLimit', ResponseDispatcher.handleRateLimit);
+		this.client.on('messageDeleteBulk', messages => {
+			for (const id of messages.keys())
+				this.dispatcher.responses.removePost(id);
+		});
 
 		log.debug({
 			title: {module: 'Saiko', separator: '#', function: 'enablePlugins'},
@@ -398,6 +370,96 @@ export default class Saiko {
 		});
 	}
 
+	/** Passes a Discord.js event to plugins enabled in the place where it
+	 *  happened (see functions/event~events). For message events, the response
+	 *  of the first plugin which returned one is passed to the dispatcher (see
+	 *  ResponseDispatcher#respond). Replies to plugins' questions are passed to
+	 *  the plugins which asked them (see Plugin#prompt), their responses take
+	 *  precedence. Other plugins still handle the replies, but the replies
+	 *  don't trigger commands (see Saiko#isReply). Other messages triggering
+	 *  commands count towards their author's rate limit once, before any plugin
+	 *  handles them (see CommandLimiter#limitMessage).
+	 * @param {string} eventName - Discord.js event name
+	 * @param {...*} parameters - the event's parameters
+	 * @returns {Promise<void>} - a promise resolved once all responses are handled */
+	async handleEvent(eventName, ...parameters) {
+		const place = event.getEventPlace(eventName)(...parameters);
+
+		if (place === null)
+			return;
+
+		const [message] = parameters;
+		const askingPlugin = this.plugins.find(plugin =>
+			typeof plugin.getConversation === 'function' && plugin.getConversation(eventName, ...parameters) !== null);
+
+		const plugins = this.plugins.filter(plugin => this.isPluginEnabled(plugin, place));
+
+		if (askingPlugin !== undefined && eventName === 'message')
+			this.replies.add(message);
+		else if (eventName === 'message')
+			this.limiter.limitMessage(message, plugins);
+
+		const [replyResponse, ...pluginResponses] = await Promise.all([
+			askingPlugin === undefined ? null : this.runPluginReply(askingPlugin, eventName, ...parameters),
+			...plugins.map(plugin => this.runPluginHandler(plugin, eventName, ...parameters))
+		]);
+
+		if (!event.events[eventName].responses)
+			return;
+
+		const response = [replyResponse, ...pluginResponses].find(pluginResponse => pluginResponse) || null;
+
+		await this.dispatcher.respond(eventName, message, response);
+	}
+
+	/** Checks if a message replies to a plugin's question. Such messages don't trigger commands.
+	 * @param {Discord.Message} message
+	 * @returns {boolean} - true if the message is a reply */
+	isReply(message) {
+		return this.replies.has(message);
+	}
+
+	/** Runs a plugin's event handler. Handlers may return promises, which are
+	 *  awaited up to Saiko's plugin timeout. Errors and timeouts are logged and
+	 *  don't affect other plugins.
+	 * @param {Plugin} plugin
+	 * @param {string} eventName - Discord.js event name
+	 * @param {...*} parameters - the event's parameters
+	 * @returns {Promise<?MessageResponse>} - a promise to the plugin's response or null */
+	async runPluginHandler(plugin, eventName, ...parameters) {
+		const handlerName = event.getHandlerName(eventName);
+
+		try {
+			return await this.callPluginHook(plugin, handlerName, ...parameters);
+		} catch (error) {
+			log.error({
+				title: {module: 'Saiko', separator: '#', function: 'runPluginHandler'},
+				text: `Plugin "${plugin.name}" failed to handle the "${eventName}" event`,
+				messages: [error]
+			});
+			return null;
+		}
+	}
+
+	/** Passes a reply to a plugin's question (see Plugin#handleReply). Errors
+	 *  and timeouts are logged.
+	 * @param {Plugin} plugin
+	 * @param {string} eventName - Discord.js event name
+	 * @param {...*} parameters - the event's parameters
+	 * @returns {Promise<?MessageResponse>} - a promise to the plugin's response or null */
+	async runPluginReply(plugin, eventName, ...parameters) {
+		try {
+			return await this.callPluginHook(plugin, 'handleReply', eventName, ...parameters);
+		} catch (error) {
+			log.error({
+				title: {module: 'Saiko', separator: '#', function: 'runPluginReply'},
+				text: `Plugin "${plugin.name}" failed to handle a reply to its question`,
+				messages: [error]
+			});
+			return null;
+		}
+	}
+
 	/** Checks if a plugin is enabled on a given channel or a guild.
 	 * @param {Plugin} plugin
 	 * @param {Discord.Channel|Discord.Guild} place - the channel or guild which triggered that function
@@ -416,10 +478,10 @@ export default class Saiko {
 			text: 'Logging in...'
 		});
 
-		if (this.data.token === '')
+		if (this.token === '')
 			throw new Error('Token is not defined');
 
-		const token = await this.client.login(this.data.token);
+		const token = await this.client.login(this.token);
 
 		log.debug({
 			title: {module: 'Saiko', separator: '#', function: 'login'},
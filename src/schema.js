@@ -0,0 +1,180 @@
+/** Schemas of Saiko's data and configs (see functions/schema~Schema).
+ * @module schema */
+
+import * as permission from './functions/permission.js';
+import * as translation from './translation.js';
+
+/** @type {Schema} */
+const prefixSchema = {
+	type: 'string',
+	pattern: '^\\S{1,16}$',
+	description: 'command prefix (up to 16 characters without whitespace)'
+};
+
+/** @type {Schema} */
+const permissionLevelSchema = {
+	type: 'string',
+	values: permission.levels,
+	description: 'permission level'
+};
+
+/** Scopes of command cooldowns: a cooldown applies to each user separately,
+ *  to everyone on a channel or to everyone on a guild.
+ * @type {array<string>} */
+export const cooldownScopes = ['user', 'channel', 'guild'];
+
+/** @type {Schema} */
+const cooldownSchema = {
+	type: 'object',
+	required: ['seconds'],
+	properties: {
+		seconds: {type: 'number', min: 0, description: 'time between uses of the command (0 disables the cooldown)'},
+		scope: {type: 'string', values: cooldownScopes, description: 'who shares the cooldown (user by default)'}
+	},
+	additionalProperties: false,
+	description: 'command\'s cooldown'
+};
+
+/** @type {Schema} */
+const rateLimitSchema = {
+	type: 'object',
+	required: ['commands', 'seconds'],
+	properties: {
+		commands: {type: 'integer', min: 1, description: 'number of commands a user can run in the interval'},
+		seconds: {type: 'number', min: 0, description: 'length of the interval (0 disables the limit)'}
+	},
+	additionalProperties: false,
+	description: 'limit of commands a user can run (of all plugins together), none by default'
+};
+
+/** @type {Schema} */
+export const snowflakeSchema = {
+	type: 'string',
+	pattern: '^\\d+$',
+	description: 'Discord ID'
+};
+
+/** Returns the schema of a plugin's config section. Every section can have
+ *  the `enabled`, `prefix` and `cooldowns` properties, other properties are declared by
+ *  the plugin (see Plugin#configSchema). Sections of plugins which don't
+ *  declare their config (or aren't loaded) can have any other properties.
+ * @param {Plugin} [plugin]
+ * @returns {Schema} - the schema */
+export const getPluginConfigSchema = (plugin = {}) =>
+	({
+		type: 'object',
+		properties: {
+			enabled: {type: 'boolean', description: 'whether or not the plugin is enabled'},
+			prefix: prefixSchema,
+			cooldowns: {
+				type: 'object',
+				additionalProperties: cooldownSchema,
+				description: 'cooldowns of the plugin\'s commands, by their triggers (override the default ones)'
+			},
+			...plugin.configSchema
+		},
+		additionalProperties: !plugin.configSchema
+	});
+
+/** Returns the schema of one property of a plugin's config section.
+ * @param {Plugin} plugin
+ * @param {string} key - the property's name
+ * @returns {?Schema} - the schema, or null if the plugin doesn't have such a property */
+export const getPluginSettingSchema = (plugin, key) => {
+	const {properties, additionalProperties} = getPluginConfigSchema(plugin);
+
+	return Object.prototype.hasOwnProperty.call(properties, key) ? properties[key] :
+		additionalProperties === false ? null : {type: 'any'};
+};
+
+/** Returns the schema of a config (the defaults, a guild's or a channel's config).
+ * @param {array<Plugin>} [plugins] - loaded plugins
+ * @returns {Schema} - the schema */
+export const getConfigSchema = (plugins = []) =>
+	({
+		type: 'object',
+		properties: {
+			prefix: prefixSchema,
+			language: {type: 'string', values: translation.languages, description: 'language of the bot\'s responses'},
+			rateLimit: rateLimitSchema,
+			permissions: {
+				type: 'object',
+				properties: {
+					roles: {type: 'object', additionalProperties: permissionLevelSchema},
+					users: {type: 'object', additionalProperties: permissionLevelSchema}
+				},
+				additionalProperties: false
+			},
+			plugins: {
+				type: 'object',
+				properties: Object.assign({}, ...plugins.map(plugin => ({[plugin.name]: getPluginConfigSchema(plugin)}))),
+				additionalProperties: getPluginConfigSchema()
+			}
+		}
+	});
+
+/** Returns the schema of Saiko's data.
+ * @param {object} [options]
+ * @param {array<Plugin>} [options.plugins] - loaded plugins
+ * @param {array<string>} [options.storageTypes] - available storage types
+ * @returns {Schema} - the schema */
+export const getDataSchema = ({plugins = [], storageTypes} = {}) => {
+	const configSchema = getConfigSchema(plugins);
+
+	return {
+		type: 'object',
+		required: ['dataVersion'],
+		properties: {
+			dataVersion: {type: 'integer', min: 0, description: 'version of the data format'},
+			name: {type: 'string', description: 'bot\'s name'},
+			version: {type: 'string', description: 'bot\'s version'},
+			token: {type: 'string', description: 'bot\'s token'},
+			owners: {type: 'array', items: snowflakeSchema, description: 'IDs of the bot\'s owners, who can run commands changing the whole bot'},
+			pluginPaths: {type: 'array', items: {type: 'string'}, description: 'directories with plugins'},
+			pluginPackages: {type: 'array', items: {type: 'string'}, description: 'npm packages with plugins'},
+			storage: {
+				type: 'object',
+				properties: {
+					type: {type: 'string', ...storageTypes ? {values: storageTypes} : {}},
+					file: {type: 'string'}
+				},
+				additionalProperties: false
+			},
+			responses: {
+				type: 'object',
+				properties: {
+					maxCount: {type: 'integer', min: 0, description: 'number of messages whose responses are remembered (1000 by default)'},
+					maxAge: {type: 'number', min: 0, description: 'hours after which unused responses are forgotten (24 by default)'},
+					persistent: {type: 'boolean', description: 'whether or not responses are remembered after a restart'}
+				},
+				additionalProperties: false,
+				description: 'how long Saiko remembers her responses, so they change together with the messages they respond to'
+			},
+			pluginData: {
+				type: 'object',
+				additionalProperties: {type: 'object', additionalProperties: {type: 'object'}},
+				description: 'plugins\' stores (see Store), by plugin name and scope'
+			},
+			defaults: configSchema,
+			guilds: {
+				type: 'object',
+				additionalProperties: {
+					...configSchema,
+					properties: {...configSchema.properties, name: {type: 'string'}}
+				}
+			},
+			channels: {
+				type: 'object',
+				additionalProperties: {
+					...configSchema,
+					properties: {
+						...configSchema.properties,
+						name: {type: 'string'},
+						type: {type: 'string'},
+						guild: {type: 'object', properties: {id: snowflakeSchema, name: {type: 'string'}}}
+					}
+				}
+			}
+		}
+	};
+};
@@ -0,0 +1,46 @@
+/** @module storage */
+
+/** Base class of Saiko's data storages. A storage loads and saves the whole
+ *  data object (see Saiko#data); backends decide how it's kept on the disk.
+ *  Backends live in storage/*.js and are registered in DataManager#storageTypes. */
+export default class Storage {
+	/** Creates a new Storage object.
+	 * @param {string} fileName - path to the file where the data is kept
+	 * @returns {Storage} - a Storage object */
+	constructor(fileName) {
+		/** @type {string} */
+		this.fileName = fileName;
+	}
+
+	/** Returns the name of the file used if the config doesn't specify one.
+	 * @returns {string} - a file name, relative to the data folder */
+	static get defaultFileName() {
+		return 'data';
+	}
+
+	/** Loads the data.
+	 * @returns {Promise<object|Error>} - a promise to the data object */
+	load() {
+		return Promise.reject(new Error(`${this.constructor.name} doesn't implement load()`));
+	}
+
+	/** Saves the data. The data is copied before the promise is returned, so
+	 *  it can be changed right away.
+	 * @param {object} data - the data object
+	 * @returns {Promise<void|Error>} - a promise resolved once the data is on the disk */
+	save(data) { // eslint-disable-line no-unused-vars
+		return Promise.reject(new Error(`${this.constructor.name} doesn't implement save()`));
+	}
+
+	/** Writes all pending changes to the disk.
+	 * @returns {Promise<void|Error>} - a promise resolved once everything is written */
+	flush() { // eslint-disable-line class-methods-use-this
+		return Promise.resolve();
+	}
+
+	/** Writes all pending changes and releases the storage's resources.
+	 * @returns {Promise<void|Error>} - a promise resolved once the storage is closed */
+	close() {
+		return this.flush();
+	}
+}
@@ -0,0 +1,91 @@
+/** @module storage/json */
+
+import Storage from '../storage.js';
+import * as filesystem from '../functions/filesystem.js';
+import * as object from '../functions/object.js';
+
+/** A storage keeping the data in a single JSON file. Writes are atomic (see
+ *  functions/filesystem~writeFileAtomically), never overlap, and saves done
+ *  in a quick succession are merged into a single write. */
+export default class JSONStorage extends Storage {
+	/** Creates a new JSONStorage object.
+	 * @param {string} fileName - path to the JSON file
+	 * @param {object} [options]
+	 * @param {number} [options.debounce=200] - time (in milliseconds) to wait for more
+	 *  changes before writing the file
+	 * @returns {JSONStorage} - a JSONStorage object */
+	constructor(fileName, {debounce = 200} = {}) {
+		super(fileName);
+
+		/** @type {number} */
+		this.debounce = debounce;
+		/** Serialized data waiting to be written, or null.
+		 * @type {?string} */
+		this.pending = null;
+		/** A promise to the last write (never rejected).
+		 * @type {Promise<void>} */
+		this.queue = Promise.resolve();
+		/** A promise to the scheduled write, or null.
+		 * @type {?Promise<void>} */
+		this.scheduled = null;
+		this.timer = null;
+		this.startScheduledWrite = null;
+	}
+
+	/** @returns {string} - a file name, relative to the data folder */
+	static get defaultFileName() {
+		return 'data.json';
+	}
+
+	/** Loads the data.
+	 * @returns {Promise<object|Error>} - a promise to the data object */
+	load() {
+		return filesystem.loadJSON(this.fileName);
+	}
+
+	/** Schedules a write of the data.
+	 * @param {object} data - the data object
+	 * @returns {Promise<void|Error>} - a promise resolved once the data is on the disk */
+	save(data) {
+		this.pending = `${object.stringify(data)}\n`;
+
+		if (this.scheduled === null)
+			this.scheduled = new Promise(resolve => {
+				this.startScheduledWrite = resolve;
+				this.timer = setTimeout(resolve, this.debounce);
+			}).then(() => this.write());
+
+		return this.scheduled;
+	}
+
+	/** Writes the pending data, after the previous write finishes.
+	 * @returns {Promise<void|Error>} - a promise resolved once the data is written */
+	write() {
+		const content = this.pending;
+		const write = this.queue.then(() => content === null ?
+			undefined :
+			filesystem.writeFileAtomically(content)(this.fileName)
+		);
+
+		clearTimeout(this.timer);
+		this.pending = null;
+		this.scheduled = null;
+		this.startScheduledWrite = null;
+		this.queue = write.catch(() => undefined);
+
+		return write;
+	}
+
+	/** Writes the scheduled data right away.
+	 * @returns {Promise<void|Error>} - a promise resolved once everything is written */
+	flush() {
+		if (this.scheduled === null)
+			return this.queue;
+
+		const {scheduled} = this;
+
+		this.startScheduledWrite();
+
+		return scheduled;
+	}
+}
@@ -0,0 +1,135 @@
+/** @module storage/sqlite */
+
+import Storage from '../storage.js';
+import * as promise from '../functions/promise.js';
+
+/** Properties of the data which are split into a row per item (e.g. a row per
+ *  guild or per plugin's store), so saving a change rewrites only the changed items.
+ * @type {array<string>} */
+const splitProperties = ['guilds', 'channels', 'pluginData'];
+
+/** Section of rows holding other top-level properties of the data.
+ * @type {string} */
+const rootSection = '';
+
+/** Converts the data to rows (JSON values keyed by their section and key).
+ * @param {object} data - the data object
+ * @returns {Map<string, object>} - rows keyed by [section, key] serialized to JSON */
+const toRows = data =>
+	new Map(Object.entries(data)
+		.map(([property, value]) =>
+			splitProperties.includes(property) && typeof value === 'object' && value !== null ?
+				Object.entries(value).map(([key, item]) => ({section: property, key, value: JSON.stringify(item)})) :
+				[{section: rootSection, key: property, value: JSON.stringify(value)}]
+		)
+		.reduce((rows, propertyRows) => [...rows, ...propertyRows], [])
+		.filter(row => row.value !== undefined)
+		.map(row => [JSON.stringify([row.section, row.key]), row])
+	);
+
+/** Loads better-sqlite3. It's an optional dependency (a native module, which
+ *  doesn't build on every Node version), so it's loaded only when an SQLite
+ *  storage is used.
+ * @returns {function} - the Database class
+ * @throws {Error} - if better-sqlite3 isn't installed or can't be loaded */
+const loadDatabase = () => {
+	try {
+		return require('better-sqlite3'); // eslint-disable-line global-require
+	} catch (error) {
+		throw new Error(`SQLite storage requires the better-sqlite3 package (${error.message})`);
+	}
+};
+
+/** A storage keeping the data in an SQLite database. Every save is done in a
+ *  single transaction, so it's atomic, and rewrites only the changed rows. */
+export default class SQLiteStorage extends Storage {
+	/** Creates a new SQLiteStorage object. The database is opened on the first use.
+	 * @param {string} fileName - path to the database file
+	 * @returns {SQLiteStorage} - an SQLiteStorage object */
+	constructor(fileName) {
+		super(fileName);
+
+		/** @type {?Database} */
+		this.database = null;
+		/** Rows as they are in the database.
+		 * @type {Map<string, object>} */
+		this.rows = new Map;
+	}
+
+	/** @returns {string} - a file name, relative to the data folder */
+	static get defaultFileName() {
+		return 'data.sqlite';
+	}
+
+	/** Opens the database and creates its table if needed.
+	 * @returns {Database} - the database */
+	open() {
+		if (this.database === null) {
+			const Database = loadDatabase();
+
+			this.database = new Database(this.fileName);
+			this.database.exec(
+				'CREATE TABLE IF NOT EXISTS data (' +
+				'section TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (section, key))'
+			);
+		}
+
+		return this.database;
+	}
+
+	/** Loads the data.
+	 * @returns {Promise<object|Error>} - a promise to the data object */
+	load() {
+		return promise.attempt(() => {
+			const rows = this.open().prepare('SELECT section, key, value FROM data').all();
+			const data = {};
+
+			for (const row of rows)
+				if (row.section === rootSection) {
+					data[row.key] = JSON.parse(row.value);
+				} else {
+					data[row.section] = data[row.section] || {};
+					data[row.section][row.key] = JSON.parse(row.value);
+				}
+
+			this.rows = toRows(data);
+
+			return data;
+		})();
+	}
+
+	/** Saves the data, writing only rows which changed since the last save.
+	 * @param {object} data - the data object
+	 * @returns {Promise<void|Error>} - a promise resolved once the data is saved */
+	save(data) {
+		return promise.attempt(() => {
+			const database = this.open();
+			const rows = toRows(data);
+			const upsert = database.prepare('INSERT OR REPLACE INTO data (section, key, value) VALUES (@section, @key, @value)');
+			const remove = database.prepare('DELETE FROM data WHERE section = @section AND key = @key');
+
+			database.transaction(() => {
+				for (const [id, row] of rows)
+					if (!this.rows.has(id) || this.rows.get(id).value !== row.value)
+						upsert.run(row);
+
+				for (const [id, row] of this.rows)
+					if (!rows.has(id))
+						remove.run(row);
+			})();
+
+			this.rows = rows;
+		})();
+	}
+
+	/** Closes the database.
+	 * @returns {Promise<void|Error>} - a promise resolved once the database is closed */
+	close() {
+		return promise.attempt(() => {
+			if (this.database !== null)
+				this.database.close();
+
+			this.database = null;
+		})();
+	}
+}
@@ -0,0 +1,114 @@
+/** @module store */
+
+import Discord from 'discord.js';
+import * as object from './functions/object.js';
+
+/** Returns the key of a store's scope, used in the `pluginData` section of
+ *  Saiko's data.
+ * @param {?(Discord.Guild|Discord.Channel|Discord.GuildMember|Discord.User)} scope -
+ *  the store's scope, or null for plugin-wide data
+ * @returns {string} - e.g. global, guild:123, channel:123, member:123:456 or user:456
+ * @throws {Error} - if the scope isn't supported */
+export const getScopeKey = scope => {
+	if (scope === null || scope === undefined)
+		return 'global';
+
+	if (scope instanceof Discord.Guild)
+		return `guild:${scope.id}`;
+
+	if (scope instanceof Discord.Channel)
+		return `channel:${scope.id}`;
+
+	if (scope instanceof Discord.GuildMember)
+		return `member:${scope.guild.id}:${scope.id}`;
+
+	if (scope instanceof Discord.User)
+		return `user:${scope.id}`;
+
+	throw new Error('A store\'s scope has to be a guild, a channel, a member, a user or null');
+};
+
+/** A plugin's persistent key-value store, scoped to a guild, a channel, a
+ *  member, a user or the whole plugin (see Plugin#getStore). Values are kept
+ *  in the `pluginData` section of Saiko's data, outside configs, and have to
+ *  be serializable to JSON. */
+export default class Store {
+	/** Creates a new Store object.
+	 * @param {Saiko} saiko - a Saiko object which keeps the data
+	 * @param {string} pluginName - name of the plugin which owns the store
+	 * @param {string} scopeKey - the store's scope (see store~getScopeKey)
+	 * @returns {Store} - a Store object */
+	constructor(saiko, pluginName, scopeKey) {
+		/** @type {Saiko} */
+		this.saiko = saiko;
+		/** @type {string} */
+		this.pluginName = pluginName;
+		/** @type {string} */
+		this.scopeKey = scopeKey;
+	}
+
+	/** Returns the object holding the store's values.
+	 * @param {boolean} [create=false] - whether or not to create missing objects
+	 * @returns {?object} - the values, or null if there are none */
+	getValues(create = false) {
+		const {data} = this.saiko;
+
+		if (create) {
+			data.pluginData = data.pluginData || {};
+			data.pluginData[this.pluginName] = data.pluginData[this.pluginName] || {};
+			data.pluginData[this.pluginName][this.scopeKey] = data.pluginData[this.pluginName][this.scopeKey] || {};
+		}
+
+		return ((data.pluginData || {})[this.pluginName] || {})[this.scopeKey] || null;
+	}
+
+	/** Returns a value.
+	 * @param {string} key
+	 * @param {*} [defaultValue] - returned if there is no value
+	 * @returns {*} - a copy of the value */
+	get(key, defaultValue) {
+		const values = this.getValues() || {};
+
+		return Object.prototype.hasOwnProperty.call(values, key) ? object.cloneJSON(values[key]) : defaultValue;
+	}
+
+	/** Sets a value and saves the data.
+	 * @param {string} key
+	 * @param {*} value - a value which can be serialized to JSON
+	 * @returns {Promise<void|Error>} - a promise resolved once the data is saved */
+	set(key, value) {
+		if (value === undefined)
+			return this.delete(key);
+
+		this.getValues(true)[key] = object.cloneJSON(value);
+
+		return this.saiko.saveData();
+	}
+
+	/** Deletes a value and saves the data.
+	 * @param {string} key
+	 * @returns {Promise<boolean|Error>} - a promise to true if there was a value */
+	async delete(key) {
+		const values = this.getValues();
+
+		if (values === null || !Object.prototype.hasOwnProperty.call(values, key))
+			return false;
+
+		delete values[key];
+
+		if (Object.keys(values).length === 0)
+			delete this.saiko.data.pluginData[this.pluginName][this.scopeKey];
+
+		if (Object.keys(this.saiko.data.pluginData[this.pluginName]).length === 0)
+			delete this.saiko.data.pluginData[this.pluginName];
+
+		await this.saiko.saveData();
+		return true;
+	}
+
+	/** Lists keys of all values in the store.
+	 * @returns {array<string>} - the keys */
+	list() {
+		return Object.keys(this.getValues() || {});
+	}
+}
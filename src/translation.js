@@ -0,0 +1,44 @@
+/** Catalogs of Saiko's messages in the bundled languages (see
+ *  functions/locale~Catalog). Messages missing in a catalog fall back to
+ *  the default language.
+ * @module translation */
+
+import en from './locales/en.js';
+import pl from './locales/pl.js';
+import * as locale from './functions/locale.js';
+
+/** Message catalogs by language codes.
+ * @type {object<string, Catalog>} */
+export const catalogs = {en, pl};
+
+/** Code of the language whose catalog has all messages.
+ * @type {string} */
+export const defaultLanguage = 'en';
+
+/** Codes of the bundled languages.
+ * @type {array<string>} */
+export const languages = Object.keys(catalogs);
+
+/** Checks if a message is in the default language's catalog (and so can be
+ *  translated to any language).
+ * @param {string} key - message's path, e.g. `admin.version.title`
+ * @returns {boolean} - true if there is such a message */
+export const hasMessage = key =>
+	locale.getMessage(catalogs[defaultLanguage])(key) !== null;
+
+/** Returns a message in a language. Messages missing in the language's
+ *  catalog are taken from the default language's one.
+ * @param {string} language - language code
+ * @param {string} key - message's path, e.g. `admin.version.title`
+ * @param {object} [parameters={}] - values of the message's placeholders
+ * @returns {string} - the message, or its key if it's missing in all catalogs */
+export const translate = language => (key, parameters = {}) => {
+	for (const code of [language, defaultLanguage]) {
+		const message = locale.getMessage(catalogs[code] || {})(key);
+
+		if (message !== null)
+			return locale.formatMessage(code)(message, parameters);
+	}
+
+	return key;
+};
@@ -0,0 +1,89 @@
+import Discord from 'discord.js';
+import MessageArchive from '../src/archive.js';
+import assert from 'assert';
+import {createTemporaryDirectory} from './mock/filesystem.js';
+import path from 'path';
+
+describe('archive', () => {
+	let archive = null;
+
+	const createMessage = (id, properties = {}) =>
+		({
+			id,
+			guild: {id: '1'},
+			channel: {id: '2'},
+			author: {id: '3', tag: 'Someone#1234'},
+			content: 'Hello',
+			attachments: new Discord.Collection,
+			createdTimestamp: Number(id) * 1000,
+			editedTimestamp: null,
+			...properties
+		});
+
+	beforeEach(async () => {
+		archive = new MessageArchive(path.join(await createTemporaryDirectory(), 'archive.sqlite'));
+	});
+
+	afterEach(() => archive.close());
+
+	it('keeps edits and deletions', () => {
+		const message = createMessage('10');
+
+		archive.addMessage(message);
+		archive.editMessage(message, {...message, content: 'Hi', editedTimestamp: 11000});
+		archive.editMessage(message, {...message, content: 'Hi', editedTimestamp: 12000});
+		archive.deleteMessage(message, 13000);
+
+		const {message: archived, revisions} = archive.getHistory('10');
+
+		assert.deepStrictEqual(revisions, [{content: 'Hello', time: 10000}, {content: 'Hi', time: 11000}]);
+		assert.strictEqual(archived.content, 'Hi');
+		assert.strictEqual(archived.authorTag, 'Someone#1234');
+		assert.strictEqual(archived.editedAt, 12000);
+		assert.strictEqual(archived.deletedAt, 13000);
+		assert.strictEqual(archive.getHistory('11'), null);
+	});
+
+	it('adds messages posted before they could be archived', () => {
+		const message = createMessage('10');
+
+		archive.editMessage(message, {...message, content: 'Hi', editedTimestamp: 11000});
+		archive.deleteMessage(createMessage('20', {content: 'Bye'}), 21000);
+
+		assert.deepStrictEqual(archive.getHistory('10').revisions.map(revision => revision.content), ['Hello', 'Hi']);
+		assert.deepStrictEqual(archive.getHistory('20').revisions.map(revision => revision.content), ['Bye']);
+		assert.strictEqual(archive.getHistory('20').message.deletedAt, 21000);
+	});
+
+	it('searches messages', () => {
+		archive.addMessage(createMessage('10', {content: '100% done'}));
+		archive.addMessage(createMessage('20', {content: '100 done', author: {id: '4', tag: 'Other#1234'}}));
+		archive.addMessage(createMessage('30', {content: 'Not DONE', channel: {id: '5'}}));
+		archive.addMessage(createMessage('40', {guild: {id: '6'}}));
+
+		const search = query => archive.search({guild: '1', ...query}).messages.map(message => message.id);
+
+		assert.deepStrictEqual(search({}), ['30', '20', '10']);
+		assert.deepStrictEqual(search({text: 'done'}), ['30', '20', '10']);
+		assert.deepStrictEqual(search({text: '0%'}), ['10']);
+		assert.deepStrictEqual(search({author: '3'}), ['30', '10']);
+		assert.deepStrictEqual(search({channel: '2', from: 15000}), ['20']);
+		assert.deepStrictEqual(search({to: 20000, limit: 1, offset: 1}), ['10']);
+		assert.strictEqual(archive.search({guild: '1', limit: 1}).total, 3);
+	});
+
+	it('prunes old messages of a guild', () => {
+		const message = createMessage('10');
+
+		archive.addMessage(message);
+		archive.editMessage(message, {...message, content: 'Hi', editedTimestamp: 25000});
+		archive.addMessage(createMessage('20', {guild: {id: '6'}}));
+		archive.addMessage(createMessage('30'));
+
+		assert.strictEqual(archive.prune('1', 30000), 1);
+		assert.strictEqual(archive.getHistory('10'), null);
+		assert.strictEqual(archive.open().prepare('SELECT COUNT(*) AS count FROM revisions WHERE message = ?').get('10').count, 0);
+		assert.deepStrictEqual(archive.search({guild: '1'}).messages.map(archived => archived.id), ['30']);
+		assert.strictEqual(archive.search({guild: '6'}).total, 1);
+	});
+});
@@ -0,0 +1,98 @@
+import Discord from 'discord.js';
+import ResponseDispatcher from '../src/dispatcher.js';
+import assert from 'assert';
+import * as log from '../src/functions/log.js';
+
+describe('dispatcher', () => {
+	const records = [];
+	let dispatcher = null;
+	let sinks = null;
+	let level = null;
+
+	/** Creates a channel recording sent posts, its send method fails with given errors first.
+	 * @param {string} id - channel's ID
+	 * @param {array<Error>} [errors] - errors thrown by the first sends
+	 * @returns {object} - the channel */
+	const createChannel = (id, errors = []) => {
+		const channel = {
+			id,
+			posts: [],
+			send: async content => {
+				if (errors.length > 0)
+					throw errors.shift();
+
+				await new Promise(resolve => setImmediate(resolve));
+				channel.posts.push(content);
+
+				return {channel, content, attachments: new Map, delete: () => Promise.resolve()};
+			}
+		};
+
+		return channel;
+	};
+
+	const createError = properties => Object.assign(new Error('failed'), properties);
+	const createAPIError = (message, code) => new Discord.DiscordAPIError('/channels/1/messages', {message, code}, 'post');
+
+	beforeEach(() => {
+		dispatcher = new ResponseDispatcher;
+		dispatcher.retryDelay = 1;
+		records.length = 0;
+		sinks = log.getSinks();
+		level = log.getLevel();
+		log.setLevel('debug');
+		log.setSinks([{level: 'debug', write: record => records.push(record), close: () => Promise.resolve()}]);
+	});
+
+	afterEach(() => {
+		log.setSinks(sinks);
+		log.setLevel(level);
+	});
+
+	it('keeps the order of posts on a channel', async () => {
+		const channel = createChannel('1', [createError({code: 'ECONNRESET'})]);
+
+		await Promise.all([dispatcher.send(channel, 'first'), dispatcher.send(channel, 'second')]);
+
+		assert.deepStrictEqual(channel.posts, ['first', 'second']);
+		assert.deepStrictEqual(records.map(record => record.text), ['Cannot send a message, retrying in 1 ms']);
+	});
+
+	it('retries transient errors only', async () => {
+		const channel = createChannel('1', [createError({code: 'ECONNRESET'}), createError({code: 'ETIMEDOUT'})]);
+
+		assert.strictEqual((await dispatcher.send(channel, 'hi')).content, 'hi');
+		assert.deepStrictEqual(records.map(record => record.text), [
+			'Cannot send a message, retrying in 1 ms',
+			'Cannot send a message, retrying in 2 ms'
+		]);
+		await assert.rejects(dispatcher.send(createChannel('2', [createAPIError('Missing Permissions', 50013)]), 'hi'), /Missing Permissions/);
+		await assert.rejects(dispatcher.send(createChannel('3', [createError({status: 502})]), 'hi'), /^Error: failed$/);
+		await assert.rejects(dispatcher.send(createChannel('4', Array(4).fill(createError({code: 'EAI_AGAIN'}))), 'hi'), /^Error: failed$/);
+	});
+
+	it('keeps removing responses after a failure and remembers the ones left', async () => {
+		const channel = createChannel('1');
+		const deleted = [];
+		const createPost = (id, failing) =>
+			({
+				id,
+				channel,
+				delete: () => {
+					if (failing)
+						return Promise.reject(createAPIError('Unknown Message', 10008));
+
+					deleted.push(true);
+					return Promise.resolve();
+				}
+			});
+		const message = {id: '10', channel};
+
+		dispatcher.responses.set(message, [createPost('11', true), createPost('12', false)]);
+		await dispatcher.respond('messageDelete', message, null);
+
+		assert.strictEqual(deleted.length, 1);
+		assert.deepStrictEqual((await dispatcher.responses.get(message)).map(post => post.id), ['11']);
+		assert.deepStrictEqual(records.map(record => record.text), ['Cannot delete a message']);
+	});
+});
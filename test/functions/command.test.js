@@ -0,0 +1,135 @@
+import assert from 'assert';
+import * as command from '../../src/functions/command.js';
+import * as mock from '../mock/discord.js';
+
+describe('functions/command', () => {
+	const world   = mock.createWorld();
+	const member  = world.createMember({user: {username: 'Someone'}});
+	const role    = world.createRole({name: 'Mods'});
+	const message = mock.createMessage(world.channel, member, '');
+	const parse   = definition => (...params) => command.parseArguments(definition)(message)(params);
+
+	describe('parseArguments', () => {
+		it('parses typed arguments', () => {
+			const args = parse({
+				args: [
+					{name: 'count', type: 'integer', min: 1},
+					{name: 'who', type: 'user'},
+					{name: 'where', type: 'channel'},
+					{name: 'role', type: 'role'},
+					{name: 'mode', type: 'enum', values: ['on', 'off']},
+					{name: 'text', rest: true}
+				]
+			})('3', `<@!${member.id}>`, `<#${world.channel.id}>`, 'mods', 'ON', 'hello', 'world');
+
+			assert.deepStrictEqual(args, {
+				count: 3,
+				who: member.user,
+				where: world.channel,
+				role,
+				mode: 'on',
+				text: ['hello', 'world']
+			});
+		});
+
+		it('skips optional arguments with invalid values', () => {
+			const definition = {
+				args: [
+					{name: 'count', type: 'integer', optional: true, default: 1},
+					{name: 'scope', type: 'enum', values: ['guild'], optional: true}
+				]
+			};
+
+			assert.deepStrictEqual(parse(definition)('5', 'guild'), {count: 5, scope: 'guild'});
+			assert.deepStrictEqual(parse(definition)('guild'), {count: 1, scope: 'guild'});
+			assert.deepStrictEqual(parse(definition)(), {count: 1, scope: undefined});
+			assert.throws(() => parse(definition)('channel'), /^ArgumentError: Invalid count: "channel" is not an integer\.$/);
+		});
+
+		it('parses flags', () => {
+			const definition = {
+				args: [{name: 'name'}],
+				flags: [
+					{name: 'force', short: 'f'},
+					{name: 'times', type: 'integer'}
+				]
+			};
+
+			assert.deepStrictEqual(parse(definition)('x'), {force: false, times: undefined, name: 'x'});
+			assert.deepStrictEqual(parse(definition)('-f', 'x', '--times', '2'), {force: true, times: 2, name: 'x'});
+			assert.deepStrictEqual(parse(definition)('--times=-2', 'x'), {force: false, times: -2, name: 'x'});
+			assert.throws(() => parse(definition)('x', '--nope'), /Unknown flag: --nope\./);
+			assert.throws(() => parse(definition)('x', '--times'), /Missing value of --times\./);
+		});
+
+		it('takes dashed parameters as positional if the command has no flags', () => {
+			const definition = {args: [{name: 'name'}, {name: 'count', type: 'integer', optional: true}]};
+
+			assert.deepStrictEqual(parse(definition)('-kuro', '-3'), {name: '-kuro', count: -3});
+			assert.deepStrictEqual(parse({args: [{name: 'text', rest: true}]})('--not-a-flag'), {text: ['--not-a-flag']});
+		});
+
+		it('reports missing and unexpected parameters', () => {
+			const definition = {args: [{name: 'first'}, {name: 'second', type: 'integer', min: 0, max: 9}]};
+
+			assert.throws(() => parse(definition)('a'), /^ArgumentError: Missing second\.$/);
+			assert.throws(() => parse(definition)('a', '10'), /Invalid second: "10" is not an integer from 0 to 9\./);
+			assert.throws(() => parse(definition)('a', '1', 'b'), /Unexpected parameter: "b"\./);
+		});
+
+		it('keeps keys and parameters of errors, so they can be translated', () => {
+			const argument = {name: 'count', type: 'integer', min: 1};
+
+			assert.throws(() => parse({args: [argument]})('x'), error =>
+				error.key === 'invalid' && error.argument === argument &&
+				JSON.stringify(error.parameters) === JSON.stringify({name: 'count', value: 'x', expected: 'an integer not less than 1'})
+			);
+			assert.strictEqual(command.describeType(argument, (key, {min}) => `${key} ${min}`), 'types.integerMin 1');
+		});
+
+		it('passes arguments parsed so far to custom types', () => {
+			const definition = {
+				args: [
+					{name: 'a'},
+					{name: 'b', type: (value, message, {a}) => value === a ? value : null, expected: 'the same as a'}
+				]
+			};
+
+			assert.deepStrictEqual(parse(definition)('x', 'x'), {a: 'x', b: 'x'});
+			assert.throws(() => parse(definition)('x', 'y'), /Invalid b: "y" is not the same as a\./);
+		});
+	});
+
+	describe('getUsage', () => {
+		it('generates usage from arguments and flags', () => {
+			assert.strictEqual(command.getUsage({
+				trigger: 'cmd',
+				aliases: ['c'],
+				args: [
+					{name: 'action', type: 'enum', values: ['a', 'b']},
+					{name: 'name', optional: true},
+					{name: 'rest', rest: true, optional: true}
+				],
+				flags: [
+					{name: 'force'},
+					{name: 'times', type: 'integer'}
+				]
+			}), 'cmd <a|b> [name] [rest...] [--force] [--times <times>]');
+		});
+	});
+
+	describe('getArgumentPermissions', () => {
+		it('returns levels required by given arguments only', () => {
+			const permissions = command.getArgumentPermissions({
+				args: [
+					{name: 'action', type: 'enum', values: ['set'], optional: true, permission: 'operator'},
+					{name: 'page', type: 'integer', optional: true, default: 1, permission: 'moderator'}
+				]
+			});
+
+			assert.deepStrictEqual(permissions({}), []);
+			assert.deepStrictEqual(permissions({page: 1}), []);
+			assert.deepStrictEqual(permissions({action: 'set', page: 2}), ['operator', 'moderator']);
+		});
+	});
+});
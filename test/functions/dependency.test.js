@@ -0,0 +1,45 @@
+import assert from 'assert';
+import * as dependency from '../../src/functions/dependency.js';
+
+describe('functions/dependency', () => {
+	const names = items => items.map(item => item.name);
+
+	describe('sort', () => {
+		it('puts dependencies first', () => {
+			const items = [
+				{name: 'a', dependencies: ['c']},
+				{name: 'b'},
+				{name: 'c', dependencies: ['b']}
+			];
+
+			assert.deepStrictEqual(names(dependency.sort(items)), ['b', 'c', 'a']);
+		});
+
+		it('sorts independent items by priority', () => {
+			const items = [
+				{name: 'a'},
+				{name: 'b', priority: 10},
+				{name: 'c', priority: 20, dependencies: ['a']},
+				{name: 'd'}
+			];
+
+			assert.deepStrictEqual(names(dependency.sort(items)), ['b', 'a', 'c', 'd']);
+		});
+
+		it('refuses missing dependencies', () => {
+			assert.throws(() => dependency.sort([{name: 'a', dependencies: ['b']}]),
+				/^DependencyError: "a" depends on "b", which is not loaded$/);
+		});
+
+		it('refuses circular dependencies', () => {
+			const items = [
+				{name: 'a', dependencies: ['b']},
+				{name: 'b', dependencies: ['c']},
+				{name: 'c', dependencies: ['b']}
+			];
+
+			assert.deepStrictEqual(dependency.findCycle(items), ['b', 'c', 'b']);
+			assert.throws(() => dependency.sort(items), /^DependencyError: Circular dependency: "b" -> "c" -> "b"$/);
+		});
+	});
+});
@@ -0,0 +1,31 @@
+import assert from 'assert';
+import * as discord from '../../src/functions/discord.js';
+import * as mock from '../mock/discord.js';
+
+describe('functions/discord', () => {
+	describe('getPlaceType', () => {
+		it('recognizes fake places', () => {
+			const world = mock.createWorld();
+			const user  = mock.createUser(world.client);
+
+			assert.strictEqual(discord.getPlaceType(world.channel), 'text');
+			assert.strictEqual(discord.getPlaceType(world.createDMChannel(user)), 'dm');
+			assert.strictEqual(discord.getPlaceType(world.guild), 'guild');
+			assert.strictEqual(discord.getPlaceType(world.client), 'client');
+			assert.strictEqual(discord.getPlaceType({}), null);
+		});
+	});
+
+	describe('getUser', () => {
+		it('finds users by ID, mention and name', () => {
+			const world  = mock.createWorld();
+			const member = world.createMember({user: {username: 'Kuro Getsu'}, nickname: 'Sai'});
+
+			assert.strictEqual(discord.getUser(world.guild)(member.id), member.user);
+			assert.strictEqual(discord.getUser(world.guild)(`<@!${member.id}>`), member.user);
+			assert.strictEqual(discord.getUser(world.guild)('sai'), member.user);
+			assert.strictEqual(discord.getUser(world.guild)('kuro'), member.user);
+			assert.strictEqual(discord.getUser(world.guild)('nobody'), null);
+		});
+	});
+});
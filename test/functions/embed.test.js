@@ -0,0 +1,21 @@
+import assert from 'assert';
+import * as embed from '../../src/functions/embed.js';
+
+describe('functions/embed', () => {
+	describe('splitFields', () => {
+		it('splits fields by count and length', () => {
+			const fields = Array.from({length: 30}, (item, index) => ({name: `${index}`.padStart(10, '0'), value: 'x'.repeat(90)}));
+
+			assert.deepStrictEqual(embed.splitFields()(fields).map(page => page.length), [25, 5]);
+			assert.deepStrictEqual(embed.splitFields(1000)(fields).map(page => page.length), [10, 10, 10]);
+			assert.deepStrictEqual(embed.splitFields()([]), [[]]);
+		});
+
+		it('shortens long fields', () => {
+			const [[field]] = embed.splitFields()([{name: 'long', value: 'x'.repeat(2000)}]);
+
+			assert.strictEqual(field.value.length, embed.limits.fieldValue);
+			assert.ok(field.value.endsWith('…'));
+		});
+	});
+});
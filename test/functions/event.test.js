@@ -0,0 +1,41 @@
+import Discord from 'discord.js';
+import assert from 'assert';
+import * as event from '../../src/functions/event.js';
+import * as mock from '../mock/discord.js';
+
+describe('functions/event', () => {
+	describe('getEventPlace', () => {
+		const world  = mock.createWorld();
+		const member = world.createMember();
+
+		it('returns the channel of message events', () => {
+			const message = world.createMessage(world.channel, member, 'hi');
+			const reaction = new Discord.MessageReaction(message, {name: '👍'}, 1, false);
+
+			assert.strictEqual(event.getEventPlace('message')(message), world.channel);
+			assert.strictEqual(event.getEventPlace('messageUpdate')(message, message), world.channel);
+			assert.strictEqual(event.getEventPlace('messageReactionAdd')(reaction, member.user), world.channel);
+		});
+
+		it('returns the guild of member events', () => {
+			assert.strictEqual(event.getEventPlace('guildMemberAdd')(member), world.guild);
+			assert.strictEqual(event.getEventPlace('presenceUpdate')(member, member), world.guild);
+			assert.strictEqual(event.getEventPlace('guildCreate')(world.guild), world.guild);
+		});
+
+		it('returns the guild of channels without their own config', () => {
+			const category = mock.construct(Discord.CategoryChannel, {guild: world.guild, type: 'category'});
+
+			assert.strictEqual(event.getEventPlace('channelCreate')(world.channel), world.channel);
+			assert.strictEqual(event.getEventPlace('channelDelete')(category), world.guild);
+		});
+
+		it('returns null for unknown events', () => {
+			assert.strictEqual(event.getEventPlace('typingStart')(world.channel, member.user), null);
+		});
+	});
+
+	it('names event handlers', () => {
+		assert.strictEqual(event.getHandlerName('guildMemberAdd'), 'onGuildMemberAdd');
+	});
+});
@@ -0,0 +1,43 @@
+import assert from 'assert';
+import * as locale from '../../src/functions/locale.js';
+
+describe('functions/locale', () => {
+	const catalog = {
+		greeting: 'Hello, {name}!',
+		files: {one: '{count} file', other: '{count} files'},
+		nested: {title: 'Title'}
+	};
+
+	it('finds messages by their keys', () => {
+		assert.strictEqual(locale.getMessage(catalog)('nested.title'), 'Title');
+		assert.deepStrictEqual(locale.getMessage(catalog)('files'), catalog.files);
+		assert.strictEqual(locale.getMessage(catalog)('nested'), null);
+		assert.strictEqual(locale.getMessage(catalog)('nested.missing'), null);
+		assert.strictEqual(locale.getMessage(catalog)('constructor'), null);
+	});
+
+	it('fills in parameters', () => {
+		assert.strictEqual(locale.interpolate({name: 'Saiko'})('Hello, {name}!'), 'Hello, Saiko!');
+		assert.strictEqual(locale.interpolate({})('Hello, {name}!'), 'Hello, {name}!');
+	});
+
+	it('chooses plural forms', () => {
+		const seconds = {one: '{count} sekunda', few: '{count} sekundy', many: '{count} sekund', other: '{count} sekundy'};
+
+		assert.strictEqual(locale.formatMessage('en')(catalog.files, {count: 1}), '1 file');
+		assert.strictEqual(locale.formatMessage('en')(catalog.files, {count: 5}), '5 files');
+		assert.deepStrictEqual([1, 2, 5, 22, 1.5].map(count => locale.formatMessage('pl')(seconds, {count})),
+			['1 sekunda', '2 sekundy', '5 sekund', '22 sekundy', '1.5 sekundy']);
+	});
+
+	it('has plural rules of the bundled languages', () => {
+		assert.deepStrictEqual([0, 1, 2, 1.5].map(locale.getPluralCategory('en')), ['other', 'one', 'other', 'other']);
+		assert.deepStrictEqual([0, 1, 2, 4, 5, 12, 21, 22, 104, 112, 1.5, NaN].map(locale.getPluralCategory('pl')),
+			['many', 'one', 'few', 'few', 'many', 'many', 'many', 'few', 'few', 'many', 'other', 'other']);
+		assert.strictEqual(locale.getPluralCategory('xx')(1), 'one');
+	});
+
+	it('lists keys of messages', () => {
+		assert.deepStrictEqual(locale.getKeys(catalog), ['greeting', 'files', 'nested.title']);
+	});
+});
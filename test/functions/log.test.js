@@ -0,0 +1,71 @@
+import assert from 'assert';
+import {createTemporaryDirectory} from '../mock/filesystem.js';
+import fs from 'fs';
+import path from 'path';
+import {promisify} from 'util';
+import * as log from '../../src/functions/log.js';
+
+describe('functions/log', () => {
+	const records = [];
+	const memorySink = {level: 'debug', write: record => records.push(record), close: () => Promise.resolve()};
+	let sinks = null;
+	let level = null;
+
+	beforeEach(() => {
+		records.length = 0;
+		sinks = log.getSinks();
+		level = log.getLevel();
+		log.setLevel('debug');
+		log.setSinks([memorySink]);
+	});
+
+	afterEach(() => {
+		log.setSinks(sinks);
+		log.setLevel(level);
+	});
+
+	it('filters messages by level', () => {
+		log.setLevel('warn');
+		log.debug({text: 'debug'});
+		log.warn({title: {module: 'test'}, text: 'warn', messages: ['details']});
+
+		assert.deepStrictEqual(records.map(record => [record.level, record.type, record.text, record.messages]), [['warn', 'Warning', 'warn', ['details']]]);
+		assert.throws(() => log.setLevel('loud'), /^Error: Invalid log level "loud"/);
+	});
+
+	it('formats messages as JSON lines and text', () => {
+		log.error({title: {module: 'Saiko', separator: '#', function: 'test'}, text: 'failed', messages: [new Error('oops')]});
+
+		const json = JSON.parse(log.formatJSON(records[0]));
+
+		assert.deepStrictEqual(Object.keys(json), ['time', 'level', 'type', 'module', 'function', 'text', 'messages']);
+		assert.strictEqual(json.level, 'error');
+		assert.ok(json.messages[0].startsWith('Error: oops\n'));
+		assert.ok(log.formatText(false)(records[0]).startsWith(`${records[0].time}  Error  Saiko#test  failed\nError: oops\n`));
+	});
+
+	it('writes to rotated files', async () => {
+		const directory = await createTemporaryDirectory('saiko-log-');
+		const fileName = path.join(directory, 'logs', 'saiko.log');
+		const sink = log.createFileSink(fileName, {maxSize: 150, maxFiles: 1});
+		const wait = () => new Promise(resolve => setTimeout(resolve, 5));
+
+		log.setSinks([sink]);
+
+		for (const text of ['first', 'second', 'third']) {
+			log.warn({text});
+			await wait(); // eslint-disable-line no-await-in-loop
+		}
+
+		await log.closeFileSinks();
+
+		const files = (await promisify(fs.readdir)(path.join(directory, 'logs'))).sort();
+		const read = file => promisify(fs.readFile)(path.join(directory, 'logs', file), 'utf8');
+
+		assert.strictEqual(files.length, 2);
+		assert.strictEqual(files[1], 'saiko.log');
+		assert.ok(/^saiko\.\d{4}-[\dTZ-]+\.log$/.test(files[0]));
+		assert.strictEqual(JSON.parse(await read(files[0])).text, 'second');
+		assert.strictEqual(JSON.parse(await read('saiko.log')).text, 'third');
+	});
+});
@@ -0,0 +1,45 @@
+import assert from 'assert';
+import * as mock from '../mock/discord.js';
+import * as permission from '../../src/functions/permission.js';
+
+describe('functions/permission', () => {
+	describe('getHighestLevel', () => {
+		it('ignores invalid levels', () => {
+			assert.strictEqual(permission.getHighestLevel(), 'user');
+			assert.strictEqual(permission.getHighestLevel('moderator', 'nope', undefined), 'moderator');
+			assert.strictEqual(permission.getHighestLevel('operator', 'moderator'), 'operator');
+		});
+	});
+
+	describe('isSufficient', () => {
+		it('compares levels', () => {
+			assert.strictEqual(permission.isSufficient('moderator')('operator'), true);
+			assert.strictEqual(permission.isSufficient('moderator')('moderator'), true);
+			assert.strictEqual(permission.isSufficient('moderator')('user'), false);
+			assert.strictEqual(permission.isSufficient(undefined)('user'), true);
+		});
+	});
+
+	describe('getUserLevel', () => {
+		const world = mock.createWorld();
+		const role  = mock.createRole(world.guild, {name: 'Mods'});
+
+		it('makes users outside guilds and administrators operators', () => {
+			assert.strictEqual(permission.getUserLevel()(mock.createUser(world.client)), 'operator');
+			assert.strictEqual(permission.getUserLevel()(world.createMember({administrator: true})), 'operator');
+			assert.strictEqual(permission.getUserLevel()(world.createMember()), 'user');
+		});
+
+		it('uses levels granted to users and roles', () => {
+			const member = world.createMember({roles: [role]});
+			const config = {
+				roles: {[role.id]: 'moderator'},
+				users: {[member.id]: 'operator'}
+			};
+
+			assert.strictEqual(permission.getUserLevel({roles: config.roles})(member), 'moderator');
+			assert.strictEqual(permission.getUserLevel(config)(member), 'operator');
+			assert.strictEqual(permission.getUserLevel(config)(world.createMember()), 'user');
+		});
+	});
+});
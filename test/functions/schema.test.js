@@ -0,0 +1,40 @@
+import assert from 'assert';
+import * as schema from '../../src/functions/schema.js';
+
+describe('functions/schema', () => {
+	describe('validate', () => {
+		const configSchema = {
+			type: 'object',
+			required: ['token'],
+			properties: {
+				token: {type: 'string'},
+				owners: {type: 'array', items: {type: 'string', pattern: '^\\d+$'}},
+				level: {type: 'string', values: ['user', 'operator']},
+				limit: {type: 'integer', min: 1, max: 10}
+			},
+			additionalProperties: false
+		};
+
+		it('accepts valid values', () => {
+			assert.deepStrictEqual(schema.validate(configSchema)({token: 'x', owners: ['1'], level: 'user', limit: 10}), []);
+		});
+
+		it('reports problems with their paths', () => {
+			const errors = schema.validate(configSchema)({owners: ['1', 'me'], level: 'admin', limit: 0, other: true});
+
+			assert.strictEqual(schema.formatErrors(errors), [
+				'token: is required',
+				'owners.1: "me" doesn\'t match ^\\d+$',
+				'level: expected one of: "user", "operator", got "admin"',
+				'limit: expected at least 1, got 0',
+				'other: is not allowed here'
+			].join('\n'));
+		});
+
+		it('checks additional properties against their schema', () => {
+			const errors = schema.validate({type: 'object', additionalProperties: {type: 'boolean'}})({a: true, b: 'yes'}, 'flags');
+
+			assert.deepStrictEqual(errors, [{path: 'flags.b', message: 'expected a boolean, got "yes"'}]);
+		});
+	});
+});
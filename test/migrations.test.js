@@ -0,0 +1,55 @@
+import assert from 'assert';
+import * as migrations from '../src/migrations.js';
+
+describe('migrations', () => {
+	it('upgrades data without a version', () => {
+		const data = migrations.migrateData({token: 'token', guilds: {1: {prefix: '!'}}});
+
+		assert.strictEqual(data.dataVersion, migrations.latestVersion);
+		assert.deepStrictEqual(data.guilds, {1: {prefix: '!'}});
+		assert.deepStrictEqual(data.pluginPaths, []);
+		assert.deepStrictEqual(data.channels, {});
+	});
+
+	it('moves archive settings to the archive plugin', () => {
+		const data = migrations.migrateData({
+			dataVersion: 2,
+			defaults: {plugins: {log: {enabled: true}}},
+			guilds: {1: {plugins: {log: {archive: true, archiveDays: 7, destination: 'file'}}}},
+			channels: {2: {plugins: {log: {archive: false}}}}
+		});
+
+		assert.deepStrictEqual(data.defaults, {plugins: {log: {enabled: true}}});
+		assert.deepStrictEqual(data.guilds[1].plugins, {log: {destination: 'file'}, archive: {enabled: true, days: 7}});
+		assert.deepStrictEqual(data.channels[2].plugins, {log: {}, archive: {enabled: false}});
+	});
+
+	it('enables plugins split out of the admin plugin wherever it\'s enabled', () => {
+		const data = migrations.migrateData({
+			dataVersion: 3,
+			defaults: {plugins: {admin: {enabled: true}}},
+			guilds: {1: {plugins: {admin: {enabled: false}, config: {prefix: '!'}}}},
+			channels: {2: {plugins: {admin: {prefix: '?'}}}}
+		});
+
+		assert.deepStrictEqual(data.defaults.plugins, {admin: {enabled: true}, config: {enabled: true}, owner: {enabled: true}, permissions: {enabled: true}});
+		assert.deepStrictEqual(data.guilds[1].plugins, {
+			admin: {enabled: false},
+			config: {enabled: false, prefix: '!'},
+			owner: {enabled: false},
+			permissions: {enabled: false}
+		});
+		assert.deepStrictEqual(data.channels[2].plugins, {admin: {prefix: '?'}});
+	});
+
+	it('doesn\'t change up-to-date data', () => {
+		const data = {dataVersion: migrations.latestVersion, token: 'token'};
+
+		assert.deepStrictEqual(migrations.migrateData(data), data);
+		assert.deepStrictEqual(migrations.getPendingMigrations(data), []);
+	});
+
+	it('refuses data from newer versions', () => {
+		assert.throws(() => migrations.migrateData({dataVersion: migrations.latestVersion + 1}), /supports versions up to/);
+	});
+});
@@ -0,0 +1,308 @@
+/** Fake Discord.js objects which work without a network connection. All of
+ *  them are real instances of Discord.js classes (so `instanceof` checks and
+ *  functions/discord~getPlaceType work), but their state is plain data set by
+ *  the factories below. Everything Saiko sends, edits or deletes is recorded
+ *  in the client's `actions` array.
+ * @module test/mock/discord */
+
+import Discord from 'discord.js';
+
+let snowflakeCount = 0;
+
+/** Generates a new unique ID.
+ * @returns {string} - a snowflake-like ID */
+export const createSnowflake = () =>
+	`1${String(snowflakeCount += 1).padStart(17, '0')}`;
+
+/** Creates an instance of a class without calling its constructor and defines
+ *  given properties as its own (overriding getters from the prototype).
+ * @param {function} Class - the class of the new object
+ * @param {object} properties - properties of the new object
+ * @returns {object} - the new object */
+export const construct = (Class, properties) =>
+	Object.defineProperties(Object.create(Class.prototype),
+		Object.entries(properties).reduce((descriptors, [key, value]) => ({
+			...descriptors,
+			[key]: {value, writable: true, enumerable: true, configurable: true}
+		}), {})
+	);
+
+/** Creates a Discord.Collection from an array of objects with IDs.
+ * @param {array} items
+ * @returns {Discord.Collection} - a collection keyed by the items' IDs */
+export const createCollection = (items = []) =>
+	new Discord.Collection(items.map(item => [item.id, item]));
+
+/** Creates a fake client. Its `actions` property lists everything sent, edited
+ *  or deleted through the fake objects.
+ * @param {object} [options]
+ * @param {string} [options.username='Saiko'] - bot's username
+ * @returns {Discord.Client} - a client which never connects to Discord */
+export const createClient = ({username = 'Saiko'} = {}) => {
+	const client = new Discord.Client;
+
+	client.actions = [];
+	client.user = construct(Discord.ClientUser, {
+		client,
+		id: createSnowflake(),
+		username,
+		discriminator: '0001',
+		avatar: null,
+		bot: true
+	});
+	client.users.set(client.user.id, client.user);
+
+	return client;
+};
+
+/** Creates a fake user.
+ * @param {Discord.Client} client
+ * @param {object} [properties] - overrides of the default user properties
+ * @returns {Discord.User} - the user */
+export const createUser = (client, properties = {}) => {
+	const user = construct(Discord.User, {
+		client,
+		id: createSnowflake(),
+		username: 'User',
+		discriminator: '1234',
+		avatar: null,
+		bot: false,
+		...properties
+	});
+
+	client.users.set(user.id, user);
+
+	return user;
+};
+
+/** Creates a fake guild.
+ * @param {Discord.Client} client
+ * @param {object} [properties] - overrides of the default guild properties
+ * @returns {Discord.Guild} - the guild */
+export const createGuild = (client, properties = {}) => {
+	const guild = construct(Discord.Guild, {
+		client,
+		id: createSnowflake(),
+		name: 'Guild',
+		available: true,
+		members: new Discord.Collection,
+		channels: new Discord.Collection,
+		roles: new Discord.Collection,
+		...properties
+	});
+
+	client.guilds.set(guild.id, guild);
+
+	return guild;
+};
+
+/** Creates a fake role.
+ * @param {Discord.Guild} guild
+ * @param {object} [properties] - overrides of the default role properties
+ * @param {number} [properties.permissions=0] - permission bit field
+ * @returns {Discord.Role} - the role */
+export const createRole = (guild, properties = {}) => {
+	const role = construct(Discord.Role, {
+		client: guild.client,
+		guild,
+		id: createSnowflake(),
+		name: 'Role',
+		permissions: 0,
+		position: guild.roles.size,
+		...properties
+	});
+
+	guild.roles.set(role.id, role);
+
+	return role;
+};
+
+/** Creates a fake guild member (and the user behind it).
+ * @param {Discord.Guild} guild
+ * @param {object} [properties] - overrides of the default member properties
+ * @param {object} [properties.user] - properties passed to createUser
+ * @param {array<Discord.Role>} [properties.roles] - member's roles
+ * @param {boolean} [properties.administrator=false] - whether or not the member has the Administrator perm
+ * @returns {Discord.GuildMember} - the member */
+export const createMember = (guild, {user = {}, roles = [], administrator = false, ...properties} = {}) => {
+	const memberRoles = createCollection(roles);
+	const member = construct(Discord.GuildMember, {
+		client: guild.client,
+		guild,
+		user: user instanceof Discord.User ? user : createUser(guild.client, user),
+		nickname: null,
+		roles: memberRoles,
+		permissions: new Discord.Permissions([
+			...roles.map(role => role.permissions),
+			...administrator ? ['ADMINISTRATOR'] : []
+		]),
+		...properties
+	});
+
+	guild.members.set(member.id, member);
+
+	return member;
+};
+
+/** Creates a fake guild text channel.
+ * @param {Discord.Guild} guild
+ * @param {object} [properties] - overrides of the default channel properties
+ * @returns {Discord.TextChannel} - the channel */
+export const createTextChannel = (guild, properties = {}) => {
+	const channel = construct(Discord.TextChannel, {
+		client: guild.client,
+		guild,
+		id: createSnowflake(),
+		type: 'text',
+		name: 'general',
+		members: guild.members,
+		messages: new Discord.Collection,
+		permissionOverwrites: new Discord.Collection,
+		...properties
+	});
+
+	guild.channels.set(channel.id, channel);
+	guild.client.channels.set(channel.id, channel);
+
+	return channel;
+};
+
+/** Creates a fake DM channel.
+ * @param {Discord.Client} client
+ * @param {Discord.User} recipient - the other side of the conversation
+ * @returns {Discord.DMChannel} - the channel */
+export const createDMChannel = (client, recipient) => {
+	const channel = construct(Discord.DMChannel, {
+		client,
+		id: createSnowflake(),
+		type: 'dm',
+		recipient,
+		messages: new Discord.Collection
+	});
+
+	client.channels.set(channel.id, channel);
+
+	return channel;
+};
+
+/** Converts Discord.TextChannel#send's or Discord.Message#edit's parameters to
+ *  message properties.
+ * @param {*} content - text or an embed
+ * @param {object} [options] - message options
+ * @returns {object} - content, embeds and attachments */
+const parsePost = (content, options) => {
+	// like Discord.js, accept options without content
+	if (options === undefined && typeof content === 'object' && !(content instanceof Discord.RichEmbed))
+		return parsePost('', content);
+
+	if (options === undefined)
+		return parsePost(content, {});
+
+	const embed =
+		content instanceof Discord.RichEmbed ? content :
+		options instanceof Discord.RichEmbed ? options : options.embed;
+	const files = [
+		...options.file ? [options.file] : [],
+		...Array.isArray(options.files) ? options.files : []
+	];
+
+	return {
+		content: typeof content === 'string' ? content : '',
+		embeds: embed ? [embed] : [],
+		attachments: new Discord.Collection(files.map((file, index) => [String(index), file]))
+	};
+};
+
+/** Creates a fake message. The message can be edited or deleted and both of
+ *  these actions are recorded in the client's `actions`.
+ * @param {Discord.Channel} channel - the channel where the message is posted
+ * @param {Discord.User|Discord.GuildMember} author - message's author
+ * @param {string|object} content - text or properties of the message
+ * @returns {Discord.Message} - the message */
+export const createMessage = (channel, author, content) => {
+	const {client} = channel;
+	const member = author instanceof Discord.GuildMember ? author : null;
+	const message = construct(Discord.Message, {
+		client,
+		channel,
+		id: createSnowflake(),
+		author: member ? member.user : author,
+		member,
+		guild: channel.guild || null,
+		content: '',
+		embeds: [],
+		attachments: new Discord.Collection,
+		reactions: new Discord.Collection,
+		createdTimestamp: Date.now(),
+		editedTimestamp: null,
+		deleted: false,
+		...typeof content === 'string' ? {content} : content
+	});
+
+	message.edit = (...post) => {
+		Object.assign(message, parsePost(...post), {editedTimestamp: Date.now()});
+		client.actions.push({type: 'edit', message, post});
+
+		return Promise.resolve(message);
+	};
+	message.react = emoji => {
+		const reaction = new Discord.MessageReaction(message, {name: emoji}, 1, true);
+
+		message.reactions.set(emoji, reaction);
+		client.actions.push({type: 'react', message, emoji});
+
+		return Promise.resolve(reaction);
+	};
+	message.delete = () => {
+		message.deleted = true;
+		channel.messages.delete(message.id);
+		client.actions.push({type: 'delete', message});
+
+		return Promise.resolve(message);
+	};
+	channel.messages.set(message.id, message);
+
+	return message;
+};
+
+/** Makes a channel's send method create fake messages authored by the bot.
+ *  Done lazily, so channels created by hand get it too.
+ * @param {Discord.Channel} channel
+ * @returns {Discord.Channel} - the same channel */
+const enableSending = channel => {
+	channel.send = (...post) => {
+		const {client} = channel;
+		const author = channel.guild ? channel.guild.members.get(client.user.id) || client.user : client.user;
+		const message = createMessage(channel, author, parsePost(...post));
+
+		client.actions.push({type: 'send', message, post});
+
+		return Promise.resolve(message);
+	};
+
+	return channel;
+};
+
+/** Creates a whole fake world: a client, a guild with a text channel, a member
+ *  for the bot, and a few helpers to create and change messages.
+ * @param {object} [options]
+ * @param {string} [options.username='Saiko'] - bot's username
+ * @returns {object} - the fake objects */
+export const createWorld = ({username} = {}) => {
+	const client  = createClient({username});
+	const guild   = createGuild(client);
+	const channel = enableSending(createTextChannel(guild));
+
+	createMember(guild, {user: client.user});
+
+	return {
+		client,
+		guild,
+		channel,
+		createChannel: properties => enableSending(createTextChannel(guild, properties)),
+		createDMChannel: recipient => enableSending(createDMChannel(client, recipient)),
+		createMember: properties => createMember(guild, properties),
+		createRole: properties => createRole(guild, properties),
+		createMessage
+	};
+};
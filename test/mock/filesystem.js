@@ -0,0 +1,45 @@
+/** Temporary directories for tests, removed after each test (see test/setup).
+ * @module test/mock/filesystem */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {promisify} from 'util';
+
+/** Directories made since the last cleanup.
+ * @type {Set<string>} */
+const directories = new Set;
+
+/** Removes a file or a directory with all its contents.
+ * @param {string} fileName
+ * @returns {Promise<void>} - a promise resolved once the file is removed */
+const remove = async fileName => {
+	if (!(await promisify(fs.lstat)(fileName)).isDirectory())
+		return promisify(fs.unlink)(fileName);
+
+	const names = await promisify(fs.readdir)(fileName);
+
+	await Promise.all(names.map(name => remove(path.join(fileName, name))));
+
+	return promisify(fs.rmdir)(fileName);
+};
+
+/** Makes a new directory in the system's temporary directory.
+ * @param {string} [prefix='saiko-'] - prefix of the directory's name
+ * @returns {Promise<string>} - a promise to the directory's path */
+export const createTemporaryDirectory = async (prefix = 'saiko-') => {
+	const directory = await promisify(fs.mkdtemp)(path.join(os.tmpdir(), prefix));
+
+	directories.add(directory);
+
+	return directory;
+};
+
+/** Removes all directories made with createTemporaryDirectory.
+ * @returns {Promise<void>} - a promise resolved once the directories are removed */
+export const removeTemporaryDirectories = async () => {
+	const removed = Array.from(directories);
+
+	directories.clear();
+	await Promise.all(removed.map(remove));
+};
@@ -0,0 +1,98 @@
+/** A harness running Saiko's event pipeline on a fake Discord client.
+ * @module test/mock/saiko */
+
+import JSONStorage from '../../src/storage/json.js';
+import Saiko from '../../src/saiko.js';
+import {createTemporaryDirectory} from './filesystem.js';
+import path from 'path';
+import * as migrations from '../../src/migrations.js';
+import * as mock from './discord.js';
+
+/** Creates a Saiko object connected to a fake world (see test/mock/discord~createWorld)
+ *  with given plugins loaded and enabled. The data is saved to a temporary directory.
+ * @param {object} [options]
+ * @param {array<function>} [options.plugins] - plugin classes to load
+ * @param {object} [options.data] - Saiko's data (merged with a default config)
+ * @returns {Promise<object>} - a promise to the world, the Saiko object and functions to drive it */
+export const createSaiko = async ({plugins = [], data = {}} = {}) => {
+	const world = mock.createWorld();
+	const dataPath = await createTemporaryDirectory();
+	const saiko = new Saiko(dataPath);
+
+	saiko.client = world.client;
+	saiko.dataManager.storage = new JSONStorage(path.join(dataPath, 'data.json'), {debounce: 0});
+	saiko.backups.backupInterval = Infinity;
+	saiko.data = {
+		dataVersion: migrations.latestVersion,
+		name: 'Saiko',
+		version: '0.0.0',
+		token: 'token',
+		pluginPaths: [],
+		pluginPackages: [],
+		defaults: {},
+		guilds: {},
+		channels: {},
+		...data
+	};
+	saiko.plugins = plugins.map(PluginClass => new PluginClass(saiko));
+	saiko.enablePlugins();
+
+	/** Emits an event and waits until all listeners (Saiko's event handlers) finish.
+	 * @param {string} eventName
+	 * @param {...*} parameters
+	 * @returns {Promise<array>} - a promise to actions done while handling the event */
+	const dispatch = async (eventName, ...parameters) => {
+		const firstAction = world.client.actions.length;
+
+		await Promise.all(world.client.listeners(eventName)
+			.map(listener => listener(...parameters))
+		);
+
+		return world.client.actions.slice(firstAction);
+	};
+
+	return {
+		...world,
+		saiko,
+		dispatch,
+		/** Posts a new message.
+		 * @param {Discord.Channel} channel
+		 * @param {Discord.User|Discord.GuildMember} author
+		 * @param {string} content
+		 * @returns {Promise<object>} - a promise to the message and actions done in response */
+		send: async (channel, author, content) => {
+			const message = mock.createMessage(channel, author, content);
+			const actions = await dispatch('message', message);
+
+			return {message, actions};
+		},
+		/** Changes a message's content.
+		 * @param {Discord.Message} message
+		 * @param {string} content - new content
+		 * @returns {Promise<array>} - a promise to actions done in response */
+		edit: (message, content) => {
+			const oldMessage = mock.construct(message.constructor, {...message});
+
+			Object.assign(message, {content, editedTimestamp: Date.now()});
+
+			return dispatch('messageUpdate', oldMessage, message);
+		},
+		/** Deletes a message.
+		 * @param {Discord.Message} message
+		 * @returns {Promise<array>} - a promise to actions done in response */
+		remove: message => {
+			message.deleted = true;
+			message.channel.messages.delete(message.id);
+
+			return dispatch('messageDelete', message);
+		}
+	};
+};
+
+/** Returns plugin config enabling given plugins.
+ * @param {...string} pluginNames
+ * @returns {object} - config with the plugins enabled */
+export const enabled = (...pluginNames) =>
+	({
+		plugins: Object.assign({}, ...pluginNames.map(name => ({[name]: {enabled: true}})))
+	});
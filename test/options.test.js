@@ -0,0 +1,53 @@
+import assert from 'assert';
+import {parseOptions} from '../src/options.js';
+import path from 'path';
+
+describe('options', () => {
+	describe('parseOptions', () => {
+		it('uses defaults', () => {
+			const options = parseOptions([], {});
+
+			assert.strictEqual(options.dataPath, './data/');
+			assert.strictEqual(options.token, null);
+			assert.strictEqual(options.logLevel, 'info');
+			assert.deepStrictEqual(options.pluginPaths, []);
+			assert.strictEqual(options.nonInteractive, false);
+		});
+
+		it('reads environment variables', () => {
+			const options = parseOptions([], {
+				SAIKO_TOKEN: 'token',
+				SAIKO_LOG_LEVEL: 'warn',
+				SAIKO_PLUGIN_PATHS: ['a', 'b'].join(path.delimiter),
+				SAIKO_NON_INTERACTIVE: '1',
+				SAIKO_WATCH_PLUGINS: 'false'
+			});
+
+			assert.strictEqual(options.token, 'token');
+			assert.strictEqual(options.logLevel, 'warn');
+			assert.deepStrictEqual(options.pluginPaths, ['a', 'b']);
+			assert.strictEqual(options.nonInteractive, true);
+			assert.strictEqual(options.watchPlugins, false);
+		});
+
+		it('prefers flags over environment variables', () => {
+			const options = parseOptions(
+				['--token', 'flag', '--data-path=/srv/saiko', '--plugin-path', 'a', '--plugin-path', 'b', '--check-config'],
+				{SAIKO_TOKEN: 'env', SAIKO_PLUGIN_PATHS: 'c'}
+			);
+
+			assert.strictEqual(options.token, 'flag');
+			assert.strictEqual(options.dataPath, '/srv/saiko');
+			assert.deepStrictEqual(options.pluginPaths, ['a', 'b']);
+			assert.strictEqual(options.checkConfig, true);
+			assert.strictEqual(parseOptions(['--log-max-files=2'], {}).logMaxFiles, 2);
+		});
+
+		it('rejects invalid arguments', () => {
+			assert.throws(() => parseOptions(['--tokne', 'x'], {}), /^Error: Unknown argument: --tokne$/);
+			assert.throws(() => parseOptions(['--token'], {}), /^Error: Missing value of --token$/);
+			assert.throws(() => parseOptions([], {SAIKO_LOG_LEVEL: 'loud'}), /^Error: Invalid value of SAIKO_LOG_LEVEL: "loud"/);
+			assert.throws(() => parseOptions(['--log-max-size', '0'], {}), /^Error: Invalid value of --log-max-size: "0", use a positive integer$/);
+		});
+	});
+});
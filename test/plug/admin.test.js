@@ -0,0 +1,242 @@
+import AdminPlugin from '../../src/plug/admin.js';
+import Discord from 'discord.js';
+import assert from 'assert';
+import {createSaiko, enabled} from '../mock/saiko.js';
+import * as mock from '../mock/discord.js';
+
+describe('plug/admin', () => {
+	let saiko    = null;
+	let operator = null;
+	let user     = null;
+
+	beforeEach(async () => {
+		saiko    = await createSaiko({plugins: [AdminPlugin], data: {defaults: enabled('admin')}});
+		operator = saiko.createMember({user: {username: 'Operator'}, administrator: true});
+		user     = saiko.createMember({user: {username: 'User'}});
+	});
+
+	it('shows the version', async () => {
+		const {actions} = await saiko.send(saiko.channel, user, '`version');
+
+		assert.strictEqual(actions.length, 1);
+		assert.strictEqual(actions[0].message.embeds[0].description, 'Saiko 0.0.0');
+	});
+
+	describe('help', () => {
+		it('lists commands the user can run', async () => {
+			const [forUser]     = (await saiko.send(saiko.channel, user, '`help')).actions[0].message.embeds;
+			const [forOperator] = (await saiko.send(saiko.channel, operator, '`help')).actions[0].message.embeds;
+
+			assert.strictEqual(forUser.fields[0].name, 'admin (`)');
+			assert.ok(forUser.fields[0].value.split('\n').includes('help (commands)'));
+			assert.ok(!forUser.fields[0].value.split('\n').includes('plugins (plugin)'));
+			assert.ok(forOperator.fields[0].value.split('\n').includes('plugins (plugin)'));
+		});
+
+		it('describes commands', async () => {
+			const {actions} = await saiko.send(saiko.channel, operator, '`help plugin');
+			const [embed] = actions[0].message.embeds;
+
+			assert.strictEqual(embed.title, 'Help: plugins');
+			assert.deepStrictEqual(embed.fields.map(field => field.name), ['Usage', 'Aliases', 'Arguments', 'Permission', 'Examples']);
+			assert.strictEqual(embed.fields[0].value, '`` `plugins [enable|disable|default] [plugin] [guild] [page] ``');
+			assert.strictEqual(embed.fields[3].value, 'operator');
+		});
+
+		it('hides commands the user can\'t run', async () => {
+			const {actions} = await saiko.send(saiko.channel, user, '`help plugins');
+
+			assert.strictEqual(actions[0].message.embeds[0].description, 'There is no command or plugin called "plugins" available here.');
+		});
+
+		it('describes plugins', async () => {
+			const {actions} = await saiko.send(saiko.channel, user, '`help admin');
+			const [embed] = actions[0].message.embeds;
+
+			assert.strictEqual(embed.title, 'Help: admin');
+			assert.ok(embed.fields.some(field => field.name === '`version' && field.value === 'Shows Saiko\'s version.'));
+		});
+
+		it('skips plugins which don\'t extend Plugin', async () => {
+			saiko.saiko.plugins.push({name: 'pong', description: 'Plays ping-pong.', commands: []});
+			saiko.saiko.data.defaults = enabled('admin', 'pong');
+
+			const [help]    = (await saiko.send(saiko.channel, operator, '`help')).actions[0].message.embeds;
+			const [plugins] = (await saiko.send(saiko.channel, operator, '`plugins')).actions[0].message.embeds;
+
+			assert.deepStrictEqual(help.fields.map(field => field.name), ['admin (`)']);
+			assert.ok(plugins.fields.some(field => field.value === 'Plays ping-pong.'));
+		});
+
+		it('hides disabled plugins', () => {
+			saiko.saiko.data.channels[saiko.channel.id] = {plugins: {admin: {enabled: false}}};
+
+			assert.deepStrictEqual(saiko.saiko.plugins[0].showHelp(mock.createMessage(saiko.channel, user, '`help'), {page: 1}).fields, []);
+		});
+
+		it('paginates long lists', () => {
+			const page = number => saiko.saiko.plugins[0].getPage({
+				title: 'Help',
+				description: 'Commands:',
+				fields: Array.from({length: 30}, (item, index) => ({name: `command ${index}`, value: 'description'}))
+			}, number);
+
+			assert.strictEqual(page(1).fields.length, 25);
+			assert.strictEqual(page(1).footer.text, 'Page 1/2');
+			assert.strictEqual(page(2).fields.length, 5);
+			assert.strictEqual(page(3).description, 'There is no page 3, the last page is 2.');
+		});
+	});
+
+	it('lists plugins', async () => {
+		const {actions} = await saiko.send(saiko.channel, operator, '`plugins enable');
+		const [embed] = actions[0].message.embeds;
+
+		assert.ok(embed.description.includes('    `plugins [enable|disable|default] [plugin] [guild]'));
+		assert.deepStrictEqual(embed.fields.map(field => field.name), ['✅ admin']);
+	});
+
+	it('refuses to change plugins to non-operators', async () => {
+		const {actions} = await saiko.send(saiko.channel, user, '`plugins disable admin');
+
+		assert.strictEqual(actions[0].message.embeds[0].title, 'Permission denied');
+		assert.strictEqual(saiko.saiko.data.channels[saiko.channel.id], undefined);
+	});
+
+	it('disables plugins on a channel', async () => {
+		const {actions} = await saiko.send(saiko.channel, operator, '`plugin disable admin');
+
+		assert.strictEqual(actions[0].message.embeds[0].description, 'Plugin admin disabled on this channel.');
+		assert.strictEqual(saiko.saiko.isPluginEnabled(saiko.saiko.plugins[0], saiko.channel), false);
+		assert.strictEqual(saiko.saiko.isPluginEnabled(saiko.saiko.plugins[0], saiko.createChannel()), true);
+	});
+
+	it('asks for a confirmation before changing a guild\'s config', async () => {
+		const [plugin] = saiko.saiko.plugins;
+		const {actions} = await saiko.send(saiko.channel, operator, '`plugin disable admin guild');
+		const [{message: post}] = actions;
+		const react = (emoji, reactingUser) =>
+			saiko.dispatch('messageReactionAdd', new Discord.MessageReaction(post, {name: emoji}, 1, false), reactingUser);
+
+		assert.deepStrictEqual(actions.map(action => action.emoji || action.type), ['send', '✅', '❌']);
+		assert.strictEqual(post.embeds[0].description, 'Plugin admin will be disabled on all channels of this guild which don\'t override it.');
+		assert.strictEqual(post.embeds[0].footer.text, 'Reply yes or react with ✅ within a minute to confirm, reply no or react with ❌ to cancel.');
+		assert.strictEqual((await saiko.send(saiko.channel, operator, '`version')).actions.length, 1);
+
+		await react('✅', saiko.createMember({user: {username: 'Other'}, administrator: true}).user);
+		assert.strictEqual(saiko.saiko.isPluginEnabled(plugin, saiko.guild), true);
+
+		assert.deepStrictEqual((await react('✅', operator.user)).map(action => action.type), ['edit']);
+		assert.strictEqual(post.embeds[0].description, 'Plugin admin disabled on this guild.');
+		assert.strictEqual(saiko.saiko.isPluginEnabled(plugin, saiko.guild), false);
+	});
+
+	it('checks permissions again before applying a confirmed change', async () => {
+		saiko.saiko.data.guilds[saiko.guild.id] = {permissions: {users: {[user.id]: 'operator'}}};
+
+		const {actions} = await saiko.send(saiko.channel, user, '`plugin disable admin guild');
+
+		assert.strictEqual(actions[0].message.embeds[0].description, 'Plugin admin will be disabled on all channels of this guild which don\'t override it.');
+
+		delete saiko.saiko.data.guilds[saiko.guild.id].permissions;
+
+		assert.strictEqual((await saiko.send(saiko.channel, user, 'yes')).actions[0].message.embeds[0].title, 'Permission denied');
+		assert.strictEqual(saiko.saiko.isPluginEnabled(saiko.saiko.plugins[0], saiko.guild), true);
+	});
+
+	describe('prefix', () => {
+		it('shows the prefix', async () => {
+			const {actions} = await saiko.send(saiko.channel, user, '`prefix');
+
+			assert.ok(actions[0].message.embeds[0].description.startsWith('Prefix on this channel: `` ` ``'));
+		});
+
+		it('changes the prefix on a guild and a channel', async () => {
+			await saiko.send(saiko.channel, operator, '`prefix set ! guild');
+			await saiko.send(saiko.channel, operator, 'yes');
+			const channel = saiko.createChannel();
+
+			assert.deepStrictEqual((await saiko.send(channel, user, '`version')).actions, []);
+			assert.strictEqual((await saiko.send(channel, user, '!version')).actions.length, 1);
+
+			await saiko.send(saiko.channel, operator, '!prefix set s!');
+
+			assert.deepStrictEqual((await saiko.send(saiko.channel, user, '!version')).actions, []);
+			assert.strictEqual((await saiko.send(saiko.channel, user, 's!version')).actions.length, 1);
+
+			await saiko.send(saiko.channel, operator, 's!prefix reset');
+
+			assert.strictEqual((await saiko.send(saiko.channel, user, '!version')).actions.length, 1);
+		});
+
+		it('changes the prefix of a plugin', async () => {
+			await saiko.send(saiko.channel, operator, '`prefix set ? --plugin admin');
+
+			assert.strictEqual(saiko.saiko.data.channels[saiko.channel.id].plugins.admin.prefix, '?');
+			assert.strictEqual((await saiko.send(saiko.channel, user, '?version')).actions.length, 1);
+		});
+
+		it('accepts mentions as a prefix', async () => {
+			const {client} = saiko.saiko;
+
+			assert.strictEqual((await saiko.send(saiko.channel, user, `<@${client.user.id}> version`)).actions.length, 1);
+			assert.strictEqual((await saiko.send(saiko.channel, user, `<@!${client.user.id}>version`)).actions.length, 1);
+		});
+
+		it('refuses to change the prefix to non-operators', async () => {
+			const {actions} = await saiko.send(saiko.channel, user, '`prefix set !');
+
+			assert.strictEqual(actions[0].message.embeds[0].title, 'Permission denied');
+		});
+
+		it('shows who can change the prefix in its help', async () => {
+			const {actions} = await saiko.send(saiko.channel, user, '`help prefix');
+			const [embed] = actions[0].message.embeds;
+
+			assert.strictEqual(embed.fields.find(field => field.name === 'Permission').value, 'user\noperator to use `action`');
+		});
+	});
+
+	describe('language', () => {
+		const describe = async (member, content, channel = saiko.channel) =>
+			(await saiko.send(channel, member, content)).actions[0].message.embeds[0].description;
+
+		it('shows the language', async () => {
+			assert.strictEqual(
+				await describe(user, '`language'),
+				'Language on this channel: English (`en`)\nAvailable languages: English (`en`), Polski (`pl`)'
+			);
+		});
+
+		it('changes the language on a guild and a channel', async () => {
+			assert.ok((await describe(operator, '`language set pl guild')).startsWith('Language will be set to Polski (`pl`)'));
+			assert.strictEqual(await describe(operator, 'yes'), 'Ustawiono język Polski (`pl`) na tym serwerze.');
+			assert.ok((await describe(user, '`prefix', saiko.createChannel())).startsWith('Prefiks na tym kanale: `` ` ``'));
+			assert.strictEqual(await describe(user, '`prefix set !'), 'Ta komenda wymaga uprawnień operator. Użyj komendy `operators`, żeby sprawdzić, kto je ma.');
+
+			assert.strictEqual(await describe(operator, '`language set en'), 'Language set to English (`en`) on this channel.');
+			assert.strictEqual(
+				await describe(operator, '`language reset'),
+				'Przywrócono domyślny język na tym kanale, teraz to Polski (`pl`).'
+			);
+		});
+
+		it('refuses invalid languages', async () => {
+			const {actions} = await saiko.send(saiko.channel, operator, '`language set xx');
+
+			assert.strictEqual(actions[0].message.embeds[0].title, 'Invalid parameters');
+			assert.ok(actions[0].message.embeds[0].description.startsWith('Invalid language: "xx" is not a language code (en, pl).'));
+		});
+
+		it('translates help and parameter errors', async () => {
+			saiko.saiko.data.channels[saiko.channel.id] = {language: 'pl'};
+
+			const [help] = (await saiko.send(saiko.channel, operator, '`help language')).actions[0].message.embeds;
+
+			assert.strictEqual(help.description, 'Wyświetla język moich odpowiedzi na tym kanale albo go zmienia (to wymaga uprawnień operatora).');
+			assert.ok(help.fields[2].value.includes('`action` - ustawia nowy język lub przywraca domyślny'));
+			assert.ok((await describe(operator, '`language set xx')).startsWith('Nieprawidłowy parametr language: "xx" to nie kod języka (en, pl).'));
+			assert.ok((await describe(operator, '`help language 0')).startsWith('Nieprawidłowy parametr page: "0" to nie liczba całkowita nie mniejsza niż 1.'));
+		});
+	});
+});
@@ -0,0 +1,96 @@
+import ArchivePlugin from '../../src/plug/archive.js';
+import assert from 'assert';
+import {createSaiko, enabled} from '../mock/saiko.js';
+
+describe('plug/archive', () => {
+	let saiko    = null;
+	let user     = null;
+	let operator = null;
+
+	beforeEach(async () => {
+		saiko    = await createSaiko({plugins: [ArchivePlugin], data: {defaults: enabled('archive')}});
+		user     = saiko.createMember({user: {username: 'Someone'}});
+		operator = saiko.createMember({user: {username: 'Operator'}, administrator: true});
+	});
+
+	afterEach(() => {
+		saiko.saiko.plugins[0].onUnload();
+	});
+
+	const getEmbed = async (author, content) =>
+		(await saiko.send(saiko.channel, author, content)).actions[0].message.embeds[0];
+
+	it('searches archived messages', async () => {
+		const other = saiko.createChannel({name: 'other'});
+
+		await saiko.send(saiko.channel, user, 'Hello there');
+		await saiko.send(other, user, 'hello again');
+		await saiko.send(saiko.channel, operator, 'Bye');
+		await saiko.remove((await saiko.send(saiko.channel, user, 'Hello?')).message);
+
+		const found = await getEmbed(operator, '`search hello --author Someone');
+
+		assert.strictEqual(found.description.split('.')[0], 'Found 3 messages');
+		assert.deepStrictEqual(found.fields.map(field => field.value.split('\n')[0]), ['Hello?', 'hello again', 'Hello there']);
+		assert.ok(found.fields[0].name.startsWith('Someone#1234 in #general, '));
+		assert.ok(found.fields[0].name.endsWith(', deleted'));
+		assert.strictEqual((await getEmbed(operator, '`search -c #other')).fields.length, 1);
+		assert.strictEqual((await getEmbed(operator, '`search --to 2000-01-01')).description, 'No archived messages match the search.');
+		assert.strictEqual((await getEmbed(operator, '`search hello -p 2')).description, 'There is no page 2, the last page is 1.');
+		assert.strictEqual((await getEmbed(user, '`search hello')).title, 'Permission denied');
+	});
+
+	it('translates search results', async () => {
+		saiko.saiko.data.channels[saiko.channel.id] = {language: 'pl'};
+
+		await saiko.send(saiko.channel, user, 'Hello');
+
+		const found = await getEmbed(operator, '`search hello --author Someone');
+
+		assert.strictEqual(found.title, 'Wyszukiwanie');
+		assert.strictEqual(found.description, 'Znaleziono 1 wiadomość. Użyj komendy `` `history ``, żeby zobaczyć edycje wiadomości.');
+		assert.ok(found.fields[0].name.startsWith('Someone#1234 na #general, '));
+
+		await saiko.send(saiko.channel, user, 'Help');
+		assert.strictEqual((await getEmbed(operator, '`search hel --author Someone')).description.split('.')[0], 'Znaleziono 2 wiadomości');
+	});
+
+	it('shows the history of a message', async () => {
+		const {message} = await saiko.send(saiko.channel, user, 'Hello');
+
+		await saiko.edit(message, 'Hi');
+		await saiko.remove(message);
+
+		const history = await getEmbed(operator, `\`history ${message.id}`);
+
+		assert.strictEqual(history.author.name, 'Someone#1234');
+		assert.deepStrictEqual(history.fields.map(field => [field.name.split(',')[0], field.value]).slice(0, 2), [['Posted', 'Hello'], ['Edit 1', 'Hi']]);
+		assert.strictEqual(history.fields[2].name, 'Deleted');
+		assert.strictEqual((await getEmbed(operator, '`history 1')).description, 'Message 1 isn\'t archived.');
+	});
+
+	it('archives messages only where it\'s enabled', async () => {
+		saiko.saiko.data.defaults = {};
+		await saiko.send(saiko.channel, user, 'Hello');
+
+		saiko.saiko.data.defaults = enabled('archive');
+		assert.strictEqual((await getEmbed(operator, '`search --author Someone')).description, 'No archived messages match the search.');
+	});
+
+	it('removes old messages', async () => {
+		const [plugin] = saiko.saiko.plugins;
+		const day = 24 * 60 * 60 * 1000;
+		const {message} = await saiko.send(saiko.channel, user, 'Hello');
+
+		plugin.pruneArchive(saiko.guild, message.createdTimestamp + (29 * day));
+		assert.strictEqual(plugin.archive.search({guild: saiko.guild.id}).total, 1);
+
+		saiko.saiko.data.guilds[saiko.guild.id] = {plugins: {archive: {days: 7}}};
+		plugin.pruneArchive(saiko.guild, message.createdTimestamp + (8 * day));
+		assert.strictEqual(plugin.archive.search({guild: saiko.guild.id}).total, 1);
+
+		plugin.prunedAt.clear();
+		plugin.pruneArchive(saiko.guild, message.createdTimestamp + (8 * day));
+		assert.strictEqual(plugin.archive.search({guild: saiko.guild.id}).total, 0);
+	});
+});
@@ -0,0 +1,161 @@
+import ConfigPlugin from '../../src/plug/config.js';
+import Discord from 'discord.js';
+import assert from 'assert';
+import http from 'http';
+import {createSaiko, enabled} from '../mock/saiko.js';
+import * as migrations from '../../src/migrations.js';
+
+describe('plug/config', () => {
+	let saiko    = null;
+	let operator = null;
+	let user     = null;
+
+	beforeEach(async () => {
+		saiko    = await createSaiko({plugins: [ConfigPlugin], data: {defaults: enabled('config')}});
+		operator = saiko.createMember({user: {username: 'Operator'}, administrator: true});
+		user     = saiko.createMember({user: {username: 'User'}});
+	});
+
+	describe('config', () => {
+		const describe = async (member, text) =>
+			(await saiko.send(saiko.channel, member, text)).actions[0].message.embeds[0].description;
+
+		beforeEach(() => {
+			saiko.saiko.plugins[0].configSchema = {
+				greeting: {type: 'string', description: 'a greeting'},
+				limit: {type: 'integer', min: 1}
+			};
+		});
+
+		it('shows where settings come from', async () => {
+			assert.strictEqual(
+				await describe(operator, '`config set config.limit 5 guild'),
+				'config.limit will be set to `5` on all channels of this guild which don\'t override it.'
+			);
+			assert.strictEqual(await describe(operator, 'y'), 'config.limit set to `5` (from the guild\'s config).');
+			assert.strictEqual(await describe(operator, '`config set config.limit 3'), 'config.limit set to `3` (from the channel\'s config).');
+			assert.strictEqual(await describe(operator, '`config get config.limit guild'), 'config.limit on this guild: `5` (from the guild\'s config)');
+			assert.strictEqual(await describe(operator, '`config get config.enabled'), 'config.enabled on this channel: `true` (from the defaults)');
+			assert.strictEqual(await describe(operator, '`config get config.greeting'), 'config.greeting on this channel: not set');
+			assert.strictEqual(
+				await describe(operator, '`config unset config.limit'),
+				'config.limit removed from this channel, now it\'s `5` (from the guild\'s config).'
+			);
+			assert.strictEqual(await describe(operator, '`config unset config.limit'), 'config.limit isn\'t set on this channel.');
+			assert.strictEqual(saiko.saiko.data.guilds[saiko.guild.id].plugins.config.limit, 5);
+		});
+
+		it('parses values by their type', async () => {
+			await saiko.send(saiko.channel, operator, '`config set config.greeting 123');
+
+			assert.strictEqual(saiko.saiko.getPluginConfig(saiko.saiko.plugins[0], saiko.channel).greeting, '123');
+		});
+
+		it('validates values', async () => {
+			assert.strictEqual(await describe(operator, '`config set config.limit 0'), 'Cannot change config.limit: config.limit: expected at least 1, got 0');
+			assert.strictEqual(
+				await describe(operator, '`config set config.color red'),
+				'Cannot change config.color: Plugin config doesn\'t have a setting called "color"'
+			);
+			assert.strictEqual(saiko.saiko.data.channels[saiko.channel.id], undefined);
+		});
+
+		it('lists settings of a plugin', async () => {
+			const {actions} = await saiko.send(saiko.channel, operator, '`config show config');
+			const [embed] = actions[0].message.embeds;
+
+			assert.deepStrictEqual(embed.fields.map(field => field.name), ['enabled', 'prefix', 'cooldowns', 'greeting', 'limit']);
+			assert.strictEqual(embed.fields[3].value, 'not set\na greeting');
+		});
+
+		it('enables and disables plugins', async () => {
+			await saiko.send(saiko.channel, operator, '`config set config.enabled false');
+
+			assert.strictEqual(saiko.saiko.isPluginEnabled(saiko.saiko.plugins[0], saiko.channel), false);
+		});
+
+		it('refuses to change settings to non-operators', async () => {
+			const {actions} = await saiko.send(saiko.channel, user, '`config set config.limit 2');
+
+			assert.strictEqual(actions[0].message.embeds[0].title, 'Permission denied');
+		});
+	});
+
+	describe('export and import', () => {
+		const files = {};
+		let server = null;
+
+		before(done => {
+			server = http.createServer((request, response) => {
+				response.writeHead(files[request.url] === undefined ? 404 : 200);
+				response.end(files[request.url]);
+			}).listen(0, '127.0.0.1', done);
+		});
+
+		after(done => server.close(done));
+
+		const attach = (text, content) => {
+			const attachment = {filename: 'config.json', url: `http://127.0.0.1:${server.address().port}/config.json`};
+
+			files['/config.json'] = content;
+
+			return {content: text, attachments: new Discord.Collection([['0', attachment]])};
+		};
+		const describe = async (member, content) =>
+			(await saiko.send(saiko.channel, member, content)).actions[0].message.embeds[0].description;
+
+		it('exports and imports guild configs', async () => {
+			saiko.saiko.data.guilds[saiko.guild.id] = {plugins: {config: {prefix: '!'}}};
+
+			const {actions} = await saiko.send(saiko.channel, operator, '!export');
+			const file = JSON.parse(actions[0].message.attachments.first().attachment);
+
+			assert.deepStrictEqual(file.config, {plugins: {config: {enabled: true, prefix: '!'}}});
+
+			file.config.plugins.config.prefix = '?';
+
+			assert.strictEqual(
+				await describe(operator, attach('!import', JSON.stringify(file))),
+				'```diff\n- plugins.config.prefix: "!"\n+ plugins.config.prefix: "?"\n```\n' +
+				'These changes will be applied to this guild\'s config.'
+			);
+			assert.strictEqual(saiko.saiko.plugins[0].getPrefix(saiko.channel), '!');
+			assert.ok((await describe(operator, 'yes')).startsWith('Config imported.'));
+			assert.strictEqual(saiko.saiko.plugins[0].getPrefix(saiko.channel), '?');
+			assert.deepStrictEqual((await saiko.send(saiko.channel, operator, 'yes')).actions, []);
+		});
+
+		it('rejects invalid files', async () => {
+			assert.strictEqual(await describe(operator, attach('`import', '{')), 'Cannot import config.json: the file isn\'t valid JSON');
+			assert.strictEqual(
+				await describe(operator, attach('`import', JSON.stringify({config: {plugins: {config: {enabled: 'yes'}}}}))),
+				'Cannot import config.json: the config is invalid:\nconfig.plugins.config.enabled: expected a boolean, got "yes"'
+			);
+		});
+
+		it('upgrades configs exported from older versions', async () => {
+			const migration = {
+				version: migrations.latestVersion,
+				description: 'Renames the greeting setting',
+				migrate: data => ({...data, guilds: {1: {prefix: data.guilds[1].greeting}}})
+			};
+			const file = {dataVersion: migrations.latestVersion - 1, guild: {id: '1', name: 'Old'}, config: {greeting: '!'}};
+
+			migrations.migrations.push(migration);
+
+			try {
+				assert.ok((await describe(operator, attach('`import', JSON.stringify(file)))).startsWith('```diff\n+ prefix: "!"\n```'));
+			} finally {
+				migrations.migrations.splice(migrations.migrations.indexOf(migration), 1);
+			}
+		});
+
+		it('cancels imports', async () => {
+			await saiko.send(saiko.channel, operator, attach('`import', JSON.stringify({config: {prefix: '!'}})));
+
+			assert.strictEqual(await describe(operator, 'no'), 'Cancelled.');
+			assert.deepStrictEqual((await saiko.send(saiko.channel, operator, 'yes')).actions, []);
+			assert.strictEqual(saiko.saiko.plugins[0].getPrefix(saiko.channel), '`');
+		});
+	});
+});
@@ -0,0 +1,122 @@
+import Discord from 'discord.js';
+import LogPlugin from '../../src/plug/log.js';
+import assert from 'assert';
+import fs from 'fs';
+import {promisify} from 'util';
+import {createSaiko, enabled} from '../mock/saiko.js';
+import * as log from '../../src/functions/log.js';
+
+describe('plug/log', () => {
+	const records = [];
+	let saiko = null;
+	let user  = null;
+	let sinks = null;
+	let level = null;
+
+	beforeEach(async () => {
+		saiko = await createSaiko({plugins: [LogPlugin], data: {defaults: enabled('log')}});
+		user  = saiko.createMember({user: {username: 'Someone'}});
+		records.length = 0;
+		sinks = log.getSinks();
+		level = log.getLevel();
+		log.setLevel('debug');
+		log.setSinks([{level: 'debug', write: record => records.push(record), close: () => Promise.resolve()}]);
+	});
+
+	afterEach(() => {
+		log.setSinks(sinks);
+		log.setLevel(level);
+	});
+
+	it('logs messages to the bot\'s log', async () => {
+		await saiko.send(saiko.channel, user, 'Hello');
+
+		assert.deepStrictEqual(records.map(record => [record.type, record.messages]), [['New message', ['Hello']]]);
+	});
+
+	it('logs messages of a guild to its own file', async () => {
+		saiko.saiko.data.guilds[saiko.guild.id] = {plugins: {log: {destination: 'file'}}};
+
+		await saiko.send(saiko.channel, user, 'Hello');
+		await saiko.saiko.plugins[0].onUnload();
+
+		const content = await promisify(fs.readFile)(`${saiko.saiko.dataPath}logs/guild-${saiko.guild.id}.log`, 'utf8');
+
+		assert.deepStrictEqual(records, []);
+		assert.ok(content.includes(' New message '));
+		assert.ok(content.endsWith('\nHello\n\n'));
+	});
+
+	describe('log channel', () => {
+		let logChannel = null;
+
+		beforeEach(() => {
+			logChannel = saiko.createChannel({name: 'mod-log'});
+			saiko.saiko.data.guilds[saiko.guild.id] = {plugins: {log: {logChannel: logChannel.id}}};
+		});
+
+		const getReports = actions => actions
+			.filter(action => action.type === 'send' && action.message.channel === logChannel)
+			.map(action => action.message.embeds[0]);
+
+		it('reports deleted messages', async () => {
+			const {message} = await saiko.send(saiko.channel, user, 'Hello');
+			const [report] = getReports(await saiko.remove(message));
+
+			assert.strictEqual(report.title, 'Message deleted');
+			assert.strictEqual(report.author.name, 'Someone#1234');
+			assert.strictEqual(report.description, 'Hello');
+			assert.deepStrictEqual(report.fields.map(field => [field.name, field.value]), [['Channel', `<#${saiko.channel.id}>`]]);
+			assert.strictEqual(report.footer.text, `Author ID: ${user.id} | Message ID: ${message.id}`);
+		});
+
+		it('lists attachments of reported messages', async () => {
+			const attachment = {filename: 'cat.png', url: 'https://example.com/cat.png'};
+			const {message} = await saiko.send(saiko.channel, user, {content: '', attachments: new Discord.Collection([['0', attachment]])});
+			const [report] = getReports(await saiko.remove(message));
+
+			assert.strictEqual(report.description, '*(no text)*');
+			assert.deepStrictEqual(report.fields[1], {name: 'Attachments', value: '[cat.png](https://example.com/cat.png)'});
+		});
+
+		it('reports edited messages', async () => {
+			const {message} = await saiko.send(saiko.channel, user, 'Hello');
+			const [report] = getReports(await saiko.edit(message, 'Hi'));
+
+			assert.strictEqual(report.title, 'Message edited');
+			assert.deepStrictEqual(report.fields.map(field => [field.name, field.value]), [
+				['Before', 'Hello'],
+				['After', 'Hi'],
+				['Channel', `<#${saiko.channel.id}>`]
+			]);
+			assert.deepStrictEqual(getReports(await saiko.edit(message, 'Hi')), []);
+		});
+
+		it('reports in the log channel\'s language', async () => {
+			saiko.saiko.data.channels[logChannel.id] = {language: 'pl'};
+
+			const {message} = await saiko.send(saiko.channel, user, '');
+			const [report] = getReports(await saiko.remove(message));
+
+			assert.strictEqual(report.title, 'Usunięto wiadomość');
+			assert.strictEqual(report.description, '*(brak tekstu)*');
+			assert.strictEqual(report.fields[0].name, 'Kanał');
+		});
+
+		it('filters reported events and channels', async () => {
+			const config = saiko.saiko.data.guilds[saiko.guild.id].plugins.log;
+			const {message} = await saiko.send(saiko.channel, user, 'Hello');
+
+			config.logEvents = ['delete'];
+			assert.deepStrictEqual(getReports(await saiko.edit(message, 'Hi')), []);
+
+			config.ignoredChannels = [saiko.channel.id];
+			assert.deepStrictEqual(getReports(await saiko.remove(message)), []);
+
+			config.ignoredChannels = [];
+			config.watchedChannels = [logChannel.id];
+			assert.deepStrictEqual(getReports(await saiko.remove((await saiko.send(saiko.channel, user, 'Hi')).message)), []);
+			assert.deepStrictEqual(getReports(await saiko.remove((await saiko.send(logChannel, user, 'Hi')).message)), []);
+		});
+	});
+});
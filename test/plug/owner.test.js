@@ -0,0 +1,116 @@
+import OwnerPlugin from '../../src/plug/owner.js';
+import assert from 'assert';
+import {createSaiko, enabled} from '../mock/saiko.js';
+import * as log from '../../src/functions/log.js';
+
+describe('plug/owner', () => {
+	let saiko    = null;
+	let operator = null;
+	let owner    = null;
+	let user     = null;
+
+	beforeEach(async () => {
+		saiko    = await createSaiko({plugins: [OwnerPlugin], data: {defaults: enabled('owner')}});
+		operator = saiko.createMember({user: {username: 'Operator'}, administrator: true});
+		owner    = saiko.createMember({user: {username: 'Owner'}});
+		user     = saiko.createMember({user: {username: 'User'}});
+		saiko.saiko.data.owners = [owner.id];
+	});
+
+	it('can be used by the bot\'s owners only', async () => {
+		const fromOperator = await saiko.send(saiko.channel, operator, '`reload owner');
+		const fromDM       = await saiko.send(saiko.createDMChannel(user.user), user.user, '`reload owner');
+
+		for (const {actions} of [fromOperator, fromDM])
+			assert.strictEqual(actions[0].message.embeds[0].description, 'That command changes the whole bot, only the bot\'s owners can use it.');
+	});
+
+	it('can be used by the bot\'s owners in DMs', async () => {
+		const {actions} = await saiko.send(saiko.createDMChannel(owner.user), owner.user, '`reload owner');
+
+		assert.strictEqual(actions[0].message.embeds[0].description, 'Cannot reload owner: Plugin "owner" wasn\'t loaded from a file');
+	});
+
+	it('refuses to unload itself', async () => {
+		const {actions} = await saiko.send(saiko.channel, owner, '`unload owner');
+
+		assert.strictEqual(actions[0].message.embeds[0].description, 'Plugin owner can\'t be unloaded, there would be no way to load it back.');
+		assert.strictEqual(saiko.saiko.plugins.length, 1);
+	});
+
+	it('lets only the bot\'s owners manage the storage', async () => {
+		const {actions} = await saiko.send(saiko.channel, operator, '`storage migrate sqlite');
+
+		assert.strictEqual(actions[0].message.embeds[0].description, 'That command changes the whole bot, only the bot\'s owners can use it.');
+		assert.strictEqual(saiko.saiko.dataManager.getStorageType(), 'json');
+	});
+
+	it('shows the storage', async () => {
+		const {actions} = await saiko.send(saiko.channel, owner, '`storage');
+
+		assert.strictEqual(actions[0].message.embeds[0].description, 'The data is kept in json storage (`data.json`).');
+	});
+
+	it('reports errors', async () => {
+		const {actions} = await saiko.send(saiko.channel, owner, '`reload owner');
+
+		assert.strictEqual(actions[0].message.embeds[0].description, 'Cannot reload owner: Plugin "owner" wasn\'t loaded from a file');
+	});
+
+	it('lets only the bot\'s owners change the log level', async () => {
+		const {actions} = await saiko.send(saiko.channel, operator, '`loglevel error');
+
+		assert.strictEqual(actions[0].message.embeds[0].description, 'That command changes the whole bot, only the bot\'s owners can use it.');
+		assert.notStrictEqual(log.getLevel(), 'error');
+	});
+
+	it('changes the log level', async () => {
+		const level = log.getLevel();
+
+		try {
+			const {actions} = await saiko.send(saiko.channel, owner, '`loglevel error');
+
+			assert.strictEqual(actions[0].message.embeds[0].description, 'Log level changed to error.');
+			assert.strictEqual(log.getLevel(), 'error');
+		} finally {
+			log.setLevel(level);
+		}
+	});
+
+	it('lets only the bot\'s owners manage backups', async () => {
+		const {actions} = await saiko.send(saiko.channel, operator, '`backup restore data-auto-1546300800000.json');
+
+		assert.strictEqual(actions[0].message.embeds[0].description, 'That command changes the whole bot, only the bot\'s owners can use it.');
+	});
+
+	it('makes and restores backups', async () => {
+		const created = await saiko.send(saiko.channel, owner, '`backup create');
+		const [, name] = created.actions[0].message.embeds[0].description.match(/`(.+)`/);
+
+		saiko.saiko.data.guilds[saiko.guild.id] = {prefix: '!'};
+		await saiko.saiko.saveData();
+
+		const restored = await saiko.send(saiko.channel, owner, `!backup restore ${name}`);
+
+		assert.ok(restored.actions[0].message.embeds[0].description.startsWith(`Data restored from \`${name}\`.`));
+		assert.strictEqual(saiko.saiko.data.guilds[saiko.guild.id], undefined);
+
+		const {actions} = await saiko.send(saiko.channel, owner, '`backups');
+
+		assert.deepStrictEqual(actions[0].message.embeds[0].fields.map(field => field.value.split(',')[0]).sort(), ['manual', 'restore']);
+	});
+
+	it('refuses to restore unknown backups', async () => {
+		const {actions} = await saiko.send(saiko.channel, owner, '`backup restore ../data.json');
+
+		assert.strictEqual(actions[0].message.embeds[0].description, 'Cannot restore ../data.json: There is no backup called ../data.json');
+	});
+
+	it('translates parameter errors', async () => {
+		saiko.saiko.data.channels[saiko.channel.id] = {language: 'pl'};
+
+		const {actions} = await saiko.send(saiko.channel, owner, '`backup list 1 2');
+
+		assert.ok(actions[0].message.embeds[0].description.startsWith('Nieoczekiwany parametr: "2".'));
+	});
+});
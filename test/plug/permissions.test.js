@@ -0,0 +1,119 @@
+import Discord from 'discord.js';
+import PermissionsPlugin from '../../src/plug/permissions.js';
+import assert from 'assert';
+import {createSaiko, enabled} from '../mock/saiko.js';
+
+describe('plug/permissions', () => {
+	let saiko    = null;
+	let operator = null;
+	let user     = null;
+
+	beforeEach(async () => {
+		saiko    = await createSaiko({plugins: [PermissionsPlugin], data: {defaults: enabled('permissions')}});
+		operator = saiko.createMember({user: {username: 'Operator'}, administrator: true});
+		user     = saiko.createMember({user: {username: 'User'}});
+	});
+
+	it('lists operators', async () => {
+		const {actions} = await saiko.send(saiko.channel, user, '`operators');
+		const names = actions[0].message.embeds[0].fields.map(field => field.value);
+
+		assert.deepStrictEqual(names, ['Operator#1234']);
+	});
+
+	it('turns pages of long lists with reactions', async () => {
+		Array.from({length: 30}, (item, index) => saiko.createMember({user: {username: `Admin ${index}`}, administrator: true}));
+
+		const {actions} = await saiko.send(saiko.channel, user, '`operators');
+		const [{message: post}] = actions;
+		const react = (emoji, reactingUser) =>
+			saiko.dispatch('messageReactionAdd', new Discord.MessageReaction(post, {name: emoji}, 1, false), reactingUser);
+
+		assert.deepStrictEqual(actions.map(action => action.emoji || action.type), ['send', '◀', '▶']);
+		assert.strictEqual(post.embeds[0].footer.text, 'Page 1/2');
+
+		await react('▶', operator.user);
+		assert.strictEqual(post.embeds[0].footer.text, 'Page 1/2');
+
+		assert.deepStrictEqual((await react('▶', user.user)).map(action => action.type), ['edit']);
+		assert.strictEqual(post.embeds[0].footer.text, 'Page 2/2');
+		assert.deepStrictEqual(await react('▶', user.user), []);
+
+		await react('◀', user.user);
+		assert.strictEqual(post.embeds[0].footer.text, 'Page 1/2');
+		assert.strictEqual((await saiko.send(saiko.channel, user, '`operators 2')).actions[0].message.embeds[0].footer.text, 'Page 2/2');
+	});
+
+	it('grants and revokes permissions on a guild', async () => {
+		await saiko.send(saiko.channel, operator, `\`permissions grant operator ${user.id} guild`);
+		const granted = await saiko.send(saiko.channel, operator, 'yes');
+
+		assert.strictEqual(granted.actions[0].message.embeds[0].description, 'User User#1234 granted operator permissions on this guild.');
+		assert.strictEqual(saiko.saiko.hasPermission(user, saiko.createChannel(), 'operator'), true);
+
+		await saiko.send(saiko.channel, user, `\`permissions revoke ${user.id} guild`);
+		await saiko.send(saiko.channel, user, 'yes');
+
+		assert.strictEqual(saiko.saiko.hasPermission(user, saiko.channel, 'operator'), false);
+	});
+
+	it('grants permissions to roles on a channel', async () => {
+		const role = saiko.createRole({name: 'Helpers'});
+		const helper = saiko.createMember({roles: [role]});
+
+		await saiko.send(saiko.channel, operator, '`permissions grant moderator helpers');
+
+		assert.strictEqual(saiko.saiko.getPermissionLevel(helper, saiko.channel), 'moderator');
+		assert.strictEqual(saiko.saiko.getPermissionLevel(helper, saiko.createChannel()), 'user');
+
+		const {actions} = await saiko.send(saiko.channel, operator, '`permissions');
+
+		assert.deepStrictEqual(actions[0].message.embeds[0].fields, [{name: 'Role: Helpers', value: 'moderator'}]);
+	});
+
+	it('lets granted operators run operator commands', async () => {
+		await saiko.send(saiko.channel, operator, `\`permissions grant operator ${user.id}`);
+
+		const {actions} = await saiko.send(saiko.channel, user, '`permissions');
+
+		assert.strictEqual(actions[0].message.embeds[0].description, '**Permissions granted on this channel:**');
+	});
+
+	it('doesn\'t let operators of a channel grant permissions on the guild', async () => {
+		const member = saiko.createMember();
+
+		await saiko.send(saiko.channel, operator, `\`permissions grant operator ${user.id}`);
+
+		const {actions} = await saiko.send(saiko.channel, user, `\`permissions grant operator ${member.id} guild`);
+
+		assert.strictEqual(actions[0].message.embeds[0].title, 'Permission denied');
+		assert.strictEqual(saiko.saiko.getPermissionLevel(member, saiko.guild), 'user');
+	});
+
+	it('doesn\'t let anyone grant permissions they don\'t have on the guild', async () => {
+		const member = saiko.createMember();
+
+		await saiko.send(saiko.channel, operator, `\`permissions grant operator ${user.id}`);
+
+		const {actions} = await saiko.send(saiko.channel, user, `\`permissions grant operator ${member.id}`);
+
+		assert.strictEqual(actions[0].message.embeds[0].description,
+			`You can't grant operator permissions, as you don't have them on the whole guild.`);
+		assert.strictEqual(saiko.saiko.getPermissionLevel(member, saiko.channel), 'user');
+	});
+
+	it('shows help on missing parameters', async () => {
+		const {actions} = await saiko.send(saiko.channel, operator, '`permissions grant operator');
+
+		assert.strictEqual(actions[0].message.embeds[0].title, 'Help: permissions');
+	});
+
+	it('rejects invalid parameters', async () => {
+		const {actions} = await saiko.send(saiko.channel, operator, '`permissions grant king nobody');
+		const [embed] = actions[0].message.embeds;
+
+		assert.strictEqual(embed.title, 'Invalid parameters');
+		assert.ok(embed.description.startsWith('Invalid level: "king" is not one of: user, moderator, operator.'));
+		assert.ok(embed.description.endsWith('`permissions [list|grant|revoke] [user|moderator|operator] [target] [guild]'));
+	});
+});
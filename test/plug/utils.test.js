@@ -0,0 +1,27 @@
+import UtilsPlugin from '../../src/plug/utils.js';
+import assert from 'assert';
+import {createSaiko, enabled} from '../mock/saiko.js';
+
+describe('plug/utils', () => {
+	let saiko = null;
+	let user  = null;
+
+	beforeEach(async () => {
+		saiko = await createSaiko({plugins: [UtilsPlugin], data: {defaults: enabled('utils')}});
+		user  = saiko.createMember({user: {username: 'Someone'}});
+	});
+
+	it('finds users', async () => {
+		const {actions} = await saiko.send(saiko.channel, user, '`user someone nobody');
+
+		assert.strictEqual(actions.length, 2);
+		assert.strictEqual(actions[0].message.embeds[0].author.name, 'Someone#1234');
+		assert.strictEqual(actions[1].message.embeds[0].description, `Can't find user "nobody".`);
+	});
+
+	it('asks who to find', async () => {
+		const {actions} = await saiko.send(saiko.channel, user, '`user');
+
+		assert.strictEqual(actions[0].message.embeds[0].description, 'Who do you want me to find?');
+	});
+});
@@ -0,0 +1,26 @@
+import RateLimiter from '../src/ratelimit.js';
+import assert from 'assert';
+
+describe('ratelimit', () => {
+	it('limits uses in a sliding interval', () => {
+		const limiter = new RateLimiter;
+		const rateLimit = {limit: 2, interval: 1000};
+
+		assert.strictEqual(limiter.take('user', rateLimit, 0), 0);
+		assert.strictEqual(limiter.take('user', rateLimit, 400), 0);
+		assert.strictEqual(limiter.take('user', rateLimit, 500), 500);
+		assert.strictEqual(limiter.take('other', rateLimit, 500), 0);
+		assert.strictEqual(limiter.take('user', rateLimit, 1000), 0);
+		assert.strictEqual(limiter.getWaitTime('user', rateLimit, 1100), 300);
+	});
+
+	it('removes expired keys', () => {
+		const limiter = new RateLimiter;
+
+		limiter.take('user', {limit: 1, interval: 1000}, 0);
+		limiter.take('other', {limit: 1, interval: 5000}, 0);
+		limiter.prune(2000);
+
+		assert.deepStrictEqual(Array.from(limiter.uses.keys()), ['other']);
+	});
+});
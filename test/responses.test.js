@@ -0,0 +1,69 @@
+import JSONStorage from '../src/storage/json.js';
+import ResponseStore from '../src/responses.js';
+import assert from 'assert';
+import {createTemporaryDirectory} from './mock/filesystem.js';
+import path from 'path';
+
+describe('responses', () => {
+	const channel = {
+		id: '1',
+		messages: new Map,
+		fetchMessage: id => id === '404' ? Promise.reject(new Error('Unknown Message')) : Promise.resolve({id, fetched: true})
+	};
+	const createMessage = id => ({id, channel});
+
+	it('forgets the least recently used and expired messages', async () => {
+		const store = new ResponseStore({maxCount: 2, maxAge: 1000});
+
+		await store.set(createMessage('10'), [createMessage('11')]);
+		await store.set(createMessage('20'), [createMessage('21')]);
+		await store.get(createMessage('10'));
+		await store.set(createMessage('30'), [createMessage('31')]);
+
+		assert.deepStrictEqual(Array.from(store.entries.keys()), ['10', '30']);
+
+		store.prune(Date.now() + 1000);
+		assert.strictEqual(store.entries.size, 0);
+		assert.strictEqual(store.triggers.size, 0);
+	});
+
+	it('forgets deleted posts', async () => {
+		const store = new ResponseStore;
+
+		await store.set(createMessage('10'), [createMessage('11'), createMessage('12')]);
+		await store.removePost('11');
+		assert.deepStrictEqual((await store.get(createMessage('10'))).map(post => post.id), ['12']);
+
+		await store.removePost('12');
+		assert.strictEqual(store.has('10'), false);
+	});
+
+	it('removes expired messages while it isn\'t used', async () => {
+		const fileName = path.join(await createTemporaryDirectory(), 'responses.json');
+		const store = new ResponseStore({maxAge: 10, storage: new JSONStorage(fileName, {debounce: 0})});
+
+		store.pruneInterval = 5;
+		await store.set(createMessage('10'), [createMessage('11')]);
+		await new Promise(resolve => setTimeout(resolve, 50));
+
+		assert.strictEqual(store.has('10'), false);
+		assert.strictEqual(store.pruneTimer, null);
+		await store.close();
+		assert.deepStrictEqual(await new JSONStorage(fileName).load(), {responses: {}});
+	});
+
+	it('keeps messages on the disk', async () => {
+		const fileName = path.join(await createTemporaryDirectory(), 'responses.json');
+		const store = new ResponseStore({storage: new JSONStorage(fileName, {debounce: 0})});
+
+		await store.load();
+		await store.set(createMessage('10'), [createMessage('11'), createMessage('404')]);
+		await store.close();
+
+		const loaded = new ResponseStore({storage: new JSONStorage(fileName)});
+
+		await loaded.load();
+		assert.deepStrictEqual(await loaded.get(createMessage('10')), [{id: '11', fetched: true}]);
+		assert.deepStrictEqual(loaded.entries.get('10').posts, ['11']);
+	});
+});
@@ -0,0 +1,731 @@
+import Discord from 'discord.js';
+import Plugin from '../src/plugin.js';
+import Saiko from '../src/saiko.js';
+import assert from 'assert';
+import {createTemporaryDirectory} from './mock/filesystem.js';
+import fs from 'fs';
+import path from 'path';
+import {promisify} from 'util';
+import {createSaiko, enabled} from './mock/saiko.js';
+import * as migrations from '../src/migrations.js';
+
+/** A plugin which repeats whatever follows its command. */
+class EchoPlugin extends Plugin {
+	/** Creates a new EchoPlugin object.
+	 * @param {Saiko} saiko
+	 * @returns {EchoPlugin} - an EchoPlugin object */
+	constructor(saiko) {
+		super(saiko);
+
+		this.name = 'echo';
+		this.commands = [
+			{
+				trigger: 'echo',
+				action: (message, ...params) => params.slice(1).join(' ')
+			},
+			{
+				trigger: 'twice',
+				cooldown: {seconds: 60, scope: 'channel'},
+				action: (message, ...params) => [[params[1]], [params[1]]]
+			},
+			{
+				trigger: 'later',
+				action: async (message, ...params) => {
+					await new Promise(resolve => setImmediate(resolve));
+					return params[1];
+				}
+			},
+			{
+				trigger: 'ask',
+				action: message => this.prompt(message, this.getEmbed({title: 'Echo', description: 'What should I repeat?'}), {
+					onReply: reply => reply.content
+				})
+			}
+		];
+	}
+
+	/** @param {Discord.Message} message
+	 * @returns {Promise<?MessageResponse>} - a response */
+	onMessage(message) {
+		return this.runMatchingCommand(message);
+	}
+
+	/** @param {Discord.Message} oldMessage
+	 * @param {Discord.Message} newMessage
+	 * @returns {Promise<?MessageResponse>} - a response */
+	onMessageUpdate(oldMessage, newMessage) {
+		return this.runMatchingCommand(newMessage, true);
+	}
+}
+
+/** Number of written plugin files, used as their modification times.
+ * @type {number} */
+let pluginFileWrites = 0;
+
+/** Writes a plugin file which replies to the `ping` command. The plugin records
+ *  its lifecycle hooks in the global `pluginHooks` array. Each write gets its own
+ *  modification time, babel-register would reuse its cached code otherwise.
+ * @param {string} directory - the plugins directory
+ * @param {string} name - plugin's name (also the file's name)
+ * @param {string} reply - the reply to `ping`
+ * @param {object} [properties] - other properties of the plugin, e.g. dependencies
+ * @returns {Promise<void>} - a promise resolved once the file is written */
+const writePluginFile = async (directory, name, reply, properties = {}) => {
+	const fileName = path.join(directory, `${name}.js`);
+
+	pluginFileWrites += 1;
+	await promisify(fs.writeFile)(fileName, [
+		`const Plugin = require(${JSON.stringify(path.resolve(__dirname, '../src/plugin.js'))}).default;`,
+		'exports.default = class extends Plugin {',
+		'	constructor(saiko) {',
+		'		super(saiko);',
+		`		this.name = ${JSON.stringify(name)};`,
+		`		this.commands = [{trigger: 'ping', action: () => ${JSON.stringify(reply)}}];`,
+		`		Object.assign(this, ${JSON.stringify(properties)});`,
+		'	}',
+		'	onMessage(message) { return this.runMatchingCommand(message); }',
+		...['onLoad', 'onReady', 'onEnable', 'onDisable', 'onUnload']
+			.map(hook => `	${hook}() { global.pluginHooks.push(\`\${this.name}.${hook}\`); }`),
+		'};'
+	].join('\n'));
+	await promisify(fs.utimes)(fileName, pluginFileWrites, pluginFileWrites);
+};
+
+/** A plugin which records members joining guilds and reactions. */
+class GreeterPlugin extends Plugin {
+	/** Creates a new GreeterPlugin object.
+	 * @param {Saiko} saiko
+	 * @returns {GreeterPlugin} - a GreeterPlugin object */
+	constructor(saiko) {
+		super(saiko);
+
+		this.name = 'greeter';
+		this.events = [];
+	}
+
+	/** @param {Discord.GuildMember} member
+	 * @returns {string} - a response, which should be ignored */
+	onGuildMemberAdd(member) {
+		this.events.push(`joined: ${member.user.username}`);
+		return 'welcome';
+	}
+
+	/** @param {Discord.Message} message
+	 * @returns {void} */
+	onMessage(message) {
+		this.events.push(`said: ${message.content}`);
+	}
+
+	/** @param {Discord.MessageReaction} reaction
+	 * @param {Discord.User} user
+	 * @returns {void} */
+	onMessageReactionAdd(reaction, user) {
+		this.events.push(`reacted: ${user.username}`);
+	}
+}
+
+/** A plugin which always fails. */
+class BrokenPlugin extends Plugin {
+	/** Throws.
+	 * @returns {void} */
+	onMessage() {
+		throw new Error(`${this.name} is broken`);
+	}
+}
+
+describe('Saiko', () => {
+	describe('handleEvent', () => {
+		let saiko = null;
+		let user  = null;
+
+		beforeEach(async () => {
+			saiko = await createSaiko({plugins: [EchoPlugin], data: {defaults: enabled('echo')}});
+			user  = saiko.createMember({user: {username: 'Tester'}});
+		});
+
+		it('sends responses', async () => {
+			const {actions} = await saiko.send(saiko.channel, user, '`echo hello world');
+
+			assert.strictEqual(actions.length, 1);
+			assert.strictEqual(actions[0].type, 'send');
+			assert.strictEqual(actions[0].message.content, 'hello world');
+			assert.strictEqual(actions[0].message.channel, saiko.channel);
+		});
+
+		it('ignores messages not triggering commands', async () => {
+			const {actions} = await saiko.send(saiko.channel, user, 'echo hello');
+
+			assert.deepStrictEqual(actions, []);
+		});
+
+		it('awaits asynchronous actions', async () => {
+			const {actions} = await saiko.send(saiko.channel, user, '`later done');
+
+			assert.strictEqual(actions.length, 1);
+			assert.strictEqual(actions[0].message.content, 'done');
+		});
+
+		it('edits responses when the trigger gets edited', async () => {
+			const {message, actions: [sent]} = await saiko.send(saiko.channel, user, '`echo one');
+			const actions = await saiko.edit(message, '`echo two');
+
+			assert.strictEqual(actions.length, 1);
+			assert.strictEqual(actions[0].type, 'edit');
+			assert.strictEqual(actions[0].message, sent.message);
+			assert.strictEqual(sent.message.content, 'two');
+		});
+
+		it('resends responses when there are more posts than before', async () => {
+			const {message, actions: [sent]} = await saiko.send(saiko.channel, user, '`echo one');
+			const actions = await saiko.edit(message, '`twice two');
+
+			assert.deepStrictEqual(actions.map(action => action.type), ['delete', 'send', 'send']);
+			assert.strictEqual(actions[0].message, sent.message);
+		});
+
+		it('removes responses when the trigger no longer triggers a command', async () => {
+			const {message, actions: [sent]} = await saiko.send(saiko.channel, user, '`twice one');
+			const actions = await saiko.edit(message, 'nevermind');
+
+			assert.deepStrictEqual(actions.map(action => action.type), ['delete', 'delete']);
+			assert.strictEqual(actions[0].message, sent.message);
+		});
+
+		it('removes responses when the trigger gets deleted', async () => {
+			const {message, actions: [sent]} = await saiko.send(saiko.channel, user, '`echo one');
+			const actions = await saiko.remove(message);
+
+			assert.strictEqual(actions.length, 1);
+			assert.strictEqual(actions[0].type, 'delete');
+			assert.strictEqual(actions[0].message, sent.message);
+		});
+
+		it('forgets responses deleted by someone else', async () => {
+			const {message, actions: [sent]} = await saiko.send(saiko.channel, user, '`echo one');
+
+			await saiko.remove(sent.message);
+
+			const actions = await saiko.edit(message, '`echo two');
+
+			assert.deepStrictEqual(actions.map(action => [action.type, action.message.content]), [['send', 'two']]);
+			assert.strictEqual(saiko.saiko.dispatcher.responses.has(message.id), true);
+		});
+
+		it('ignores disabled plugins', async () => {
+			saiko.saiko.data.channels[saiko.channel.id] = {plugins: {echo: {enabled: false}}};
+
+			const {actions} = await saiko.send(saiko.channel, user, '`echo hello');
+
+			assert.deepStrictEqual(actions, []);
+		});
+
+		it('passes other events to plugins enabled where they happened', async () => {
+			saiko = await createSaiko({plugins: [GreeterPlugin]});
+			saiko.saiko.data.guilds = {[saiko.guild.id]: enabled('greeter')};
+
+			const [plugin] = saiko.saiko.plugins;
+			const member   = saiko.createMember({user: {username: 'Newbie'}});
+			const message  = saiko.createMessage(saiko.channel, member, 'hi');
+
+			assert.deepStrictEqual(await saiko.dispatch('guildMemberAdd', member), []);
+			await saiko.dispatch('messageReactionAdd', new Discord.MessageReaction(message, {name: '👍'}, 1, false), member.user);
+
+			saiko.saiko.data.channels[saiko.channel.id] = {plugins: {greeter: {enabled: false}}};
+			await saiko.dispatch('messageReactionAdd', new Discord.MessageReaction(message, {name: '👎'}, 1, false), member.user);
+
+			assert.deepStrictEqual(plugin.events, ['joined: Newbie', 'reacted: Newbie']);
+		});
+
+		it('passes replies to questions to the plugins which asked them', async () => {
+			saiko = await createSaiko({plugins: [EchoPlugin, GreeterPlugin], data: {defaults: enabled('echo', 'greeter')}});
+			user  = saiko.createMember({user: {username: 'Tester'}});
+
+			const other = saiko.createMember({user: {username: 'Other'}});
+			const describe = async (author, content) => (await saiko.send(saiko.channel, author, content)).actions
+				.map(action => action.message.embeds.length > 0 ? action.message.embeds[0].description : action.message.content);
+
+			assert.deepStrictEqual(await describe(user, '`ask'), ['What should I repeat?']);
+			assert.deepStrictEqual(await describe(other, '`echo hi'), ['hi']);
+			assert.deepStrictEqual(await describe(user, '`echo hello'), ['`echo hello']);
+			assert.deepStrictEqual(await describe(user, 'hello'), []);
+			assert.deepStrictEqual(saiko.saiko.loader.getPlugin('greeter').events, ['said: `ask', 'said: `echo hi', 'said: `echo hello', 'said: hello']);
+
+			await describe(user, '`ask');
+			assert.deepStrictEqual(await describe(user, 'Cancel'), ['Cancelled.']);
+			assert.deepStrictEqual(await describe(user, 'hello'), []);
+
+			saiko.saiko.loader.getPlugin('echo').promptTimeout = 0;
+			await describe(user, '`ask');
+			assert.deepStrictEqual(await describe(user, '`echo hello'), ['hello']);
+		});
+
+		it('limits commands run by a user', async () => {
+			saiko.saiko.data.defaults.rateLimit = {commands: 2, seconds: 60};
+
+			const send = async author => (await saiko.send(saiko.channel, author, '`echo hi')).actions
+				.map(action => action.message.embeds.length > 0 ? action.message.embeds[0].title : action.message.content);
+
+			assert.deepStrictEqual(await send(user), ['hi']);
+			assert.deepStrictEqual(await send(user), ['hi']);
+			assert.deepStrictEqual(await send(user), ['Slow down']);
+			assert.deepStrictEqual(await send(user), []);
+			assert.deepStrictEqual(await send(saiko.createMember({user: {username: 'Other'}})), ['hi']);
+		});
+
+		it('counts messages triggering commands of several plugins once', async () => {
+			/** An echo plugin under another name. */
+			class OtherEchoPlugin extends EchoPlugin {
+				/** Creates a new OtherEchoPlugin object.
+				 * @param {Saiko} saiko
+				 * @returns {OtherEchoPlugin} - an OtherEchoPlugin object */
+				constructor(saiko) {
+					super(saiko);
+					this.name = 'other';
+				}
+			}
+
+			saiko = await createSaiko({plugins: [EchoPlugin, OtherEchoPlugin], data: {defaults: enabled('echo', 'other')}});
+			saiko.saiko.data.defaults.rateLimit = {commands: 2, seconds: 60};
+
+			const send = async () => (await saiko.send(saiko.channel, user, '`echo hi')).actions
+				.map(action => action.message.embeds.length > 0 ? action.message.embeds[0].title : action.message.content);
+
+			assert.deepStrictEqual(await send(), ['hi']);
+			assert.deepStrictEqual(await send(), ['hi']);
+			assert.deepStrictEqual(await send(), ['Slow down']);
+		});
+
+		it('doesn\'t limit edited commands again', async () => {
+			saiko.saiko.data.defaults.rateLimit = {commands: 1, seconds: 60};
+
+			const {message} = await saiko.send(saiko.channel, user, '`echo one');
+			const [edited] = await saiko.edit(message, '`echo two');
+
+			assert.deepStrictEqual([edited.type, edited.message.content], ['edit', 'two']);
+			assert.strictEqual((await saiko.send(saiko.channel, user, '`echo three')).actions[0].message.embeds[0].title, 'Slow down');
+		});
+
+		it('doesn\'t limit commands by default', async () => {
+			saiko.saiko.limiter.rateLimit = new Saiko('').limiter.rateLimit;
+
+			for (let index = 0; index < 10; index += 1)
+				assert.strictEqual((await saiko.send(saiko.channel, user, '`echo hi')).actions[0].message.content, 'hi'); // eslint-disable-line no-await-in-loop
+		});
+
+		it('applies cooldowns of commands', async () => {
+			const other = saiko.createMember({user: {username: 'Other'}});
+			const {actions: [first]} = await saiko.send(saiko.channel, user, '`twice one');
+			const {actions: [second]} = await saiko.send(saiko.channel, other, '`twice two');
+
+			assert.strictEqual(first.message.content, 'one');
+			assert.ok(/^The `` `twice `` command is on cooldown\. Please try again in (60|59) seconds\.$/.test(second.message.embeds[0].description));
+			assert.strictEqual((await saiko.send(saiko.channel, user, '`echo hi')).actions[0].message.content, 'hi');
+
+			saiko.saiko.data.defaults.plugins.echo.cooldowns = {echo: {seconds: 60}, twice: {seconds: 0}};
+			assert.strictEqual((await saiko.send(saiko.channel, user, '`twice three')).actions.length, 2);
+			assert.strictEqual((await saiko.send(saiko.channel, user, '`echo hi')).actions[0].message.content, 'hi');
+			assert.strictEqual((await saiko.send(saiko.channel, user, '`echo hi')).actions[0].message.embeds[0].title, 'Slow down');
+			assert.strictEqual((await saiko.send(saiko.channel, other, '`echo hi')).actions[0].message.content, 'hi');
+		});
+
+		it('isolates failing plugins', async () => {
+			saiko = await createSaiko({plugins: [BrokenPlugin, EchoPlugin], data: {defaults: enabled('echo', 'BrokenPlugin')}});
+
+			const {actions} = await saiko.send(saiko.channel, user, '`echo still works');
+
+			assert.strictEqual(actions.length, 1);
+			assert.strictEqual(actions[0].message.content, 'still works');
+		});
+	});
+
+	describe('saveData', () => {
+		it('keeps arrays and removes empty objects', async () => {
+			const {saiko} = await createSaiko({data: {pluginPaths: [], pluginPackages: ['saiko-plugin'], guilds: {}}});
+
+			await saiko.saveData();
+			const saved = JSON.parse(await promisify(fs.readFile)(`${saiko.dataPath}data.json`));
+
+			assert.deepStrictEqual(saved.pluginPaths, []);
+			assert.deepStrictEqual(saved.pluginPackages, ['saiko-plugin']);
+			assert.deepStrictEqual(saved.guilds, {});
+		});
+	});
+
+	describe('loadData', () => {
+		it('upgrades old data and backs it up', async () => {
+			const {saiko} = await createSaiko();
+
+			await promisify(fs.writeFile)(`${saiko.dataPath}data.json`, JSON.stringify({token: 'token'}));
+			await saiko.dataManager.loadData();
+
+			const saved = JSON.parse(await promisify(fs.readFile)(`${saiko.dataPath}data.json`));
+			const [backup] = await promisify(fs.readdir)(`${saiko.dataPath}backups`);
+
+			assert.strictEqual(saved.dataVersion, migrations.latestVersion);
+			assert.deepStrictEqual(saved.pluginPaths, []);
+			assert.ok(/^data-v0-\d+\.json$/.test(backup));
+			assert.deepStrictEqual(JSON.parse(await promisify(fs.readFile)(`${saiko.dataPath}backups/${backup}`)), {token: 'token'});
+		});
+
+		it('upgrades old data in memory only if it\'s read-only', async () => {
+			const {saiko} = await createSaiko();
+
+			await promisify(fs.writeFile)(`${saiko.dataPath}data.json`, JSON.stringify({token: 'token'}));
+			await saiko.dataManager.loadData({readOnly: true});
+
+			assert.strictEqual(saiko.data.dataVersion, migrations.latestVersion);
+			assert.deepStrictEqual(JSON.parse(await promisify(fs.readFile)(`${saiko.dataPath}data.json`)), {token: 'token'});
+			await assert.rejects(promisify(fs.readdir)(`${saiko.dataPath}backups`), /ENOENT/);
+		});
+	});
+
+	describe('backups', () => {
+		it('backs up saved data periodically and keeps the newest backups', async () => {
+			const {saiko} = await createSaiko();
+			const wait = () => new Promise(resolve => setTimeout(resolve, 5));
+
+			saiko.backups.backupInterval = 0;
+			saiko.backups.backupLimit = 2;
+
+			for (const name of ['a', 'b', 'c']) {
+				saiko.name = name;
+				await saiko.saveData(); // eslint-disable-line no-await-in-loop
+				await wait(); // eslint-disable-line no-await-in-loop
+			}
+
+			await saiko.backups.backupData(saiko.data, 'manual');
+
+			const backups = await saiko.backups.listBackups();
+
+			assert.deepStrictEqual(backups.map(backup => backup.label), ['manual', 'auto', 'auto']);
+			assert.strictEqual(JSON.parse(await promisify(fs.readFile)(`${saiko.backups.getBackupsPath()}${backups[2].name}`)).name, 'b');
+		});
+
+		it('restores backups', async () => {
+			const {saiko} = await createSaiko();
+			const fileName = await saiko.backups.backupData({...saiko.data, dataVersion: 0, name: 'Old'}, 'manual');
+
+			saiko.name = 'New';
+			await saiko.backups.restoreBackup(path.basename(fileName));
+
+			assert.strictEqual(saiko.name, 'Old');
+			assert.strictEqual(saiko.data.dataVersion, migrations.latestVersion);
+			assert.deepStrictEqual((await saiko.backups.listBackups()).map(backup => backup.label).sort(), ['manual', 'restore']);
+		});
+	});
+
+	describe('hasPermission', () => {
+		it('gives the owner level to the bot\'s owners only', async () => {
+			const {saiko, channel, guild, createMember} = await createSaiko({data: {owners: []}});
+			const owner    = createMember({user: {username: 'Owner'}});
+			const operator = createMember({user: {username: 'Operator'}, administrator: true});
+
+			saiko.data.owners = [owner.id];
+			saiko.data.guilds[guild.id] = {permissions: {users: {[operator.id]: 'owner'}}};
+
+			assert.ok(saiko.hasPermission(owner, channel, 'owner'));
+			assert.ok(saiko.hasPermission(owner.user, null, 'owner'));
+			assert.ok(!saiko.hasPermission(owner, channel, 'operator'));
+			assert.ok(!saiko.hasPermission(operator, channel, 'owner'));
+			assert.ok(!saiko.hasPermission(operator.user, null, 'owner'));
+		});
+	});
+
+	describe('validateData', () => {
+		it('requires a token unless it\'s overridden', async () => {
+			const {saiko} = await createSaiko({data: {token: ''}});
+
+			assert.throws(() => saiko.dataManager.validateData(), /^Error: Invalid data:\ntoken: is required/);
+
+			saiko.overrides.token = 'token';
+			saiko.dataManager.validateData();
+			assert.strictEqual(saiko.token, 'token');
+		});
+
+		it('reports invalid configs with their paths', async () => {
+			const {saiko, channel} = await createSaiko({plugins: [EchoPlugin]});
+
+			saiko.plugins[0].configSchema = {times: {type: 'integer', min: 1}};
+			saiko.data.channels[channel.id] = {prefix: 'no spaces', plugins: {echo: {times: 0}, other: {enabled: 'yes'}}};
+
+			assert.throws(() => saiko.dataManager.validateData(), error => error.message === [
+				'Invalid data:',
+				`channels.${channel.id}.prefix: "no spaces" doesn't match ^\\S{1,16}$`,
+				`channels.${channel.id}.plugins.echo.times: expected at least 1, got 0`,
+				`channels.${channel.id}.plugins.other.enabled: expected a boolean, got "yes"`
+			].join('\n'));
+
+			delete saiko.data.channels[channel.id];
+			saiko.dataManager.validateData();
+		});
+	});
+
+	describe('storage', () => {
+		it('moves the data between storages', async () => {
+			const {saiko, guild} = await createSaiko({data: {pluginPaths: ['plug']}});
+
+			saiko.data.guilds[guild.id] = {prefix: '!'};
+			const readMainFile = async () => JSON.parse(await promisify(fs.readFile)(`${saiko.dataPath}data.json`));
+
+			await saiko.saveData();
+			await saiko.dataManager.migrateStorage('sqlite');
+
+			assert.strictEqual(saiko.dataManager.getStorageType(), 'sqlite');
+			assert.deepStrictEqual(await readMainFile(), {storage: {type: 'sqlite'}});
+
+			const reloaded = new Saiko(saiko.dataPath);
+
+			await reloaded.dataManager.loadData();
+			assert.strictEqual(reloaded.dataManager.getStorageType(), 'sqlite');
+			assert.deepStrictEqual(reloaded.data.pluginPaths, ['plug']);
+			assert.deepStrictEqual(reloaded.data.guilds, {[guild.id]: {prefix: '!', name: 'Guild'}});
+
+			await reloaded.dataManager.migrateStorage('json');
+			assert.deepStrictEqual((await readMainFile()).guilds, {[guild.id]: {prefix: '!', name: 'Guild'}});
+			await assert.rejects(reloaded.dataManager.migrateStorage('json'), /^Error: The data is already kept in data\.json$/);
+			await reloaded.dataManager.storage.close();
+			await saiko.dataManager.storage.close();
+		});
+	});
+
+	describe('loading plugins at runtime', () => {
+		let saiko = null;
+		let user  = null;
+
+		beforeEach(async () => {
+			saiko = await createSaiko({data: {defaults: enabled('ping', 'pong')}});
+			user  = saiko.createMember({user: {username: 'Tester'}});
+			saiko.saiko.loader.pluginsPath = await createTemporaryDirectory('saiko-plug-');
+			global.pluginHooks = [];
+			await writePluginFile(saiko.saiko.loader.pluginsPath, 'ping', 'pong');
+		});
+
+		afterEach(() => {
+			delete global.pluginHooks;
+		});
+
+		it('loads all plugins from the plugins directory', async () => {
+			await writePluginFile(saiko.saiko.loader.pluginsPath, 'pong', 'ping');
+			await saiko.saiko.loader.loadPlugins();
+
+			assert.deepStrictEqual(saiko.saiko.plugins.map(plugin => plugin.name).sort(), ['ping', 'pong']);
+		});
+
+		it('loads built-in plugins by default', async () => {
+			saiko.saiko.loader.pluginsPath = new Saiko('').loader.pluginsPath;
+			await saiko.saiko.loader.loadPlugins();
+
+			assert.deepStrictEqual(saiko.saiko.plugins.map(plugin => plugin.name).sort(), ['admin', 'archive', 'config', 'log', 'owner', 'permissions', 'utils']);
+		});
+
+		it('loads plugins from directories listed in the data', async () => {
+			const directory = await createTemporaryDirectory('saiko-plug-');
+
+			await writePluginFile(directory, 'pong', 'ping');
+			saiko.saiko.data.pluginPaths = [directory];
+			await saiko.saiko.loader.loadPlugins();
+
+			assert.deepStrictEqual(saiko.saiko.plugins.map(plugin => plugin.name).sort(), ['ping', 'pong']);
+		});
+
+		it('refuses plugins with the same name', async () => {
+			const directory = await createTemporaryDirectory('saiko-plug-');
+
+			await writePluginFile(directory, 'ping', 'ping');
+			saiko.saiko.data.pluginPaths = [directory];
+
+			await assert.rejects(saiko.saiko.loader.loadPlugins(), /^Error: Plugins from .+ and .+ have the same name "ping"$/);
+		});
+
+		it('refuses modules which don\'t export plugins', async () => {
+			await promisify(fs.writeFile)(path.join(saiko.saiko.loader.pluginsPath, 'pong.js'), 'exports.default = class {};');
+
+			await assert.rejects(saiko.saiko.loader.loadPlugins(), /pong\.js has no name$/);
+
+			await promisify(fs.writeFile)(path.join(saiko.saiko.loader.pluginsPath, 'pong.js'), 'exports.default = class { constructor() { this.name = \'pong\'; } };');
+			await assert.rejects(saiko.saiko.loader.loadPlugins(), /^Error: Plugin "pong" from .+pong\.js has no list of commands$/);
+
+			await promisify(fs.writeFile)(path.join(saiko.saiko.loader.pluginsPath, 'pong.js'), 'module.exports = {};');
+			await assert.rejects(saiko.saiko.loader.loadPlugins(), /pong\.js doesn't export a plugin class$/);
+		});
+
+		it('loads plugins which don\'t extend Plugin', async () => {
+			await promisify(fs.writeFile)(path.join(saiko.saiko.loader.pluginsPath, 'pong.js'), [
+				'module.exports = class {',
+				'	constructor(saiko) {',
+				'		this.saiko = saiko;',
+				'		this.name = \'pong\';',
+				'		this.commands = [];',
+				'	}',
+				'	onMessage(message) { return message.content === \'`pong\' ? {posts: [[\'ping\']], edits: []} : null; }',
+				'};'
+			].join('\n'));
+
+			await saiko.saiko.loader.loadPlugin('pong');
+
+			const {message, actions} = await saiko.send(saiko.channel, user, '`pong');
+
+			assert.strictEqual(actions[0].message.content, 'ping');
+			assert.deepStrictEqual((await saiko.dispatch('messageDelete', message)).map(action => action.type), ['delete']);
+		});
+
+		it('loads plugins extending their own copy of Plugin', async () => {
+			const pluginPath = require.resolve('../src/plugin.js');
+
+			await promisify(fs.writeFile)(path.join(saiko.saiko.loader.pluginsPath, 'pong.js'), [
+				`delete require.cache[${JSON.stringify(pluginPath)}];`,
+				`const Plugin = require(${JSON.stringify(pluginPath)}).default;`,
+				'module.exports = class extends Plugin {',
+				'	constructor(saiko) {',
+				'		super(saiko);',
+				'		this.name = \'pong\';',
+				'		this.commands = [{trigger: \'pong\', action: () => \'ping\'}];',
+				'	}',
+				'	onMessage(message) { return this.runMatchingCommand(message); }',
+				'};'
+			].join('\n'));
+
+			const plugin = await saiko.saiko.loader.loadPlugin('pong');
+
+			assert.ok(!(plugin instanceof Plugin));
+			assert.strictEqual((await saiko.send(saiko.channel, user, '`pong')).actions[0].message.content, 'ping');
+		});
+
+		it('refuses missing plugin packages', async () => {
+			saiko.saiko.data.pluginPackages = ['saiko-plugin-which-does-not-exist'];
+
+			await assert.rejects(saiko.saiko.loader.loadPlugins(), /^Error: Plugin package "saiko-plugin-which-does-not-exist" is not installed$/);
+		});
+
+		it('loads dependencies first', async () => {
+			await writePluginFile(saiko.saiko.loader.pluginsPath, 'a', '', {dependencies: ['ping'], priority: 10});
+			await writePluginFile(saiko.saiko.loader.pluginsPath, 'pong', '', {priority: 5});
+			await saiko.saiko.loader.loadPlugins();
+
+			assert.deepStrictEqual(saiko.saiko.plugins.map(plugin => plugin.name), ['pong', 'ping', 'a']);
+			assert.deepStrictEqual(global.pluginHooks, ['pong.onLoad', 'ping.onLoad', 'a.onLoad']);
+		});
+
+		it('refuses to start with missing or circular dependencies', async () => {
+			await writePluginFile(saiko.saiko.loader.pluginsPath, 'pong', '', {dependencies: ['missing']});
+			await assert.rejects(saiko.saiko.loader.loadPlugins(), /"pong" depends on "missing", which is not loaded/);
+
+			await writePluginFile(saiko.saiko.loader.pluginsPath, 'ping', '', {dependencies: ['pong']});
+			await writePluginFile(saiko.saiko.loader.pluginsPath, 'pong', '', {dependencies: ['ping']});
+			await assert.rejects(saiko.saiko.loader.loadPlugins(), /Circular dependency: "ping" -> "pong" -> "ping"/);
+			assert.deepStrictEqual(global.pluginHooks, []);
+		});
+
+		it('refuses to unload plugins other plugins depend on', async () => {
+			await writePluginFile(saiko.saiko.loader.pluginsPath, 'pong', '', {dependencies: ['ping']});
+			await assert.rejects(saiko.saiko.loader.loadPlugin('pong'), /"pong" depends on "ping", which is not loaded/);
+
+			await saiko.saiko.loader.loadPlugin('ping');
+			await saiko.saiko.loader.loadPlugin('pong');
+			await assert.rejects(saiko.saiko.loader.unloadPlugin('ping'), /Plugin "ping" is required by "pong"/);
+		});
+
+		it('calls onReady once the client is ready', async () => {
+			await saiko.saiko.loader.loadPlugins();
+			saiko.client.readyAt = new Date;
+			await saiko.dispatch('ready');
+
+			assert.deepStrictEqual(global.pluginHooks, ['ping.onLoad', 'ping.onReady']);
+
+			await writePluginFile(saiko.saiko.loader.pluginsPath, 'pong', '');
+			await saiko.saiko.loader.loadPlugin('pong');
+
+			assert.deepStrictEqual(global.pluginHooks.slice(2), ['pong.onLoad', 'pong.onReady']);
+		});
+
+		it('calls onEnable and onDisable when the plugin\'s state changes', async () => {
+			const [plugin] = await saiko.saiko.loader.loadPlugins();
+
+			saiko.saiko.data.channels[saiko.channel.id] = {plugins: {ping: {enabled: false}}};
+			await saiko.saiko.updatePluginState(plugin, saiko.channel, true);
+			await saiko.saiko.updatePluginState(plugin, saiko.channel, false);
+
+			assert.deepStrictEqual(global.pluginHooks, ['ping.onLoad', 'ping.onDisable']);
+		});
+
+		it('loads and unloads a plugin', async () => {
+			await saiko.saiko.loader.loadPlugin('ping');
+
+			assert.strictEqual((await saiko.send(saiko.channel, user, '`ping')).actions[0].message.content, 'pong');
+			await assert.rejects(saiko.saiko.loader.loadPlugin('ping.js'), /Plugin "ping" is already loaded/);
+
+			await saiko.saiko.loader.unloadPlugin('ping');
+
+			assert.deepStrictEqual(global.pluginHooks, ['ping.onLoad', 'ping.onUnload']);
+			assert.deepStrictEqual((await saiko.send(saiko.channel, user, '`ping')).actions, []);
+			await assert.rejects(saiko.saiko.loader.unloadPlugin('ping'), /Plugin "ping" is not loaded/);
+		});
+
+		it('doesn\'t run plugins which are already loaded again', async () => {
+			await saiko.saiko.loader.loadPlugin('ping');
+			await promisify(fs.writeFile)(path.join(saiko.saiko.loader.pluginsPath, 'ping.js'), 'syntax error');
+
+			await assert.rejects(saiko.saiko.loader.loadPlugin('ping'), /^Error: Plugin "ping" is already loaded$/);
+			assert.deepStrictEqual(global.pluginHooks, ['ping.onLoad']);
+		});
+
+		it('refuses plugin file names with paths', async () => {
+			for (const fileName of ['../ping', 'plug/ping', 'plug\\ping', '..'])
+				await assert.rejects(saiko.saiko.loader.loadPlugin(fileName), /^Error: Invalid plugin file name/); // eslint-disable-line no-await-in-loop
+
+			assert.deepStrictEqual(saiko.saiko.plugins, []);
+		});
+
+		it('reloads a plugin with its new code', async () => {
+			await saiko.saiko.loader.loadPlugin('ping');
+			await writePluginFile(saiko.saiko.loader.pluginsPath, 'ping', 'pong again');
+			await saiko.saiko.loader.reloadPlugin('ping');
+
+			assert.deepStrictEqual(global.pluginHooks, ['ping.onLoad', 'ping.onLoad', 'ping.onUnload']);
+			assert.strictEqual(saiko.saiko.plugins.length, 1);
+			assert.strictEqual((await saiko.send(saiko.channel, user, '`ping')).actions[0].message.content, 'pong again');
+		});
+
+		it('keeps the old version if reloading fails', async () => {
+			await saiko.saiko.loader.loadPlugin('ping');
+			await promisify(fs.writeFile)(path.join(saiko.saiko.loader.pluginsPath, 'ping.js'), 'syntax error');
+
+			await assert.rejects(saiko.saiko.loader.reloadPlugin('ping'));
+			assert.deepStrictEqual(global.pluginHooks, ['ping.onLoad']);
+			assert.strictEqual((await saiko.send(saiko.channel, user, '`ping')).actions[0].message.content, 'pong');
+		});
+
+		it('follows changes of plugin files', async () => {
+			const fileName = path.join(saiko.saiko.loader.pluginsPath, 'ping.js');
+
+			await saiko.saiko.loader.handlePluginFileChange(fileName);
+			assert.deepStrictEqual(saiko.saiko.plugins.map(plugin => plugin.name), ['ping']);
+
+			await writePluginFile(saiko.saiko.loader.pluginsPath, 'ping', 'pong again');
+			await saiko.saiko.loader.handlePluginFileChange(fileName);
+			assert.strictEqual((await saiko.send(saiko.channel, user, '`ping')).actions[0].message.content, 'pong again');
+
+			await promisify(fs.unlink)(fileName);
+			await saiko.saiko.loader.handlePluginFileChange(fileName);
+			assert.deepStrictEqual(saiko.saiko.plugins, []);
+		});
+
+		it('watches all plugin directories', async () => {
+			const directory = await createTemporaryDirectory('saiko-plug-');
+
+			saiko.saiko.data.pluginPaths = [directory];
+
+			try {
+				assert.strictEqual(saiko.saiko.loader.watchPlugins().length, 2);
+			} finally {
+				saiko.saiko.loader.unwatchPlugins();
+			}
+
+			assert.deepStrictEqual(saiko.saiko.loader.watchers, []);
+
+			await writePluginFile(directory, 'pong', 'ping');
+			await saiko.saiko.loader.handlePluginFileChange(path.join(directory, 'pong.js'));
+			assert.deepStrictEqual(saiko.saiko.plugins.map(plugin => plugin.modulePath), [path.join(directory, 'pong.js')]);
+		});
+	});
+});
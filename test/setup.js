@@ -0,0 +1,10 @@
+/** Hooks of all tests: the log is silenced (tests which check it change its
+ *  level themselves) and temporary directories are removed after each test.
+ * @module test/setup */
+
+import {removeTemporaryDirectories} from './mock/filesystem.js';
+import * as log from '../src/functions/log.js';
+
+log.setLevel('silent');
+
+afterEach(() => removeTemporaryDirectories());
@@ -0,0 +1,63 @@
+import JSONStorage from '../../src/storage/json.js';
+import assert from 'assert';
+import {createTemporaryDirectory} from '../mock/filesystem.js';
+import fs from 'fs';
+import path from 'path';
+import {promisify} from 'util';
+
+describe('storage/json', () => {
+	let fileName = null;
+
+	beforeEach(async () => {
+		fileName = path.join(await createTemporaryDirectory(), 'data.json');
+	});
+
+	it('saves and loads data', async () => {
+		const storage = new JSONStorage(fileName, {debounce: 0});
+
+		await storage.save({token: 'token', owners: ['1']});
+
+		assert.deepStrictEqual(await new JSONStorage(fileName).load(), {token: 'token', owners: ['1']});
+	});
+
+	it('merges saves done in a quick succession', async () => {
+		const storage = new JSONStorage(fileName, {debounce: 50});
+		const data = {count: 1};
+		const writes = [];
+		const {writeFile} = fs;
+
+		fs.writeFile = (...parameters) => {
+			writes.push(parameters[1]);
+			return writeFile(...parameters);
+		};
+
+		try {
+			const first = storage.save(data);
+
+			data.count = 2;
+			await Promise.all([first, storage.save(data)]);
+		} finally {
+			fs.writeFile = writeFile;
+		}
+
+		assert.strictEqual(writes.length, 1);
+		assert.deepStrictEqual(await storage.load(), {count: 2});
+	});
+
+	it('writes scheduled data on flush', async () => {
+		const storage = new JSONStorage(fileName, {debounce: 60000});
+
+		storage.save({flushed: true});
+		await storage.flush();
+
+		assert.deepStrictEqual(await storage.load(), {flushed: true});
+	});
+
+	it('doesn\'t leave temporary files', async () => {
+		const storage = new JSONStorage(fileName, {debounce: 0});
+
+		await storage.save({});
+
+		assert.deepStrictEqual(await promisify(fs.readdir)(path.dirname(fileName)), ['data.json']);
+	});
+});
@@ -0,0 +1,41 @@
+import SQLiteStorage from '../../src/storage/sqlite.js';
+import assert from 'assert';
+import {createTemporaryDirectory} from '../mock/filesystem.js';
+import path from 'path';
+
+describe('storage/sqlite', () => {
+	let fileName = null;
+
+	beforeEach(async () => {
+		fileName = path.join(await createTemporaryDirectory(), 'data.sqlite');
+	});
+
+	it('saves and loads data', async () => {
+		const data = {
+			token: 'token',
+			owners: ['1'],
+			defaults: {prefix: '!'},
+			guilds: {1: {name: 'Guild'}, 2: {name: 'Other'}},
+			channels: {3: {plugins: {admin: {enabled: true}}}}
+		};
+		const storage = new SQLiteStorage(fileName);
+
+		await storage.save(data);
+		await storage.close();
+
+		const loaded = new SQLiteStorage(fileName);
+
+		assert.deepStrictEqual(await loaded.load(), data);
+		await loaded.close();
+	});
+
+	it('removes deleted items', async () => {
+		const storage = new SQLiteStorage(fileName);
+
+		await storage.save({token: 'token', guilds: {1: {name: 'Guild'}, 2: {name: 'Other'}}});
+		await storage.save({guilds: {2: {name: 'Renamed'}}});
+
+		assert.deepStrictEqual(await storage.load(), {guilds: {2: {name: 'Renamed'}}});
+		await storage.close();
+	});
+});
@@ -0,0 +1,77 @@
+import Plugin from '../src/plugin.js';
+import assert from 'assert';
+import {createSaiko} from './mock/saiko.js';
+import fs from 'fs';
+import {promisify} from 'util';
+
+/** A plugin which keeps counters. */
+class CounterPlugin extends Plugin {
+	/** Creates a new CounterPlugin object.
+	 * @param {Saiko} saiko
+	 * @returns {CounterPlugin} - a CounterPlugin object */
+	constructor(saiko) {
+		super(saiko);
+
+		this.name = 'counter';
+	}
+}
+
+describe('store', () => {
+	let saiko  = null;
+	let plugin = null;
+
+	beforeEach(async () => {
+		saiko  = await createSaiko({plugins: [CounterPlugin]});
+		[plugin] = saiko.saiko.plugins;
+	});
+
+	it('keeps values per scope', async () => {
+		const member = saiko.createMember();
+
+		await plugin.getStore(saiko.guild).set('count', 1);
+		await plugin.getStore(saiko.channel).set('count', 2);
+		await plugin.getStore(member).set('count', 3);
+		await plugin.getStore(member.user).set('count', 4);
+		await plugin.getStore().set('count', 5);
+
+		assert.deepStrictEqual(
+			[saiko.guild, saiko.channel, member, member.user, null].map(scope => plugin.getStore(scope).get('count')),
+			[1, 2, 3, 4, 5]
+		);
+		assert.strictEqual(plugin.getStore(saiko.createChannel()).get('count', 0), 0);
+	});
+
+	it('persists values outside configs', async () => {
+		await plugin.getStore(saiko.guild).set('settings', {empty: {}, list: [1, 2]});
+
+		const saved = JSON.parse(await promisify(fs.readFile)(`${saiko.saiko.dataPath}data.json`));
+
+		assert.deepStrictEqual(saved.pluginData, {counter: {[`guild:${saiko.guild.id}`]: {settings: {empty: {}, list: [1, 2]}}}});
+		assert.deepStrictEqual(saved.guilds, {});
+		saiko.saiko.dataManager.validateData();
+	});
+
+	it('returns copies of values', async () => {
+		const store = plugin.getStore();
+
+		await store.set('list', [1]);
+		store.get('list').push(2);
+
+		assert.deepStrictEqual(store.get('list'), [1]);
+	});
+
+	it('lists and deletes values', async () => {
+		const store = plugin.getStore(saiko.channel);
+
+		await store.set('a', 1);
+		await store.set('b', 2);
+		assert.deepStrictEqual(store.list(), ['a', 'b']);
+
+		assert.strictEqual(await store.delete('a'), true);
+		assert.strictEqual(await store.delete('a'), false);
+		assert.deepStrictEqual(store.list(), ['b']);
+
+		await store.delete('b');
+		assert.deepStrictEqual(saiko.saiko.data.pluginData, {});
+	});
+});
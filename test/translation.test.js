@@ -0,0 +1,19 @@
+import assert from 'assert';
+import * as locale from '../src/functions/locale.js';
+import * as translation from '../src/translation.js';
+
+describe('translation', () => {
+	it('has no messages missing in the default language', () => {
+		const keys = locale.getKeys(translation.catalogs[translation.defaultLanguage]);
+
+		for (const language of translation.languages)
+			assert.deepStrictEqual(locale.getKeys(translation.catalogs[language]).filter(key => !keys.includes(key)), [], language);
+	});
+
+	it('falls back to the default language', () => {
+		assert.strictEqual(translation.translate('pl')('plugin.prompt.cancelled'), 'Anulowano.');
+		assert.strictEqual(translation.translate('xx')('plugin.prompt.cancelled'), 'Cancelled.');
+		assert.strictEqual(translation.translate('pl')('missing.key'), 'missing.key');
+		assert.strictEqual(translation.translate('pl')('plugin.slowDown.retry', {count: 5}), 'Spróbuj ponownie za 5 sekund.');
+	});
+});